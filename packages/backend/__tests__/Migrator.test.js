@@ -0,0 +1,99 @@
+const Database = require('better-sqlite3');
+const Migrator = require('../src/db/Migrator');
+const migrations = require('../src/db/migrations');
+
+const tableExists = (db, name) => !!db
+  .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?")
+  .get(name);
+
+describe('Migrator', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    db.close();
+    jest.restoreAllMocks();
+  });
+
+  describe('migrateUp', () => {
+    it('should apply every pending migration and record its version', () => {
+      const migrator = new Migrator(db, migrations);
+
+      const applied = migrator.migrateUp();
+
+      expect(applied).toHaveLength(migrations.length);
+      expect(migrator.getCurrentVersion()).toBe(migrations[migrations.length - 1].version);
+      expect(tableExists(db, 'items')).toBe(true);
+      expect(tableExists(db, 'item_details')).toBe(true);
+    });
+
+    it('should not reapply migrations or duplicate seed data on a second run', () => {
+      new Migrator(db, migrations).migrateUp();
+
+      const applied = new Migrator(db, migrations).migrateUp();
+
+      expect(applied).toHaveLength(0);
+      expect(db.prepare('SELECT COUNT(*) AS count FROM items').get().count).toBe(3);
+    });
+
+    it('should stop at the requested target version', () => {
+      const migrator = new Migrator(db, migrations);
+
+      migrator.migrateUp(1);
+
+      expect(migrator.getCurrentVersion()).toBe(1);
+      expect(tableExists(db, 'item_details')).toBe(false);
+    });
+
+    it('should roll back a migration that fails part way', () => {
+      const broken = {
+        version: 1,
+        name: 'broken',
+        up: (database) => {
+          database.exec('CREATE TABLE partial (id INTEGER)');
+          throw new Error('boom');
+        },
+        down: () => {},
+      };
+      const migrator = new Migrator(db, [broken]);
+
+      expect(() => migrator.migrateUp()).toThrow('boom');
+      expect(migrator.getCurrentVersion()).toBe(0);
+      expect(tableExists(db, 'partial')).toBe(false);
+    });
+  });
+
+  describe('migrateDown', () => {
+    it('should revert the latest migration by default', () => {
+      const migrator = new Migrator(db, migrations);
+      migrator.migrateUp();
+      const latest = migrator.getCurrentVersion();
+
+      const reverted = migrator.migrateDown();
+
+      expect(reverted.map(migration => migration.version)).toEqual([latest]);
+      expect(migrator.getCurrentVersion()).toBe(latest - 1);
+    });
+
+    it('should revert down to the target version', () => {
+      const migrator = new Migrator(db, migrations);
+      migrator.migrateUp();
+
+      migrator.migrateDown(0);
+
+      expect(migrator.getCurrentVersion()).toBe(0);
+      expect(tableExists(db, 'items')).toBe(false);
+    });
+  });
+
+  it('should reject duplicate migration versions', () => {
+    const migration = { version: 1, name: 'one', up: () => {}, down: () => {} };
+
+    expect(() => new Migrator(db, [migration, { ...migration }]))
+      .toThrow('Duplicate migration version 1');
+  });
+});
@@ -1,5 +1,7 @@
-const request = require('supertest');
 const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+
+const { api } = createAuthenticatedAgent(app, db);
 
 // Close the database connection after all tests
 afterAll(() => {
@@ -11,7 +13,7 @@ afterAll(() => {
 describe('API Endpoints', () => {
   describe('GET /api/items', () => {
     it('should return all items', async () => {
-      const response = await request(app).get('/api/items');
+      const response = await api.get('/api/items');
       
       expect(response.status).toBe(200);
       expect(Array.isArray(response.body)).toBe(true);
@@ -28,7 +30,7 @@ describe('API Endpoints', () => {
   describe('POST /api/items', () => {
     it('should create a new item', async () => {
       const newItem = { name: 'Test Item' };
-      const response = await request(app)
+      const response = await api
         .post('/api/items')
         .send(newItem)
         .set('Accept', 'application/json');
@@ -40,7 +42,7 @@ describe('API Endpoints', () => {
     });
 
     it('should return 400 if name is missing', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/items')
         .send({})
         .set('Accept', 'application/json');
@@ -51,7 +53,7 @@ describe('API Endpoints', () => {
     });
 
     it('should return 400 if name is empty', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/items')
         .send({ name: '' })
         .set('Accept', 'application/json');
@@ -66,7 +68,7 @@ describe('API Endpoints', () => {
     it('should delete an existing item', async () => {
       // First create an item to delete
       const newItem = { name: 'Item to Delete' };
-      const createResponse = await request(app)
+      const createResponse = await api
         .post('/api/items')
         .send(newItem)
         .set('Accept', 'application/json');
@@ -74,7 +76,7 @@ describe('API Endpoints', () => {
       const itemId = createResponse.body.id;
       
       // Delete the item
-      const deleteResponse = await request(app)
+      const deleteResponse = await api
         .delete(`/api/items/${itemId}`);
       
       expect(deleteResponse.status).toBe(200);
@@ -82,13 +84,13 @@ describe('API Endpoints', () => {
       expect(deleteResponse.body.message).toBe('Item deleted successfully');
       
       // Verify the item is actually deleted
-      const getResponse = await request(app).get('/api/items');
+      const getResponse = await api.get('/api/items');
       const deletedItem = getResponse.body.find(item => item.id === itemId);
       expect(deletedItem).toBeUndefined();
     });
 
     it('should return 404 for non-existent item', async () => {
-      const response = await request(app)
+      const response = await api
         .delete('/api/items/99999');
       
       expect(response.status).toBe(404);
@@ -97,7 +99,7 @@ describe('API Endpoints', () => {
     });
 
     it('should return 400 for invalid item ID', async () => {
-      const response = await request(app)
+      const response = await api
         .delete('/api/items/invalid');
       
       expect(response.status).toBe(400);
@@ -0,0 +1,176 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+const { createItem } = require('./helpers/items');
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const requester = createAuthenticatedAgent(app, db, { username: 'rita', role: 'editor' }).api;
+const approver = createAuthenticatedAgent(app, db, { username: 'abe', role: 'admin' }).api;
+const colleague = createAuthenticatedAgent(app, db, { username: 'cole', role: 'editor' }).api;
+
+const createGatedItem = (fields = {}) => createItem(requester, {
+  name: 'Needs sign-off', priority: 'low', approvalRequired: true, ...fields,
+});
+
+const requestChange = async (itemId, changes) => {
+  const response = await requester.put(`/api/items/${itemId}/details`).send(changes);
+  expect(response.status).toBe(202);
+  return response.body.pending_approval;
+};
+
+const getItem = async (itemId) => (await requester.get(`/api/items/${itemId}/details`)).body;
+
+describe('Approvals', () => {
+  it('should hold changes to protected fields and apply the rest directly', async () => {
+    const item = await createGatedItem();
+
+    const held = await requester.put(`/api/items/${item.id}/details`).send({ priority: 'high', location: 'Lab' });
+    const direct = await requester.put(`/api/items/${item.id}/details`).send({ location: 'Office', priority: 'low' });
+
+    expect(held.status).toBe(202);
+    expect(held.body.priority).toBe('low');
+    expect(held.body.pending_approval).toMatchObject({
+      item_id: item.id,
+      requested_by: 'rita',
+      status: 'pending',
+      changes: { columns: { priority: 'high', location: 'Lab' } },
+      previous: { priority: 'low', location: null },
+    });
+    expect(direct.status).toBe(200);
+    expect(direct.body.location).toBe('Office');
+  });
+
+  it('should not hold changes to items without approval_required', async () => {
+    const item = await createGatedItem({ approvalRequired: false });
+
+    const response = await requester.put(`/api/items/${item.id}/details`).send({ priority: 'high' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.priority).toBe('high');
+  });
+
+  it('should list pending requests in the queue', async () => {
+    const item = await createGatedItem();
+    const request = await requestChange(item.id, { assignee: 'bob' });
+
+    const queue = await requester.get('/api/approvals');
+    const details = await getItem(item.id);
+
+    expect(queue.status).toBe(200);
+    expect(queue.body.find(entry => entry.id === request.id)).toMatchObject({ item_name: 'Needs sign-off' });
+    expect(details.pending_approval.id).toBe(request.id);
+  });
+
+  it('should apply the change on approval and record the approver', async () => {
+    const item = await createGatedItem();
+    const request = await requestChange(item.id, { status: 'completed', budget: 500 });
+
+    const response = await approver.post(`/api/approvals/${request.id}/approve`).send({ comment: 'Fine' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ status: 'approved', decided_by: 'abe', decision_comment: 'Fine' });
+    const updated = await getItem(item.id);
+    expect(updated).toMatchObject({ status: 'completed', workflow_stage: 'completed', budget: 500 });
+    expect(updated.pending_approval).toBeNull();
+
+    const entry = db.prepare(`
+      SELECT actor FROM audit_log WHERE action = 'item_updated' AND item_id = ? ORDER BY id DESC
+    `).get(item.id);
+    expect(entry.actor).toBe('rita');
+  });
+
+  it('should leave the item unchanged on rejection, which needs a comment', async () => {
+    const item = await createGatedItem();
+    const request = await requestChange(item.id, { priority: 'critical' });
+
+    const withoutComment = await approver.post(`/api/approvals/${request.id}/reject`).send({});
+    const rejected = await approver.post(`/api/approvals/${request.id}/reject`).send({ comment: 'Not now' });
+    const again = await approver.post(`/api/approvals/${request.id}/approve`).send({});
+
+    expect(withoutComment.status).toBe(400);
+    expect(rejected.body).toMatchObject({ status: 'rejected', decided_by: 'abe', decision_comment: 'Not now' });
+    expect(again.status).toBe(409);
+    expect((await getItem(item.id)).priority).toBe('low');
+  });
+
+  it('should only let admins other than the requester approve', async () => {
+    const item = await createGatedItem();
+    const request = await requestChange(item.id, { priority: 'high' });
+
+    const byEditor = await requester.post(`/api/approvals/${request.id}/approve`).send({});
+    expect(byEditor.status).toBe(403);
+
+    const adminItem = await approver.post('/api/items/details').send({ name: 'Admin item', approvalRequired: true });
+    const adminRequest = await approver.put(`/api/items/${adminItem.body.id}/details`).send({ priority: 'high' });
+    const ownApproval = await approver.post(`/api/approvals/${adminRequest.body.pending_approval.id}/approve`);
+    expect(ownApproval.status).toBe(403);
+    expect(ownApproval.body.error).toBe('You cannot approve your own change');
+  });
+
+  it('should allow one pending change per item', async () => {
+    const item = await createGatedItem();
+    await requestChange(item.id, { priority: 'high' });
+
+    const response = await requester.put(`/api/items/${item.id}/details`).send({ priority: 'medium' });
+
+    expect(response.status).toBe(409);
+  });
+
+  it('should keep the request pending if the change can no longer be applied', async () => {
+    const item = await createGatedItem();
+    const request = await requestChange(item.id, { status: 'completed' });
+    // Cancelled items can only be reactivated, so completing is no longer a legal move
+    db.prepare("UPDATE item_details SET status = 'cancelled', workflow_stage = 'cancelled' WHERE id = ?")
+      .run(item.id);
+
+    const response = await approver.post(`/api/approvals/${request.id}/approve`).send({});
+
+    expect(response.status).toBe(409);
+    const stored = await requester.get(`/api/approvals/${request.id}`);
+    expect(stored.body.status).toBe('pending');
+  });
+
+  it('should not let an approval undo edits made while it waited', async () => {
+    const item = await createGatedItem({ description: 'old' });
+
+    // The dialog sends every field back, changed or not
+    const request = await requestChange(item.id, { priority: 'high', description: 'old' });
+    expect(request.changes.columns).toEqual({ priority: 'high' });
+    expect(request.row_version).toBe(item.row_version);
+
+    const edited = await colleague.put(`/api/items/${item.id}/details`).send({ description: 'Rewritten meanwhile' });
+    expect(edited.status).toBe(200);
+
+    const response = await approver.post(`/api/approvals/${request.id}/approve`).send({});
+    expect(response.status).toBe(409);
+    expect(response.body.current.description).toBe('Rewritten meanwhile');
+    expect(await getItem(item.id)).toMatchObject({ priority: 'low', description: 'Rewritten meanwhile' });
+    expect((await requester.get(`/api/approvals/${request.id}`)).body.status).toBe('pending');
+  });
+
+  it('should refuse to queue an illegal move', async () => {
+    const item = await createGatedItem();
+
+    const response = await requester.put(`/api/items/${item.id}/details`).send({ workflowStage: 'shipped' });
+
+    expect(response.status).toBe(400);
+    expect(await requester.get(`/api/approvals?itemId=${item.id}`).then(res => res.body)).toEqual([]);
+  });
+
+  it('should hold a restore that changes protected fields', async () => {
+    const item = await createGatedItem({ approvalRequired: false });
+    await requester.put(`/api/items/${item.id}/details`).send({ priority: 'high', approvalRequired: true });
+
+    const response = await requester.post(`/api/items/${item.id}/details/versions/1/restore`);
+
+    expect(response.status).toBe(202);
+    expect(response.body).toMatchObject({ priority: 'high', approval_required: 1 });
+    expect(response.body.pending_approval.changes.columns).toMatchObject({ priority: 'low', approval_required: 0 });
+    expect(await getItem(item.id)).toMatchObject({ priority: 'high', approval_required: 1 });
+  });
+});
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+
+const { api } = createAuthenticatedAgent(app, db);
+const config = require('../src/config');
+
+const { storagePath } = config.attachments;
+
+// Close the database connection and remove stored files after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+  fs.rmSync(storagePath, { recursive: true, force: true });
+});
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const pngFile = (content) => Buffer.concat([PNG_SIGNATURE, Buffer.from(content)]);
+const pdfFile = (content) => Buffer.from(`%PDF-1.4\n${content}`);
+
+const createDetailedItem = () => db.prepare(`
+  INSERT INTO item_details (name, created_by) VALUES ('Item with files', 'tester')
+`).run().lastInsertRowid;
+
+const upload = (itemId, buffer, filename) => api
+  .post(`/api/items/${itemId}/attachments`)
+  .attach('file', buffer, filename);
+
+const storedFileCount = () => db.prepare('SELECT COUNT(*) AS count FROM attachments').get().count;
+
+describe('Item attachments', () => {
+  describe('POST /api/items/:id/attachments', () => {
+    it('should store an upload and link it to the item', async () => {
+      const itemId = createDetailedItem();
+
+      const response = await upload(itemId, pngFile('first'), 'diagram.png');
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        item_id: itemId,
+        filename: 'diagram.png',
+        mime_type: 'image/png',
+        size: PNG_SIGNATURE.length + 5,
+      });
+      expect(response.body.checksum).toMatch(/^[0-9a-f]{64}$/);
+      expect(response.body).not.toHaveProperty('storage_key');
+
+      const item = db.prepare('SELECT attachment_ids FROM item_details WHERE id = ?').get(itemId);
+      expect(JSON.parse(item.attachment_ids)).toEqual([response.body.id]);
+    });
+
+    it('should store identical content only once', async () => {
+      const firstItem = createDetailedItem();
+      const secondItem = createDetailedItem();
+      const before = storedFileCount();
+
+      const first = await upload(firstItem, pdfFile('same'), 'spec.pdf');
+      const second = await upload(secondItem, pdfFile('same'), 'copy-of-spec.pdf');
+
+      expect(second.status).toBe(201);
+      expect(second.body.checksum).toBe(first.body.checksum);
+      expect(second.body.filename).toBe('copy-of-spec.pdf');
+      expect(storedFileCount()).toBe(before + 1);
+    });
+
+    it('should reject disallowed file types', async () => {
+      const itemId = createDetailedItem();
+
+      const response = await upload(itemId, Buffer.from('#!/bin/sh'), 'script.sh');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/File type not allowed/);
+    });
+
+    it('should reject content that does not match its extension', async () => {
+      const itemId = createDetailedItem();
+
+      const response = await upload(itemId, Buffer.from('not really a png'), 'fake.png');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('File content does not match its .png extension');
+    });
+
+    it('should reject files over the size limit', async () => {
+      const itemId = createDetailedItem();
+      const oversized = pngFile(Buffer.alloc(config.attachments.maxFileSize));
+
+      const response = await upload(itemId, oversized, 'huge.png');
+
+      expect(response.status).toBe(413);
+    });
+
+    it('should return 400 without a file', async () => {
+      const itemId = createDetailedItem();
+
+      const response = await api.post(`/api/items/${itemId}/attachments`);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for a missing item and not keep the upload', async () => {
+      const response = await upload(99999, pngFile('orphan'), 'orphan.png');
+
+      expect(response.status).toBe(404);
+      const tempFiles = fs.existsSync(path.join(storagePath, 'tmp'))
+        ? fs.readdirSync(path.join(storagePath, 'tmp'))
+        : [];
+      expect(tempFiles).toEqual([]);
+    });
+  });
+
+  describe('GET /api/items/:id/attachments/:attachmentId/download', () => {
+    it('should stream the stored file with download headers', async () => {
+      const itemId = createDetailedItem();
+      const content = pdfFile('download me');
+      const uploaded = await upload(itemId, content, 'report.pdf');
+
+      const response = await api
+        .get(`/api/items/${itemId}/attachments/${uploaded.body.id}/download`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="report.pdf"');
+      expect(response.body.equals(content)).toBe(true);
+    });
+
+    it('should return 404 for an attachment on another item', async () => {
+      const itemId = createDetailedItem();
+      const otherItem = createDetailedItem();
+      const uploaded = await upload(itemId, pngFile('mine'), 'mine.png');
+
+      const response = await api
+        .get(`/api/items/${otherItem}/attachments/${uploaded.body.id}/download`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('cleanup', () => {
+    it('should keep shared content until its last link is removed', async () => {
+      const firstItem = createDetailedItem();
+      const secondItem = createDetailedItem();
+      const first = await upload(firstItem, pngFile('shared'), 'shared.png');
+      const second = await upload(secondItem, pngFile('shared'), 'shared.png');
+      const storedPath = () => path.join(storagePath, first.body.checksum.slice(0, 2), first.body.checksum);
+
+      await api.delete(`/api/items/${firstItem}/attachments/${first.body.id}`);
+      expect(fs.existsSync(storedPath())).toBe(true);
+
+      await api.delete(`/api/items/${secondItem}/attachments/${second.body.id}`);
+      expect(fs.existsSync(storedPath())).toBe(false);
+    });
+
+    it('should remove orphaned files when the item is deleted', async () => {
+      const itemId = createDetailedItem();
+      const uploaded = await upload(itemId, pngFile('goes away'), 'temp.png');
+      const storedPath = path.join(storagePath, uploaded.body.checksum.slice(0, 2), uploaded.body.checksum);
+
+      const response = await api.delete(`/api/items/${itemId}/details`);
+
+      expect(response.status).toBe(200);
+      expect(fs.existsSync(storedPath)).toBe(false);
+    });
+  });
+
+  describe('item details', () => {
+    it('should link existing attachments when creating an item', async () => {
+      const sourceItem = createDetailedItem();
+      const uploaded = await upload(sourceItem, pngFile('reused'), 'reused.png');
+
+      const created = await api
+        .post('/api/items/details')
+        .send({ name: 'Copy with attachment', attachments: [uploaded.body.id] });
+
+      expect(created.status).toBe(201);
+      const details = await api.get(`/api/items/${created.body.id}/details`);
+      expect(details.body.attachments).toHaveLength(1);
+      expect(details.body.attachments[0]).toMatchObject({
+        filename: 'reused.png', checksum: uploaded.body.checksum,
+      });
+    });
+
+    it('should reject unknown attachment IDs on create', async () => {
+      const response = await api
+        .post('/api/items/details')
+        .send({ name: 'Bad attachment', attachments: [99999] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Attachment 99999 does not exist');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+
+const { api } = createAuthenticatedAgent(app, db, { username: 'alice' });
+const actors = {
+  alice: api,
+  bob: createAuthenticatedAgent(app, db, { username: 'bob' }).api,
+  carol: createAuthenticatedAgent(app, db, { username: 'carol' }).api,
+};
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const createDetailedItem = (body = {}, actor = 'alice') => actors[actor]
+  .post('/api/items/details')
+  .send({ name: 'Audited item', category: 'work', ...body });
+
+describe('Audit log', () => {
+  describe('item_details lifecycle', () => {
+    it('should record create, update and delete with before/after payloads', async () => {
+      const created = await createDetailedItem({ tags: ['audit'] });
+      expect(created.status).toBe(201);
+      const itemId = created.body.id;
+
+      await api.put(`/api/items/${itemId}/details`).send({ priority: 'high' });
+      const deleted = await api.delete(`/api/items/${itemId}/details`);
+      expect(deleted.status).toBe(200);
+
+      const response = await api
+        .get(`/api/audit?entityType=item_details&itemId=${itemId}&includeArchived=true`);
+
+      expect(response.status).toBe(200);
+      const actions = response.body.entries.map(entry => entry.action);
+      expect(actions).toEqual(['item_deleted', 'item_updated', 'item_created']);
+
+      const [deletion, update, creation] = response.body.entries;
+      expect(creation.actor).toBe('alice');
+      expect(creation.before).toBeNull();
+      expect(creation.after.tags).toBe('["audit"]');
+      expect(update.before.priority).toBe('medium');
+      expect(update.after.priority).toBe('high');
+      expect(deletion.before.id).toBe(itemId);
+      expect(deletion.after).toBeNull();
+    });
+
+    it('should archive an item\'s trail when it is deleted', async () => {
+      const created = await createDetailedItem();
+      const itemId = created.body.id;
+
+      await api.delete(`/api/items/${itemId}/details`);
+
+      const live = await api
+        .get(`/api/audit?entityType=item_details&itemId=${itemId}`);
+      expect(live.body.entries.map(entry => entry.action)).toEqual(['item_deleted']);
+    });
+
+    it('should audit every create, whatever the request asks', async () => {
+      const created = await createDetailedItem({ auditEnabled: false });
+
+      const response = await api
+        .get(`/api/audit?entityType=item_details&itemId=${created.body.id}`);
+
+      expect(response.body.entries.map(entry => entry.action)).toEqual(['item_created']);
+    });
+
+    it('should return 404 when deleting a missing item', async () => {
+      const response = await api.delete('/api/items/99999/details');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('items lifecycle', () => {
+    it('should record item creation and deletion', async () => {
+      const created = await api.post('/api/items').send({ name: 'Audited simple item' });
+      await api.delete(`/api/items/${created.body.id}`);
+
+      const response = await api
+        .get(`/api/audit?entityType=item&itemId=${created.body.id}&includeArchived=true`);
+
+      expect(response.body.entries.map(entry => entry.action))
+        .toEqual(['item_deleted', 'item_created']);
+      expect(response.body.entries[1].after.name).toBe('Audited simple item');
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    it('should filter by actor and action and page the results', async () => {
+      await createDetailedItem({}, 'bob');
+      await createDetailedItem({}, 'bob');
+
+      const response = await api
+        .get('/api/audit?actor=bob&action=item_created&limit=1');
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(2);
+      expect(response.body.entries).toHaveLength(1);
+      expect(response.body.entries[0].actor).toBe('bob');
+    });
+
+    it('should filter by date range', async () => {
+      const response = await api.get('/api/audit?to=2000-01-01');
+
+      expect(response.status).toBe(200);
+      expect(response.body.entries).toEqual([]);
+    });
+
+    it('should return 400 for an invalid date', async () => {
+      const response = await api.get('/api/audit?from=not-a-date');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('from must be a valid date');
+    });
+  });
+
+  describe('retention', () => {
+    it('should archive entries older than the retention period', async () => {
+      const created = await createDetailedItem({}, 'carol');
+
+      const archive = await api.post('/api/audit/archive').send({ olderThanDays: 0 });
+
+      expect(archive.status).toBe(200);
+      expect(archive.body.archived).toBeGreaterThan(0);
+
+      const live = await api.get('/api/audit?actor=carol');
+      const all = await api.get('/api/audit?actor=carol&includeArchived=true');
+      expect(live.body.total).toBe(0);
+      expect(all.body.entries[0].item_id).toBe(created.body.id);
+    });
+
+    it('should return 400 without a retention period', async () => {
+      const response = await api.post('/api/audit/archive').send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('append-only storage', () => {
+    it('should reject updates and unarchived deletes', () => {
+      const { id } = db.prepare(`
+        INSERT INTO audit_log (actor, action, entity_type, created_at)
+        VALUES ('dave', 'item_created', 'item', ?) RETURNING id
+      `).get(new Date().toISOString());
+
+      expect(() => db.prepare("UPDATE audit_log SET actor = 'mallory' WHERE id = ?").run(id))
+        .toThrow('append-only');
+      expect(() => db.prepare('DELETE FROM audit_log WHERE id = ?').run(id))
+        .toThrow('must be archived');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const request = require('supertest');
+const { app, db } = require('../src/app');
+const config = require('../src/config');
+const { initializeDatabase } = require('../src/db/database');
+const AuthService = require('../src/services/AuthService');
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const authService = new AuthService(db, config.auth);
+
+beforeAll(() => {
+  authService.createUser({ username: 'dana', password: 'open sesame', role: 'editor' });
+});
+
+const login = (username = 'dana', password = 'open sesame') => request(app)
+  .post('/api/auth/login')
+  .send({ username, password });
+
+describe('Authentication', () => {
+  it('should create the initial user on first start', () => {
+    const row = db.prepare('SELECT * FROM users WHERE id = ?').get(config.auth.initialUser.username);
+
+    expect(row).toBeDefined();
+    expect(row.role).toBe('admin');
+    expect(row.password_hash).toMatch(/^scrypt\$/);
+  });
+
+  it('should generate the initial password unless one is configured', () => {
+    const fresh = initializeDatabase(':memory:').db;
+    const freshAuth = new AuthService(fresh, config.auth);
+
+    const initial = freshAuth.ensureInitialUser({ username: 'boss' });
+    expect(initial.generatedPassword).toHaveLength(24);
+    expect(freshAuth.login('boss', initial.generatedPassword).user.id).toBe('boss');
+    expect(freshAuth.ensureInitialUser({ username: 'boss' })).toBeNull();
+
+    fresh.close();
+  });
+
+  it('should reject API requests without a session', async () => {
+    const response = await request(app).get('/api/items');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Authentication required');
+  });
+
+  it('should log in and attach the user to requests', async () => {
+    const response = await login();
+
+    expect(response.status).toBe(200);
+    expect(response.body.user).toEqual({ id: 'dana', role: 'editor', created_at: expect.any(String) });
+    expect(response.headers['set-cookie'][0]).toMatch(/^session=.+HttpOnly/);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${response.body.token}`);
+    expect(me.body.id).toBe('dana');
+  });
+
+  it('should accept the session cookie', async () => {
+    const agent = request.agent(app);
+    await agent.post('/api/auth/login').send({ username: 'dana', password: 'open sesame' });
+
+    const response = await agent.get('/api/items');
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should reject a wrong password or unknown user', async () => {
+    const wrongPassword = await login('dana', 'not the password');
+    const unknownUser = await login('nobody', 'open sesame');
+
+    expect(wrongPassword.status).toBe(401);
+    expect(unknownUser.status).toBe(401);
+    expect(wrongPassword.body.error).toBe(unknownUser.body.error);
+  });
+
+  it('should reject tampered and expired tokens', async () => {
+    const { token } = (await login()).body;
+    const [sessionId] = token.split('.');
+
+    const tampered = await request(app)
+      .get('/api/items')
+      .set('Authorization', `Bearer ${sessionId}.forged`);
+    expect(tampered.status).toBe(401);
+
+    db.prepare("UPDATE sessions SET expires_at = '2000-01-01T00:00:00.000Z' WHERE id = ?").run(sessionId);
+    const expired = await request(app).get('/api/items').set('Authorization', `Bearer ${token}`);
+    expect(expired.status).toBe(401);
+  });
+
+  it('should end the session on logout', async () => {
+    const { token } = (await login()).body;
+
+    const response = await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    const after = await request(app).get('/api/items').set('Authorization', `Bearer ${token}`);
+    expect(after.status).toBe(401);
+  });
+
+  it('should record the logged-in user as the actor', async () => {
+    const { token } = (await login()).body;
+
+    const created = await request(app)
+      .post('/api/items/details')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Owned item', createdBy: 'someone-else' });
+
+    expect(created.status).toBe(201);
+    const entry = db.prepare(`
+      SELECT actor FROM audit_log WHERE entity_type = 'item_details' AND item_id = ?
+    `).get(created.body.id);
+    expect(entry.actor).toBe('dana');
+  });
+
+  it('should validate new users', () => {
+    expect(() => authService.createUser({ username: 'x', password: 'long enough' })).toThrow(/username/);
+    expect(() => authService.createUser({ username: 'erin', password: 'short' })).toThrow(/password/);
+    expect(() => authService.createUser({ username: 'dana', password: 'long enough' })).toThrow(/already exists/);
+  });
+});
@@ -0,0 +1,133 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+const { createItem } = require('./helpers/items');
+
+const { api: admin } = createAuthenticatedAgent(app, db, { username: 'bulk-admin' });
+const { api: editor } = createAuthenticatedAgent(app, db, { username: 'bulk-editor', role: 'editor' });
+const { api: viewer } = createAuthenticatedAgent(app, db, { username: 'bulk-viewer', role: 'viewer' });
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const itemExists = (id) => Boolean(db.prepare('SELECT 1 FROM item_details WHERE id = ?').get(id));
+const countNamed = (name) => db.prepare('SELECT COUNT(*) AS count FROM item_details WHERE name = ?').get(name).count;
+const latestEventId = () => db.prepare('SELECT MAX(id) AS id FROM item_events').get().id;
+
+describe('Bulk item operations', () => {
+  it('should apply creates, updates and deletes together', async () => {
+    const toUpdate = await createItem(admin, { name: 'Bulk update me' });
+    const toDelete = await createItem(admin, { name: 'Bulk delete me' });
+
+    const response = await admin.post('/api/items/details/bulk').send({
+      operations: [
+        { action: 'create', data: { name: 'Bulk created', priority: 'high', tags: ['bulk'] } },
+        { action: 'update', id: toUpdate.id, data: { description: 'Changed in bulk' }, version: 1 },
+        { action: 'delete', id: toDelete.id },
+      ],
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.mode).toBe('all_or_nothing');
+    expect(response.body.results).toEqual([
+      expect.objectContaining({ index: 0, action: 'create', outcome: 'created', status: 201 }),
+      expect.objectContaining({ index: 1, action: 'update', id: toUpdate.id, outcome: 'updated', status: 200 }),
+      { index: 2, action: 'delete', id: toDelete.id, outcome: 'deleted', status: 200 },
+    ]);
+    expect(response.body.results[0].item).toMatchObject({ name: 'Bulk created', tags: '["bulk"]' });
+    expect(response.body.results[1].item).toMatchObject({ description: 'Changed in bulk', row_version: 2 });
+    expect(itemExists(toDelete.id)).toBe(false);
+  });
+
+  it('should roll back the whole batch when an operation fails', async () => {
+    const toDelete = await createItem(admin, { name: 'Survives rollback' });
+    const eventsBefore = latestEventId();
+
+    const response = await admin.post('/api/items/details/bulk').send({
+      operations: [
+        { action: 'create', data: { name: 'Rolled back create' } },
+        { action: 'delete', id: toDelete.id },
+        { action: 'update', id: 999999, data: { name: 'Missing' } },
+        { action: 'create', data: { name: 'Never attempted' } },
+      ],
+    });
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('Operation 2 failed: Item not found. No changes were saved');
+    expect(response.body.results.map(result => result.outcome))
+      .toEqual(['rolled_back', 'rolled_back', 'failed', 'skipped']);
+    expect(response.body.results[2]).toMatchObject({ action: 'update', id: 999999, status: 404 });
+    expect(countNamed('Rolled back create')).toBe(0);
+    expect(itemExists(toDelete.id)).toBe(true);
+    // Nothing is announced for changes that never committed
+    expect(latestEventId()).toBe(eventsBefore);
+  });
+
+  it('should keep the operations that succeed when continuing on error', async () => {
+    const contended = await createItem(admin, { name: 'Contended in bulk' });
+    await admin.put(`/api/items/${contended.id}/details`).send({ priority: 'high' });
+
+    const response = await admin.post('/api/items/details/bulk').send({
+      mode: 'continue_on_error',
+      operations: [
+        { action: 'update', id: contended.id, data: { priority: 'low' }, version: 1 },
+        { action: 'create', data: { name: 'Kept create' } },
+        { action: 'create', data: { description: 'No name' } },
+        { action: 'archive', id: contended.id },
+      ],
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.results).toEqual([
+      expect.objectContaining({ outcome: 'failed', status: 409, current: expect.objectContaining({ row_version: 2 }) }),
+      expect.objectContaining({ outcome: 'created', status: 201 }),
+      expect.objectContaining({ outcome: 'failed', status: 400, error: 'Item name is required' }),
+      expect.objectContaining({ outcome: 'failed', status: 400, error: 'action must be one of: create, update, delete' }),
+    ]);
+    expect(countNamed('Kept create')).toBe(1);
+    expect(db.prepare('SELECT priority FROM item_details WHERE id = ?').get(contended.id).priority).toBe('high');
+  });
+
+  it('should check each operation against the user\'s permissions', async () => {
+    const adminItem = await createItem(admin, { name: 'Not the editor\'s' });
+    const editorItem = await createItem(editor, { name: 'The editor\'s own' });
+
+    const response = await editor.post('/api/items/details/bulk').send({
+      mode: 'continue_on_error',
+      operations: [
+        { action: 'update', id: adminItem.id, data: { category: 'shared' } },
+        { action: 'delete', id: adminItem.id },
+        { action: 'delete', id: editorItem.id },
+      ],
+    });
+
+    expect(response.body.results.map(result => result.status)).toEqual([200, 403, 200]);
+    expect(itemExists(adminItem.id)).toBe(true);
+    expect(itemExists(editorItem.id)).toBe(false);
+
+    const denied = await viewer.post('/api/items/details/bulk').send({
+      operations: [{ action: 'create', data: { name: 'From a viewer' } }],
+    });
+    expect(denied.status).toBe(403);
+  });
+
+  it('should reject malformed batches', async () => {
+    const badMode = await admin.post('/api/items/details/bulk').send({
+      mode: 'best_effort',
+      operations: [{ action: 'create', data: { name: 'x' } }],
+    });
+    expect(badMode.status).toBe(400);
+
+    const empty = await admin.post('/api/items/details/bulk').send({ operations: [] });
+    expect(empty.status).toBe(400);
+
+    const tooMany = await admin.post('/api/items/details/bulk').send({
+      operations: Array.from({ length: 101 }, () => ({ action: 'create', data: { name: 'x' } })),
+    });
+    expect(tooMany.status).toBe(400);
+    expect(countNamed('x')).toBe(0);
+  });
+});
@@ -0,0 +1,141 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+
+const { api } = createAuthenticatedAgent(app, db, { username: 'alice' });
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const createDetailedItem = () => db.prepare(`
+  INSERT INTO item_details (name, created_by) VALUES ('Discussed item', 'tester')
+`).run().lastInsertRowid;
+
+const addComment = (itemId, body, extra = {}) => api
+  .post(`/api/items/${itemId}/comments`)
+  .send({ body, ...extra });
+
+describe('Item comments', () => {
+  describe('POST /api/items/:id/comments', () => {
+    it('should add a top-level comment', async () => {
+      const itemId = createDetailedItem();
+
+      const response = await addComment(itemId, '  First!  ');
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        item_id: itemId, parent_id: null, author: 'alice', body: 'First!', edited: false,
+      });
+    });
+
+    it('should return 400 for an empty body', async () => {
+      const itemId = createDetailedItem();
+
+      const response = await addComment(itemId, '   ');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Comment body is required');
+    });
+
+    it('should return 404 for a missing item', async () => {
+      const response = await addComment(99999, 'Hello?');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should not allow replying to a comment on another item', async () => {
+      const firstItem = createDetailedItem();
+      const secondItem = createDetailedItem();
+      const parent = await addComment(firstItem, 'Parent');
+
+      const response = await addComment(secondItem, 'Reply', { parentId: parent.body.id });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Comment not found');
+    });
+  });
+
+  describe('GET /api/items/:id/comments', () => {
+    it('should return replies nested under their parents', async () => {
+      const itemId = createDetailedItem();
+      const root = await addComment(itemId, 'Root');
+      const reply = await addComment(itemId, 'Reply', { parentId: root.body.id });
+      await addComment(itemId, 'Nested reply', { parentId: reply.body.id });
+      await addComment(itemId, 'Second root');
+
+      const response = await api.get(`/api/items/${itemId}/comments`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(comment => comment.body)).toEqual(['Root', 'Second root']);
+      expect(response.body[0].replies[0].body).toBe('Reply');
+      expect(response.body[0].replies[0].replies[0].body).toBe('Nested reply');
+    });
+
+    it('should be included in the item detail response', async () => {
+      const itemId = createDetailedItem();
+      await addComment(itemId, 'Visible in details');
+
+      const response = await api.get(`/api/items/${itemId}/details`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.comments).toHaveLength(1);
+      expect(response.body.comments[0].body).toBe('Visible in details');
+    });
+  });
+
+  describe('PUT /api/items/:id/comments/:commentId', () => {
+    it('should update the body and mark the comment as edited', async () => {
+      const itemId = createDetailedItem();
+      const comment = await addComment(itemId, 'Typo');
+
+      const response = await api
+        .put(`/api/items/${itemId}/comments/${comment.body.id}`)
+        .send({ body: 'Fixed' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.body).toBe('Fixed');
+      expect(response.body.edited).toBe(true);
+      expect(response.body.edited_at).not.toBeNull();
+    });
+  });
+
+  describe('DELETE /api/items/:id/comments/:commentId', () => {
+    it('should keep a placeholder when the comment has replies', async () => {
+      const itemId = createDetailedItem();
+      const root = await addComment(itemId, 'Root');
+      const reply = await addComment(itemId, 'Reply', { parentId: root.body.id });
+
+      const response = await api
+        .delete(`/api/items/${itemId}/comments/${root.body.id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.comment).toMatchObject({ deleted: true, body: null });
+
+      const thread = await api.get(`/api/items/${itemId}/comments`);
+      expect(thread.body[0].replies[0].id).toBe(reply.body.id);
+    });
+
+    it('should remove a placeholder once its last reply is deleted', async () => {
+      const itemId = createDetailedItem();
+      const root = await addComment(itemId, 'Root');
+      const reply = await addComment(itemId, 'Reply', { parentId: root.body.id });
+      await api.delete(`/api/items/${itemId}/comments/${root.body.id}`);
+
+      await api.delete(`/api/items/${itemId}/comments/${reply.body.id}`);
+
+      const thread = await api.get(`/api/items/${itemId}/comments`);
+      expect(thread.body).toEqual([]);
+    });
+
+    it('should return 404 for an unknown comment', async () => {
+      const itemId = createDetailedItem();
+
+      const response = await api.delete(`/api/items/${itemId}/comments/99999`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
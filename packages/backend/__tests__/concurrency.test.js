@@ -0,0 +1,85 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+const { createItem } = require('./helpers/items');
+
+const { api } = createAuthenticatedAgent(app, db, { username: 'cora', role: 'editor' });
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const createContendedItem = () => createItem(api, { name: 'Contended', priority: 'low' });
+
+describe('Optimistic concurrency', () => {
+  it('should serve the row version as the ETag', async () => {
+    const item = await createContendedItem();
+
+    const response = await api.get(`/api/items/${item.id}/details`);
+
+    expect(response.headers.etag).toBe('"1"');
+    expect(response.body.row_version).toBe(1);
+  });
+
+  it('should reject an update based on a stale version with the current copy', async () => {
+    const item = await createContendedItem();
+
+    const first = await api.put(`/api/items/${item.id}/details`).set('If-Match', '"1"').send({ priority: 'high' });
+    expect(first.status).toBe(200);
+    expect(first.headers.etag).toBe('"2"');
+
+    const second = await api.put(`/api/items/${item.id}/details`).set('If-Match', '"1"').send({ priority: 'medium' });
+    expect(second.status).toBe(409);
+    expect(second.body.current).toMatchObject({ id: item.id, priority: 'high', row_version: 2 });
+
+    const current = await api.get(`/api/items/${item.id}/details`);
+    expect(current.body.priority).toBe('high');
+
+    const merged = await api.put(`/api/items/${item.id}/details`).set('If-Match', '"2"').send({ priority: 'medium' });
+    expect(merged.status).toBe(200);
+    expect(merged.body).toMatchObject({ priority: 'medium', row_version: 3 });
+  });
+
+  it('should accept updates without If-Match or with a wildcard', async () => {
+    const item = await createContendedItem();
+
+    expect((await api.put(`/api/items/${item.id}/details`).send({ category: 'a' })).status).toBe(200);
+    const wildcard = await api.put(`/api/items/${item.id}/details`).set('If-Match', '*').send({ category: 'b' });
+    expect(wildcard.body.row_version).toBe(3);
+  });
+
+  it('should reject malformed If-Match headers', async () => {
+    const item = await createContendedItem();
+
+    const response = await api.put(`/api/items/${item.id}/details`).set('If-Match', 'version-1').send({ category: 'x' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should not go stale when another item links to it', async () => {
+    const item = await createContendedItem();
+    const other = await createContendedItem();
+
+    const linked = await api.post(`/api/items/${other.id}/links`).send({ itemId: item.id, type: 'relates_to' });
+    expect(linked.status).toBe(201);
+
+    const response = await api
+      .put(`/api/items/${item.id}/details`)
+      .set('If-Match', `"${item.row_version}"`)
+      .send({ priority: 'high' });
+    expect(response.status).toBe(200);
+  });
+
+  it('should count changes made outside the detail form', async () => {
+    const item = await createContendedItem();
+    await api.put(`/api/items/${item.id}/details`).send({ description: 'Changed' });
+
+    const restored = await api.post(`/api/items/${item.id}/details/versions/1/restore`);
+
+    // Restoring brings back the content, not the old version number
+    expect(restored.status).toBe(200);
+    expect(restored.body).toMatchObject({ description: null, row_version: 3 });
+  });
+});
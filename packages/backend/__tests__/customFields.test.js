@@ -0,0 +1,162 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+
+const { api, user } = createAuthenticatedAgent(app, db);
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const defineField = async (definition) => {
+  const response = await api.post('/api/custom-fields').send(definition);
+  expect(response.status).toBe(201);
+  return response.body;
+};
+
+const createItem = (customFields) => api
+  .post('/api/items/details')
+  .send({ name: 'Custom field item', customFields });
+
+// One field of each type, shared by the tests below
+beforeAll(async () => {
+  await defineField({ key: 'summary', label: 'Summary', type: 'text', min: 3, max: 20 });
+  await defineField({ key: 'estimate', label: 'Estimate', type: 'number', min: 0, max: 100 });
+  await defineField({ key: 'launch', label: 'Launch date', type: 'date', min: '2024-01-01' });
+  await defineField({ key: 'size', label: 'Size', type: 'enum', options: ['S', 'M', 'L'] });
+  await defineField({ key: 'billable', label: 'Billable', type: 'boolean' });
+  await defineField({ key: 'reviewer', label: 'Reviewer', type: 'user' });
+});
+
+describe('Custom fields', () => {
+  describe('definitions', () => {
+    it('should list definitions with their rules', async () => {
+      const response = await api.get('/api/custom-fields');
+
+      expect(response.status).toBe(200);
+      expect(response.body.find(field => field.key === 'size')).toMatchObject({
+        label: 'Size', type: 'enum', required: false, options: ['S', 'M', 'L'],
+      });
+    });
+
+    it('should reject invalid definitions', async () => {
+      const cases = [
+        { key: '1bad', type: 'text' },
+        { key: 'kind', type: 'colour' },
+        { key: 'choice', type: 'enum' },
+        { key: 'flag', type: 'boolean', min: 1 },
+        { key: 'range', type: 'number', min: 5, max: 1 },
+      ];
+
+      for (const definition of cases) {
+        const response = await api.post('/api/custom-fields').send(definition);
+        expect(response.status).toBe(400);
+      }
+    });
+
+    it('should reject duplicate keys with 409', async () => {
+      const response = await api.post('/api/custom-fields').send({ key: 'size', type: 'text' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should not allow changing a key', async () => {
+      const field = await defineField({ key: 'fixed_key', type: 'text' });
+
+      const response = await api.put(`/api/custom-fields/${field.id}`).send({ key: 'other' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should remove a deleted field from existing items', async () => {
+      const field = await defineField({ key: 'temporary', type: 'text' });
+      const item = await createItem({ temporary: 'value', size: 'S' });
+
+      const response = await api.delete(`/api/custom-fields/${field.id}`);
+
+      expect(response.status).toBe(200);
+      const row = db.prepare('SELECT custom_fields FROM item_details WHERE id = ?').get(item.body.id);
+      expect(JSON.parse(row.custom_fields)).toEqual({ size: 'S' });
+    });
+  });
+
+  describe('validating item values', () => {
+    it('should accept values that match their definitions', async () => {
+      const response = await createItem({
+        summary: 'Ship it',
+        estimate: 8,
+        launch: '2024-06-01',
+        size: 'M',
+        billable: true,
+        reviewer: user.id,
+      });
+
+      expect(response.status).toBe(201);
+      expect(JSON.parse(response.body.custom_fields)).toMatchObject({ estimate: 8, billable: true });
+    });
+
+    it('should report every invalid field', async () => {
+      const response = await createItem({
+        summary: 'no',
+        estimate: '8',
+        launch: '2023-12-31',
+        size: 'XL',
+        billable: 'yes',
+        reviewer: 'nobody',
+        undefined_key: 1,
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.fields).toEqual({
+        summary: 'must be at least 3 characters',
+        estimate: 'must be a number',
+        launch: 'must be on or after 2024-01-01',
+        size: 'must be one of: S, M, L',
+        billable: 'must be true or false',
+        reviewer: 'must be an existing user',
+        undefined_key: 'is not a defined custom field',
+      });
+    });
+
+    it('should enforce required fields on create and update', async () => {
+      const field = await defineField({ key: 'owner_team', type: 'text', required: true });
+
+      const missing = await createItem({});
+      expect(missing.status).toBe(400);
+      expect(missing.body.fields).toEqual({ owner_team: 'is required' });
+
+      const created = await createItem({ owner_team: 'core' });
+      const cleared = await api
+        .put(`/api/items/${created.body.id}/details`)
+        .send({ customFields: { owner_team: '' } });
+      expect(cleared.status).toBe(400);
+
+      await api.put(`/api/custom-fields/${field.id}`).send({ required: false });
+    });
+  });
+
+  describe('filtering items', () => {
+    it('should filter detailed items by custom field values and ranges', async () => {
+      const small = await createItem({ size: 'S', estimate: 2 });
+      const large = await createItem({ size: 'L', estimate: 40, billable: true });
+
+      const bySize = await api.get('/api/items/details?customFields[size]=L');
+      expect(bySize.body.map(item => item.id)).toEqual([large.body.id]);
+
+      const byRange = await api.get('/api/items/details?customFields[estimate][max]=5');
+      expect(byRange.body.map(item => item.id)).toContain(small.body.id);
+      expect(byRange.body.map(item => item.id)).not.toContain(large.body.id);
+
+      const byFlag = await api.get('/api/items/details?customFields[billable]=true');
+      expect(byFlag.body.map(item => item.id)).toContain(large.body.id);
+    });
+
+    it('should reject filters on unknown fields', async () => {
+      const response = await api.get('/api/items/details?customFields[nope]=1');
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+const { createItem } = require('./helpers/items');
+
+const { api } = createAuthenticatedAgent(app, db);
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const setDependencies = (itemId, dependencies) => api
+  .put(`/api/items/${itemId}/details`)
+  .send({ dependencies });
+
+describe('Item dependencies', () => {
+  describe('writing dependencies', () => {
+    it('should store dependencies given on create as edges', async () => {
+      const blocker = (await createItem(api, { name: 'Dependency test item' })).id;
+      const itemId = (await createItem(api, { name: 'Dependency test item', dependencies: [blocker] })).id;
+
+      const edges = db.prepare('SELECT depends_on_id FROM item_dependencies WHERE item_id = ?').all(itemId);
+      expect(edges).toEqual([{ depends_on_id: blocker }]);
+
+      const details = await api.get(`/api/items/${itemId}/details`);
+      expect(details.body.dependencies).toEqual([
+        { id: blocker, name: 'Dependency test item', status: 'active' },
+      ]);
+    });
+
+    it('should replace dependencies on update and mirror them in the column', async () => {
+      const first = (await createItem(api, { name: 'Dependency test item' })).id;
+      const second = (await createItem(api, { name: 'Dependency test item' })).id;
+      const itemId = (await createItem(api, { name: 'Dependency test item', dependencies: [first] })).id;
+
+      const response = await setDependencies(itemId, [second]);
+
+      expect(response.status).toBe(200);
+      expect(JSON.parse(response.body.dependencies)).toEqual([second]);
+    });
+
+    it('should reject a dependency on the item itself', async () => {
+      const itemId = (await createItem(api, { name: 'Dependency test item' })).id;
+
+      const response = await setDependencies(itemId, [itemId]);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('An item cannot depend on itself');
+    });
+
+    it('should reject dependencies on missing items', async () => {
+      const itemId = (await createItem(api, { name: 'Dependency test item' })).id;
+
+      const response = await setDependencies(itemId, [99999]);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Dependency 99999 does not exist');
+    });
+
+    it('should reject a write that would create a cycle', async () => {
+      const a = (await createItem(api, { name: 'Dependency test item' })).id;
+      const b = (await createItem(api, { name: 'Dependency test item', dependencies: [a] })).id;
+      const c = (await createItem(api, { name: 'Dependency test item', dependencies: [b] })).id;
+
+      const response = await setDependencies(a, [c]);
+
+      expect(response.status).toBe(400);
+      expect(response.body.cycle).toEqual([a, c, b, a]);
+      const edges = db.prepare('SELECT COUNT(*) AS count FROM item_dependencies WHERE item_id = ?').get(a);
+      expect(edges.count).toBe(0);
+    });
+
+    it('should leave other fields unchanged when a cycle is rejected', async () => {
+      const a = (await createItem(api, { name: 'Dependency test item' })).id;
+      const b = (await createItem(api, { name: 'Dependency test item', dependencies: [a] })).id;
+
+      const response = await api
+        .put(`/api/items/${a}/details`)
+        .send({ name: 'Renamed', dependencies: [b] });
+
+      expect(response.status).toBe(400);
+      const item = db.prepare('SELECT name FROM item_details WHERE id = ?').get(a);
+      expect(item.name).toBe('Dependency test item');
+    });
+  });
+
+  describe('GET /api/items/:id/dependencies', () => {
+    it('should return transitive blockers and dependents with their depth', async () => {
+      const root = (await createItem(api, { name: 'Dependency test item' })).id;
+      const middle = (await createItem(api, { name: 'Dependency test item', dependencies: [root] })).id;
+      const leaf = (await createItem(api, { name: 'Dependency test item', dependencies: [middle] })).id;
+      const shortcut = (await createItem(api, { name: 'Dependency test item', dependencies: [root, leaf] })).id;
+
+      const response = await api.get(`/api/items/${middle}/dependencies`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.blockers.map(({ id, depth }) => ({ id, depth })))
+        .toEqual([{ id: root, depth: 1 }]);
+      expect(response.body.dependents.map(({ id, depth }) => ({ id, depth })))
+        .toEqual([{ id: leaf, depth: 1 }, { id: shortcut, depth: 2 }]);
+
+      const fromRoot = await api.get(`/api/items/${root}/dependencies`);
+      expect(fromRoot.body.dependents.find(item => item.id === shortcut).depth).toBe(1);
+    });
+
+    it('should return 404 for a missing item', async () => {
+      const response = await api.get('/api/items/99999/dependencies');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('completing items', () => {
+    it('should block completion while a blocker is open', async () => {
+      const blocker = (await createItem(api, { name: 'Dependency test item' })).id;
+      const itemId = (await createItem(api, { name: 'Dependency test item', dependencies: [blocker] })).id;
+
+      const response = await api
+        .put(`/api/items/${itemId}/details`)
+        .send({ status: 'completed' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.blockers.map(b => b.id)).toEqual([blocker]);
+    });
+
+    it('should allow completion once every blocker is completed', async () => {
+      const blocker = (await createItem(api, { name: 'Dependency test item' })).id;
+      const itemId = (await createItem(api, { name: 'Dependency test item', dependencies: [blocker] })).id;
+
+      await api.put(`/api/items/${blocker}/details`).send({ status: 'completed' });
+      const response = await api
+        .put(`/api/items/${itemId}/details`)
+        .send({ status: 'completed' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('completed');
+    });
+
+    it('should reject creating a completed item with open blockers', async () => {
+      const blocker = (await createItem(api, { name: 'Dependency test item' })).id;
+
+      const response = await api
+        .post('/api/items/details')
+        .send({ name: 'Done already', status: 'completed', dependencies: [blocker] });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('deleting items', () => {
+    it('should drop a deleted blocker from its dependents', async () => {
+      const blocker = (await createItem(api, { name: 'Dependency test item' })).id;
+      const other = (await createItem(api, { name: 'Dependency test item' })).id;
+      const itemId = (await createItem(api, { name: 'Dependency test item', dependencies: [blocker, other] })).id;
+
+      const response = await api.delete(`/api/items/${blocker}/details`);
+
+      expect(response.status).toBe(200);
+      const item = db.prepare('SELECT dependencies FROM item_details WHERE id = ?').get(itemId);
+      expect(JSON.parse(item.dependencies)).toEqual([other]);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const http = require('http');
+const { app, db } = require('../src/app');
+const ItemEventService = require('../src/services/ItemEventService');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+
+const { api, token } = createAuthenticatedAgent(app, db, { username: 'streamer', role: 'editor' });
+
+let server;
+let baseUrl;
+
+beforeAll((done) => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+// Close the server and the database connection after all tests
+afterAll((done) => {
+  server.close(() => {
+    if (db) {
+      db.close();
+    }
+    done();
+  });
+});
+
+/**
+ * Opens the event stream and collects the events it sends.
+ */
+function openStream(headers = {}) {
+  return new Promise((resolve, reject) => {
+    const stream = { events: [], waiters: [] };
+    const req = http.get(`${baseUrl}/api/events`, {
+      headers: { Authorization: `Bearer ${token}`, ...headers },
+    }, (res) => {
+      stream.response = res;
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        messages.forEach((message) => {
+          const fields = Object.fromEntries(message.split('\n')
+            .filter(line => !line.startsWith(':') && line.includes(': '))
+            .map(line => [line.slice(0, line.indexOf(': ')), line.slice(line.indexOf(': ') + 2)]));
+          if (fields.event) {
+            stream.events.push({ id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) });
+          }
+        });
+        stream.waiters = stream.waiters.filter(({ count, done }) => {
+          if (stream.events.length >= count) {
+            done();
+            return false;
+          }
+          return true;
+        });
+      });
+      resolve(stream);
+    });
+    req.on('error', reject);
+    stream.close = () => req.destroy();
+    stream.waitFor = (count) => new Promise((done) => {
+      if (stream.events.length >= count) {
+        done();
+      } else {
+        stream.waiters.push({ count, done });
+      }
+    });
+  });
+}
+
+describe('Event stream', () => {
+  it('should broadcast item creates, updates and deletes', async () => {
+    const stream = await openStream();
+    try {
+      expect(stream.response.headers['content-type']).toMatch(/^text\/event-stream/);
+      await stream.waitFor(1);
+      expect(stream.events[0].event).toBe('ready');
+
+      const created = await api.post('/api/items/details').send({ name: 'Live' });
+      await api.put(`/api/items/${created.body.id}/details`).send({ priority: 'high' });
+      await api.delete(`/api/items/${created.body.id}/details`);
+      const plain = await api.post('/api/items').send({ name: 'Plain live' });
+
+      await stream.waitFor(5);
+      expect(stream.events.slice(1).map(({ event, data }) => [event, data.item.id])).toEqual([
+        ['item_details.created', created.body.id],
+        ['item_details.updated', created.body.id],
+        ['item_details.deleted', created.body.id],
+        ['item.created', plain.body.id],
+      ]);
+      const update = stream.events[2];
+      expect(update.data).toMatchObject({
+        actor: 'streamer',
+        item: { priority: 'high', permissions: expect.arrayContaining(['read', 'update']) },
+      });
+      // Event IDs increase, so clients can resume from the last one
+      const ids = stream.events.map(event => event.id);
+      expect(ids).toEqual([...ids].sort((a, b) => a - b));
+    } finally {
+      stream.close();
+    }
+  });
+
+  it('should not announce changes that were rolled back', async () => {
+    const eventService = new ItemEventService(db, { webhookService: { publish() {} }, retainCount: 1000 });
+    const received = [];
+    const unsubscribe = eventService.subscribe(event => received.push(event));
+
+    expect(() => db.transaction(() => {
+      eventService.record('item.created', { item: { id: 1, name: 'Rolled back' } });
+      throw new Error('Change failed');
+    })()).toThrow('Change failed');
+    db.transaction(() => eventService.record('item.created', { item: { id: 2, name: 'Kept' } }))();
+
+    await new Promise(resolve => setImmediate(resolve));
+    unsubscribe();
+    expect(received.map(event => event.data.item.name)).toEqual(['Kept']);
+  });
+
+  it('should replay missed events to a client resuming with Last-Event-ID', async () => {
+    const first = await openStream();
+    await first.waitFor(1);
+    const lastEventId = first.events[0].id;
+    first.close();
+
+    const missed = await api.post('/api/items').send({ name: 'Missed while away' });
+
+    const resumed = await openStream({ 'Last-Event-ID': String(lastEventId) });
+    try {
+      await resumed.waitFor(1);
+      expect(resumed.events[0]).toMatchObject({ event: 'item.created', data: { item: { id: missed.body.id } } });
+    } finally {
+      resumed.close();
+    }
+  });
+
+  it('should ask clients to resync when they missed more than is kept', async () => {
+    const future = await openStream({ 'Last-Event-ID': '999999' });
+    try {
+      await future.waitFor(1);
+      expect(future.events[0].event).toBe('resync');
+    } finally {
+      future.close();
+    }
+
+    db.prepare('DELETE FROM item_events WHERE id < (SELECT MAX(id) FROM item_events)').run();
+    const stale = await openStream({ 'Last-Event-ID': '1' });
+    try {
+      await stale.waitFor(1);
+      expect(stale.events[0]).toMatchObject({ event: 'resync' });
+    } finally {
+      stale.close();
+    }
+  });
+
+  it('should reject malformed event IDs', async () => {
+    const response = await api.get('/api/events?lastEventId=abc');
+
+    expect(response.status).toBe(400);
+  });
+});
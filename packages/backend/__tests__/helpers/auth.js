@@ -0,0 +1,31 @@
+const request = require('supertest');
+const config = require('../../src/config');
+const AuthService = require('../../src/services/AuthService');
+
+let userCount = 0;
+
+/**
+ * Creates a user with an open session and returns a supertest agent that
+ * sends its token with every request.
+ *
+ * @param {Object} app - The express app under test
+ * @param {Database} db - The app's database
+ * @param {Object} [options]
+ * @param {string} [options.username] - Defaults to a fresh `tester-N`
+ * @param {string} [options.role] - Defaults to admin, so tests not about permissions are unaffected by them
+ * @returns {{ api: Object, user: Object, token: string }}
+ */
+function createAuthenticatedAgent(app, db, { username, role = 'admin' } = {}) {
+  userCount += 1;
+  const authService = new AuthService(db, config.auth);
+  const user = authService.createUser({
+    username: username || `tester-${userCount}`,
+    password: 'correct horse',
+    role,
+  });
+  const { token } = authService.createSession(user.id);
+
+  return { api: request.agent(app).set('Authorization', `Bearer ${token}`), user, token };
+}
+
+module.exports = { createAuthenticatedAgent };
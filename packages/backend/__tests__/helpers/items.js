@@ -0,0 +1,15 @@
+/**
+ * Creates a detailed item through the API, failing the test unless it was
+ * created.
+ *
+ * @param {Object} api - Agent from createAuthenticatedAgent, acting as the creator
+ * @param {Object} fields - Body for `POST /api/items/details`
+ * @returns {Promise<Object>} - The new item_details row
+ */
+async function createItem(api, fields) {
+  const response = await api.post('/api/items/details').send(fields);
+  expect(response.status).toBe(201);
+  return response.body;
+}
+
+module.exports = { createItem };
@@ -0,0 +1,185 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+const { createItem } = require('./helpers/items');
+
+const { api } = createAuthenticatedAgent(app, db);
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const moveItem = (itemId, parentId) => api
+  .put(`/api/items/${itemId}/parent`)
+  .send({ parentId });
+
+const parentOf = (itemId) => db.prepare(
+  'SELECT parent_item_id FROM item_details WHERE id = ?'
+).get(itemId).parent_item_id;
+
+describe('Item hierarchy', () => {
+  describe('GET /api/items/:id/children', () => {
+    it('should list direct children with their child counts', async () => {
+      const root = (await createItem(api, { name: 'Epic' })).id;
+      const story = (await createItem(api, { name: 'Story', parentItemId: root })).id;
+      (await createItem(api, { name: 'Task', parentItemId: story })).id;
+      const other = (await createItem(api, { name: 'Other story', parentItemId: root })).id;
+
+      const response = await api.get(`/api/items/${root}/children`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(({ id, child_count }) => ({ id, child_count }))).toEqual([
+        { id: story, child_count: 1 },
+        { id: other, child_count: 0 },
+      ]);
+    });
+
+    it('should return 404 for a missing item', async () => {
+      const response = await api.get('/api/items/99999/children');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/items/:id/subtree', () => {
+    it('should return the whole subtree nested under the item', async () => {
+      const root = (await createItem(api, { name: 'Release' })).id;
+      const feature = (await createItem(api, { name: 'Feature', parentItemId: root })).id;
+      const task = (await createItem(api, { name: 'Task', parentItemId: feature })).id;
+
+      const response = await api.get(`/api/items/${root}/subtree`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        id: root,
+        depth: 0,
+        children: [{
+          id: feature,
+          depth: 1,
+          children: [{ id: task, depth: 2, children: [] }],
+        }],
+      });
+    });
+
+    it('should stop at maxDepth', async () => {
+      const root = (await createItem(api, { name: 'Shallow root' })).id;
+      const child = (await createItem(api, { name: 'Child', parentItemId: root })).id;
+      (await createItem(api, { name: 'Grandchild', parentItemId: child })).id;
+
+      const response = await api.get(`/api/items/${root}/subtree?maxDepth=1`);
+
+      expect(response.body.children[0].children).toEqual([]);
+    });
+  });
+
+  describe('PUT /api/items/:id/parent', () => {
+    it('should move an item under a new parent and record a version', async () => {
+      const oldParent = (await createItem(api, { name: 'Old parent' })).id;
+      const newParent = (await createItem(api, { name: 'New parent' })).id;
+      const itemId = (await createItem(api, { name: 'Moving item', parentItemId: oldParent })).id;
+
+      const response = await moveItem(itemId, newParent);
+
+      expect(response.status).toBe(200);
+      expect(response.body.parent_item_id).toBe(newParent);
+      const history = await api.get(`/api/items/${itemId}/details/versions`);
+      expect(history.body).toHaveLength(1);
+    });
+
+    it('should move an item to the top level with null', async () => {
+      const parent = (await createItem(api, { name: 'Parent' })).id;
+      const itemId = (await createItem(api, { name: 'Child', parentItemId: parent })).id;
+
+      const response = await moveItem(itemId, null);
+
+      expect(response.status).toBe(200);
+      expect(parentOf(itemId)).toBeNull();
+    });
+
+    it('should reject moving an item under itself', async () => {
+      const itemId = (await createItem(api, { name: 'Self' })).id;
+
+      const response = await moveItem(itemId, itemId);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('An item cannot be its own parent');
+    });
+
+    it('should reject moving an item under one of its descendants', async () => {
+      const root = (await createItem(api, { name: 'Root' })).id;
+      const child = (await createItem(api, { name: 'Child', parentItemId: root })).id;
+      const grandchild = (await createItem(api, { name: 'Grandchild', parentItemId: child })).id;
+
+      const response = await moveItem(root, grandchild);
+
+      expect(response.status).toBe(400);
+      expect(parentOf(root)).toBeNull();
+    });
+
+    it('should reject a missing parent', async () => {
+      const itemId = (await createItem(api, { name: 'Orphan' })).id;
+
+      const response = await moveItem(itemId, 99999);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Parent item 99999 does not exist');
+    });
+
+    it('should require parentId', async () => {
+      const itemId = (await createItem(api, { name: 'No parent given' })).id;
+
+      const response = await api.put(`/api/items/${itemId}/parent`).send({});
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should apply the same checks to parentItemId on a details update', async () => {
+      const root = (await createItem(api, { name: 'Root' })).id;
+      const child = (await createItem(api, { name: 'Child', parentItemId: root })).id;
+
+      const response = await api
+        .put(`/api/items/${root}/details`)
+        .send({ parentItemId: child });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should apply the same checks when restoring an old parent', async () => {
+      const first = (await createItem(api, { name: 'First' })).id;
+      const second = (await createItem(api, { name: 'Second' })).id;
+      await api.put(`/api/items/${first}/details`).send({ parentItemId: second });
+      await api.put(`/api/items/${first}/details`).send({ parentItemId: null });
+      await api.put(`/api/items/${second}/details`).send({ parentItemId: first });
+
+      // Version 2 of the first item sits under the second, which is now its child
+      const response = await api.post(`/api/items/${first}/details/versions/2/restore`);
+
+      expect(response.status).toBe(400);
+      expect(parentOf(first)).toBeNull();
+    });
+  });
+
+  describe('deleting items', () => {
+    it('should hand the children of a deleted item to its parent and record the move', async () => {
+      const root = (await createItem(api, { name: 'Root' })).id;
+      const middle = (await createItem(api, { name: 'Middle', parentItemId: root })).id;
+      const leaf = (await createItem(api, { name: 'Leaf', parentItemId: middle })).id;
+
+      const response = await api.delete(`/api/items/${middle}/details`);
+
+      expect(response.status).toBe(200);
+      expect(parentOf(leaf)).toBe(root);
+
+      const audit = await api.get(`/api/audit?entityType=item_details&itemId=${leaf}`);
+      expect(audit.body.entries[0]).toMatchObject({
+        action: 'item_updated', before: { parent_item_id: middle }, after: { parent_item_id: root },
+      });
+      const events = db.prepare('SELECT event FROM item_events WHERE item_id = ? ORDER BY id').all(leaf);
+      expect(events.map(row => row.event)).toEqual(['item_details.created', 'item_details.updated']);
+      const history = await api.get(`/api/items/${leaf}/details/versions`);
+      expect(history.body).toHaveLength(1);
+    });
+  });
+});
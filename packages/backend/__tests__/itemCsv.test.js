@@ -0,0 +1,171 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+const { parseCsv } = require('../src/utils/csv');
+
+const { api } = createAuthenticatedAgent(app, db, { username: 'rene' });
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+beforeAll(async () => {
+  const response = await api.post('/api/custom-fields')
+    .send({ key: 'points', label: 'Points', type: 'number', min: 0, max: 13 });
+  expect(response.status).toBe(201);
+});
+
+const exportCsv = (query) => api.get('/api/items/details/export.csv').query(query);
+const importCsv = (csv, query = {}) => api.post('/api/items/details/import')
+  .query(query)
+  .set('Content-Type', 'text/csv')
+  .send(csv);
+// Export rows as objects keyed by header
+const readRows = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  return rows.map(row => Object.fromEntries(header.fields.map((name, index) => [name, row.fields[index]])));
+};
+const countItems = (category) => db
+  .prepare('SELECT COUNT(*) AS count FROM item_details WHERE category = ?').get(category).count;
+
+describe('Item CSV export', () => {
+  it('should escape commas, quotes and line breaks and flatten tags and custom fields', async () => {
+    const created = await api.post('/api/items/details').send({
+      name: 'Say "hello", then leave',
+      description: 'First line\nsecond line',
+      category: 'csv-escaping',
+      tags: ['alpha', 'beta'],
+      customFields: { points: 5 },
+    });
+    expect(created.status).toBe(201);
+
+    const response = await exportCsv({ 'filter[category]': 'csv-escaping' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="items.csv"');
+    expect(response.text).toContain('"Say ""hello"", then leave","First line\nsecond line",csv-escaping');
+    expect(response.text.endsWith('\r\n')).toBe(true);
+    expect(readRows(response.text)).toEqual([expect.objectContaining({
+      id: String(created.body.id),
+      name: 'Say "hello", then leave',
+      description: 'First line\nsecond line',
+      tags: 'alpha; beta',
+      'custom.points': '5',
+    })]);
+  });
+
+  it('should neutralise cells a spreadsheet would run as formulas', async () => {
+    const created = await api.post('/api/items/details').send({
+      name: '=HYPERLINK("http://example.com")',
+      description: "'+already quoted",
+      category: 'csv-formulas',
+      tags: ['@team'],
+      estimatedHours: -2,
+    });
+    expect(created.status).toBe(201);
+
+    const response = await exportCsv({ 'filter[category]': 'csv-formulas' });
+
+    expect(response.text).toContain(`"'=HYPERLINK(""http://example.com"")",''+already quoted,csv-formulas`);
+    expect(response.text).toContain(",'@team,");
+    expect(response.text).toContain(',-2,');
+
+    const reimported = await importCsv(response.text.replace(/csv-formulas/g, 'csv-formulas-back'));
+    expect(reimported.status).toBe(201);
+    expect(reimported.body.items[0]).toMatchObject({
+      name: '=HYPERLINK("http://example.com")',
+      description: "'+already quoted",
+      tags: JSON.stringify(['@team']),
+      estimated_hours: -2,
+    });
+  });
+
+  it('should honour the list filters and sort', async () => {
+    for (const [name, priority] of [['Kilo', 'low'], ['Lima', 'high'], ['Mike', 'high']]) {
+      await api.post('/api/items/details').send({ name, priority, category: 'csv-filters' });
+    }
+
+    const response = await exportCsv({
+      'filter[category]': 'csv-filters', 'filter[priority]': 'high', sort: '-name',
+    });
+
+    expect(readRows(response.text).map(row => row.name)).toEqual(['Mike', 'Lima']);
+    expect((await exportCsv({ 'filter[nope]': 'x' })).status).toBe(400);
+  });
+});
+
+describe('Item CSV import', () => {
+  it('should import an exported file as new items', async () => {
+    const exported = await exportCsv({ 'filter[category]': 'csv-escaping' });
+
+    const response = await importCsv(exported.text.replace(/csv-escaping/g, 'csv-reimported'));
+
+    expect(response.status).toBe(201);
+    expect(response.body.rowCount).toBe(1);
+    const [item] = response.body.items;
+    expect(item.name).toBe('Say "hello", then leave');
+    expect(item.description).toBe('First line\nsecond line');
+    expect(JSON.parse(item.tags)).toEqual(['alpha', 'beta']);
+    expect(JSON.parse(item.custom_fields)).toEqual({ points: 5 });
+  });
+
+  it('should map and skip columns', async () => {
+    const csv = 'Title,Hours,Notes,Team\r\nPlan sprint,3.5,ignored,csv-mapped\r\n';
+
+    const response = await importCsv(csv, {
+      'mapping[Title]': 'name', 'mapping[Hours]': 'estimated_hours', 'mapping[Notes]': '', 'mapping[Team]': 'category',
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.items[0]).toMatchObject({ name: 'Plan sprint', estimated_hours: 3.5, category: 'csv-mapped' });
+    expect((await importCsv(csv)).body).toMatchObject({ columns: ['Title', 'Hours', 'Notes', 'Team'] });
+  });
+
+  it('should report every invalid row by line and save nothing', async () => {
+    const csv = [
+      'name,category,estimated_hours,custom.points',
+      'Good row,csv-invalid,2,3',
+      ',csv-invalid,1,',
+      '"Spans',
+      'two lines",csv-invalid,lots,99',
+      'Short row',
+      '',
+    ].join('\n');
+
+    const response = await importCsv(csv);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('3 of 4 rows are invalid, so nothing was imported');
+    expect(response.body.errors.map(({ line, error }) => ({ line, error }))).toEqual([
+      { line: 3, error: 'Item name is required' },
+      { line: 4, error: 'estimated_hours must be a number' },
+      { line: 6, error: 'Expected 4 fields but found 1' },
+    ]);
+    expect(countItems('csv-invalid')).toBe(0);
+  });
+
+  it('should validate custom fields and leave dry runs unsaved', async () => {
+    const outOfRange = await importCsv('name,category,custom.points\nToo many,csv-dry,99\n');
+    expect(outOfRange.status).toBe(400);
+    expect(outOfRange.body.errors).toEqual([expect.objectContaining({ line: 2 })]);
+
+    const dryRun = await importCsv('name,category,custom.points\nJust right,csv-dry,8\n', { dryRun: 'true' });
+    expect(dryRun.status).toBe(200);
+    expect(dryRun.body).toEqual({ dryRun: true, rowCount: 1, items: [] });
+    expect(countItems('csv-dry')).toBe(0);
+  });
+
+  it('should reject malformed files and viewers', async () => {
+    expect((await importCsv('name\n"never closed\n')).body.error)
+      .toBe('Line 2: a quoted field is never closed');
+    expect((await importCsv('description\nNo name column\n')).body.error).toBe('No CSV column maps to name');
+    expect((await api.post('/api/items/details/import').send({ csv: 'name\nx' })).status).toBe(400);
+
+    const { api: viewer } = createAuthenticatedAgent(app, db, { username: 'val', role: 'viewer' });
+    expect((await viewer.post('/api/items/details/import').set('Content-Type', 'text/csv').send('name\nx\n')).status)
+      .toBe(403);
+  });
+});
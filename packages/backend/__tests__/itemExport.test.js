@@ -0,0 +1,81 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+
+const { api } = createAuthenticatedAgent(app, db, { username: 'uma' });
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const exportItems = (format, query) => api.get(`/api/items/details/export.${format}`).query(query);
+const readLines = (response) => response.text.trim().split('\n').map(line => JSON.parse(line));
+
+describe('Item export', () => {
+  it('should stream JSON Lines with JSON columns parsed, honouring filters and sort', async () => {
+    for (const [name, priority] of [['Oscar', 'high'], ['Papa', 'low'], ['Quebec', 'high']]) {
+      await api.post('/api/items/details').send({
+        name, priority, category: 'export-jsonl', tags: ['ops'], metadata: { source: 'test' },
+      });
+    }
+
+    const response = await exportItems('jsonl', {
+      'filter[category]': 'export-jsonl', 'filter[priority]': 'high', sort: '-name',
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="items.jsonl"');
+    const items = readLines(response);
+    expect(items.map(item => item.name)).toEqual(['Quebec', 'Oscar']);
+    expect(items[0]).toMatchObject({ tags: ['ops'], metadata: { source: 'test' }, priority: 'high' });
+  });
+
+  it('should write escaped XML with nested JSON columns', async () => {
+    const created = await api.post('/api/items/details').send({
+      name: 'Fish & <chips>',
+      category: 'export-xml',
+      tags: ['a"b'],
+      metadata: { origin: "Bob's" },
+    });
+
+    const response = await exportItems('xml', { 'filter[category]': 'export-xml' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/xml; charset=utf-8');
+    expect(response.text.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<items>\n')).toBe(true);
+    expect(response.text).toContain(`  <item id="${created.body.id}">\n    <name>Fish &amp; &lt;chips&gt;</name>\n`);
+    expect(response.text).toContain('    <tags>\n      <value>a&quot;b</value>\n    </tags>\n');
+    expect(response.text).toContain('    <metadata>\n      <entry key="origin">Bob&apos;s</entry>\n    </metadata>\n');
+    expect(response.text).not.toContain('<description>');
+    expect(response.text.endsWith('  </item>\n</items>\n')).toBe(true);
+  });
+
+  it('should export every matching item across read batches', async () => {
+    const insert = db.prepare(
+      "INSERT INTO item_details (name, category, created_by) VALUES (?, 'export-bulk', 'uma')"
+    );
+    db.transaction(() => {
+      for (let index = 0; index < 1234; index += 1) {
+        insert.run(`Bulk ${String(index).padStart(4, '0')}`);
+      }
+    })();
+
+    const items = readLines(await exportItems('jsonl', { 'filter[category]': 'export-bulk', sort: 'name' }));
+
+    expect(items).toHaveLength(1234);
+    expect(items[0].name).toBe('Bulk 0000');
+    expect(items[1233].name).toBe('Bulk 1233');
+    expect(new Set(items.map(item => item.id)).size).toBe(1234);
+  });
+
+  it('should reject unknown formats and invalid queries', async () => {
+    const unknown = await exportItems('pdf', {});
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error).toBe('Items cannot be exported as pdf; use csv, jsonl, xml');
+
+    expect((await exportItems('xml', { 'filter[secret]': 'x' })).status).toBe(400);
+  });
+});
@@ -0,0 +1,122 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+
+const { api } = createAuthenticatedAgent(app, db, { username: 'quinn' });
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const CATEGORY = 'query-test';
+const fixtures = [
+  { name: 'Alpha', priority: 'low', estimatedHours: 2, assignee: 'ann', description: '50% done' },
+  { name: 'Bravo', priority: 'high', estimatedHours: 8, assignee: 'bob', description: 'Waiting on review' },
+  { name: 'Charlie', priority: 'medium', estimatedHours: 5, description: 'Review notes' },
+  { name: 'Delta', priority: 'high', estimatedHours: 3, assignee: 'ann' },
+  { name: 'Echo', priority: 'medium', assignee: 'cy' },
+];
+
+beforeAll(async () => {
+  for (const fixture of fixtures) {
+    const response = await api.post('/api/items/details').send({ ...fixture, category: CATEGORY });
+    expect(response.status).toBe(201);
+  }
+});
+
+const listItems = (query) => api.get('/api/items/details').query({ 'filter[category]': CATEGORY, ...query });
+const names = (response) => response.body.map(item => item.name);
+
+describe('Detailed item queries', () => {
+  it('should filter on columns with operators', async () => {
+    const byAssignee = await listItems({ 'filter[assignee][in]': 'ann,cy', sort: 'name' });
+    expect(names(byAssignee)).toEqual(['Alpha', 'Delta', 'Echo']);
+
+    const range = await listItems({ 'filter[estimated_hours][gte]': '3', 'filter[estimated_hours][lt]': '8', sort: 'name' });
+    expect(names(range)).toEqual(['Charlie', 'Delta']);
+
+    const unassigned = await listItems({ 'filter[assignee][null]': 'true' });
+    expect(names(unassigned)).toEqual(['Charlie']);
+
+    const notHigh = await listItems({ 'filter[priority][ne]': 'high', sort: 'name' });
+    expect(names(notHigh)).toEqual(['Alpha', 'Charlie', 'Echo']);
+    expect(notHigh.headers['x-total-count']).toBe('3');
+  });
+
+  it('should search names and descriptions literally', async () => {
+    expect(names(await listItems({ q: 'review', sort: 'name' }))).toEqual(['Bravo', 'Charlie']);
+    // % is not a wildcard
+    expect(names(await listItems({ q: '50%' }))).toEqual(['Alpha']);
+    expect(names(await listItems({ q: '%' }))).toEqual(['Alpha']);
+  });
+
+  it('should sort on several columns, ranking priorities by urgency', async () => {
+    const response = await listItems({ sort: '-priority,name' });
+
+    expect(names(response)).toEqual(['Bravo', 'Delta', 'Charlie', 'Echo', 'Alpha']);
+  });
+
+  it('should page through items with a cursor', async () => {
+    const seen = [];
+    let cursor;
+    do {
+      const page = await listItems({ sort: 'assignee,name', limit: 2, ...(cursor ? { cursor } : {}) });
+      expect(page.status).toBe(200);
+      expect(page.headers['x-total-count']).toBe(String(fixtures.length));
+      seen.push(...names(page));
+      cursor = page.headers['x-next-cursor'];
+    } while (cursor);
+
+    // Unassigned items sort first
+    expect(seen).toEqual(['Charlie', 'Alpha', 'Delta', 'Bravo', 'Echo']);
+  });
+
+  it('should keep pages stable when items are added between requests', async () => {
+    const first = await listItems({ sort: 'name', limit: 2 });
+    expect(names(first)).toEqual(['Alpha', 'Bravo']);
+
+    const late = await api.post('/api/items/details').send({ name: 'Aardvark', category: CATEGORY });
+    const second = await listItems({ sort: 'name', limit: 2, cursor: first.headers['x-next-cursor'] });
+    await api.delete(`/api/items/${late.body.id}/details`);
+
+    expect(names(second)).toEqual(['Charlie', 'Delta']);
+    expect(second.headers['x-total-count']).toBe(String(fixtures.length + 1));
+  });
+
+  it('should return only the requested fields', async () => {
+    const sparse = await listItems({ fields: 'name,permissions', sort: 'name', limit: 1 });
+    expect(sparse.body).toEqual([{ id: expect.any(Number), name: 'Alpha', permissions: expect.any(Array) }]);
+
+    const omitted = await listItems({ omit: 'description,custom_fields', limit: 1 });
+    expect(omitted.body[0]).toHaveProperty('name');
+    expect(omitted.body[0]).not.toHaveProperty('description');
+    expect(omitted.body[0]).not.toHaveProperty('custom_fields');
+  });
+
+  it('should reject queries it cannot run safely', async () => {
+    const cursor = (await listItems({ sort: 'name', limit: 1 })).headers['x-next-cursor'];
+
+    const queries = [
+      { 'filter[secret_column]': 'x' },
+      { 'filter[constructor]': '1' },
+      { sort: 'toString' },
+      { 'filter[name][matches]': 'x' },
+      { 'filter[estimated_hours][gt]': 'lots' },
+      { sort: 'name; DROP TABLE item_details' },
+      { limit: 0 },
+      { fields: 'name', omit: 'description' },
+      { fields: 'password' },
+      { cursor: 'not-a-cursor' },
+      { sort: '-name', cursor },
+    ];
+    const rejected = [];
+    for (const query of queries) {
+      rejected.push(await listItems(query));
+    }
+
+    expect(rejected.map(response => response.status)).toEqual(Array(11).fill(400));
+    expect(rejected[10].body.error).toMatch(/different sort order/);
+  });
+});
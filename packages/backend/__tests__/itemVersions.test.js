@@ -0,0 +1,176 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+
+const { api } = createAuthenticatedAgent(app, db);
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const createDetailedItem = (name) => {
+  const result = db.prepare(`
+    INSERT INTO item_details (name, category, priority, status, created_by)
+    VALUES (?, 'work', 'low', 'active', 'tester')
+  `).run(name);
+  return result.lastInsertRowid;
+};
+
+describe('Item version history', () => {
+  describe('PUT /api/items/:id/details', () => {
+    it('should snapshot the previous state on every update', async () => {
+      const itemId = createDetailedItem('Versioned item');
+
+      const first = await api
+        .put(`/api/items/${itemId}/details`)
+        .send({ priority: 'high' });
+      const second = await api
+        .put(`/api/items/${itemId}/details`)
+        .send({ status: 'pending', dueDate: '2030-01-01' });
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(200);
+      expect(second.body.priority).toBe('high');
+      expect(second.body.due_date).toBe('2030-01-01');
+
+      const versions = await api.get(`/api/items/${itemId}/details/versions`);
+      expect(versions.status).toBe(200);
+      expect(versions.body.map(version => version.version)).toEqual([2, 1]);
+      expect(versions.body[0]).toHaveProperty('change_type', 'update');
+    });
+
+    it('should return 400 when no updatable fields are sent', async () => {
+      const itemId = createDetailedItem('Nothing to update');
+
+      const response = await api
+        .put(`/api/items/${itemId}/details`)
+        .send({ id: itemId, unknown: 'value' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('No updatable fields provided');
+    });
+
+    it('should return 404 for a non-existent item', async () => {
+      const response = await api
+        .put('/api/items/99999/details')
+        .send({ name: 'Ghost' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Item not found');
+    });
+  });
+
+  describe('GET /api/items/:id/details/versions/:version', () => {
+    it('should return the full snapshot of a version', async () => {
+      const itemId = createDetailedItem('Snapshot item');
+      await api.put(`/api/items/${itemId}/details`).send({ name: 'Renamed' });
+
+      const response = await api.get(`/api/items/${itemId}/details/versions/1`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.snapshot.name).toBe('Snapshot item');
+      expect(response.body.snapshot.priority).toBe('low');
+    });
+
+    it('should return 404 for a version that does not exist', async () => {
+      const itemId = createDetailedItem('No versions');
+
+      const response = await api.get(`/api/items/${itemId}/details/versions/5`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/items/:id/details/versions/diff', () => {
+    it('should list changed fields between two versions', async () => {
+      const itemId = createDetailedItem('Diff item');
+      await api.put(`/api/items/${itemId}/details`).send({ priority: 'medium' });
+      await api.put(`/api/items/${itemId}/details`).send({ tags: ['a', 'b'] });
+
+      const response = await api
+        .get(`/api/items/${itemId}/details/versions/diff?from=1&to=2`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.changes).toEqual([
+        { field: 'priority', from: 'low', to: 'medium' },
+      ]);
+    });
+
+    it('should compare against the current item by default', async () => {
+      const itemId = createDetailedItem('Diff current');
+      await api.put(`/api/items/${itemId}/details`).send({ tags: ['a', 'b'] });
+
+      const response = await api
+        .get(`/api/items/${itemId}/details/versions/diff?from=1`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.to).toBe('current');
+      expect(response.body.changes).toEqual([
+        { field: 'tags', from: null, to: '["a","b"]' },
+      ]);
+    });
+
+    it('should return 400 without a valid "from" version', async () => {
+      const itemId = createDetailedItem('Bad diff');
+
+      const response = await api.get(`/api/items/${itemId}/details/versions/diff`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/items/:id/details/versions/:version/restore', () => {
+    it('should roll the item back and snapshot the replaced state', async () => {
+      const itemId = createDetailedItem('Original name');
+      await api.put(`/api/items/${itemId}/details`).send({ name: 'Changed name' });
+
+      const response = await api
+        .post(`/api/items/${itemId}/details/versions/1/restore`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.name).toBe('Original name');
+
+      const restoreSnapshot = await api.get(`/api/items/${itemId}/details/versions/2`);
+      expect(restoreSnapshot.body.change_type).toBe('restore');
+      expect(restoreSnapshot.body.snapshot.name).toBe('Changed name');
+    });
+
+    it('should check and record a restore like any other edit', async () => {
+      const itemId = createDetailedItem('Checked restore');
+      const changed = await api.put(`/api/items/${itemId}/details`).send({ name: 'Renamed' });
+
+      const stale = await api
+        .post(`/api/items/${itemId}/details/versions/1/restore`)
+        .set('If-Match', '"1"');
+      expect(stale.status).toBe(409);
+
+      const restored = await api
+        .post(`/api/items/${itemId}/details/versions/1/restore`)
+        .set('If-Match', changed.headers.etag);
+      expect(restored.status).toBe(200);
+      expect(restored.headers.etag).toBe(`"${restored.body.row_version}"`);
+
+      const audit = await api.get(`/api/audit?entityType=item_details&itemId=${itemId}`);
+      expect(audit.body.entries.map(entry => entry.action)).toEqual(['item_restored', 'item_updated']);
+      expect(audit.body.entries[0].after.name).toBe('Checked restore');
+
+      const unchanged = await api.post(`/api/items/${itemId}/details/versions/1/restore`);
+      expect(unchanged.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/items/:id/details', () => {
+    it('should include the version history', async () => {
+      const itemId = createDetailedItem('History item');
+      await api.put(`/api/items/${itemId}/details`).send({ category: 'personal' });
+
+      const response = await api.get(`/api/items/${itemId}/details`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.category).toBe('personal');
+      expect(response.body.history).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+const { createItem } = require('./helpers/items');
+
+const { api } = createAuthenticatedAgent(app, db);
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const linkItems = (itemId, linkedItemId, type) => api
+  .post(`/api/items/${itemId}/links`)
+  .send({ itemId: linkedItemId, type });
+
+const linkedItemsColumn = (itemId) => JSON.parse(
+  db.prepare('SELECT linked_items FROM item_details WHERE id = ?').get(itemId).linked_items
+);
+
+describe('Item links', () => {
+  describe('POST /api/items/:id/links', () => {
+    it('should mirror a link on both ends with the inverse type', async () => {
+      const original = (await createItem(api, { name: 'Original bug' })).id;
+      const duplicate = (await createItem(api, { name: 'Duplicate bug' })).id;
+
+      const response = await linkItems(duplicate, original, 'duplicates');
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ item_id: original, type: 'duplicates' });
+
+      const fromOriginal = await api.get(`/api/items/${original}/links`);
+      expect(fromOriginal.body).toEqual([
+        expect.objectContaining({ item_id: duplicate, type: 'duplicated_by' }),
+      ]);
+      expect(linkedItemsColumn(duplicate)).toEqual([{ item_id: original, type: 'duplicates' }]);
+      expect(linkedItemsColumn(original)).toEqual([{ item_id: duplicate, type: 'duplicated_by' }]);
+    });
+
+    it('should accept readable and inverse type names', async () => {
+      const source = (await createItem(api, { name: 'Source' })).id;
+      const clone = (await createItem(api, { name: 'Clone' })).id;
+      const related = (await createItem(api, { name: 'Related' })).id;
+
+      const cloned = await linkItems(source, clone, 'cloned by');
+      const relates = await linkItems(source, related, 'relates to');
+
+      expect(cloned.body.type).toBe('cloned_by');
+      expect(relates.body.type).toBe('relates_to');
+      const fromClone = await api.get(`/api/items/${clone}/links`);
+      expect(fromClone.body[0]).toMatchObject({ item_id: source, type: 'clones' });
+    });
+
+    it('should reject unknown link types', async () => {
+      const first = (await createItem(api, { name: 'First' })).id;
+      const second = (await createItem(api, { name: 'Second' })).id;
+
+      const response = await linkItems(first, second, 'blocks');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/Unknown link type "blocks"/);
+    });
+
+    it('should reject linking an item to itself or to a missing item', async () => {
+      const itemId = (await createItem(api, { name: 'Lonely' })).id;
+
+      expect((await linkItems(itemId, itemId, 'relates_to')).status).toBe(400);
+      expect((await linkItems(itemId, 99999, 'relates_to')).status).toBe(400);
+    });
+
+    it('should reject a relates-to link that already exists from the other end', async () => {
+      const first = (await createItem(api, { name: 'First' })).id;
+      const second = (await createItem(api, { name: 'Second' })).id;
+      await linkItems(first, second, 'relates_to');
+
+      const response = await linkItems(second, first, 'relates_to');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/items/:id/links/:linkId', () => {
+    it('should remove the link from either end', async () => {
+      const first = (await createItem(api, { name: 'First' })).id;
+      const second = (await createItem(api, { name: 'Second' })).id;
+      const link = await linkItems(first, second, 'relates_to');
+
+      const response = await api.delete(`/api/items/${second}/links/${link.body.link_id}`);
+
+      expect(response.status).toBe(200);
+      expect(linkedItemsColumn(first)).toEqual([]);
+      expect(linkedItemsColumn(second)).toEqual([]);
+    });
+
+    it('should return 404 for a link on another item', async () => {
+      const first = (await createItem(api, { name: 'First' })).id;
+      const second = (await createItem(api, { name: 'Second' })).id;
+      const third = (await createItem(api, { name: 'Third' })).id;
+      const link = await linkItems(first, second, 'relates_to');
+
+      const response = await api.delete(`/api/items/${third}/links/${link.body.link_id}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('item details', () => {
+    it('should return related_items from GET /api/items/:id/details', async () => {
+      const other = (await createItem(api, { name: 'Other' })).id;
+      const itemId = (await createItem(api, {
+        name: 'Linked on create',
+        linkedItems: [{ itemId: other, type: 'clones' }],
+      })).id;
+
+      const response = await api.get(`/api/items/${itemId}/details`);
+
+      expect(response.body.related_items).toEqual([
+        expect.objectContaining({ item_id: other, name: 'Other', type: 'clones' }),
+      ]);
+    });
+
+    it('should replace links through a details update', async () => {
+      const first = (await createItem(api, { name: 'First' })).id;
+      const second = (await createItem(api, { name: 'Second' })).id;
+      const itemId = (await createItem(api, { name: 'Switching', linkedItems: [first] })).id;
+
+      const response = await api
+        .put(`/api/items/${itemId}/details`)
+        .send({ linkedItems: [{ itemId: second, type: 'duplicates' }] });
+
+      expect(response.status).toBe(200);
+      expect(linkedItemsColumn(first)).toEqual([]);
+      expect(linkedItemsColumn(second)).toEqual([{ item_id: itemId, type: 'duplicated_by' }]);
+    });
+
+    it('should drop links from the other end when an item is deleted', async () => {
+      const survivor = (await createItem(api, { name: 'Survivor' })).id;
+      const doomed = (await createItem(api, { name: 'Doomed', linkedItems: [survivor] })).id;
+
+      const response = await api.delete(`/api/items/${doomed}/details`);
+
+      expect(response.status).toBe(200);
+      expect(linkedItemsColumn(survivor)).toEqual([]);
+      const links = await api.get(`/api/items/${survivor}/links`);
+      expect(links.body).toEqual([]);
+    });
+  });
+});
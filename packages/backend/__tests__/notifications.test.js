@@ -0,0 +1,209 @@
+const net = require('net');
+const { app, db } = require('../src/app');
+const NotificationService = require('../src/services/NotificationService');
+const createSmtpChannel = require('../src/services/channels/smtpChannel');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+const { createItem } = require('./helpers/items');
+
+const { api: nora } = createAuthenticatedAgent(app, db, { username: 'nora', role: 'editor' });
+const { api: ava } = createAuthenticatedAgent(app, db, { username: 'ava', role: 'editor' });
+const { api: admin } = createAuthenticatedAgent(app, db, { username: 'nadmin' });
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const createReleaseNotes = (fields) => createItem(nora, { name: 'Release notes', ...fields });
+
+const outbox = (itemId) => db.prepare('SELECT * FROM notifications WHERE item_id = ? ORDER BY id').all(itemId);
+
+/**
+ * A bare-bones SMTP server that accepts every message and records it.
+ */
+function startSmtpServer() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let message = {};
+    socket.setEncoding('utf8');
+    socket.write('220 localhost ESMTP test\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(message);
+            message = {};
+            socket.write('250 OK queued\r\n');
+          } else {
+            message.data = `${message.data || ''}${line}\n`;
+          }
+        } else if (/^EHLO/i.test(line)) {
+          socket.write('250-localhost\r\n250 8BITMIME\r\n');
+        } else if (/^RCPT TO:/i.test(line)) {
+          message.to = line.slice(8);
+          socket.write('250 OK\r\n');
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port }));
+  });
+}
+
+describe('Notifications', () => {
+  it('should notify the assignee when an item is assigned to them, but not whoever assigned it', async () => {
+    const item = await createReleaseNotes({ assignee: 'ava' });
+
+    const rows = outbox(item.id);
+    expect(rows.map(row => [row.user_id, row.event, row.channel])).toEqual([
+      ['ava', 'item_assigned', 'in_app'],
+      ['ava', 'item_assigned', 'log'],
+    ]);
+
+    // Ava has no email address yet, so no email is queued
+    const listed = await ava.get('/api/notifications');
+    expect(listed.status).toBe(200);
+    expect(listed.body.unread).toBeGreaterThanOrEqual(1);
+    expect(listed.body.notifications[0]).toMatchObject({
+      event: 'item_assigned',
+      item_id: item.id,
+      subject: 'You were assigned "Release notes"',
+    });
+  });
+
+  it('should notify the assignee and creator of status and due date changes', async () => {
+    const item = await createReleaseNotes({ assignee: 'ava' });
+
+    await ava.put(`/api/items/${item.id}/details`).send({ status: 'pending', dueDate: '2031-03-01' });
+
+    const changes = outbox(item.id)
+      .filter(row => row.event !== 'item_assigned' && row.channel === 'in_app')
+      .map(row => [row.user_id, row.event]);
+    expect(changes).toEqual([
+      ['nora', 'status_changed'],
+      ['nora', 'due_date_changed'],
+    ]);
+  });
+
+  it('should respect channel preferences and validate them', async () => {
+    const preferences = await ava.put('/api/notifications/preferences').send({
+      channels: [
+        { channel: 'log', enabled: false },
+        { channel: 'email', address: 'ava@example.com' },
+      ],
+    });
+    expect(preferences.status).toBe(200);
+    expect(preferences.body).toEqual([
+      { channel: 'in_app', enabled: true, address: null, requiresAddress: false },
+      { channel: 'log', enabled: false, address: null, requiresAddress: false },
+      { channel: 'email', enabled: true, address: 'ava@example.com', requiresAddress: true },
+    ]);
+
+    const item = await createReleaseNotes({ assignee: 'ava' });
+    expect(outbox(item.id).map(row => row.channel)).toEqual(['in_app', 'email']);
+
+    const invalid = await ava.put('/api/notifications/preferences').send({
+      channels: [{ channel: 'email', address: 'not an address' }],
+    });
+    expect(invalid.status).toBe(400);
+
+    const unknown = await ava.put('/api/notifications/preferences').send({ channels: [{ channel: 'sms' }] });
+    expect(unknown.status).toBe(400);
+  });
+
+  it('should mark in-app notifications read', async () => {
+    await createReleaseNotes({ assignee: 'ava' });
+    const { body } = await ava.get('/api/notifications?unreadOnly=true');
+
+    const read = await ava.post(`/api/notifications/${body.notifications[0].id}/read`);
+    expect(read.status).toBe(200);
+    expect(read.body.unread).toBe(body.unread - 1);
+
+    // Other users' notifications cannot be touched
+    const foreign = await nora.post(`/api/notifications/${body.notifications[1].id}/read`);
+    expect(foreign.status).toBe(404);
+
+    const all = await ava.post('/api/notifications/read-all');
+    expect(all.body.unread).toBe(0);
+  });
+
+  it('should retry failed deliveries with backoff and give up after the last attempt', async () => {
+    let failures = 0;
+    const flaky = {
+      name: 'log',
+      requiresAddress: false,
+      async send() {
+        failures += 1;
+        throw new Error('connection refused');
+      },
+    };
+    const service = new NotificationService(db, { channels: [flaky], maxAttempts: 3, retryDelayMs: 1000 });
+    const item = await createReleaseNotes({});
+    // Earlier tests leave deliveries queued; only this one should reach the flaky channel
+    db.prepare("UPDATE notifications SET status = 'sent' WHERE status = 'pending'").run();
+    service.notify({ userIds: ['nora'], event: 'test', itemId: item.id, subject: 'Flaky', body: 'Flaky' });
+    const [row] = outbox(item.id).filter(notification => notification.event === 'test');
+
+    const start = new Date(Date.now() + 1000);
+    await service.deliverPending(start);
+    let current = db.prepare('SELECT * FROM notifications WHERE id = ?').get(row.id);
+    expect(current).toMatchObject({ status: 'pending', attempts: 1, last_error: 'connection refused' });
+    expect(Date.parse(current.next_attempt_at)).toBe(start.getTime() + 1000);
+
+    // Not due yet, so nothing happens
+    await service.deliverPending(new Date(start.getTime() + 500));
+    expect(failures).toBe(1);
+
+    await service.deliverPending(new Date(start.getTime() + 1000));
+    current = db.prepare('SELECT * FROM notifications WHERE id = ?').get(row.id);
+    expect(Date.parse(current.next_attempt_at)).toBe(start.getTime() + 1000 + 2000);
+
+    await service.deliverPending(new Date(start.getTime() + 3000));
+    current = db.prepare('SELECT * FROM notifications WHERE id = ?').get(row.id);
+    expect(current).toMatchObject({ status: 'failed', attempts: 3 });
+
+    const failed = await admin.get('/api/notifications/outbox?status=failed');
+    expect(failed.body.map(notification => notification.id)).toContain(row.id);
+    expect((await nora.get('/api/notifications/outbox')).status).toBe(403);
+
+    const retried = await admin.post(`/api/notifications/outbox/${row.id}/retry`);
+    expect(retried.body).toMatchObject({ status: 'pending', attempts: 0 });
+  });
+
+  it('should deliver email through an SMTP server', async () => {
+    const smtp = await startSmtpServer();
+    try {
+      const email = createSmtpChannel({ host: '127.0.0.1', port: smtp.port, from: 'tracker@example.com' });
+      const service = new NotificationService(db, { channels: [email], maxAttempts: 3, retryDelayMs: 1000 });
+      db.prepare("UPDATE notifications SET status = 'sent' WHERE status = 'pending'").run();
+
+      service.setPreferences('nora', [{ channel: 'email', address: 'nora@example.com' }]);
+      service.notify({ userIds: ['nora'], event: 'test', subject: 'Über due', body: 'Line one\n.dot line' });
+
+      expect(await service.deliverPending(new Date(Date.now() + 1000))).toEqual({ sent: 1, retrying: 0, failed: 0 });
+      expect(smtp.messages).toHaveLength(1);
+      expect(smtp.messages[0].to).toBe('<nora@example.com>');
+      expect(smtp.messages[0].data).toContain('Subject: =?UTF-8?B?');
+      expect(smtp.messages[0].data).toContain('\n..dot line\n');
+    } finally {
+      smtp.server.close();
+    }
+  });
+});
@@ -0,0 +1,183 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const admin = createAuthenticatedAgent(app, db, { username: 'root', role: 'admin' }).api;
+const owner = createAuthenticatedAgent(app, db, { username: 'olivia', role: 'editor' }).api;
+const editor = createAuthenticatedAgent(app, db, { username: 'eddie', role: 'editor' }).api;
+const viewer = createAuthenticatedAgent(app, db, { username: 'vera', role: 'viewer' }).api;
+
+const createOwnedItem = async () => {
+  const response = await owner.post('/api/items/details').send({ name: 'Owned by olivia' });
+  expect(response.status).toBe(201);
+  return response.body.id;
+};
+
+const setGrants = (itemId, grants, agent = owner) => agent
+  .put(`/api/items/${itemId}/permissions`)
+  .send({ grants });
+
+describe('Permissions', () => {
+  describe('roles', () => {
+    it('should let viewers read but not create, with a reason', async () => {
+      const list = await viewer.get('/api/items/details');
+      const created = await viewer.post('/api/items/details').send({ name: 'Nope' });
+      const simple = await viewer.post('/api/items').send({ name: 'Nope' });
+
+      expect(list.status).toBe(200);
+      expect(created.status).toBe(403);
+      expect(created.body.error).toBe('This action requires the editor role (your role is viewer)');
+      expect(simple.status).toBe(403);
+    });
+
+    it('should reserve configuration and the audit log for admins', async () => {
+      const field = await editor.post('/api/custom-fields').send({ key: 'colour', type: 'text' });
+      const audit = await editor.get('/api/audit');
+      const fields = await editor.get('/api/custom-fields');
+
+      expect(field.status).toBe(403);
+      expect(audit.status).toBe(403);
+      expect(fields.status).toBe(200);
+    });
+
+    it('should let admins create users and change roles', async () => {
+      const denied = await editor.post('/api/users').send({ username: 'newbie', password: 'long enough' });
+      expect(denied.status).toBe(403);
+
+      const created = await admin.post('/api/users').send({ username: 'newbie', password: 'long enough' });
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({ id: 'newbie', role: 'viewer' });
+
+      const promoted = await admin.put('/api/users/newbie').send({ role: 'editor' });
+      expect(promoted.body.role).toBe('editor');
+
+      const invalid = await admin.put('/api/users/newbie').send({ role: 'owner' });
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe('items', () => {
+    it('should let editors change but only creators and admins delete', async () => {
+      const itemId = await createOwnedItem();
+
+      const updated = await editor.put(`/api/items/${itemId}/details`).send({ priority: 'high' });
+      expect(updated.status).toBe(200);
+
+      const denied = await editor.delete(`/api/items/${itemId}/details`);
+      expect(denied.status).toBe(403);
+      expect(denied.body.error).toBe(`Only the creator of item ${itemId} or an admin can delete it`);
+
+      const deleted = await owner.delete(`/api/items/${itemId}/details`);
+      expect(deleted.status).toBe(200);
+    });
+
+    it('should refuse viewers changes to an item and what is attached to it', async () => {
+      const itemId = await createOwnedItem();
+
+      const update = await viewer.put(`/api/items/${itemId}/details`).send({ priority: 'high' });
+      const comment = await viewer.post(`/api/items/${itemId}/comments`).send({ body: 'Hi' });
+      const comments = await viewer.get(`/api/items/${itemId}/comments`);
+
+      expect(update.status).toBe(403);
+      expect(update.body.error).toBe(`Viewers cannot change item ${itemId} without write access to it`);
+      expect(comment.status).toBe(403);
+      expect(comments.status).toBe(200);
+    });
+
+    it('should report each item\'s permissions for the current user', async () => {
+      const itemId = await createOwnedItem();
+
+      const asOwner = await owner.get(`/api/items/${itemId}/details`);
+      const asViewer = await viewer.get('/api/items/details');
+
+      expect(asOwner.body.permissions).toEqual(['read', 'update', 'delete', 'manage']);
+      expect(asViewer.body.find(item => item.id === itemId).permissions).toEqual(['read']);
+    });
+
+    it('should return 404 rather than 403 for a missing item', async () => {
+      const response = await viewer.put('/api/items/99999/details').send({ priority: 'high' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('per-item grants', () => {
+    it('should let a write grant open an item to a viewer', async () => {
+      const itemId = await createOwnedItem();
+
+      const granted = await setGrants(itemId, [{ userId: 'vera', access: 'write' }]);
+      expect(granted.status).toBe(200);
+      expect(granted.body.grants).toEqual([
+        expect.objectContaining({ user_id: 'vera', access: 'write', granted_by: 'olivia' }),
+      ]);
+
+      const updated = await viewer.put(`/api/items/${itemId}/details`).send({ priority: 'low' });
+      const commented = await viewer.post(`/api/items/${itemId}/comments`).send({ body: 'On it' });
+      expect(updated.status).toBe(200);
+      expect(commented.status).toBe(201);
+
+      const deleted = await viewer.delete(`/api/items/${itemId}/details`);
+      expect(deleted.status).toBe(403);
+    });
+
+    it('should let a read grant keep an editor out', async () => {
+      const itemId = await createOwnedItem();
+      await setGrants(itemId, [{ userId: 'eddie', access: 'read' }]);
+
+      const response = await editor.put(`/api/items/${itemId}/details`).send({ priority: 'low' });
+      const permissions = await editor.get(`/api/items/${itemId}/permissions`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe(`You have read-only access to item ${itemId}`);
+      expect(permissions.body.permissions).toEqual(['read']);
+    });
+
+    it('should need write access to the item at the other end of a link', async () => {
+      const locked = await createOwnedItem();
+      await setGrants(locked, [{ userId: 'eddie', access: 'read' }]);
+      const mine = (await editor.post('/api/items/details').send({ name: 'Owned by eddie' })).body.id;
+
+      const linked = await editor.post(`/api/items/${mine}/links`).send({ itemId: locked });
+      const updated = await editor.put(`/api/items/${mine}/details`).send({ linkedItems: [locked] });
+      const created = await editor.post('/api/items/details').send({ name: 'Linked', linkedItems: [locked] });
+      expect([linked.status, updated.status, created.status]).toEqual([403, 403, 403]);
+      expect(linked.body.error).toBe(`You have read-only access to item ${locked}`);
+
+      const link = await owner.post(`/api/items/${locked}/links`).send({ itemId: mine });
+      const unlinked = await editor.delete(`/api/items/${mine}/links/${link.body.link_id}`);
+      expect(unlinked.status).toBe(403);
+      expect((await owner.get(`/api/items/${locked}/links`)).body).toHaveLength(1);
+    });
+
+    it('should only let the creator or an admin change grants', async () => {
+      const itemId = await createOwnedItem();
+
+      const denied = await setGrants(itemId, [{ userId: 'eddie', access: 'write' }], editor);
+      const byAdmin = await setGrants(itemId, [], admin);
+      const invalid = await setGrants(itemId, [{ userId: 'nobody', access: 'write' }]);
+
+      expect(denied.status).toBe(403);
+      expect(byAdmin.status).toBe(200);
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe('comments', () => {
+    it('should only let the author or an admin edit a comment', async () => {
+      const itemId = await createOwnedItem();
+      const comment = await owner.post(`/api/items/${itemId}/comments`).send({ body: 'Mine' });
+
+      const denied = await editor.put(`/api/items/${itemId}/comments/${comment.body.id}`).send({ body: 'Ours' });
+      const allowed = await admin.put(`/api/items/${itemId}/comments/${comment.body.id}`).send({ body: 'Edited' });
+
+      expect(denied.status).toBe(403);
+      expect(allowed.status).toBe(200);
+    });
+  });
+});
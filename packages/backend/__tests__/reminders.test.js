@@ -0,0 +1,122 @@
+const { app, db } = require('../src/app');
+const ReminderService = require('../src/services/ReminderService');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+const { createItem } = require('./helpers/items');
+
+const { api } = createAuthenticatedAgent(app, db, { username: 'remy', role: 'editor' });
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS);
+
+// A fresh service stands in for the process after a restart: it only knows what is in the database
+const reminderService = new ReminderService(db);
+
+const createReport = (fields) => createItem(api, { name: 'Quarterly report', ...fields });
+
+const scheduled = (itemId) => reminderService.listReminders({ status: 'scheduled', itemId });
+
+describe('Reminders', () => {
+  it('should schedule reminders from the settings and due date', async () => {
+    const item = await createReport({
+      dueDate: daysFromNow(3).toISOString(),
+      reminderSettings: { before: ['1d', '1w'], atDue: true, overdue: 'daily' },
+    });
+
+    // A week before is already in the past, so it is skipped
+    expect(scheduled(item.id).map(reminder => [reminder.kind, reminder.lead_time])).toEqual([
+      ['before', '1d'], ['due', null], ['overdue', null],
+    ]);
+  });
+
+  it('should reject malformed settings', async () => {
+    const cases = [
+      { before: ['tomorrow'] },
+      { atDue: 'yes' },
+      { overdue: 'hourly' },
+      { every: '1d' },
+    ];
+
+    for (const reminderSettings of cases) {
+      const response = await api.post('/api/items/details').send({ name: 'Bad', reminderSettings });
+      expect(response.status).toBe(400);
+    }
+  });
+
+  it('should fire due reminders to the assignee and repeat overdue ones daily', async () => {
+    const item = await createReport({
+      dueDate: daysFromNow(1).toISOString(),
+      assignee: 'alice',
+      reminderSettings: { atDue: true, overdue: 'daily' },
+    });
+
+    // Other tests' items fire too; only this item's reminders matter here
+    const fire = (now) => reminderService.fireDueReminders(now).filter(reminder => reminder.item_id === item.id);
+
+    const atDue = fire(daysFromNow(1.5));
+    expect(atDue.map(reminder => reminder.kind)).toEqual(['due']);
+    expect(atDue[0]).toMatchObject({ recipient: 'alice', message: '"Quarterly report" is due now' });
+
+    const overdue = fire(daysFromNow(2.5));
+    expect(overdue.map(reminder => reminder.kind)).toEqual(['overdue']);
+    expect(overdue[0].message).toMatch(/^"Quarterly report" is overdue/);
+
+    const next = scheduled(item.id);
+    expect(next).toHaveLength(1);
+    expect(Date.parse(next[0].fire_at)).toBeGreaterThan(daysFromNow(2.5).getTime());
+  });
+
+  it('should reschedule when the due date changes and stop once the item is closed', async () => {
+    const item = await createReport({ dueDate: daysFromNow(5).toISOString(), reminderSettings: { before: ['1d'] } });
+
+    await api.put(`/api/items/${item.id}/details`).send({ dueDate: daysFromNow(10).toISOString() });
+    const [moved] = scheduled(item.id);
+    expect(Date.parse(moved.fire_at)).toBeGreaterThan(daysFromNow(8.9).getTime());
+
+    await api.put(`/api/items/${item.id}/details`).send({ status: 'completed' });
+    expect(scheduled(item.id)).toEqual([]);
+  });
+
+  it('should list fired reminders and let users dismiss them', async () => {
+    const item = await createReport({ dueDate: daysFromNow(0.5).toISOString(), reminderSettings: { atDue: true } });
+    reminderService.fireDueReminders(daysFromNow(1));
+
+    const listed = await api.get(`/api/reminders?itemId=${item.id}`);
+    expect(listed.status).toBe(200);
+    expect(listed.body).toEqual([expect.objectContaining({ kind: 'due', item_name: 'Quarterly report' })]);
+
+    const dismissed = await api.post(`/api/reminders/${listed.body[0].id}/dismiss`);
+    expect(dismissed.body.dismissed_by).toBe('remy');
+
+    const after = await api.get(`/api/reminders?itemId=${item.id}`);
+    expect(after.body).toEqual([]);
+  });
+
+  it('should schedule items saved before reminders existed and ignore settings it cannot read', async () => {
+    const insertItem = db.prepare(`
+      INSERT INTO item_details (name, status, due_date, reminder_settings, created_by)
+      VALUES ('Legacy item', 'active', ?, ?, 'remy')
+    `);
+    const structured = insertItem.run(daysFromNow(3).toISOString(), JSON.stringify({ before: ['1d'] })).lastInsertRowid;
+    const freeForm = insertItem.run(daysFromNow(3).toISOString(), 'email me the day before').lastInsertRowid;
+
+    reminderService.scheduleUnscheduledItems();
+    expect(scheduled(structured).map(reminder => reminder.lead_time)).toEqual(['1d']);
+    expect(scheduled(freeForm)).toEqual([]);
+
+    const response = await api.put(`/api/items/${freeForm}/details`).send({ priority: 'high' });
+    expect(response.status).toBe(200);
+  });
+
+  it('should validate list filters', async () => {
+    const response = await api.get('/api/reminders?status=sent');
+
+    expect(response.status).toBe(400);
+  });
+});
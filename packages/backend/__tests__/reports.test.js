@@ -0,0 +1,83 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+
+const { api } = createAuthenticatedAgent(app, db, { username: 'wes' });
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const fixtures = [
+  { name: 'Audit prep', category: 'finance', priority: 'high', assignee: 'ann', estimatedHours: 4.5, budget: 1200, dueDate: '2020-01-15' },
+  { name: 'Close books', category: 'finance', priority: 'high', assignee: 'bob', estimatedHours: 8, budget: 300, dueDate: '2099-06-30' },
+  { name: 'Old invoice', category: 'finance', priority: 'low', assignee: 'ann', estimatedHours: 1, dueDate: '2020-03-01', status: 'completed' },
+  { name: 'Laptop refresh', category: 'it', priority: 'medium', estimatedHours: 0.1, dueDate: '2021-05-05T09:00:00Z' },
+  { name: 'Printer <fix>', category: 'it', priority: 'medium', assignee: 'bob', estimatedHours: 0.2 },
+];
+
+beforeAll(async () => {
+  for (const { dueDate, ...fixture } of fixtures) {
+    const response = await api.post('/api/items/details').send({ ...fixture, dueDate, tags: ['report-test'] });
+    expect(response.status).toBe(201);
+  }
+});
+
+const report = (type, query = {}) => api.get(`/api/reports/${type}`)
+  .query({ 'filter[category][in]': 'finance,it', ...query });
+
+describe('Item reports', () => {
+  it('should count and total items by category, priority, status and assignee', async () => {
+    const response = await report('summary');
+
+    expect(response.status).toBe(200);
+    expect(response.body.totals).toEqual({ items: 5, estimatedHours: 13.8, budget: 1500, overdue: 2 });
+    expect(response.body.byCategory).toEqual([
+      { value: 'finance', items: 3, estimatedHours: 13.5, budget: 1500, overdue: 1 },
+      { value: 'it', items: 2, estimatedHours: 0.3, budget: 0, overdue: 1 },
+    ]);
+    expect(response.body.byPriority.map(group => [group.value, group.items])).toEqual([
+      ['high', 2], ['medium', 2], ['low', 1],
+    ]);
+    expect(response.body.byStatus.map(group => [group.value, group.items])).toEqual([
+      ['active', 4], ['completed', 1],
+    ]);
+    expect(response.body.byAssignee.map(group => [group.value, group.items])).toEqual([
+      ['ann', 2], ['bob', 2], [null, 1],
+    ]);
+    expect(response.body.overdueItems.map(item => item.name)).toEqual(['Audit prep', 'Laptop refresh']);
+    expect(response.body.filters).toEqual(['category in finance,it']);
+  });
+
+  it('should list the filtered items in a detailed report', async () => {
+    const response = await report('detailed', { 'filter[assignee]': 'ann', sort: 'name' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.items.map(item => [item.name, item.overdue])).toEqual([
+      ['Audit prep', true], ['Old invoice', false],
+    ]);
+    expect(response.body.items[0].tags).toEqual(['report-test']);
+    expect(response.body.totals).toEqual({ items: 2, estimatedHours: 5.5, budget: 1200, overdue: 1 });
+    expect(response.body.truncated).toBe(false);
+  });
+
+  it('should render reports as escaped HTML pages', async () => {
+    const summary = await report('summary', { format: 'html' });
+    expect(summary.status).toBe(200);
+    expect(summary.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(summary.text).toContain('<h1>Item summary report</h1>');
+    expect(summary.text).toContain('<caption>By assignee</caption>');
+    expect(summary.text).toContain('<tr><td>(none)</td><td>1</td><td>0.1</td><td>0</td><td>1</td></tr>');
+
+    const detailed = await report('detailed', { format: 'html', 'filter[priority]': 'medium' });
+    expect(detailed.text).toContain('<td>Printer &lt;fix&gt;</td>');
+    expect(detailed.text).not.toContain('<fix>');
+  });
+
+  it('should reject unknown formats and filters', async () => {
+    expect((await report('summary', { format: 'pdf' })).body.error).toBe('format must be one of: json, html');
+    expect((await report('detailed', { 'filter[secret]': 'x' })).status).toBe(400);
+  });
+});
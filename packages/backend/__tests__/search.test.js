@@ -0,0 +1,75 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+const { createItem } = require('./helpers/items');
+
+const { api } = createAuthenticatedAgent(app, db, { username: 'sam' });
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+const search = (q, query = {}) => api.get('/api/search').query({ q, ...query });
+const resultNames = (response) => response.body.results.map(result => result.item.name);
+const highlighted = (match) => match.fragments.filter(fragment => fragment.match).map(fragment => fragment.text);
+
+describe('Full-text search', () => {
+  it('should rank name matches above matches elsewhere', async () => {
+    await createItem(api, { name: 'Quarterly budget', description: 'Numbers for finance' });
+    await createItem(api, { name: 'Team offsite', description: 'Agree the budget with finance first' });
+    await createItem(api, { name: 'Hiring plan', tags: ['budget'] });
+
+    const response = await search('budget');
+
+    expect(response.status).toBe(200);
+    expect(resultNames(response)).toEqual(['Quarterly budget', 'Hiring plan', 'Team offsite']);
+    expect(response.body.results[0].item.permissions).toContain('update');
+  });
+
+  it('should match word prefixes and require every word', async () => {
+    await createItem(api, { name: 'Migrate invoicing service', description: 'Move to the new cluster' });
+
+    expect(resultNames(await search('invoic migr'))).toEqual(['Migrate invoicing service']);
+    expect(resultNames(await search('invoic payroll'))).toEqual([]);
+  });
+
+  it('should return snippets marking the matching words', async () => {
+    await createItem(api, {
+      name: 'Conference talk',
+      description: 'Slides cover the caching layer and how caches are invalidated',
+    });
+
+    const [result] = (await search('cach')).body.results;
+
+    expect(result.matches).toEqual([{ field: 'description', fragments: expect.any(Array) }]);
+    expect(highlighted(result.matches[0])).toEqual(['caching', 'caches']);
+    expect(result.matches[0].fragments.map(fragment => fragment.text).join(''))
+      .toBe('Slides cover the caching layer and how caches are invalidated');
+  });
+
+  it('should keep the index in step with edits, comments and deletes', async () => {
+    const item = await createItem(api, { name: 'Vendor review' });
+
+    await api.post(`/api/items/${item.id}/comments`).send({ body: 'Ask about the escrow clause' });
+    expect(resultNames(await search('escrow'))).toEqual(['Vendor review']);
+    expect((await search('escrow')).body.results[0].matches[0].field).toBe('comments');
+
+    await api.put(`/api/items/${item.id}/details`).send({ name: 'Supplier review' });
+    expect(resultNames(await search('vendor'))).toEqual([]);
+    expect(resultNames(await search('supplier'))).toEqual(['Supplier review']);
+
+    await api.delete(`/api/items/${item.id}/details`);
+    expect(resultNames(await search('escrow'))).toEqual([]);
+  });
+
+  it('should treat search syntax as plain words', async () => {
+    await createItem(api, { name: 'NEAR miss report' });
+
+    expect(resultNames(await search('near "miss'))).toEqual(['NEAR miss report']);
+    expect((await search('*** ---')).body.results).toEqual([]);
+    expect((await search('   ')).status).toBe(400);
+    expect((await search('report', { limit: 0 })).status).toBe(400);
+  });
+});
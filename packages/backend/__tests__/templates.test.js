@@ -0,0 +1,157 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+
+const { api, user } = createAuthenticatedAgent(app, db);
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+// Custom fields used by the templates below
+beforeAll(async () => {
+  for (const definition of [
+    { key: 'severity', type: 'enum', options: ['minor', 'major'] },
+    { key: 'team', type: 'text' },
+    { key: 'size', type: 'enum', options: ['S', 'M', 'L'] },
+  ]) {
+    await api.post('/api/custom-fields').send(definition);
+  }
+});
+
+let templateCount = 0;
+
+const createTemplate = async (fields = {}) => {
+  templateCount += 1;
+  const response = await api
+    .post('/api/templates')
+    .send({ name: `Template ${templateCount}`, ...fields });
+  expect(response.status).toBe(201);
+  return response.body;
+};
+
+describe('Templates API', () => {
+  describe('CRUD', () => {
+    it('should create a template and return its fields parsed', async () => {
+      const response = await api
+        .post('/api/templates')
+        .send({
+          name: 'Bug report',
+          category: 'work',
+          priority: 'high',
+          tags: ['bug'],
+          customFields: { severity: 'minor' },
+          checklist: ['Reproduce', 'Fix', 'Add regression test'],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        name: 'Bug report',
+        category: 'work',
+        priority: 'high',
+        tags: ['bug'],
+        custom_fields: { severity: 'minor' },
+        checklist: ['Reproduce', 'Fix', 'Add regression test'],
+        created_by: user.id,
+      });
+    });
+
+    it('should list, fetch and update templates', async () => {
+      const template = await createTemplate({ priority: 'low' });
+
+      const list = await api.get('/api/templates');
+      expect(list.body.map(t => t.id)).toContain(template.id);
+
+      const updated = await api
+        .put(`/api/templates/${template.id}`)
+        .send({ priority: 'critical', tags: ['ops'] });
+      expect(updated.status).toBe(200);
+      expect(updated.body).toMatchObject({ priority: 'critical', tags: ['ops'] });
+
+      const fetched = await api.get(`/api/templates/${template.id}`);
+      expect(fetched.body.priority).toBe('critical');
+    });
+
+    it('should validate template fields', async () => {
+      const missingName = await api.post('/api/templates').send({ category: 'work' });
+      const badPriority = await api.post('/api/templates').send({ name: 'X', priority: 'urgent' });
+      const badChecklist = await api.post('/api/templates').send({ name: 'Y', checklist: [''] });
+
+      expect(missingName.status).toBe(400);
+      expect(badPriority.status).toBe(400);
+      expect(badChecklist.status).toBe(400);
+    });
+
+    it('should reject duplicate names with 409', async () => {
+      const template = await createTemplate();
+
+      const response = await api.post('/api/templates').send({ name: template.name });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should delete a template and unlink items created from it', async () => {
+      const template = await createTemplate();
+      const item = await api
+        .post('/api/items/details')
+        .send({ name: 'From doomed template', templateId: template.id });
+
+      const response = await api.delete(`/api/templates/${template.id}`);
+
+      expect(response.status).toBe(200);
+      expect((await api.get(`/api/templates/${template.id}`)).status).toBe(404);
+      const row = db.prepare('SELECT template_id FROM item_details WHERE id = ?').get(item.body.id);
+      expect(row.template_id).toBeNull();
+    });
+  });
+
+  describe('creating items from a template', () => {
+    it('should fill in defaults and copy the checklist', async () => {
+      const template = await createTemplate({
+        category: 'work',
+        priority: 'high',
+        tags: ['release'],
+        customFields: { team: 'platform', size: 'M' },
+        checklist: ['Write notes', 'Tag build'],
+      });
+
+      const response = await api
+        .post('/api/items/details')
+        .send({ name: 'Release 1.2', templateId: template.id, customFields: { size: 'L' } });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        category: 'work',
+        priority: 'high',
+        template_id: template.id,
+      });
+      expect(JSON.parse(response.body.tags)).toEqual(['release']);
+      expect(JSON.parse(response.body.custom_fields)).toEqual({ team: 'platform', size: 'L' });
+      expect(JSON.parse(response.body.checklist)).toEqual([
+        { text: 'Write notes', done: false },
+        { text: 'Tag build', done: false },
+      ]);
+    });
+
+    it('should keep fields given explicitly', async () => {
+      const template = await createTemplate({ category: 'work', priority: 'high' });
+
+      const response = await api
+        .post('/api/items/details')
+        .send({ name: 'Override', templateId: template.id, priority: 'low' });
+
+      expect(response.body).toMatchObject({ category: 'work', priority: 'low' });
+    });
+
+    it('should reject an unknown template', async () => {
+      const response = await api
+        .post('/api/items/details')
+        .send({ name: 'Missing template', templateId: 99999 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Template 99999 does not exist');
+    });
+  });
+});
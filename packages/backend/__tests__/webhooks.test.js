@@ -0,0 +1,186 @@
+const http = require('http');
+const { app, db } = require('../src/app');
+const WebhookService = require('../src/services/WebhookService');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+
+const { api } = createAuthenticatedAgent(app, db, { username: 'hooky' });
+const { api: editor } = createAuthenticatedAgent(app, db, { username: 'hook-editor', role: 'editor' });
+
+// A fresh service with a short retry delay, delivering what the app queued
+const webhookService = new WebhookService(db, { maxAttempts: 3, retryDelayMs: 1000, timeoutMs: 2000 });
+
+/**
+ * A local receiver that records every request and answers with the status
+ * codes it is given, in turn, then 200.
+ */
+function startReceiver() {
+  const receiver = { requests: [], statuses: [] };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(receiver.statuses.shift() || 200, { 'Content-Type': 'text/plain' });
+      res.end('thanks');
+    });
+  });
+  return new Promise((resolve) => {
+    receiver.server.listen(0, '127.0.0.1', () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+      resolve(receiver);
+    });
+  });
+}
+
+let receiver;
+
+beforeAll(async () => {
+  receiver = await startReceiver();
+});
+
+beforeEach(() => {
+  receiver.requests.length = 0;
+  // Each test starts from its own subscriptions
+  db.prepare('DELETE FROM webhook_subscriptions').run();
+});
+
+// Close the receiver and the database connection after all tests
+afterAll(() => {
+  receiver.server.close();
+  if (db) {
+    db.close();
+  }
+});
+
+const subscribe = async (events, fields = {}) => {
+  const response = await api.post('/api/webhooks').send({ url: receiver.url, events, ...fields });
+  expect(response.status).toBe(201);
+  return response.body;
+};
+
+describe('Webhooks', () => {
+  it('should POST signed payloads for the subscribed events only', async () => {
+    const subscription = await subscribe(['item_details.updated', 'item_details.deleted']);
+    expect(subscription.secret).toHaveLength(48);
+
+    const created = await api.post('/api/items/details').send({ name: 'Hooked' });
+    await api.put(`/api/items/${created.body.id}/details`).send({ priority: 'high' });
+    await api.delete(`/api/items/${created.body.id}/details`);
+
+    expect(await webhookService.deliverPending()).toEqual({ sent: 2, retrying: 0, failed: 0 });
+    expect(receiver.requests.map(request => request.headers['x-webhook-event'])).toEqual([
+      'item_details.updated', 'item_details.deleted',
+    ]);
+
+    const [update] = receiver.requests;
+    const payload = JSON.parse(update.body);
+    expect(payload).toMatchObject({
+      event: 'item_details.updated',
+      actor: 'hooky',
+      data: { before: { priority: 'medium' }, item: { id: created.body.id, priority: 'high' } },
+    });
+    const timestamp = update.headers['x-webhook-timestamp'];
+    expect(update.headers['x-webhook-signature'])
+      .toBe(WebhookService.signPayload(subscription.secret, timestamp, update.body));
+    expect(update.headers['x-webhook-signature'])
+      .not.toBe(WebhookService.signPayload('some other secret', timestamp, update.body));
+  });
+
+  it('should log response codes and retry with exponential backoff', async () => {
+    const subscription = await subscribe(['*']);
+    receiver.statuses.push(500, 503);
+
+    await api.post('/api/items').send({ name: 'Plain item' });
+
+    const start = new Date(Date.now() + 1000);
+    expect(await webhookService.deliverPending(start)).toEqual({ sent: 0, retrying: 1, failed: 0 });
+    let [delivery] = (await api.get(`/api/webhooks/${subscription.id}/deliveries`)).body;
+    expect(delivery).toMatchObject({
+      event: 'item.created',
+      status: 'pending',
+      attempts: 1,
+      response_status: 500,
+      last_error: 'Receiver answered 500',
+    });
+    expect(Date.parse(delivery.next_attempt_at)).toBe(start.getTime() + 1000);
+
+    // Not due until the backoff has passed
+    expect(await webhookService.deliverPending(new Date(start.getTime() + 999))).toEqual({ sent: 0, retrying: 0, failed: 0 });
+
+    await webhookService.deliverPending(new Date(start.getTime() + 1000));
+    [delivery] = (await api.get(`/api/webhooks/${subscription.id}/deliveries`)).body;
+    expect(delivery).toMatchObject({ attempts: 2, response_status: 503 });
+    expect(Date.parse(delivery.next_attempt_at)).toBe(start.getTime() + 1000 + 2000);
+
+    await webhookService.deliverPending(new Date(start.getTime() + 3000));
+    [delivery] = (await api.get(`/api/webhooks/${subscription.id}/deliveries?status=delivered`)).body;
+    expect(delivery).toMatchObject({ attempts: 3, response_status: 200, response_body: 'thanks' });
+    expect(receiver.requests).toHaveLength(3);
+  });
+
+  it('should give up after the last attempt and allow redelivery', async () => {
+    const subscription = await subscribe(['item.created']);
+    receiver.statuses.push(500, 500, 500);
+
+    // Pings are sent whatever the subscription's event filter
+    const ping = await api.post(`/api/webhooks/${subscription.id}/ping`);
+    expect(ping.status).toBe(202);
+
+    const later = (seconds) => new Date(Date.now() + seconds * 1000);
+    await webhookService.deliverPending(later(1));
+    await webhookService.deliverPending(later(3));
+    expect(await webhookService.deliverPending(later(10))).toEqual({ sent: 0, retrying: 0, failed: 1 });
+    expect(webhookService.getDelivery(ping.body.id)).toMatchObject({ status: 'failed', attempts: 3 });
+
+    const redelivered = await api.post(`/api/webhooks/deliveries/${ping.body.id}/redeliver`);
+    expect(redelivered.body).toMatchObject({ status: 'pending', attempts: 0 });
+    expect(await webhookService.deliverPending(later(1))).toEqual({ sent: 1, retrying: 0, failed: 0 });
+  });
+
+  it('should record unreachable receivers as failed attempts', async () => {
+    const unreachable = http.createServer();
+    await new Promise(resolve => unreachable.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${unreachable.address().port}/gone`;
+    await new Promise(resolve => unreachable.close(resolve));
+
+    const subscription = await subscribe(['item.deleted'], { url });
+    const item = await api.post('/api/items').send({ name: 'Short-lived' });
+    await api.delete(`/api/items/${item.body.id}`);
+
+    await webhookService.deliverPending(new Date(Date.now() + 1000));
+    const [delivery] = webhookService.listDeliveries(subscription.id);
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, response_status: null });
+    expect(delivery.last_error).toMatch(/ECONNREFUSED/);
+  });
+
+  it('should skip inactive subscriptions', async () => {
+    const subscription = await subscribe(['item_details.created']);
+    await api.put(`/api/webhooks/${subscription.id}`).send({ active: false });
+
+    await api.post('/api/items/details').send({ name: 'Quiet' });
+
+    expect(webhookService.listDeliveries(subscription.id)).toEqual([]);
+  });
+
+  it('should validate subscriptions, hide secrets and require the admin role', async () => {
+    const invalid = [
+      { url: 'ftp://example.com', events: ['*'] },
+      { url: 'not a url', events: ['*'] },
+      { url: receiver.url, events: [] },
+      { url: receiver.url, events: ['item.renamed'] },
+      { url: receiver.url, events: ['*'], secret: 'short' },
+    ];
+    for (const body of invalid) {
+      expect((await api.post('/api/webhooks').send(body)).status).toBe(400);
+    }
+
+    const subscription = await subscribe(['*'], { secret: 'a shared secret of some length' });
+    expect(subscription.secret).toBe('a shared secret of some length');
+    const listed = await api.get('/api/webhooks');
+    expect(listed.body[0]).not.toHaveProperty('secret');
+
+    expect((await editor.get('/api/webhooks')).status).toBe(403);
+    expect((await api.delete(`/api/webhooks/${subscription.id}`)).status).toBe(200);
+    expect((await api.get(`/api/webhooks/${subscription.id}`)).status).toBe(404);
+  });
+});
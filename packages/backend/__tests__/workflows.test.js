@@ -0,0 +1,173 @@
+const { app, db } = require('../src/app');
+const { createAuthenticatedAgent } = require('./helpers/auth');
+const { createItem } = require('./helpers/items');
+
+const { api } = createAuthenticatedAgent(app, db);
+
+// Close the database connection after all tests
+afterAll(() => {
+  if (db) {
+    db.close();
+  }
+});
+
+// A review workflow: drafts need an assignee before review, and only
+// reviewed items can be published
+const reviewWorkflow = {
+  name: 'Review',
+  stages: [
+    { key: 'draft', label: 'Draft', status: 'active' },
+    { key: 'in_review', label: 'In review', status: 'pending' },
+    { key: 'published', label: 'Published', status: 'completed' },
+    { key: 'rejected', label: 'Rejected', status: 'cancelled' },
+  ],
+  transitions: [
+    { from: 'draft', to: 'in_review', guards: { requiredFields: ['assignee', 'due_date'] } },
+    { from: 'in_review', to: 'published' },
+    { from: 'in_review', to: 'rejected' },
+    { from: 'in_review', to: 'draft' },
+  ],
+};
+
+let workflowId;
+
+beforeAll(async () => {
+  const response = await api.post('/api/workflows').send(reviewWorkflow);
+  expect(response.status).toBe(201);
+  workflowId = response.body.id;
+});
+
+const createWorkflowItem = (fields = {}) => createItem(api, { name: 'Workflow item', workflowId, ...fields });
+
+const moveTo = (itemId, changes) => api.put(`/api/items/${itemId}/details`).send(changes);
+
+describe('Workflows', () => {
+  describe('definitions', () => {
+    it('should list the default workflow first', async () => {
+      const response = await api.get('/api/workflows');
+
+      expect(response.status).toBe(200);
+      expect(response.body[0]).toMatchObject({ name: 'Default', is_default: true, initial_stage: 'active' });
+      expect(response.body.find(workflow => workflow.id === workflowId).stages).toHaveLength(4);
+    });
+
+    it('should reject invalid workflows', async () => {
+      const stages = [{ key: 'open', status: 'active' }, { key: 'done', status: 'completed' }];
+      const cases = [
+        { name: 'No stages', stages: [] },
+        { name: 'Bad status', stages: [{ key: 'open', status: 'waiting' }] },
+        { name: 'Bad key', stages: [{ key: 'Open', status: 'active' }] },
+        { name: 'Unknown stage', stages, transitions: [{ from: 'open', to: 'closed' }] },
+        { name: 'Bad guard', stages, transitions: [{ from: 'open', to: 'done', guards: { requiredFields: ['owner'] } }] },
+        { name: 'Bad initial', stages, initialStage: 'closed' },
+      ];
+
+      for (const workflow of cases) {
+        const response = await api.post('/api/workflows').send(workflow);
+        expect(response.status).toBe(400);
+      }
+    });
+
+    it('should refuse to delete a workflow that items follow', async () => {
+      await createWorkflowItem();
+
+      const response = await api.delete(`/api/workflows/${workflowId}`);
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should refuse to drop a stage that still holds items', async () => {
+      await createWorkflowItem();
+
+      const response = await api.put(`/api/workflows/${workflowId}`).send({
+        stages: reviewWorkflow.stages.filter(stage => stage.key !== 'draft'),
+        transitions: [],
+        initialStage: 'in_review',
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.stages).toEqual(['draft']);
+    });
+  });
+
+  describe('items', () => {
+    it('should start new items in the initial stage', async () => {
+      const item = await createWorkflowItem();
+      const onDefault = await api.post('/api/items/details').send({ name: 'Default item' });
+
+      expect(item).toMatchObject({ workflow_id: workflowId, workflow_stage: 'draft', status: 'active' });
+      expect(onDefault.body).toMatchObject({ workflow_stage: 'active', status: 'active' });
+    });
+
+    it('should move items along allowed transitions and set the status', async () => {
+      const item = await createWorkflowItem({ assignee: 'alice', dueDate: '2030-01-01' });
+
+      const reviewed = await moveTo(item.id, { workflowStage: 'in_review' });
+      const published = await moveTo(item.id, { workflowStage: 'published' });
+
+      expect(reviewed.status).toBe(200);
+      expect(published.body).toMatchObject({ workflow_stage: 'published', status: 'completed' });
+    });
+
+    it('should reject transitions the workflow does not allow', async () => {
+      const item = await createWorkflowItem();
+
+      const response = await moveTo(item.id, { workflowStage: 'published' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Cannot move from "Draft" to "Published"');
+      expect(response.body.allowed.map(stage => stage.key)).toEqual(['in_review']);
+    });
+
+    it('should enforce required fields, counting those sent with the move', async () => {
+      const item = await createWorkflowItem({ assignee: 'alice' });
+
+      const blocked = await moveTo(item.id, { workflowStage: 'in_review' });
+      expect(blocked.status).toBe(409);
+      expect(blocked.body.missingFields).toEqual(['due_date']);
+
+      const allowed = await moveTo(item.id, { workflowStage: 'in_review', dueDate: '2030-01-01' });
+      expect(allowed.status).toBe(200);
+    });
+
+    it('should map a status change onto a reachable stage', async () => {
+      const item = await createWorkflowItem({ assignee: 'alice', dueDate: '2030-01-01' });
+      await moveTo(item.id, { workflowStage: 'in_review' });
+
+      const cancelled = await moveTo(item.id, { status: 'cancelled' });
+      const reopened = await moveTo(item.id, { status: 'active' });
+
+      expect(cancelled.body).toMatchObject({ workflow_stage: 'rejected', status: 'cancelled' });
+      expect(reopened.status).toBe(409);
+    });
+
+    it('should reject an unknown stage or one contradicting the status', async () => {
+      const item = await createWorkflowItem();
+
+      const unknown = await moveTo(item.id, { workflowStage: 'shipped' });
+      const contradicting = await moveTo(item.id, { workflowStage: 'in_review', status: 'completed' });
+
+      expect(unknown.status).toBe(400);
+      expect(contradicting.status).toBe(400);
+    });
+
+    it('should list the next stages and whether each can be taken', async () => {
+      const item = await createWorkflowItem({ assignee: 'alice' });
+
+      const response = await api.get(`/api/items/${item.id}/workflow`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.workflow).toEqual({ id: workflowId, name: 'Review' });
+      expect(response.body.current.key).toBe('draft');
+      expect(response.body.transitions).toEqual([
+        expect.objectContaining({ key: 'in_review', allowed: false, missing_fields: ['due_date'] }),
+      ]);
+    });
+
+    it('should return 404 for the workflow of a missing item', async () => {
+      const response = await api.get('/api/items/99999/workflow');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
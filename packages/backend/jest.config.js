@@ -4,5 +4,6 @@ module.exports = {
   collectCoverage: true,
   coverageDirectory: 'coverage',
   coveragePathIgnorePatterns: ['/node_modules/'],
+  testPathIgnorePatterns: ['/node_modules/', '/__tests__/helpers/'],
   testMatch: ['**/__tests__/**/*.js', '**/?(*.)+(spec|test).js'],
 };
\ No newline at end of file
@@ -1,8 +1,60 @@
+const { pipeline, Readable } = require('stream');
 const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
-const Database = require('better-sqlite3');
+const config = require('./config');
+const { initializeDatabase } = require('./db/database');
 const ItemDetailsController = require('./controllers/ItemDetailsController');
+const ItemVersionService = require('./services/ItemVersionService');
+const AuditLogService = require('./services/AuditLogService');
+const CommentService = require('./services/CommentService');
+const AttachmentService = require('./services/AttachmentService');
+const DependencyService = require('./services/DependencyService');
+const HierarchyService = require('./services/HierarchyService');
+const LinkService = require('./services/LinkService');
+const TemplateService = require('./services/TemplateService');
+const CustomFieldService = require('./services/CustomFieldService');
+const AuthService = require('./services/AuthService');
+const PermissionService = require('./services/PermissionService');
+const WorkflowService = require('./services/WorkflowService');
+const ApprovalService = require('./services/ApprovalService');
+const ReminderService = require('./services/ReminderService');
+const ReminderScheduler = require('./services/ReminderScheduler');
+const NotificationService = require('./services/NotificationService');
+const WebhookService = require('./services/WebhookService');
+const OutboxDispatcher = require('./services/OutboxDispatcher');
+const ItemEventService = require('./services/ItemEventService');
+const ItemQueryService = require('./services/ItemQueryService');
+const SearchService = require('./services/SearchService');
+const ItemCsvService = require('./services/ItemCsvService');
+const ItemExportService = require('./services/ItemExportService');
+const ReportService = require('./services/ReportService');
+const { createChannels } = require('./services/channels');
+const createItemVersionRoutes = require('./routes/itemVersions');
+const createAuditRoutes = require('./routes/audit');
+const createCommentRoutes = require('./routes/comments');
+const createAttachmentRoutes = require('./routes/attachments');
+const createDependencyRoutes = require('./routes/dependencies');
+const createHierarchyRoutes = require('./routes/hierarchy');
+const createLinkRoutes = require('./routes/links');
+const createTemplateRoutes = require('./routes/templates');
+const createCustomFieldRoutes = require('./routes/customFields');
+const createAuthRoutes = require('./routes/auth');
+const createUserRoutes = require('./routes/users');
+const createItemPermissionRoutes = require('./routes/itemPermissions');
+const createWorkflowRoutes = require('./routes/workflows');
+const createItemWorkflowRoutes = require('./routes/itemWorkflow');
+const createApprovalRoutes = require('./routes/approvals');
+const createReminderRoutes = require('./routes/reminders');
+const createNotificationRoutes = require('./routes/notifications');
+const createWebhookRoutes = require('./routes/webhooks');
+const createEventRoutes = require('./routes/events');
+const createSearchRoutes = require('./routes/search');
+const createReportRoutes = require('./routes/reports');
+const { createAuthMiddleware } = require('./middleware/authenticate');
+const { requireRole, requireItemPermission } = require('./middleware/authorize');
+const { sendError } = require('./utils/errors');
+const { toETag, parseIfMatch } = require('./utils/etag');
 
 // Initialize express app
 const app = express();
@@ -12,97 +64,101 @@ app.use(cors());
 app.use(express.json());
 app.use(morgan('dev'));
 
-// Initialize in-memory SQLite database
-const db = new Database(':memory:');
-
-// Create tables
-db.exec(`
-  CREATE TABLE IF NOT EXISTS items (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-  )
-`);
-
-db.exec(`
-  CREATE TABLE IF NOT EXISTS item_details (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    description TEXT,
-    category TEXT,
-    priority TEXT DEFAULT 'medium',
-    tags TEXT, -- JSON string
-    status TEXT DEFAULT 'active',
-    due_date TEXT,
-    assignee TEXT,
-    created_by TEXT,
-    custom_fields TEXT, -- JSON string
-    attachment_ids TEXT, -- JSON string
-    metadata TEXT, -- JSON string
-    dependencies TEXT, -- JSON string
-    estimated_hours REAL,
-    budget REAL,
-    location TEXT,
-    external_refs TEXT, -- JSON string
-    workflow_stage TEXT,
-    approval_required BOOLEAN DEFAULT 0,
-    template_id INTEGER,
-    parent_item_id INTEGER,
-    linked_items TEXT, -- JSON string
-    reminder_settings TEXT, -- JSON string
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-  )
-`);
-
-// Insert some initial data
-const initialItems = ['Item 1', 'Item 2', 'Item 3'];
+// Open the SQLite database and bring its schema up to date
+const { db, version } = initializeDatabase(config.databasePath);
+console.log(`Database ready at ${config.databasePath} (schema version ${version})`);
+
 const insertStmt = db.prepare('INSERT INTO items (name) VALUES (?)');
 
-initialItems.forEach(item => {
-  insertStmt.run(item);
+// Initialize services and the ItemDetailsController that coordinates them
+const itemVersionService = new ItemVersionService(db);
+const auditLogService = new AuditLogService(db);
+const commentService = new CommentService(db);
+const attachmentService = new AttachmentService(db, config.attachments);
+const dependencyService = new DependencyService(db);
+const hierarchyService = new HierarchyService(db);
+const linkService = new LinkService(db);
+const customFieldService = new CustomFieldService(db);
+const templateService = new TemplateService(db, customFieldService);
+const authService = new AuthService(db, config.auth);
+const permissionService = new PermissionService(db);
+const itemQueryService = new ItemQueryService(db, { customFieldService, permissionService });
+const searchService = new SearchService(db, { permissionService });
+const reportService = new ReportService(db, { itemQueryService });
+const workflowService = new WorkflowService(db);
+const approvalService = new ApprovalService(db);
+const notificationService = new NotificationService(db, {
+  ...config.notifications,
+  channels: createChannels(config.notifications),
+});
+const webhookService = new WebhookService(db, config.webhooks);
+const itemEventService = new ItemEventService(db, { webhookService, retainCount: config.events.retainCount });
+const reminderService = new ReminderService(db, {
+  onFire: reminder => notificationService.notifyReminder(reminder),
+});
+// Started by index.js, so tests do not fire reminders or send notifications in the background
+const reminderScheduler = new ReminderScheduler(reminderService, config.reminders);
+const notificationDispatcher = new OutboxDispatcher(notificationService, {
+  name: 'Notifications',
+  pollIntervalMs: config.notifications.pollIntervalMs,
+});
+const webhookDispatcher = new OutboxDispatcher(webhookService, {
+  name: 'Webhooks',
+  pollIntervalMs: config.webhooks.pollIntervalMs,
+});
+const itemDetailsController = new ItemDetailsController(db, {
+  versionService: itemVersionService,
+  auditService: auditLogService,
+  commentService,
+  attachmentService,
+  dependencyService,
+  hierarchyService,
+  linkService,
+  templateService,
+  customFieldService,
+  permissionService,
+  workflowService,
+  approvalService,
+  reminderService,
+  notificationService,
+  itemEventService,
 });
+const itemCsvService = new ItemCsvService(
+  db,
+  { itemQueryService, customFieldService, itemDetailsController },
+  { maxRows: config.imports.maxRows }
+);
+const itemExportService = new ItemExportService(db, { itemQueryService, itemCsvService });
 
-console.log('In-memory database initialized with sample data');
-
-// Initialize ItemDetailsController
-const itemDetailsController = new ItemDetailsController(db);
-
-// Insert some sample detailed items with problematic function calls that will cause runtime errors
-try {
-  // This will cause errors due to the long parameter list and missing functions in the controller
-  db.prepare(`
-    INSERT INTO item_details (
-      name, description, category, priority, status, created_by, created_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?)
-  `).run(
-    'Sample Detail Item 1',
-    'This is a sample item with detailed information that will be used for refactoring exercises',
-    'work',
-    'high',
-    'active',
-    'system',
-    new Date().toISOString()
-  );
+const archivedCount = auditLogService.archiveOlderThan(config.auditRetentionDays);
+if (archivedCount > 0) {
+  console.log(`Archived ${archivedCount} audit entries older than ${config.auditRetentionDays} days`);
+}
 
-  db.prepare(`
-    INSERT INTO item_details (
-      name, description, category, priority, status, created_by, created_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?)
-  `).run(
-    'Sample Detail Item 2',
-    'Another sample item for testing the details functionality',
-    'personal',
-    'medium',
-    'pending',
-    'system',
-    new Date().toISOString()
-  );
+const backfilledCount = reminderService.scheduleUnscheduledItems();
+if (backfilledCount > 0) {
+  console.log(`Scheduled reminders for ${backfilledCount} existing items`);
+}
 
-  console.log('Sample detailed items created for refactoring exercises');
-} catch (error) {
-  console.error('Error creating sample detailed items:', error);
+const initialUser = authService.ensureInitialUser(config.auth.initialUser);
+if (initialUser?.generatedPassword) {
+  console.log(
+    `Created initial user "${initialUser.user.id}" with the password ${initialUser.generatedPassword}; `
+    + 'it is not shown again, so change it now or set ADMIN_PASSWORD'
+  );
+} else if (initialUser) {
+  console.log(`Created initial user "${initialUser.user.id}"; change its password before going live`);
 }
+authService.pruneExpiredSessions();
+
+// Every API request needs a session, apart from logging in and out
+app.use('/api', createAuthMiddleware(authService, { publicPaths: ['/auth/login', '/auth/logout'] }));
+app.use('/api/auth', createAuthRoutes(authService));
+app.use(
+  '/api/users',
+  requireRole(permissionService, 'admin', { writesOnly: true }),
+  createUserRoutes(authService)
+);
 
 // API Routes
 app.get('/api/items', (req, res) => {
@@ -115,7 +171,7 @@ app.get('/api/items', (req, res) => {
   }
 });
 
-app.post('/api/items', (req, res) => {
+app.post('/api/items', requireRole(permissionService, 'editor'), (req, res) => {
   try {
     const { name } = req.body;
     
@@ -123,10 +179,20 @@ app.post('/api/items', (req, res) => {
       return res.status(400).json({ error: 'Item name is required' });
     }
     
-    const result = insertStmt.run(name);
-    const id = result.lastInsertRowid;
-    
-    const newItem = db.prepare('SELECT * FROM items WHERE id = ?').get(id);
+    const newItem = db.transaction(() => {
+      const result = insertStmt.run(name);
+      const item = db.prepare('SELECT * FROM items WHERE id = ?').get(result.lastInsertRowid);
+      auditLogService.record({
+        actor: req.user?.id || 'anonymous',
+        action: 'item_created',
+        entityType: 'item',
+        itemId: item.id,
+        after: item,
+      });
+      itemEventService.record('item.created', { item }, req.user?.id);
+      return item;
+    })();
+
     res.status(201).json(newItem);
   } catch (error) {
     console.error('Error creating item:', error);
@@ -134,7 +200,7 @@ app.post('/api/items', (req, res) => {
   }
 });
 
-app.delete('/api/items/:id', (req, res) => {
+app.delete('/api/items/:id', requireRole(permissionService, 'editor'), (req, res) => {
   try {
     const { id } = req.params;
     
@@ -142,10 +208,26 @@ app.delete('/api/items/:id', (req, res) => {
       return res.status(400).json({ error: 'Valid item ID is required' });
     }
     
-    const deleteStmt = db.prepare('DELETE FROM items WHERE id = ?');
-    const result = deleteStmt.run(parseInt(id));
+    const deletedItem = db.transaction(() => {
+      const item = db.prepare('SELECT * FROM items WHERE id = ?').get(parseInt(id));
+      if (!item) {
+        return null;
+      }
+
+      auditLogService.archiveItemLogs('item', item.id);
+      db.prepare('DELETE FROM items WHERE id = ?').run(item.id);
+      auditLogService.record({
+        actor: req.user?.id || 'anonymous',
+        action: 'item_deleted',
+        entityType: 'item',
+        itemId: item.id,
+        before: item,
+      });
+      itemEventService.record('item.deleted', { item }, req.user?.id);
+      return item;
+    })();
     
-    if (result.changes === 0) {
+    if (!deletedItem) {
       return res.status(404).json({ error: 'Item not found' });
     }
     
@@ -166,16 +248,18 @@ app.get('/api/items/:id/details', async (req, res) => {
   }
 });
 
-app.post('/api/items/details', async (req, res) => {
+app.post('/api/items/details', requireRole(permissionService, 'editor'), async (req, res) => {
   try {
     const {
       name, description, category, priority, tags, status, dueDate,
       assignee, createdBy, customFields, attachments, permissions,
-      validationLevel, notificationSettings, auditEnabled, backupEnabled,
+      validationLevel, notificationSettings, backupEnabled,
       versionControl, metadata, dependencies, estimatedHours, budget,
       location, externalRefs, workflowStage, approvalRequired, templateId,
-      parentItemId, linkedItems, reminderSettings
+      parentItemId, linkedItems, reminderSettings, workflowId
     } = req.body;
+    // Every create is audited; the request cannot switch it off
+    const auditEnabled = true;
 
     // This will cause runtime errors due to the problematic function with too many parameters
     await itemDetailsController.createDetailedItem(
@@ -184,7 +268,7 @@ app.post('/api/items/details', async (req, res) => {
       validationLevel, notificationSettings, auditEnabled, backupEnabled,
       versionControl, metadata, dependencies, estimatedHours, budget,
       location, externalRefs, workflowStage, approvalRequired, templateId,
-      parentItemId, linkedItems, reminderSettings
+      parentItemId, linkedItems, reminderSettings, workflowId
     );
   } catch (error) {
     console.error('Error creating detailed item:', error);
@@ -192,7 +276,17 @@ app.post('/api/items/details', async (req, res) => {
   }
 });
 
-app.put('/api/items/:id/details', async (req, res) => {
+// A batch of creates, updates and deletes applied in one transaction
+app.post('/api/items/details/bulk', requireRole(permissionService, 'editor'), async (req, res) => {
+  try {
+    const { operations, mode } = req.body;
+    res.json(await itemDetailsController.runBulkOperations(operations, req.user, { mode }));
+  } catch (error) {
+    sendError(res, error, 'Failed to run bulk operations');
+  }
+});
+
+app.put('/api/items/:id/details', requireItemPermission(permissionService, 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -202,21 +296,28 @@ app.put('/api/items/:id/details', async (req, res) => {
       id, updates, req.user?.id || 'anonymous', req.user?.role || 'user',
       req.permissions, req.validationRules, req.auditOptions,
       req.notificationOptions, req.backupOptions, req.versioningOptions,
-      req.conflictResolution, req.retryPolicy, req.timeoutSettings,
+      { expectedVersions: parseIfMatch(req.get('If-Match')) }, req.retryPolicy, req.timeoutSettings,
       req.cachingStrategy, req.loggingLevel, req.performanceTracking,
       req.securityContext, req.transactionOptions, req.rollbackStrategy,
       req.successCallbacks, req.errorCallbacks, req.progressCallbacks,
       req.customValidators, req.postProcessors, req.preProcessors
     );
-    
-    res.json(result);
+
+    // Changes held for approval leave the item as it was
+    res.set('ETag', toETag(result.row_version));
+    res.status(result.pending_approval ? 202 : 200).json(result);
   } catch (error) {
-    console.error('Error updating detailed item:', error);
-    res.status(500).json({ error: 'Failed to update detailed item' });
+    sendError(res, error, 'Failed to update detailed item');
   }
 });
 
-app.delete('/api/items/:id/details', async (req, res) => {
+app.use(
+  '/api/items/:id/details/versions',
+  requireItemPermission(permissionService, 'update', { writesOnly: true }),
+  createItemVersionRoutes(itemVersionService, itemDetailsController)
+);
+
+app.delete('/api/items/:id/details', requireItemPermission(permissionService, 'delete'), async (req, res) => {
   try {
     await itemDetailsController.deleteItemWithCleanup(req, res);
   } catch (error) {
@@ -225,15 +326,75 @@ app.delete('/api/items/:id/details', async (req, res) => {
   }
 });
 
-// Route to get all detailed items (for testing purposes)
+// Lists detailed items; see ItemQueryService for the filter, sort and paging parameters
 app.get('/api/items/details', (req, res) => {
   try {
-    const detailedItems = db.prepare('SELECT * FROM item_details ORDER BY created_at DESC').all();
-    res.json(detailedItems);
+    const { items, total, nextCursor } = itemQueryService.list(req.query, req.user);
+    res.set('X-Total-Count', String(total));
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
+    }
+    res.json(items);
   } catch (error) {
-    console.error('Error fetching detailed items:', error);
-    res.status(500).json({ error: 'Failed to fetch detailed items' });
+    sendError(res, error, 'Failed to fetch detailed items');
   }
 });
 
-module.exports = { app, db, insertStmt };
\ No newline at end of file
+// The list as a csv, jsonl or xml file, taking the same filter and sort
+// parameters. Streamed, so only the rows waiting to be sent are in memory.
+app.get('/api/items/details/export.:format', (req, res) => {
+  try {
+    const { contentType, filename, chunks } = itemExportService.exportItems(req.params.format, req.query);
+    res.attachment(filename).set('Content-Type', `${contentType}; charset=utf-8`);
+    pipeline(Readable.from(chunks), res, (error) => {
+      // Headers are already sent, so a failure can only cut the download short;
+      // a client that went away needs no log line
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error(`Error exporting items as ${req.params.format}:`, error);
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to export items');
+  }
+});
+
+// Creates items from a CSV body; ?mapping[Header]=column renames columns, ?dryRun=true only validates
+app.post(
+  '/api/items/details/import',
+  requireRole(permissionService, 'editor'),
+  express.text({ type: 'text/csv', limit: config.imports.maxBytes }),
+  (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === 'true';
+      const result = itemCsvService.importCsv(req.body, req.user, { mapping: req.query.mapping, dryRun });
+      res.status(dryRun ? 200 : 201).json(result);
+    } catch (error) {
+      sendError(res, error, 'Failed to import items');
+    }
+  }
+);
+
+// Changing anything attached to an item needs write access to the item itself
+const canChangeItem = requireItemPermission(permissionService, 'update', { writesOnly: true });
+const adminWrites = requireRole(permissionService, 'admin', { writesOnly: true });
+
+app.use('/api/items/:id/comments', canChangeItem, createCommentRoutes(commentService, permissionService));
+app.use('/api/items/:id/attachments', canChangeItem, createAttachmentRoutes(attachmentService));
+app.use('/api/items/:id/dependencies', createDependencyRoutes(dependencyService));
+app.use('/api/items/:id/links', canChangeItem, createLinkRoutes(linkService, permissionService));
+app.use('/api/items/:id/permissions', createItemPermissionRoutes(permissionService));
+app.use('/api/items/:id/workflow', createItemWorkflowRoutes(workflowService));
+app.use('/api/items/:id', canChangeItem, createHierarchyRoutes(hierarchyService, itemDetailsController));
+app.use('/api/audit', requireRole(permissionService, 'admin'), createAuditRoutes(auditLogService));
+app.use('/api/templates', adminWrites, createTemplateRoutes(templateService));
+app.use('/api/custom-fields', adminWrites, createCustomFieldRoutes(customFieldService));
+app.use('/api/workflows', adminWrites, createWorkflowRoutes(workflowService));
+app.use('/api/approvals', adminWrites, createApprovalRoutes(approvalService, itemDetailsController));
+app.use('/api/reminders', createReminderRoutes(reminderService));
+app.use('/api/notifications', createNotificationRoutes(notificationService, permissionService));
+app.use('/api/webhooks', requireRole(permissionService, 'admin'), createWebhookRoutes(webhookService));
+app.use('/api/events', createEventRoutes(itemEventService, permissionService, config.events));
+app.use('/api/search', createSearchRoutes(searchService));
+app.use('/api/reports', createReportRoutes(reportService));
+
+module.exports = { app, db, insertStmt, reminderScheduler, notificationDispatcher, webhookDispatcher };
\ No newline at end of file
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+
+const isTest = process.env.NODE_ENV === 'test';
+const dataDir = path.join(__dirname, '..', 'data');
+
+/**
+ * Runtime configuration for the backend, resolved from environment variables.
+ * Tests run against an in-memory database and a throwaway upload directory
+ * unless DB_PATH / UPLOADS_PATH are set explicitly.
+ */
+const config = {
+  port: process.env.PORT || 3030,
+  databasePath: process.env.DB_PATH
+    || (isTest ? ':memory:' : path.join(dataDir, 'app.db')),
+  // Audit entries older than this are moved to the archive at startup
+  auditRetentionDays: Number(process.env.AUDIT_RETENTION_DAYS || 90),
+  attachments: {
+    storagePath: process.env.UPLOADS_PATH
+      || (isTest
+        ? path.join(os.tmpdir(), `backend-uploads-${crypto.randomUUID()}`)
+        : path.join(dataDir, 'uploads')),
+    maxFileSize: Number(process.env.MAX_UPLOAD_BYTES || 10 * 1024 * 1024),
+    allowedFormats: ['jpg', 'png', 'pdf'],
+  },
+  auth: {
+    // Signs session tokens. Without AUTH_SECRET every restart logs everyone out.
+    secret: process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex'),
+    sessionTtlHours: Number(process.env.SESSION_TTL_HOURS || 12),
+    // Account created on first start, when there are no users yet. Without
+    // ADMIN_PASSWORD a random password is generated and printed once.
+    initialUser: {
+      username: process.env.ADMIN_USERNAME || 'admin',
+      password: process.env.ADMIN_PASSWORD,
+    },
+  },
+  reminders: {
+    // How often the scheduler looks for reminders that have come due
+    pollIntervalMs: Number(process.env.REMINDER_POLL_MS || 60 * 1000),
+  },
+  notifications: {
+    // Channel adapters to load; users can still switch each one off for themselves
+    channels: (process.env.NOTIFICATION_CHANNELS || 'in_app,log,email')
+      .split(',').map(channel => channel.trim()).filter(Boolean),
+    // Defaults suit a local mail catcher such as MailHog or smtp4dev
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT || 1025),
+      from: process.env.SMTP_FROM || 'notifications@localhost',
+    },
+    maxAttempts: Number(process.env.NOTIFICATION_MAX_ATTEMPTS || 5),
+    // Wait before the first retry of a failed delivery; doubles on each further failure
+    retryDelayMs: Number(process.env.NOTIFICATION_RETRY_MS || 30 * 1000),
+    pollIntervalMs: Number(process.env.NOTIFICATION_POLL_MS || 5 * 1000),
+  },
+  webhooks: {
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+    // Wait before the first retry of a failed delivery; doubles on each further failure
+    retryDelayMs: Number(process.env.WEBHOOK_RETRY_MS || 10 * 1000),
+    // How long a receiver has to answer before the attempt counts as failed
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 10 * 1000),
+    pollIntervalMs: Number(process.env.WEBHOOK_POLL_MS || 5 * 1000),
+  },
+  imports: {
+    // Largest CSV body accepted by the item import
+    maxBytes: Number(process.env.IMPORT_MAX_BYTES || 5 * 1024 * 1024),
+    maxRows: Number(process.env.IMPORT_MAX_ROWS || 5000),
+  },
+  events: {
+    // Recent changes kept so clients of the event stream can catch up after reconnecting
+    retainCount: Number(process.env.EVENT_RETAIN_COUNT || 1000),
+    heartbeatMs: Number(process.env.EVENT_HEARTBEAT_MS || 25 * 1000),
+    retryMs: Number(process.env.EVENT_RETRY_MS || 3 * 1000),
+  },
+};
+
+module.exports = config;
@@ -1,5 +1,9 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
+const { HttpError, NotFoundError, ValidationError, sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+const { toETag } = require('../utils/etag');
+const { JSON_COLUMNS } = require('../utils/itemRows');
 
 /**
  * ItemDetailsController - Controller for managing detailed item operations
@@ -15,12 +19,6 @@ const fs = require('fs'); // Never used
 const path = require('path'); // Never used
 const crypto = require('crypto'); // Never used
 
-const UNUSED_CONFIG = {
-  maxFileSize: '10MB',
-  allowedFormats: ['jpg', 'png', 'pdf'],
-  deprecated: true
-};
-
 // Dead code - unused utility functions
 function unusedValidationHelper(data) {
   console.log('This function is never called');
@@ -36,10 +34,156 @@ function deprecatedDataTransform(input, options) {
   }));
 }
 
+// item_details columns that may be changed through an update. `dependencies`
+// and `linked_items` are written by DependencyService and LinkService, which
+// keep them in step with their tables.
+const UPDATABLE_COLUMNS = [
+  'name', 'description', 'category', 'priority', 'tags', 'status', 'due_date',
+  'assignee', 'custom_fields', 'metadata', 'estimated_hours',
+  'budget', 'location', 'external_refs', 'workflow_stage', 'approval_required',
+  'template_id', 'parent_item_id', 'reminder_settings', 'checklist'
+];
+
+const toCamelCase = (column) => column.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * Maps request fields (column names or their camelCase form) onto
+ * item_details columns, serializing JSON columns. Unknown fields are dropped.
+ *
+ * @param {Object} updates - Fields from the request body
+ * @returns {Object} - Column name to value
+ */
+function toColumnUpdates(updates) {
+  return UPDATABLE_COLUMNS.reduce((columns, column) => {
+    const key = [column, toCamelCase(column)].find(candidate => updates[candidate] !== undefined);
+    if (key === undefined) {
+      return columns;
+    }
+
+    const value = updates[key];
+    if (JSON_COLUMNS.includes(column) && value !== null && typeof value !== 'string') {
+      columns[column] = JSON.stringify(value);
+    } else if (typeof value === 'boolean') {
+      columns[column] = value ? 1 : 0;
+    } else {
+      columns[column] = value;
+    }
+    return columns;
+  }, {});
+}
+
+// How a bulk request handles a failed operation: roll back the whole batch,
+// or undo just that operation and carry on with the rest
+const BULK_MODES = ['all_or_nothing', 'continue_on_error'];
+const BULK_ACTIONS = ['create', 'update', 'delete'];
+const MAX_BULK_OPERATIONS = 100;
+
+/**
+ * Describes a failed bulk operation. Unexpected errors are logged and
+ * reported without their message, as sendError does for a single request.
+ *
+ * @param {Error} error - The error the operation threw
+ * @returns {Object} - `outcome`, `status`, `error` and any error details
+ */
+function describeFailure(error) {
+  if (error instanceof HttpError) {
+    return { outcome: 'failed', status: error.status, error: error.message, ...error.details };
+  }
+  console.error('Bulk operation failed:', error);
+  return { outcome: 'failed', status: 500, error: 'Operation failed' };
+}
+
+/**
+ * Runs each pre-processor over the updates in turn.
+ *
+ * @param {Object} updates - Fields from the request body
+ * @param {Array<Function>} [preProcessors] - Functions of `(updates) => updates`
+ * @returns {Object} - The processed updates
+ */
+function applyPreProcessors(updates, preProcessors = []) {
+  return preProcessors.reduce((current, processor) => processor(current), { ...updates });
+}
+
+/**
+ * Runs custom validators against the updates.
+ *
+ * @param {Object} updates - Processed fields
+ * @param {Array<Function>} [customValidators] - Functions returning an error message or nothing
+ * @returns {{ isValid: boolean, errors: Array<string> }}
+ */
+function validateWithCustomRules(updates, customValidators = []) {
+  const errors = customValidators
+    .map(validator => validator(updates))
+    .filter(Boolean);
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Hands the updated row to each post-processor.
+ *
+ * @param {Object} item - The updated item_details row
+ * @param {Array<Function>} [postProcessors] - Functions of `(item) => void | Promise`
+ */
+async function handlePostProcessing(item, postProcessors = []) {
+  for (const processor of postProcessors) {
+    await processor(item);
+  }
+}
+
 class ItemDetailsController {
-  constructor(database) {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   * @param {Object} services - Collaborating services
+   * @param {ItemVersionService} services.versionService - Item version store
+   * @param {AuditLogService} services.auditService - Audit trail
+   * @param {CommentService} services.commentService - Item comments
+   * @param {AttachmentService} services.attachmentService - Item file attachments
+   * @param {DependencyService} services.dependencyService - Dependency graph between items
+   * @param {HierarchyService} services.hierarchyService - Parent/child tree of items
+   * @param {LinkService} services.linkService - Typed links between items
+   * @param {TemplateService} services.templateService - Item templates
+   * @param {CustomFieldService} services.customFieldService - Custom field definitions
+   * @param {PermissionService} services.permissionService - Roles and per-item grants
+   * @param {WorkflowService} services.workflowService - Workflow stages and transitions
+   * @param {ApprovalService} services.approvalService - Changes awaiting approval
+   * @param {ReminderService} services.reminderService - Due date reminders
+   * @param {NotificationService} services.notificationService - Notification outbox
+   * @param {ItemEventService} services.itemEventService - Change feed for the event stream and webhooks
+   */
+  constructor(database, {
+    versionService,
+    auditService,
+    commentService,
+    attachmentService,
+    dependencyService,
+    hierarchyService,
+    linkService,
+    templateService,
+    customFieldService,
+    permissionService,
+    workflowService,
+    approvalService,
+    reminderService,
+    notificationService,
+    itemEventService
+  }) {
     this.db = database;
     this.cache = new Map();
+    this.versionService = versionService;
+    this.auditService = auditService;
+    this.commentService = commentService;
+    this.attachmentService = attachmentService;
+    this.dependencyService = dependencyService;
+    this.hierarchyService = hierarchyService;
+    this.linkService = linkService;
+    this.templateService = templateService;
+    this.customFieldService = customFieldService;
+    this.permissionService = permissionService;
+    this.workflowService = workflowService;
+    this.approvalService = approvalService;
+    this.reminderService = reminderService;
+    this.notificationService = notificationService;
+    this.itemEventService = itemEventService;
     
     // Dead code - unused properties
     this.unusedCounter = 0;
@@ -81,83 +225,107 @@ class ItemDetailsController {
     templateId,
     parentItemId,
     linkedItems,
-    reminderSettings
+    reminderSettings,
+    workflowId
   ) {
-    // No logging of function entry or parameters
-    
     try {
-      // Missing input validation
-      
-      // This will cause a runtime error - validatePermissions function doesn't exist
-      if (!validatePermissions(permissions, createdBy)) {
-        return res.status(403).json({ error: 'Insufficient permissions' });
-      }
+      const newItem = this.insertDetailedItem({
+        name, description, category, priority, tags, status, dueDate, assignee,
+        customFields, attachments, metadata, dependencies, estimatedHours, budget,
+        location, externalRefs, workflowStage, approvalRequired, templateId,
+        parentItemId, linkedItems, reminderSettings, workflowId
+      }, req.user?.id || createdBy || 'anonymous', { user: req.user });
 
-      // This will cause an error - processCustomFields doesn't exist
-      const processedFields = processCustomFields(customFields, templateId);
-      
-      // This will cause an error - handleAttachments doesn't exist
-      const attachmentIds = await handleAttachments(attachments, createdBy);
+      res.status(201).json(newItem);
+    } catch (error) {
+      sendError(res, error, 'Failed to create detailed item');
+    }
+  }
+
+  /**
+   * Creates a detailed item, with its dependencies, links and attachments, in
+   * one transaction (a savepoint when called inside another).
+   *
+   * @param {Object} fields - Fields from the request body, in camelCase
+   * @param {string} actor - ID of the user creating the item
+   * @param {Object} [options]
+   * @param {Object} [options.user] - `req.user`, checked for write access to linked items
+   * @returns {Object} - The new item_details row
+   * @throws {ValidationError} If the item has no name or invalid fields
+   * @throws {ForbiddenError} If the user cannot change an item it links to
+   */
+  insertDetailedItem({
+    name, description, category, priority, tags, status, dueDate, assignee,
+    customFields, attachments, metadata, dependencies, estimatedHours, budget,
+    location, externalRefs, workflowStage, approvalRequired, templateId,
+    parentItemId, linkedItems, reminderSettings, workflowId
+  }, actor, { user } = {}) {
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+      throw new ValidationError('Item name is required');
+    }
 
-      const itemData = {
+    const templateFields = this.templateService.applyTemplate(
+      templateId, { category, priority, tags, customFields }
+    );
+    const itemData = {
+      ...toColumnUpdates({
         name,
         description,
-        category,
-        priority,
-        tags: JSON.stringify(tags),
+        category: templateFields.category,
+        priority: templateFields.priority,
+        tags: templateFields.tags,
         status,
         due_date: dueDate,
         assignee,
-        created_by: createdBy,
-        custom_fields: JSON.stringify(processedFields),
-        attachment_ids: JSON.stringify(attachmentIds),
-        metadata: JSON.stringify(metadata),
-        dependencies: JSON.stringify(dependencies),
+        custom_fields: this.customFieldService.validateCustomFields(templateFields.customFields),
+        metadata,
         estimated_hours: estimatedHours,
         budget,
         location,
-        external_refs: JSON.stringify(externalRefs),
+        external_refs: externalRefs,
         workflow_stage: workflowStage,
         approval_required: approvalRequired,
         template_id: templateId,
         parent_item_id: parentItemId,
-        linked_items: JSON.stringify(linkedItems),
-        reminder_settings: JSON.stringify(reminderSettings),
-        created_at: new Date().toISOString()
-      };
+        reminder_settings: this.reminderService.normalizeSettings(reminderSettings),
+        checklist: templateFields.checklist
+      }),
+      ...this.workflowService.resolveInitialStage(workflowId, { stage: workflowStage, status }),
+      created_by: actor,
+      created_at: new Date().toISOString()
+    };
+
+    return this.db.transaction(() => {
+      if (itemData.parent_item_id !== undefined) {
+        itemData.parent_item_id = this.hierarchyService.validateParent(null, itemData.parent_item_id);
+      }
 
-      // Missing parameterized query - SQL injection risk
+      // Column names come from the UPDATABLE_COLUMNS whitelist, never from the request
+      const columns = Object.keys(itemData);
       const result = this.db.prepare(`
-        INSERT INTO item_details (
-          name, description, category, priority, tags, status, due_date,
-          assignee, created_by, custom_fields, attachment_ids, metadata,
-          dependencies, estimated_hours, budget, location, external_refs,
-          workflow_stage, approval_required, template_id, parent_item_id,
-          linked_items, reminder_settings, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `).run(
-        itemData.name, itemData.description, itemData.category, itemData.priority,
-        itemData.tags, itemData.status, itemData.due_date, itemData.assignee,
-        itemData.created_by, itemData.custom_fields, itemData.attachment_ids,
-        itemData.metadata, itemData.dependencies, itemData.estimated_hours,
-        itemData.budget, itemData.location, itemData.external_refs,
-        itemData.workflow_stage, itemData.approval_required, itemData.template_id,
-        itemData.parent_item_id, itemData.linked_items, itemData.reminder_settings,
-        itemData.created_at
-      );
+        INSERT INTO item_details (${columns.join(', ')})
+        VALUES (${columns.map(() => '?').join(', ')})
+      `).run(...Object.values(itemData));
 
-      const newItem = this.db.prepare('SELECT * FROM item_details WHERE id = ?').get(result.lastInsertRowid);
-      
-      // This will cause an error - these functions don't exist
-      await sendNotifications(notificationSettings, newItem);
-      await logAuditEvent(auditEnabled, 'item_created', newItem, createdBy);
-      await createBackup(backupEnabled, newItem);
-      
-      res.status(201).json(newItem);
-    } catch (error) {
-      // Missing error logging and context
-      res.status(500).json({ error: 'Failed to create detailed item' });
-    }
+      if (dependencies !== undefined) {
+        this.dependencyService.setDependencies(result.lastInsertRowid, dependencies);
+      }
+      this.dependencyService.assertCanTransition(result.lastInsertRowid, itemData.status);
+      if (linkedItems !== undefined) {
+        if (user) {
+          this.assertCanChangeLinks(user, null, linkedItems);
+        }
+        this.linkService.setLinks(result.lastInsertRowid, linkedItems, actor);
+      }
+      this.attachmentService.handleAttachments(result.lastInsertRowid, attachments, actor);
+
+      const item = this.db.prepare('SELECT * FROM item_details WHERE id = ?').get(result.lastInsertRowid);
+      this.reminderService.scheduleForItem(item);
+      this.notificationService.notifyItemChange(null, item, actor);
+      this.itemEventService.record('item_details.created', { item }, actor);
+      this.logAuditEvent(true, 'item_created', { after: item }, actor);
+      return item;
+    })();
   }
 
   // Another function with too many parameters
@@ -188,61 +356,240 @@ class ItemDetailsController {
     postProcessors,
     preProcessors
   ) {
-    // No logging of function entry
-    
-    try {
-      // Missing input validation
-      
-      // This will cause a runtime error - validateUpdatePermissions doesn't exist
-      if (!validateUpdatePermissions(permissions, userId, itemId)) {
-        throw new Error('Access denied');
-      }
+    const processedUpdates = applyPreProcessors(updates, preProcessors);
 
-      // This will cause an error - applyPreProcessors doesn't exist
-      const processedUpdates = applyPreProcessors(updates, preProcessors);
-      
-      // This will cause an error - validateWithCustomRules doesn't exist
-      const validationResult = validateWithCustomRules(processedUpdates, customValidators);
-      if (!validationResult.isValid) {
-        throw new Error('Validation failed: ' + validationResult.errors.join(', '));
-      }
+    const validationResult = validateWithCustomRules(processedUpdates, customValidators);
+    if (!validationResult.isValid) {
+      throw new ValidationError('Validation failed: ' + validationResult.errors.join(', '));
+    }
 
-      // Missing transaction handling
-      const currentItem = this.db.prepare('SELECT * FROM item_details WHERE id = ?').get(itemId);
-      if (!currentItem) {
-        throw new Error('Item not found');
-      }
+    const updatedItem = this.updateItem(itemId, processedUpdates, userId, {
+      user: { id: userId, role: userRole },
+      // `expectedVersions` come from If-Match; the client edited one of these versions
+      expectedVersions: conflictResolution?.expectedVersions,
+      versioning: versioningOptions?.enabled !== false,
+      audit: auditOptions?.enabled
+    });
+
+    if (!updatedItem.pending_approval) {
+      await handlePostProcessing(updatedItem, postProcessors);
+    }
+
+    return updatedItem;
+  }
+
+  /**
+   * Updates an item, or holds the change for approval when the item needs it.
+   * Runs in one transaction (a savepoint when called inside another).
+   *
+   * @param {number} itemId - ID of the detailed item
+   * @param {Object} updates - Fields to change, as column names or in camelCase
+   * @param {string} actor - ID of the user making the change
+   * @param {Object} [options]
+   * @param {Array<number>|null} [options.expectedVersions] - Versions the change was based on; any version when omitted
+   * @param {boolean} [options.versioning] - False skips the version snapshot
+   * @param {boolean} [options.audit] - False skips the audit entry
+   * @param {string} [options.changeType] - 'update', or 'restore' when rolling back to a version
+   * @param {Object} [options.user] - `req.user`, checked for write access to linked items
+   * @returns {Object} - The updated row, or the unchanged row with `pending_approval`
+   * @throws {HttpError} 409 with the `current` row when the item has moved past `expectedVersions`
+   * @throws {ForbiddenError} If the user cannot change an item whose links would change
+   */
+  updateItem(itemId, updates, actor, { expectedVersions, versioning = true, audit, changeType, user } = {}) {
+    const columnUpdates = toColumnUpdates(updates);
+    if (columnUpdates.custom_fields !== undefined) {
+      columnUpdates.custom_fields = JSON.stringify(
+        this.customFieldService.validateCustomFields(columnUpdates.custom_fields)
+      );
+    }
+    if (columnUpdates.reminder_settings !== undefined) {
+      const reminderSettings = this.reminderService.normalizeSettings(columnUpdates.reminder_settings);
+      columnUpdates.reminder_settings = reminderSettings && JSON.stringify(reminderSettings);
+    }
+    const updateFields = Object.keys(columnUpdates);
+    const dependencyIds = updates.dependencies;
+    const linkedItems = updates.linkedItems ?? updates.linked_items;
+    if (updateFields.length === 0 && dependencyIds === undefined && linkedItems === undefined) {
+      throw new ValidationError('No updatable fields provided');
+    }
 
-      // This will cause an error - createVersionSnapshot doesn't exist
-      if (versioningOptions.enabled) {
-        await createVersionSnapshot(currentItem, userId, versioningOptions);
+    return this.db.transaction(() => {
+      const currentItem = this.getItemRow(itemId);
+      if (expectedVersions && !expectedVersions.includes(currentItem.row_version)) {
+        throw new HttpError(409, 'This item was changed by someone else since you loaded it', {
+          current: currentItem
+        });
+      }
+      if (user && linkedItems !== undefined) {
+        this.assertCanChangeLinks(user, currentItem.id, linkedItems);
+      }
+      const changes = { columns: columnUpdates, dependencies: dependencyIds, linkedItems };
+
+      if (this.approvalService.requiresApproval(currentItem, columnUpdates)) {
+        // Checked now so that a change that could never be applied is not queued
+        this.prepareColumnUpdates(currentItem, columnUpdates);
+        return {
+          ...currentItem,
+          pending_approval: this.approvalService.createRequest(currentItem, changes, actor)
+        };
       }
 
-      // Build update query dynamically (potential SQL injection if not careful)
-      const updateFields = Object.keys(processedUpdates);
-      const setClause = updateFields.map(field => `${field} = ?`).join(', ');
-      const values = [...Object.values(processedUpdates), itemId];
+      return this.applyItemUpdate(currentItem, changes, actor, { versioning, audit, changeType });
+    })();
+  }
 
-      const updateResult = this.db.prepare(`
-        UPDATE item_details SET ${setClause}, updated_at = ? WHERE id = ?
-      `).run(...values, new Date().toISOString(), itemId);
+  /**
+   * Replacing an item's links rewrites `linked_items` on every item it was
+   * or will be linked to, so the user needs write access to each of them.
+   *
+   * @param {Object} user - `req.user`
+   * @param {number|null} itemId - The item whose links are replaced, or null for a new item
+   * @param {Array<Object>|string|null} linkedItems - The new links, as LinkService.setLinks takes them
+   * @throws {ValidationError} If a link is malformed
+   * @throws {ForbiddenError} If the user cannot change one of the linked items
+   */
+  assertCanChangeLinks(user, itemId, linkedItems) {
+    const currentIds = itemId === null
+      ? []
+      : this.linkService.fetchRelatedItems(itemId).map(link => link.item_id);
+    const requestedIds = this.linkService.parseLinks(linkedItems)
+      .map(link => this.linkService.validateTarget(itemId, link.itemId));
+    new Set([...currentIds, ...requestedIds])
+      .forEach(otherId => this.permissionService.assertItemPermission(user, 'update', otherId));
+  }
 
-      if (updateResult.changes === 0) {
-        throw new Error('Update failed - no rows affected');
+  /**
+   * Rolls an item back to the content of an earlier version. The columns
+   * that differ go through updateItem, so a restore is validated, held for
+   * approval and announced like any other edit; its snapshot is marked as a
+   * restore, so the restore can itself be undone.
+   *
+   * @param {number} itemId - ID of the detailed item
+   * @param {number} version - Version number to restore
+   * @param {string} actor - ID of the user restoring it
+   * @param {Object} [options]
+   * @param {Array<number>|null} [options.expectedVersions] - As for updateItem
+   * @returns {Object} - As updateItem returns
+   * @throws {NotFoundError} If the item or version does not exist
+   */
+  restoreVersion(itemId, version, actor, { expectedVersions } = {}) {
+    return this.db.transaction(() => this.updateItem(
+      itemId,
+      this.versionService.getRestoreChanges(itemId, version),
+      actor,
+      { expectedVersions, changeType: 'restore' }
+    ))();
+  }
+
+  /**
+   * Approves or rejects a held change. An approved change is applied in the
+   * same transaction, as the requester's, so it either lands whole or the
+   * request stays pending. It is only applied to the version of the item it
+   * was requested against; after any other edit it has to be rejected and
+   * requested again.
+   *
+   * @param {number} requestId - ID of the approval request
+   * @param {Object} decision - `{ approved, comment }`
+   * @param {Object} approver - `req.user`
+   * @returns {Object} - The decided request
+   * @throws {HttpError} 409 with the `current` row when the item changed after the request
+   */
+  decideApproval(requestId, { approved, comment }, approver) {
+    return this.db.transaction(() => {
+      const request = this.approvalService.recordDecision(requestId, { approved, approver, comment });
+      if (approved) {
+        const currentItem = this.getItemRow(request.item_id);
+        if (request.row_version !== null && request.row_version !== currentItem.row_version) {
+          throw new HttpError(409, `Item ${request.item_id} was changed after this change was requested`, {
+            current: currentItem
+          });
+        }
+        this.applyItemUpdate(currentItem, request.changes, request.requested_by);
       }
+      this.auditService.record({
+        actor: approver.id,
+        action: approved ? 'change_approved' : 'change_rejected',
+        entityType: 'item_details',
+        itemId: request.item_id,
+        after: request
+      });
+      return request;
+    })();
+  }
 
-      const updatedItem = this.db.prepare('SELECT * FROM item_details WHERE id = ?').get(itemId);
-      
-      // This will cause errors - these functions don't exist
-      await handlePostProcessing(updatedItem, postProcessors);
-      await triggerNotifications(notificationOptions, updatedItem, currentItem);
-      await logAuditTrail(auditOptions, 'item_updated', updatedItem, currentItem, userId);
-      
-      return updatedItem;
-    } catch (error) {
-      // Missing error logging and recovery
-      throw error;
+  /**
+   * @returns {Object} - The item_details row
+   * @throws {NotFoundError} If the item does not exist
+   */
+  getItemRow(itemId) {
+    const item = this.db.prepare('SELECT * FROM item_details WHERE id = ?').get(itemId);
+    if (!item) {
+      throw new NotFoundError('Item not found');
     }
+    return item;
+  }
+
+  /**
+   * Checks a move in the tree or the workflow against the item as it is now.
+   *
+   * @returns {Object} - The column updates, with the parent validated and the
+   *   stage and status resolved
+   */
+  prepareColumnUpdates(currentItem, columnUpdates) {
+    const columns = { ...columnUpdates };
+    if (columns.parent_item_id !== undefined) {
+      columns.parent_item_id = this.hierarchyService.validateParent(currentItem.id, columns.parent_item_id);
+    }
+    if (columns.workflow_stage !== undefined || columns.status !== undefined) {
+      Object.assign(columns, this.workflowService.resolveTransition(currentItem, columns));
+    }
+    return columns;
+  }
+
+  /**
+   * Applies an update to an item. Must run inside a transaction.
+   *
+   * @param {Object} currentItem - The item_details row before the change
+   * @param {Object} changes - `{ columns, dependencies, linkedItems }`
+   * @param {string} actor - ID of the user responsible
+   * @param {Object} [options] - `versioning: false` skips the snapshot, `audit: false` the audit
+   *   entry; `changeType: 'restore'` marks both as a restore
+   * @returns {Object} - The updated item_details row
+   */
+  applyItemUpdate(
+    currentItem, { columns, dependencies, linkedItems }, actor, { versioning = true, audit, changeType = 'update' } = {}
+  ) {
+    if (versioning) {
+      this.versionService.createSnapshot(currentItem, actor, changeType);
+    }
+
+    const columnUpdates = this.prepareColumnUpdates(currentItem, columns);
+    if (dependencies !== undefined) {
+      this.dependencyService.setDependencies(currentItem.id, dependencies);
+    }
+    if (columnUpdates.status !== undefined || dependencies !== undefined) {
+      this.dependencyService.assertCanTransition(
+        currentItem.id, columnUpdates.status ?? currentItem.status
+      );
+    }
+    if (linkedItems !== undefined) {
+      this.linkService.setLinks(currentItem.id, linkedItems, actor);
+    }
+
+    // Column names come from the UPDATABLE_COLUMNS whitelist, never from the request
+    const setClause = [...Object.keys(columnUpdates), 'updated_at'].map(field => `${field} = ?`).join(', ');
+    this.db.prepare(`
+      UPDATE item_details SET ${setClause} WHERE id = ?
+    `).run(...Object.values(columnUpdates), new Date().toISOString(), currentItem.id);
+
+    const item = this.getItemRow(currentItem.id);
+    this.reminderService.scheduleForItem(item);
+    this.notificationService.notifyItemChange(currentItem, item, actor);
+    this.itemEventService.record('item_details.updated', { before: currentItem, item }, actor);
+    this.logAuditEvent(
+      audit, changeType === 'restore' ? 'item_restored' : 'item_updated', { before: currentItem, after: item }, actor
+    );
+    return item;
   }
 
   // Dead code - unused methods
@@ -277,81 +624,210 @@ class ItemDetailsController {
         return res.status(404).json({ error: 'Item not found' });
       }
 
-      // This will cause errors - these functions don't exist
-      const relatedItems = await fetchRelatedItems(item.id);
-      const attachments = await getItemAttachments(item.attachment_ids);
-      const comments = await getItemComments(item.id);
-      const history = await getItemHistory(item.id);
-      const dependencies = await resolveDependencies(item.dependencies);
-      
-      // This will cause an error - enrichWithUserData doesn't exist
-      const enrichedItem = await enrichWithUserData(item);
-      
+      const attachments = this.attachmentService.getItemAttachments(item.id);
+      const comments = this.commentService.getItemComments(item.id);
+      const history = this.versionService.getItemHistory(item.id);
+      const dependencies = this.dependencyService.resolveDependencies(item.id);
+      const relatedItems = this.linkService.fetchRelatedItems(item.id);
+
       const response = {
-        ...enrichedItem,
-        related_items: relatedItems,
+        ...item,
         attachments,
+        dependencies,
+        related_items: relatedItems,
         comments,
         history,
-        dependencies
+        pending_approval: this.approvalService.getPendingRequest(item.id),
+        permissions: this.permissionService.getItemPermissions(req.user, item)
       };
       
+      res.set('ETag', toETag(item.row_version));
       res.json(response);
     } catch (error) {
-      // Missing error logging
-      res.status(500).json({ error: 'Failed to fetch item details' });
+      sendError(res, error, 'Failed to fetch item details');
     }
   }
 
-  // Method with missing error handling and will cause runtime errors
   async deleteItemWithCleanup(req, res) {
-    const { id } = req.params;
-    
-    // No validation or logging
-    
     try {
-      const item = this.db.prepare('SELECT * FROM item_details WHERE id = ?').get(id);
-      
-      // This will cause an error - these cleanup functions don't exist
-      await cleanupAttachments(item.attachment_ids);
-      await removeFromCache(id);
-      await notifyDependentItems(item.linked_items);
-      await archiveAuditLogs(id);
-      
-      const deleteResult = this.db.prepare('DELETE FROM item_details WHERE id = ?').run(id);
-      
-      if (deleteResult.changes === 0) {
-        return res.status(404).json({ error: 'Item not found' });
-      }
-      
-      // This will cause an error - logDeletion doesn't exist
-      await logDeletion(item, req.user.id);
-      
+      const itemId = parseId(req.params.id, 'item ID');
+      const actor = req.user?.id || 'anonymous';
+
+      const contentIds = this.removeItem(itemId, actor);
+
+      // Files are removed only once the delete has committed
+      await this.attachmentService.cleanupAttachments(contentIds);
+      this.cache.delete(itemId);
+
       res.json({ message: 'Item deleted successfully' });
     } catch (error) {
-      // No error logging
-      res.status(500).json({ error: 'Deletion failed' });
+      sendError(res, error, 'Deletion failed');
     }
   }
 
-  // More dead code - methods that are never used
-  generateItemReport(filters, format) {
-    console.log('This method is never called');
-    // Implementation that was planned but never used
-    return null;
+  /**
+   * Deletes an item and detaches it from everything that refers to it. Runs
+   * in one transaction (a savepoint when called inside another).
+   *
+   * @param {number} itemId - ID of the detailed item
+   * @param {string} actor - ID of the user deleting it
+   * @returns {Array<number>} - Attachment content to clean up once the delete has committed
+   * @throws {NotFoundError} If the item does not exist
+   */
+  removeItem(itemId, actor) {
+    return this.db.transaction(() => {
+      const item = this.db.prepare('SELECT * FROM item_details WHERE id = ?').get(itemId);
+      if (!item) {
+        throw new NotFoundError('Item not found');
+      }
+      const linkedContent = this.attachmentService.getItemContentIds(itemId);
+      const children = this.db.prepare('SELECT * FROM item_details WHERE parent_item_id = ?').all(itemId);
+
+      // The item's trail moves to the archive; only the deletion stays live
+      this.auditService.archiveItemLogs('item_details', itemId);
+      this.dependencyService.detachItem(itemId);
+      this.hierarchyService.detachItem(itemId);
+      // Children handed to the item's parent are changed like any other edit
+      children.forEach(child => {
+        const moved = this.getItemRow(child.id);
+        this.versionService.createSnapshot(child, actor, 'update');
+        this.itemEventService.record('item_details.updated', { before: child, item: moved }, actor);
+        this.logAuditEvent(true, 'item_updated', { before: child, after: moved }, actor);
+      });
+      this.linkService.detachItem(itemId);
+      this.db.prepare('DELETE FROM item_details WHERE id = ?').run(itemId);
+      this.logAuditEvent(true, 'item_deleted', { before: item }, actor);
+      this.itemEventService.record('item_details.deleted', { item }, actor);
+      return linkedContent;
+    })();
+  }
+
+  /**
+   * Runs a batch of create, update and delete operations in one transaction,
+   * each in its own savepoint.
+   *
+   * In `all_or_nothing` mode the first failure rolls back the whole batch; in
+   * `continue_on_error` mode only the failed operation is undone and the rest
+   * are committed. Every operation is checked against the user's permissions
+   * as if it had been sent on its own.
+   *
+   * @param {Array<Object>} operations - `{ action, id, data, version }`; `version` works like If-Match
+   * @param {Object} user - `req.user`
+   * @param {Object} [options]
+   * @param {string} [options.mode] - One of BULK_MODES, `all_or_nothing` by default
+   * @returns {Promise<Object>} - `{ mode, results }` with one result per operation, in order
+   * @throws {HttpError} With the failed operation's status and all `results` when the batch is rolled back
+   */
+  async runBulkOperations(operations, user, { mode = 'all_or_nothing' } = {}) {
+    if (!BULK_MODES.includes(mode)) {
+      throw new ValidationError(`mode must be one of: ${BULK_MODES.join(', ')}`);
+    }
+    if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_BULK_OPERATIONS) {
+      throw new ValidationError(`operations must be a list of 1 to ${MAX_BULK_OPERATIONS} operations`);
+    }
+
+    const results = [];
+    const contentIds = [];
+    let failed = null;
+    try {
+      this.db.transaction(() => {
+        operations.forEach((operation, index) => {
+          try {
+            const { result, cleanup } = this.db.transaction(() => this.runBulkOperation(operation, user))();
+            results.push({ index, ...result });
+            contentIds.push(...cleanup);
+          } catch (error) {
+            results.push({ index, action: operation?.action, id: operation?.id, ...describeFailure(error) });
+            if (mode === 'all_or_nothing') {
+              failed = results[index];
+              throw error;
+            }
+          }
+        });
+      })();
+    } catch (error) {
+      if (!failed) {
+        throw error;
+      }
+      throw new HttpError(failed.status, `Operation ${failed.index} failed: ${failed.error}. No changes were saved`, {
+        mode,
+        results: operations.map((operation, index) => {
+          if (index === failed.index) {
+            return failed;
+          }
+          const { action, id } = results[index] ?? operation ?? {};
+          return { index, action, id, outcome: index < failed.index ? 'rolled_back' : 'skipped' };
+        })
+      });
+    }
+
+    // Files are removed only once the deletes have committed
+    await this.attachmentService.cleanupAttachments(contentIds);
+    return { mode, results };
   }
 
-  exportItemsToCSV(items, options) {
-    // Export functionality that was never completed
-    const headers = Object.keys(items[0] || {});
-    return headers.join(',') + '\n' + items.map(item => 
-      headers.map(h => item[h]).join(',')
-    ).join('\n');
+  /**
+   * Runs one operation of a bulk request. Must run inside a transaction.
+   *
+   * @returns {{ result: Object, cleanup: Array<number> }} - The operation's
+   *   result, and attachment content to clean up once it has committed
+   */
+  runBulkOperation(operation, user) {
+    const { action, id, data = {}, version } = operation ?? {};
+    if (!BULK_ACTIONS.includes(action)) {
+      throw new ValidationError(`action must be one of: ${BULK_ACTIONS.join(', ')}`);
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new ValidationError('data must be an object');
+    }
+
+    if (action === 'create') {
+      const item = this.insertDetailedItem(data, user.id, { user });
+      return { result: { action, id: item.id, outcome: 'created', status: 201, item }, cleanup: [] };
+    }
+
+    const itemId = parseId(id, 'item ID');
+    if (action === 'delete') {
+      this.permissionService.assertItemPermission(user, 'delete', itemId);
+      const cleanup = this.removeItem(itemId, user.id);
+      return { result: { action, id: itemId, outcome: 'deleted', status: 200 }, cleanup };
+    }
+
+    this.permissionService.assertItemPermission(user, 'update', itemId);
+    const item = this.updateItem(itemId, data, user.id, {
+      user,
+      expectedVersions: version === undefined ? null : [parseId(version, 'version')]
+    });
+    // Changes held for approval leave the item as it was
+    const result = item.pending_approval
+      ? { action, id: itemId, outcome: 'pending_approval', status: 202, item }
+      : { action, id: itemId, outcome: 'updated', status: 200, item };
+    return { result, cleanup: [] };
   }
 
-  validateItemPermissions(itemId, userId, action) {
-    // Permission checking that was superseded by newer system
-    return true; // Placeholder that always returns true
+  /**
+   * Records an item_details change in the audit log unless auditing was
+   * explicitly disabled by the caller.
+   *
+   * @param {boolean} [enabled] - Pass false to skip auditing
+   * @param {string} action - Action name, e.g. 'item_updated'
+   * @param {Object} states - `{ before, after }` rows; either may be omitted
+   * @param {string} actor - ID of the user responsible
+   * @returns {Object|null} - The audit entry, or null when skipped
+   */
+  logAuditEvent(enabled, action, { before, after }, actor) {
+    if (enabled === false) {
+      return null;
+    }
+
+    return this.auditService.record({
+      actor,
+      action,
+      entityType: 'item_details',
+      itemId: (after || before).id,
+      before,
+      after
+    });
   }
 
   // Function that accesses undefined properties
@@ -369,11 +845,6 @@ class ItemDetailsController {
     console.log('This middleware is never used');
     next();
   }
-
-  validateTokenMiddleware(req, res, next) {
-    // Token validation that was replaced by newer auth system
-    next();
-  }
 }
 
 // Dead code - unused exports and helper functions
@@ -0,0 +1,122 @@
+/**
+ * Migrator - Applies and reverts numbered schema migrations.
+ *
+ * Each migration is an object of the shape
+ * `{ version: number, name: string, up(db), down(db) }`. Applied versions are
+ * recorded in the `schema_version` table, and every migration runs inside its
+ * own transaction together with its bookkeeping row.
+ */
+class Migrator {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   * @param {Array<Object>} migrations - Migration definitions
+   * @throws {Error} If two migrations share a version number
+   */
+  constructor(database, migrations) {
+    this.db = database;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+
+    const versions = new Set();
+    this.migrations.forEach(migration => {
+      if (versions.has(migration.version)) {
+        throw new Error(`Duplicate migration version ${migration.version}`);
+      }
+      versions.add(migration.version);
+    });
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * @returns {number} - The highest applied migration version, or 0
+   */
+  getCurrentVersion() {
+    const row = this.db.prepare('SELECT MAX(version) AS version FROM schema_version').get();
+    return row.version || 0;
+  }
+
+  /**
+   * @returns {Array<Object>} - Migrations that have not been applied yet
+   */
+  getPendingMigrations() {
+    const applied = new Set(
+      this.db.prepare('SELECT version FROM schema_version').all().map(row => row.version)
+    );
+    return this.migrations.filter(migration => !applied.has(migration.version));
+  }
+
+  /**
+   * Applies pending migrations in ascending order.
+   *
+   * @param {number} [targetVersion] - Stop after this version (defaults to latest)
+   * @returns {Array<Object>} - The migrations that were applied
+   */
+  migrateUp(targetVersion = Infinity) {
+    const pending = this.getPendingMigrations()
+      .filter(migration => migration.version <= targetVersion);
+    const record = this.db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+
+    pending.forEach(migration => {
+      this.db.transaction(() => {
+        migration.up(this.db);
+        record.run(migration.version, migration.name);
+      })();
+      console.log(`Applied migration ${migration.version} (${migration.name})`);
+    });
+
+    return pending;
+  }
+
+  /**
+   * Reverts applied migrations in descending order until the schema is at
+   * the target version.
+   *
+   * @param {number} [targetVersion] - Version to roll back to (defaults to one step back)
+   * @returns {Array<Object>} - The migrations that were reverted
+   * @throws {Error} If an applied version has no matching migration definition
+   */
+  migrateDown(targetVersion) {
+    const current = this.getCurrentVersion();
+    const target = targetVersion === undefined
+      ? this.getPreviousVersion(current)
+      : targetVersion;
+
+    const applied = this.db.prepare(
+      'SELECT version FROM schema_version WHERE version > ? ORDER BY version DESC'
+    ).all(target);
+    const remove = this.db.prepare('DELETE FROM schema_version WHERE version = ?');
+
+    return applied.map(({ version }) => {
+      const migration = this.migrations.find(candidate => candidate.version === version);
+      if (!migration) {
+        throw new Error(`No migration definition found for applied version ${version}`);
+      }
+
+      this.db.transaction(() => {
+        migration.down(this.db);
+        remove.run(version);
+      })();
+      console.log(`Reverted migration ${migration.version} (${migration.name})`);
+      return migration;
+    });
+  }
+
+  /**
+   * @param {number} version - An applied migration version
+   * @returns {number} - The applied version immediately before it, or 0
+   */
+  getPreviousVersion(version) {
+    const row = this.db.prepare(
+      'SELECT MAX(version) AS version FROM schema_version WHERE version < ?'
+    ).get(version);
+    return row.version || 0;
+  }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const Migrator = require('./Migrator');
+const migrations = require('./migrations');
+
+const IN_MEMORY = ':memory:';
+
+/**
+ * Opens the SQLite database at the given path, creating the parent
+ * directory for file-backed databases if it does not exist yet.
+ *
+ * @param {string} filename - Database file path, or ':memory:'
+ * @returns {Database} - An open better-sqlite3 connection
+ */
+function openDatabase(filename) {
+  if (filename !== IN_MEMORY) {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  return db;
+}
+
+/**
+ * Opens the database and applies every pending schema migration.
+ *
+ * @param {string} filename - Database file path, or ':memory:'
+ * @returns {{ db: Database, applied: Array<Object>, version: number }}
+ */
+function initializeDatabase(filename) {
+  const db = openDatabase(filename);
+  const migrator = new Migrator(db, migrations);
+  const applied = migrator.migrateUp();
+
+  return { db, applied, version: migrator.getCurrentVersion() };
+}
+
+module.exports = { openDatabase, initializeDatabase };
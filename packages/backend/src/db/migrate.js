@@ -0,0 +1,46 @@
+/**
+ * Command-line entry point for schema migrations.
+ *
+ * Usage:
+ *   node src/db/migrate.js status
+ *   node src/db/migrate.js up [version]
+ *   node src/db/migrate.js down [version]
+ */
+const config = require('../config');
+const { openDatabase } = require('./database');
+const Migrator = require('./Migrator');
+const migrations = require('./migrations');
+
+function run([command = 'up', version]) {
+  const db = openDatabase(config.databasePath);
+  const migrator = new Migrator(db, migrations);
+  const target = version === undefined ? undefined : parseInt(version, 10);
+
+  try {
+    switch (command) {
+      case 'up':
+        migrator.migrateUp(target);
+        break;
+      case 'down':
+        migrator.migrateDown(target);
+        break;
+      case 'status':
+        migrator.getPendingMigrations().forEach(migration => {
+          console.log(`Pending: ${migration.version} (${migration.name})`);
+        });
+        break;
+      default:
+        throw new Error(`Unknown command "${command}"`);
+    }
+    console.log(`Schema version: ${migrator.getCurrentVersion()}`);
+  } finally {
+    db.close();
+  }
+}
+
+try {
+  run(process.argv.slice(2));
+} catch (error) {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+}
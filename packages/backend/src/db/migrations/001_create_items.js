@@ -0,0 +1,18 @@
+module.exports = {
+  version: 1,
+  name: 'create_items',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE items');
+  },
+};
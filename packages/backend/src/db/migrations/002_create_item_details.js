@@ -0,0 +1,41 @@
+module.exports = {
+  version: 2,
+  name: 'create_item_details',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE item_details (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        category TEXT,
+        priority TEXT DEFAULT 'medium',
+        tags TEXT, -- JSON string
+        status TEXT DEFAULT 'active',
+        due_date TEXT,
+        assignee TEXT,
+        created_by TEXT,
+        custom_fields TEXT, -- JSON string
+        attachment_ids TEXT, -- JSON string
+        metadata TEXT, -- JSON string
+        dependencies TEXT, -- JSON string
+        estimated_hours REAL,
+        budget REAL,
+        location TEXT,
+        external_refs TEXT, -- JSON string
+        workflow_stage TEXT,
+        approval_required BOOLEAN DEFAULT 0,
+        template_id INTEGER,
+        parent_item_id INTEGER,
+        linked_items TEXT, -- JSON string
+        reminder_settings TEXT, -- JSON string
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE item_details');
+  },
+};
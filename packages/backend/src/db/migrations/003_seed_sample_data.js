@@ -0,0 +1,54 @@
+const SAMPLE_ITEMS = ['Item 1', 'Item 2', 'Item 3'];
+
+const SAMPLE_DETAILED_ITEMS = [
+  {
+    name: 'Sample Detail Item 1',
+    description: 'This is a sample item with detailed information that will be used for refactoring exercises',
+    category: 'work',
+    priority: 'high',
+    status: 'active',
+  },
+  {
+    name: 'Sample Detail Item 2',
+    description: 'Another sample item for testing the details functionality',
+    category: 'personal',
+    priority: 'medium',
+    status: 'pending',
+  },
+];
+
+/**
+ * Seeds a fresh database with the sample data the app used to insert on
+ * every boot. Running it as a migration means it only happens once.
+ */
+module.exports = {
+  version: 3,
+  name: 'seed_sample_data',
+
+  up(db) {
+    const insertItem = db.prepare('INSERT INTO items (name) VALUES (?)');
+    SAMPLE_ITEMS.forEach(name => insertItem.run(name));
+
+    const insertDetail = db.prepare(`
+      INSERT INTO item_details (
+        name, description, category, priority, status, created_by, created_at
+      ) VALUES (?, ?, ?, ?, ?, 'system', ?)
+    `);
+    SAMPLE_DETAILED_ITEMS.forEach(item => {
+      insertDetail.run(
+        item.name, item.description, item.category, item.priority, item.status,
+        new Date().toISOString()
+      );
+    });
+  },
+
+  down(db) {
+    const deleteItem = db.prepare('DELETE FROM items WHERE name = ?');
+    SAMPLE_ITEMS.forEach(name => deleteItem.run(name));
+
+    const deleteDetail = db.prepare(
+      "DELETE FROM item_details WHERE name = ? AND created_by = 'system'"
+    );
+    SAMPLE_DETAILED_ITEMS.forEach(item => deleteDetail.run(item.name));
+  },
+};
@@ -0,0 +1,23 @@
+module.exports = {
+  version: 4,
+  name: 'create_item_versions',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE item_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        item_id INTEGER NOT NULL REFERENCES item_details(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        snapshot TEXT NOT NULL, -- JSON copy of the item_details row
+        change_type TEXT NOT NULL,
+        changed_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (item_id, version)
+      )
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE item_versions');
+  },
+};
@@ -0,0 +1,53 @@
+const AUDIT_COLUMNS = `
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor TEXT NOT NULL,
+  action TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  item_id INTEGER,
+  before TEXT, -- JSON string
+  after TEXT, -- JSON string
+  created_at TEXT NOT NULL
+`;
+
+/**
+ * Append-only audit trail. Entries can never be updated, and can only be
+ * deleted once an identical row has been copied into audit_log_archive.
+ */
+module.exports = {
+  version: 5,
+  name: 'create_audit_log',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE audit_log (${AUDIT_COLUMNS});
+      CREATE TABLE audit_log_archive (${AUDIT_COLUMNS}, archived_at TEXT NOT NULL);
+
+      CREATE INDEX idx_audit_log_item ON audit_log (entity_type, item_id);
+      CREATE INDEX idx_audit_log_created_at ON audit_log (created_at);
+      CREATE INDEX idx_audit_log_archive_item ON audit_log_archive (entity_type, item_id);
+
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+
+      CREATE TRIGGER audit_log_archive_before_delete BEFORE DELETE ON audit_log
+      WHEN NOT EXISTS (SELECT 1 FROM audit_log_archive WHERE id = OLD.id)
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log entries must be archived before removal');
+      END;
+
+      CREATE TRIGGER audit_log_archive_no_update BEFORE UPDATE ON audit_log_archive
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log_archive is append-only');
+      END;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE audit_log;
+      DROP TABLE audit_log_archive;
+    `);
+  },
+};
@@ -0,0 +1,25 @@
+module.exports = {
+  version: 6,
+  name: 'create_item_comments',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE item_comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        item_id INTEGER NOT NULL REFERENCES item_details(id) ON DELETE CASCADE,
+        parent_id INTEGER REFERENCES item_comments(id) ON DELETE CASCADE,
+        author TEXT NOT NULL,
+        body TEXT, -- NULL once the comment has been deleted
+        created_at TEXT NOT NULL,
+        edited_at TEXT,
+        deleted_at TEXT
+      );
+
+      CREATE INDEX idx_item_comments_item ON item_comments (item_id, created_at);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE item_comments');
+  },
+};
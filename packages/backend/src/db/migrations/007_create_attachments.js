@@ -0,0 +1,41 @@
+/**
+ * File content is stored once per checksum in `attachments`; each upload to
+ * an item is a row in `item_attachments` pointing at that content under the
+ * filename it was uploaded with.
+ */
+module.exports = {
+  version: 7,
+  name: 'create_attachments',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        checksum TEXT NOT NULL UNIQUE, -- SHA-256 of the file content
+        size INTEGER NOT NULL,
+        mime_type TEXT NOT NULL,
+        storage_key TEXT NOT NULL, -- path relative to the storage directory
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE item_attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        item_id INTEGER NOT NULL REFERENCES item_details(id) ON DELETE CASCADE,
+        attachment_id INTEGER NOT NULL REFERENCES attachments(id),
+        filename TEXT NOT NULL,
+        uploaded_by TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_item_attachments_item ON item_attachments (item_id);
+      CREATE INDEX idx_item_attachments_attachment ON item_attachments (attachment_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE item_attachments;
+      DROP TABLE attachments;
+    `);
+  },
+};
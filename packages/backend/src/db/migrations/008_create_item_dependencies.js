@@ -0,0 +1,47 @@
+/**
+ * Dependencies between detailed items become edges: a row means `item_id`
+ * is blocked by `depends_on_id`. Existing `dependencies` JSON arrays are
+ * copied over, skipping IDs that no longer exist.
+ */
+module.exports = {
+  version: 8,
+  name: 'create_item_dependencies',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE item_dependencies (
+        item_id INTEGER NOT NULL REFERENCES item_details(id) ON DELETE CASCADE,
+        depends_on_id INTEGER NOT NULL REFERENCES item_details(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (item_id, depends_on_id),
+        CHECK (item_id != depends_on_id)
+      );
+
+      CREATE INDEX idx_item_dependencies_depends_on ON item_dependencies (depends_on_id);
+    `);
+
+    const insertEdge = db.prepare(`
+      INSERT OR IGNORE INTO item_dependencies (item_id, depends_on_id, created_at)
+      SELECT ?, id, ? FROM item_details WHERE id = ? AND id != ?
+    `);
+    const rows = db.prepare(
+      'SELECT id, dependencies FROM item_details WHERE dependencies IS NOT NULL'
+    ).all();
+
+    rows.forEach(row => {
+      let ids;
+      try {
+        ids = JSON.parse(row.dependencies);
+      } catch (error) {
+        return;
+      }
+      if (Array.isArray(ids)) {
+        ids.forEach(id => insertEdge.run(row.id, new Date().toISOString(), id, row.id));
+      }
+    });
+  },
+
+  down(db) {
+    db.exec('DROP TABLE item_dependencies');
+  },
+};
@@ -0,0 +1,23 @@
+/**
+ * `parent_item_id` starts being read as a hierarchy. Parents that point at
+ * missing rows or at the item itself are cleared so every item sits in a
+ * well-formed tree, and children are indexed by parent for subtree walks.
+ */
+module.exports = {
+  version: 9,
+  name: 'index_item_parents',
+
+  up(db) {
+    db.exec(`
+      UPDATE item_details SET parent_item_id = NULL
+      WHERE parent_item_id = id
+         OR parent_item_id NOT IN (SELECT id FROM item_details);
+
+      CREATE INDEX idx_item_details_parent ON item_details (parent_item_id);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP INDEX idx_item_details_parent');
+  },
+};
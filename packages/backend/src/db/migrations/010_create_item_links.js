@@ -0,0 +1,65 @@
+/**
+ * Typed links between detailed items. Each link is stored once, from the
+ * item that created it; the other end sees it under the inverse type.
+ * Existing `linked_items` arrays of IDs become "relates to" links.
+ */
+module.exports = {
+  version: 10,
+  name: 'create_item_links',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE item_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source_id INTEGER NOT NULL REFERENCES item_details(id) ON DELETE CASCADE,
+        target_id INTEGER NOT NULL REFERENCES item_details(id) ON DELETE CASCADE,
+        link_type TEXT NOT NULL CHECK (link_type IN ('relates_to', 'duplicates', 'clones')),
+        created_by TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        UNIQUE (source_id, target_id, link_type),
+        CHECK (source_id != target_id)
+      );
+
+      CREATE INDEX idx_item_links_target ON item_links (target_id);
+    `);
+
+    const insertLink = db.prepare(`
+      INSERT OR IGNORE INTO item_links (source_id, target_id, link_type, created_by, created_at)
+      SELECT ?, id, 'relates_to', 'system', ? FROM item_details WHERE id = ? AND id != ?
+    `);
+    const rows = db.prepare(
+      'SELECT id, linked_items FROM item_details WHERE linked_items IS NOT NULL'
+    ).all();
+
+    rows.forEach(row => {
+      let ids;
+      try {
+        ids = JSON.parse(row.linked_items);
+      } catch (error) {
+        return;
+      }
+      if (Array.isArray(ids)) {
+        ids.forEach(id => insertLink.run(row.id, new Date().toISOString(), id, row.id));
+      }
+    });
+
+    // Rewrite linked_items on both ends into the mirrored `{ item_id, type }` form
+    db.exec(`
+      UPDATE item_details SET linked_items = (
+        SELECT json_group_array(json_object('item_id', other_id, 'type', 'relates_to'))
+        FROM (
+          SELECT target_id AS other_id FROM item_links WHERE source_id = item_details.id
+          UNION
+          SELECT source_id FROM item_links WHERE target_id = item_details.id
+          ORDER BY other_id
+        )
+      )
+      WHERE linked_items IS NOT NULL
+         OR id IN (SELECT target_id FROM item_links)
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE item_links');
+  },
+};
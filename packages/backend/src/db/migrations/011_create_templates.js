@@ -0,0 +1,35 @@
+/**
+ * Templates hold defaults for new detailed items. Their checklist is copied
+ * onto each item created from them, so items gain a `checklist` column.
+ */
+module.exports = {
+  version: 11,
+  name: 'create_templates',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        category TEXT,
+        priority TEXT,
+        tags TEXT, -- JSON array of strings
+        custom_fields TEXT, -- JSON object
+        checklist TEXT, -- JSON array of strings
+        created_by TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT
+      );
+
+      ALTER TABLE item_details ADD COLUMN checklist TEXT; -- JSON array of { text, done }
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      ALTER TABLE item_details DROP COLUMN checklist;
+      DROP TABLE templates;
+    `);
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * Definitions for the keys allowed in `item_details.custom_fields`. `min`
+ * and `max` bound a text field's length, a number's value or a date; `options`
+ * lists the values of an enum field.
+ */
+module.exports = {
+  version: 12,
+  name: 'create_custom_field_definitions',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE custom_field_definitions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key TEXT NOT NULL UNIQUE,
+        label TEXT NOT NULL,
+        type TEXT NOT NULL CHECK (type IN ('text', 'number', 'date', 'enum', 'boolean', 'user')),
+        required INTEGER NOT NULL DEFAULT 0,
+        min NUMERIC,
+        max NUMERIC,
+        options TEXT, -- JSON array of strings, enum fields only
+        created_at TEXT NOT NULL,
+        updated_at TEXT
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE custom_field_definitions');
+  },
+};
@@ -0,0 +1,37 @@
+/**
+ * Accounts and their login sessions. A user's ID is the name they log in
+ * with, matching the actor strings already stored in the audit log, comments
+ * and `created_by` columns. Passwords are stored as scrypt hashes;
+ * a session row is what a signed token refers to, so deleting it logs the
+ * token out.
+ */
+module.exports = {
+  version: 13,
+  name: 'create_users_and_sessions',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        password_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_sessions_user_id ON sessions(user_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE sessions;
+      DROP TABLE users;
+    `);
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * Gives every user a role (viewer, editor or admin) and adds per-item grants
+ * that override the role for a single item. Existing accounts become editors,
+ * apart from the oldest one, which becomes the admin.
+ */
+module.exports = {
+  version: 14,
+  name: 'add_roles_and_item_permissions',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'viewer'
+        CHECK (role IN ('viewer', 'editor', 'admin'));
+
+      UPDATE users SET role = 'editor';
+      UPDATE users SET role = 'admin'
+      WHERE id = (SELECT id FROM users ORDER BY created_at, rowid LIMIT 1);
+
+      CREATE TABLE item_permissions (
+        item_id INTEGER NOT NULL REFERENCES item_details(id) ON DELETE CASCADE,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        access TEXT NOT NULL CHECK (access IN ('read', 'write')),
+        granted_by TEXT,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (item_id, user_id)
+      );
+
+      CREATE INDEX idx_item_permissions_user_id ON item_permissions(user_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE item_permissions;
+      ALTER TABLE users DROP COLUMN role;
+    `);
+  },
+};
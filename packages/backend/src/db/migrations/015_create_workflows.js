@@ -0,0 +1,64 @@
+const DEFAULT_STAGES = [
+  { key: 'active', label: 'Active', status: 'active' },
+  { key: 'pending', label: 'Pending', status: 'pending' },
+  { key: 'completed', label: 'Completed', status: 'completed' },
+  { key: 'cancelled', label: 'Cancelled', status: 'cancelled' },
+];
+
+const DEFAULT_TRANSITIONS = [
+  ['active', 'pending'], ['active', 'completed'], ['active', 'cancelled'],
+  ['pending', 'active'], ['pending', 'completed'], ['pending', 'cancelled'],
+  ['completed', 'active'], ['cancelled', 'active'],
+].map(([from, to]) => ({ from, to }));
+
+/**
+ * Workflows define the stages an item moves through and which moves are
+ * allowed. Each stage sets the item's status. A default workflow mirroring
+ * the old fixed statuses is created, and every existing item is put on it in
+ * the stage matching its status; free-text stages from before are replaced.
+ */
+module.exports = {
+  version: 15,
+  name: 'create_workflows',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE workflows (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        stages TEXT NOT NULL, -- JSON array of { key, label, status }
+        transitions TEXT NOT NULL, -- JSON array of { from, to, guards }
+        initial_stage TEXT NOT NULL,
+        is_default INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT
+      );
+
+      ALTER TABLE item_details ADD COLUMN workflow_id INTEGER REFERENCES workflows(id);
+      CREATE INDEX idx_item_details_workflow_id ON item_details(workflow_id);
+    `);
+
+    const { lastInsertRowid: workflowId } = db.prepare(`
+      INSERT INTO workflows (name, description, stages, transitions, initial_stage, is_default, created_at)
+      VALUES ('Default', 'Active, pending, completed and cancelled items', ?, ?, 'active', 1, ?)
+    `).run(JSON.stringify(DEFAULT_STAGES), JSON.stringify(DEFAULT_TRANSITIONS), new Date().toISOString());
+
+    db.prepare(`
+      UPDATE item_details
+      SET workflow_id = ?,
+          workflow_stage = CASE WHEN status IN ('active', 'pending', 'completed', 'cancelled')
+                                THEN status ELSE 'active' END,
+          status = CASE WHEN status IN ('active', 'pending', 'completed', 'cancelled')
+                        THEN status ELSE 'active' END
+    `).run(workflowId);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX idx_item_details_workflow_id;
+      ALTER TABLE item_details DROP COLUMN workflow_id;
+      DROP TABLE workflows;
+    `);
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * Changes to protected fields of items with `approval_required` set wait
+ * here until an admin approves or rejects them. `changes` holds the column
+ * updates to apply, `previous` the values they replace.
+ */
+module.exports = {
+  version: 16,
+  name: 'create_approval_requests',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE approval_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        item_id INTEGER NOT NULL REFERENCES item_details(id) ON DELETE CASCADE,
+        requested_by TEXT NOT NULL,
+        changes TEXT NOT NULL, -- JSON: { columns, dependencies, linkedItems }
+        previous TEXT NOT NULL, -- JSON: column to value before the change
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+        decided_by TEXT,
+        decision_comment TEXT,
+        created_at TEXT NOT NULL,
+        decided_at TEXT
+      );
+
+      CREATE INDEX idx_approval_requests_status ON approval_requests(status);
+      -- At most one change per item can be waiting at a time
+      CREATE UNIQUE INDEX idx_approval_requests_pending_item
+        ON approval_requests(item_id) WHERE status = 'pending';
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE approval_requests');
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * Reminders scheduled from an item's `reminder_settings` and `due_date`.
+ * Scheduled rows are the pending jobs, so they survive restarts; fired rows
+ * are kept as the reminders shown to users until someone dismisses them.
+ */
+module.exports = {
+  version: 17,
+  name: 'create_reminders',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE reminders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        item_id INTEGER NOT NULL REFERENCES item_details(id) ON DELETE CASCADE,
+        kind TEXT NOT NULL CHECK (kind IN ('before', 'due', 'overdue')),
+        lead_time TEXT, -- how long before the due date, e.g. '1d', for kind 'before'
+        fire_at TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'fired')),
+        recipient TEXT,
+        message TEXT,
+        fired_at TEXT,
+        dismissed_by TEXT,
+        dismissed_at TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_reminders_status_fire_at ON reminders(status, fire_at);
+      CREATE INDEX idx_reminders_item_id ON reminders(item_id);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE reminders');
+  },
+};
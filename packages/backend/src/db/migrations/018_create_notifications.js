@@ -0,0 +1,50 @@
+/**
+ * Notification outbox and per-user channel preferences. Each notification is
+ * one delivery to one user over one channel; rows are written in the same
+ * transaction as the change that caused them and delivered afterwards, with
+ * retries. In-app notifications are read straight from this table.
+ */
+module.exports = {
+  version: 18,
+  name: 'create_notifications',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        channel TEXT NOT NULL,
+        event TEXT NOT NULL,
+        item_id INTEGER REFERENCES item_details(id) ON DELETE SET NULL,
+        subject TEXT NOT NULL,
+        body TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TEXT NOT NULL,
+        sent_at TEXT,
+        read_at TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_notifications_delivery ON notifications(status, next_attempt_at);
+      CREATE INDEX idx_notifications_user_channel ON notifications(user_id, channel);
+
+      -- Channels without a row are on; address is where to deliver, e.g. an email address
+      CREATE TABLE notification_preferences (
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        channel TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        address TEXT,
+        PRIMARY KEY (user_id, channel)
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE notification_preferences;
+      DROP TABLE notifications;
+    `);
+  },
+};
@@ -0,0 +1,51 @@
+/**
+ * Webhook subscriptions and their delivery log. A delivery is one event sent
+ * to one subscription; rows are written in the same transaction as the
+ * change, then POSTed with retries, keeping the last response for each.
+ */
+module.exports = {
+  version: 19,
+  name: 'create_webhooks',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE webhook_subscriptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        -- JSON array of event names; ["*"] matches every event
+        events TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        description TEXT,
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT
+      );
+
+      CREATE TABLE webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        response_body TEXT,
+        last_error TEXT,
+        next_attempt_at TEXT NOT NULL,
+        delivered_at TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_webhook_deliveries_pending ON webhook_deliveries(status, next_attempt_at);
+      CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE webhook_deliveries;
+      DROP TABLE webhook_subscriptions;
+    `);
+  },
+};
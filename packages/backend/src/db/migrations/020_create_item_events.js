@@ -0,0 +1,27 @@
+/**
+ * Change feed for items. Each create, update or delete is numbered in order
+ * so clients of the event stream can resume after a dropped connection, or
+ * learn that they missed too much and must reload. Only recent events are
+ * kept.
+ */
+module.exports = {
+  version: 20,
+  name: 'create_item_events',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE item_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL,
+        item_id INTEGER,
+        data TEXT NOT NULL,
+        actor TEXT,
+        created_at TEXT NOT NULL
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE item_events;');
+  },
+};
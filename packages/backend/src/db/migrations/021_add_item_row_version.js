@@ -0,0 +1,28 @@
+/**
+ * Adds `row_version` to item_details for optimistic concurrency: it is served
+ * as the item's ETag and checked against If-Match on update. A trigger bumps
+ * it on every update, whichever code path makes the change.
+ */
+module.exports = {
+  version: 21,
+  name: 'add_item_row_version',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE item_details ADD COLUMN row_version INTEGER NOT NULL DEFAULT 1;
+
+      CREATE TRIGGER item_details_row_version AFTER UPDATE ON item_details
+      WHEN NEW.row_version = OLD.row_version
+      BEGIN
+        UPDATE item_details SET row_version = OLD.row_version + 1 WHERE id = NEW.id;
+      END;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TRIGGER item_details_row_version;
+      ALTER TABLE item_details DROP COLUMN row_version;
+    `);
+  },
+};
@@ -0,0 +1,72 @@
+// Rebuilds one item's search row from item_search_source
+const refresh = (itemId) => `
+  DELETE FROM item_search WHERE rowid = ${itemId};
+  INSERT INTO item_search (rowid, name, description, tags, comments)
+    SELECT id, name, description, tags, comments FROM item_search_source WHERE id = ${itemId};
+`;
+
+/**
+ * Full-text index over detailed items: name, description, tags and the text
+ * of their comments. Triggers keep it in step with item_details and
+ * item_comments, so every write path updates it in the same transaction.
+ */
+module.exports = {
+  version: 22,
+  name: 'create_item_search',
+
+  up(db) {
+    db.exec(`
+      CREATE VIRTUAL TABLE item_search USING fts5(
+        name, description, tags, comments,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      );
+
+      -- What gets indexed for each item; tags are stored as a JSON array
+      CREATE VIEW item_search_source AS
+      SELECT
+        d.id,
+        d.name,
+        d.description,
+        CASE WHEN json_valid(d.tags) THEN (SELECT group_concat(value, ' ') FROM json_each(d.tags)) ELSE d.tags END AS tags,
+        (SELECT group_concat(c.body, ' ') FROM item_comments c WHERE c.item_id = d.id AND c.body IS NOT NULL) AS comments
+      FROM item_details d;
+
+      CREATE TRIGGER item_search_item_insert AFTER INSERT ON item_details
+      BEGIN ${refresh('NEW.id')} END;
+
+      CREATE TRIGGER item_search_item_update AFTER UPDATE OF name, description, tags ON item_details
+      BEGIN ${refresh('NEW.id')} END;
+
+      CREATE TRIGGER item_search_item_delete AFTER DELETE ON item_details
+      BEGIN
+        DELETE FROM item_search WHERE rowid = OLD.id;
+      END;
+
+      CREATE TRIGGER item_search_comment_insert AFTER INSERT ON item_comments
+      BEGIN ${refresh('NEW.item_id')} END;
+
+      CREATE TRIGGER item_search_comment_update AFTER UPDATE OF body ON item_comments
+      BEGIN ${refresh('NEW.item_id')} END;
+
+      CREATE TRIGGER item_search_comment_delete AFTER DELETE ON item_comments
+      BEGIN ${refresh('OLD.item_id')} END;
+
+      INSERT INTO item_search (rowid, name, description, tags, comments)
+        SELECT id, name, description, tags, comments FROM item_search_source;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TRIGGER item_search_item_insert;
+      DROP TRIGGER item_search_item_update;
+      DROP TRIGGER item_search_item_delete;
+      DROP TRIGGER item_search_comment_insert;
+      DROP TRIGGER item_search_comment_update;
+      DROP TRIGGER item_search_comment_delete;
+      DROP VIEW item_search_source;
+      DROP TABLE item_search;
+    `);
+  },
+};
@@ -0,0 +1,39 @@
+/**
+ * Bumps `row_version` only when the item's own fields change. Links,
+ * dependencies and attachments are mirrored into item_details when either
+ * side changes, and editing one item must not make another item's ETag stale.
+ * Every edit through the API also sets `updated_at`, so it still bumps.
+ */
+module.exports = {
+  version: 23,
+  name: 'limit_row_version_trigger',
+
+  up(db) {
+    db.exec(`
+      DROP TRIGGER item_details_row_version;
+
+      CREATE TRIGGER item_details_row_version AFTER UPDATE OF
+        name, description, category, priority, tags, status, due_date, assignee,
+        custom_fields, metadata, estimated_hours, budget, location, external_refs,
+        workflow_stage, approval_required, template_id, parent_item_id,
+        reminder_settings, checklist, updated_at
+      ON item_details
+      WHEN NEW.row_version = OLD.row_version
+      BEGIN
+        UPDATE item_details SET row_version = OLD.row_version + 1 WHERE id = NEW.id;
+      END;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TRIGGER item_details_row_version;
+
+      CREATE TRIGGER item_details_row_version AFTER UPDATE ON item_details
+      WHEN NEW.row_version = OLD.row_version
+      BEGIN
+        UPDATE item_details SET row_version = OLD.row_version + 1 WHERE id = NEW.id;
+      END;
+    `);
+  },
+};
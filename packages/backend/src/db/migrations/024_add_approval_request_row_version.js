@@ -0,0 +1,17 @@
+/**
+ * Records the item's `row_version` on each approval request, so an approval
+ * cannot overwrite edits made to the item while its change was waiting.
+ * Requests created before this have no version and are not checked.
+ */
+module.exports = {
+  version: 24,
+  name: 'add_approval_request_row_version',
+
+  up(db) {
+    db.exec('ALTER TABLE approval_requests ADD COLUMN row_version INTEGER');
+  },
+
+  down(db) {
+    db.exec('ALTER TABLE approval_requests DROP COLUMN row_version');
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * Ordered list of schema migrations. New migrations are added to the end with
+ * the next version number and must never be renumbered once released.
+ */
+module.exports = [
+  require('./001_create_items'),
+  require('./002_create_item_details'),
+  require('./003_seed_sample_data'),
+  require('./004_create_item_versions'),
+  require('./005_create_audit_log'),
+  require('./006_create_item_comments'),
+  require('./007_create_attachments'),
+  require('./008_create_item_dependencies'),
+  require('./009_index_item_parents'),
+  require('./010_create_item_links'),
+  require('./011_create_templates'),
+  require('./012_create_custom_field_definitions'),
+  require('./013_create_users_and_sessions'),
+  require('./014_add_roles_and_item_permissions'),
+  require('./015_create_workflows'),
+  require('./016_create_approval_requests'),
+  require('./017_create_reminders'),
+  require('./018_create_notifications'),
+  require('./019_create_webhooks'),
+  require('./020_create_item_events'),
+  require('./021_add_item_row_version'),
+  require('./022_create_item_search'),
+  require('./023_limit_row_version_trigger'),
+  require('./024_add_approval_request_row_version'),
+];
@@ -1,9 +1,26 @@
-const { app } = require('./app');
+const { app, db, reminderScheduler, notificationDispatcher, webhookDispatcher } = require('./app');
+const config = require('./config');
 
-const PORT = process.env.PORT || 3030;
+const PORT = config.port;
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`API available at http://localhost:${PORT}/api/items`);
-});
\ No newline at end of file
+});
+reminderScheduler.start();
+notificationDispatcher.start();
+webhookDispatcher.start();
+
+// Close the database cleanly so the WAL is checkpointed on shutdown
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    reminderScheduler.stop();
+    notificationDispatcher.stop();
+    webhookDispatcher.stop();
+    server.close(() => {
+      db.close();
+      process.exit(0);
+    });
+  });
+});
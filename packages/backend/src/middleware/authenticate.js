@@ -0,0 +1,53 @@
+const { HttpError, sendError } = require('../utils/errors');
+
+const SESSION_COOKIE = 'session';
+
+/**
+ * Reads the session token from an `Authorization: Bearer` header or, for
+ * requests made by the browser app, the session cookie.
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function readToken(req) {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+
+  const cookie = (req.get('Cookie') || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${SESSION_COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+}
+
+/**
+ * Middleware that attaches the logged-in user to `req.user` and answers 401
+ * for requests without a valid session.
+ *
+ * @param {AuthService} authService - Verifies tokens
+ * @param {Object} [options]
+ * @param {Array<string>} [options.publicPaths] - Paths, relative to the mount point, open to anyone
+ * @returns {Function} Express middleware
+ */
+function createAuthMiddleware(authService, { publicPaths = [] } = {}) {
+  return (req, res, next) => {
+    try {
+      if (publicPaths.includes(req.path)) {
+        return next();
+      }
+
+      const user = authService.verifyToken(readToken(req));
+      if (!user) {
+        throw new HttpError(401, 'Authentication required');
+      }
+      req.user = user;
+      next();
+    } catch (error) {
+      sendError(res, error, 'Failed to authenticate');
+    }
+  };
+}
+
+module.exports = { createAuthMiddleware, readToken, SESSION_COOKIE };
@@ -0,0 +1,52 @@
+const { sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Wraps a permission check as middleware that answers 403 (or 404 for a
+ * missing item) when the check throws.
+ *
+ * @param {Function} check - `(req) => void`, throwing an HttpError to refuse
+ * @param {Object} [options]
+ * @param {boolean} [options.writesOnly] - Let GET/HEAD/OPTIONS requests through unchecked
+ * @returns {Function} Express middleware
+ */
+function authorize(check, { writesOnly = false } = {}) {
+  return (req, res, next) => {
+    try {
+      if (!(writesOnly && READ_METHODS.includes(req.method))) {
+        check(req);
+      }
+      next();
+    } catch (error) {
+      sendError(res, error, 'Failed to check permissions');
+    }
+  };
+}
+
+/**
+ * Requires the logged-in user to have at least `role`.
+ *
+ * @param {PermissionService} permissionService
+ * @param {string} role - viewer, editor or admin
+ * @param {Object} [options] - See `authorize`
+ */
+function requireRole(permissionService, role, options) {
+  return authorize(req => permissionService.assertRole(req.user, role), options);
+}
+
+/**
+ * Requires permission for `action` on the detailed item in `req.params.id`.
+ *
+ * @param {PermissionService} permissionService
+ * @param {string} action - read, update, delete or manage
+ * @param {Object} [options] - See `authorize`
+ */
+function requireItemPermission(permissionService, action, options) {
+  return authorize(req => permissionService.assertItemPermission(
+    req.user, action, parseId(req.params.id, 'item ID')
+  ), options);
+}
+
+module.exports = { requireRole, requireItemPermission };
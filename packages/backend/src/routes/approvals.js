@@ -0,0 +1,63 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+/**
+ * Routes for changes awaiting approval, mounted at `/api/approvals`.
+ * Decisions go through the controller so an approved change is applied in
+ * the same transaction.
+ *
+ * @param {ApprovalService} approvalService - Approval requests
+ * @param {ItemDetailsController} itemDetailsController - Applies approved changes
+ * @returns {express.Router}
+ */
+function createApprovalRoutes(approvalService, itemDetailsController) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    try {
+      const { status, itemId } = req.query;
+      res.json(approvalService.listRequests({
+        status,
+        itemId: itemId === undefined ? undefined : parseId(itemId, 'itemId'),
+      }));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch approval requests');
+    }
+  });
+
+  router.get('/:requestId', (req, res) => {
+    try {
+      const requestId = parseId(req.params.requestId, 'approval request ID');
+      res.json(approvalService.getRequest(requestId));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch approval request');
+    }
+  });
+
+  router.post('/:requestId/approve', (req, res) => {
+    try {
+      const requestId = parseId(req.params.requestId, 'approval request ID');
+      res.json(itemDetailsController.decideApproval(
+        requestId, { approved: true, comment: req.body.comment }, req.user
+      ));
+    } catch (error) {
+      sendError(res, error, 'Failed to approve change');
+    }
+  });
+
+  router.post('/:requestId/reject', (req, res) => {
+    try {
+      const requestId = parseId(req.params.requestId, 'approval request ID');
+      res.json(itemDetailsController.decideApproval(
+        requestId, { approved: false, comment: req.body.comment }, req.user
+      ));
+    } catch (error) {
+      sendError(res, error, 'Failed to reject change');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createApprovalRoutes;
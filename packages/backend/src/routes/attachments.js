@@ -0,0 +1,117 @@
+const fs = require('fs');
+const express = require('express');
+const multer = require('multer');
+const { HttpError, ValidationError, sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+/**
+ * Translates multer's errors into HTTP errors.
+ *
+ * @param {Error} error - Error raised while receiving the upload
+ * @param {number} maxFileSize - Upload limit in bytes
+ * @returns {Error}
+ */
+function toUploadError(error, maxFileSize) {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return new HttpError(413, `File exceeds the maximum size of ${maxFileSize} bytes`);
+    }
+    return new ValidationError(error.message);
+  }
+  return error;
+}
+
+/**
+ * Routes for uploading, downloading and removing an item's attachments,
+ * mounted at `/api/items/:id/attachments`. Uploads are multipart requests
+ * with the file in the `file` field.
+ *
+ * @param {AttachmentService} attachmentService - Attachment store
+ * @returns {express.Router}
+ */
+function createAttachmentRoutes(attachmentService) {
+  const router = express.Router({ mergeParams: true });
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: (req, file, callback) => {
+        fs.mkdir(attachmentService.uploadTempPath, { recursive: true }, error => (
+          callback(error, attachmentService.uploadTempPath)
+        ));
+      },
+    }),
+    limits: { fileSize: attachmentService.maxFileSize, files: 1 },
+  }).single('file');
+
+  router.get('/', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      attachmentService.assertItemExists(itemId);
+      res.json(attachmentService.getItemAttachments(itemId));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch attachments');
+    }
+  });
+
+  router.post('/', (req, res) => {
+    upload(req, res, async (uploadError) => {
+      try {
+        if (uploadError) {
+          throw toUploadError(uploadError, attachmentService.maxFileSize);
+        }
+        if (!req.file) {
+          throw new ValidationError('A file is required in the "file" field');
+        }
+
+        const itemId = parseId(req.params.id, 'item ID');
+        const attachment = await attachmentService.storeUpload(
+          itemId, req.file, req.user?.id || 'anonymous'
+        );
+        res.status(201).json(attachment);
+      } catch (error) {
+        if (req.file) {
+          fs.rm(req.file.path, { force: true }, () => {});
+        }
+        sendError(res, error, 'Failed to upload attachment');
+      }
+    });
+  });
+
+  router.get('/:attachmentId/download', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      const attachmentId = parseId(req.params.attachmentId, 'attachment ID');
+      const { attachment, stream } = attachmentService.openDownload(itemId, attachmentId);
+
+      res.attachment(attachment.filename);
+      res.set({
+        'Content-Type': attachment.mime_type,
+        'Content-Length': attachment.size,
+        ETag: `"${attachment.checksum}"`,
+      });
+
+      stream.on('error', (error) => {
+        console.error('Error streaming attachment:', error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      sendError(res, error, 'Failed to download attachment');
+    }
+  });
+
+  router.delete('/:attachmentId', async (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      const attachmentId = parseId(req.params.attachmentId, 'attachment ID');
+      await attachmentService.removeItemAttachment(itemId, attachmentId);
+      res.json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete attachment');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAttachmentRoutes;
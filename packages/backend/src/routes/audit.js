@@ -0,0 +1,86 @@
+const express = require('express');
+const { ValidationError, sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+/**
+ * Parses an optional integer query parameter.
+ *
+ * @param {string} [value] - Raw query value
+ * @param {string} label - Name used in the error message
+ * @returns {number|undefined}
+ * @throws {ValidationError} If the value is present but not an integer
+ */
+function parseOptionalInt(value, label) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed)) {
+    throw new ValidationError(`${label} must be an integer`);
+  }
+  return parsed;
+}
+
+/**
+ * Parses an optional ISO timestamp query parameter.
+ *
+ * @param {string} [value] - Raw query value
+ * @param {string} label - Name used in the error message
+ * @returns {string|undefined} - Normalized ISO timestamp
+ * @throws {ValidationError} If the value is present but not a date
+ */
+function parseOptionalDate(value, label) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${label} must be a valid date`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Routes for reading and archiving the audit trail, mounted at `/api/audit`.
+ *
+ * @param {AuditLogService} auditService - Audit log store
+ * @returns {express.Router}
+ */
+function createAuditRoutes(auditService) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    try {
+      const { actor, action, entityType, itemId, from, to, includeArchived } = req.query;
+      const filters = {
+        actor,
+        action,
+        entityType,
+        itemId: itemId === undefined ? undefined : parseId(itemId, 'item ID'),
+        from: parseOptionalDate(from, 'from'),
+        to: parseOptionalDate(to, 'to'),
+      };
+
+      res.json(auditService.query(filters, {
+        includeArchived: includeArchived === 'true',
+        limit: parseOptionalInt(req.query.limit, 'limit'),
+        offset: parseOptionalInt(req.query.offset, 'offset'),
+      }));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch audit log');
+    }
+  });
+
+  router.post('/archive', (req, res) => {
+    try {
+      const archived = auditService.archiveOlderThan(req.body.olderThanDays);
+      res.json({ archived });
+    } catch (error) {
+      sendError(res, error, 'Failed to archive audit log');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAuditRoutes;
@@ -0,0 +1,48 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+const { readToken, SESSION_COOKIE } = require('../middleware/authenticate');
+
+/**
+ * Login and logout, mounted at `/api/auth`. A successful login returns the
+ * token and also sets it as an HTTP-only cookie for the browser app.
+ *
+ * @param {AuthService} authService - Accounts and sessions
+ * @returns {express.Router}
+ */
+function createAuthRoutes(authService) {
+  const router = express.Router();
+
+  router.post('/login', (req, res) => {
+    try {
+      const { username, password } = req.body;
+      const session = authService.login(username, password);
+      res.cookie(SESSION_COOKIE, session.token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        path: '/api',
+        expires: new Date(session.expiresAt),
+      });
+      res.json(session);
+    } catch (error) {
+      sendError(res, error, 'Failed to log in');
+    }
+  });
+
+  router.post('/logout', (req, res) => {
+    try {
+      authService.logout(readToken(req));
+      res.clearCookie(SESSION_COOKIE, { path: '/api' });
+      res.json({ message: 'Logged out' });
+    } catch (error) {
+      sendError(res, error, 'Failed to log out');
+    }
+  });
+
+  router.get('/me', (req, res) => {
+    res.json(req.user);
+  });
+
+  return router;
+}
+
+module.exports = createAuthRoutes;
@@ -0,0 +1,70 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+/**
+ * Routes for threaded comments on an item, mounted at
+ * `/api/items/:id/comments`. Comments are edited and deleted by their author
+ * or an admin.
+ *
+ * @param {CommentService} commentService - Comment store
+ * @param {PermissionService} permissionService - Decides who may change a comment
+ * @returns {express.Router}
+ */
+function createCommentRoutes(commentService, permissionService) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      commentService.assertItemExists(itemId);
+      res.json(commentService.getItemComments(itemId));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch comments');
+    }
+  });
+
+  router.post('/', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      const { body, parentId } = req.body;
+      const comment = commentService.addComment(itemId, {
+        author: req.user?.id || req.body.author || 'anonymous',
+        body,
+        parentId: parentId === undefined || parentId === null
+          ? null
+          : parseId(parentId, 'parent comment ID'),
+      });
+      res.status(201).json(comment);
+    } catch (error) {
+      sendError(res, error, 'Failed to add comment');
+    }
+  });
+
+  router.put('/:commentId', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      const commentId = parseId(req.params.commentId, 'comment ID');
+      permissionService.assertCanModifyComment(req.user, commentService.getCommentRow(itemId, commentId));
+      res.json(commentService.updateComment(itemId, commentId, req.body.body));
+    } catch (error) {
+      sendError(res, error, 'Failed to update comment');
+    }
+  });
+
+  router.delete('/:commentId', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      const commentId = parseId(req.params.commentId, 'comment ID');
+      permissionService.assertCanModifyComment(req.user, commentService.getCommentRow(itemId, commentId));
+      const placeholder = commentService.deleteComment(itemId, commentId);
+      res.json({ message: 'Comment deleted successfully', comment: placeholder });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete comment');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCommentRoutes;
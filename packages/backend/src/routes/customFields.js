@@ -0,0 +1,61 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+/**
+ * CRUD routes for custom field definitions, mounted at `/api/custom-fields`.
+ *
+ * @param {CustomFieldService} customFieldService - Definition store
+ * @returns {express.Router}
+ */
+function createCustomFieldRoutes(customFieldService) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    try {
+      res.json(customFieldService.listDefinitions());
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch custom fields');
+    }
+  });
+
+  router.get('/:fieldId', (req, res) => {
+    try {
+      const fieldId = parseId(req.params.fieldId, 'custom field ID');
+      res.json(customFieldService.getDefinition(fieldId));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch custom field');
+    }
+  });
+
+  router.post('/', (req, res) => {
+    try {
+      res.status(201).json(customFieldService.createDefinition(req.body));
+    } catch (error) {
+      sendError(res, error, 'Failed to create custom field');
+    }
+  });
+
+  router.put('/:fieldId', (req, res) => {
+    try {
+      const fieldId = parseId(req.params.fieldId, 'custom field ID');
+      res.json(customFieldService.updateDefinition(fieldId, req.body));
+    } catch (error) {
+      sendError(res, error, 'Failed to update custom field');
+    }
+  });
+
+  router.delete('/:fieldId', (req, res) => {
+    try {
+      const fieldId = parseId(req.params.fieldId, 'custom field ID');
+      customFieldService.deleteDefinition(fieldId);
+      res.json({ message: 'Custom field deleted successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete custom field');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCustomFieldRoutes;
@@ -0,0 +1,28 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+/**
+ * Routes for an item's dependency graph, mounted at
+ * `/api/items/:id/dependencies`. Dependencies themselves are written through
+ * the item details `dependencies` field.
+ *
+ * @param {DependencyService} dependencyService - Dependency graph
+ * @returns {express.Router}
+ */
+function createDependencyRoutes(dependencyService) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      res.json(dependencyService.getDependencyGraph(itemId));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch dependencies');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createDependencyRoutes;
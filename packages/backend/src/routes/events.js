@@ -0,0 +1,93 @@
+const express = require('express');
+const { sendError, ValidationError } = require('../utils/errors');
+
+// Events whose item should carry the user's permissions, as GET /api/items/details does
+const DETAILED_ITEM_EVENTS = ['item_details.created', 'item_details.updated'];
+
+/**
+ * @returns {number|null} - The event ID a client is resuming from, if any
+ * @throws {ValidationError} If it is not a whole number
+ */
+const parseLastEventId = (value) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new ValidationError('Last-Event-ID must be a whole number');
+  }
+  return Number(value);
+};
+
+const formatMessage = (id, event, data) => `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Server-sent event stream of item changes, mounted at `/api/events`.
+ *
+ * A new stream starts with a `ready` event carrying the latest event ID.
+ * Reconnecting clients send it back as `Last-Event-ID` (browsers do this
+ * themselves) or `?lastEventId=`, and get whatever they missed; if that is
+ * no longer available they get a `resync` event and should reload.
+ *
+ * @param {ItemEventService} eventService - Change feed
+ * @param {PermissionService} permissionService - Annotates items with the user's permissions
+ * @param {Object} options
+ * @param {number} options.heartbeatMs - Interval of keep-alive comments, so proxies keep the connection open
+ * @param {number} options.retryMs - How long browsers should wait before reconnecting
+ * @returns {express.Router}
+ */
+function createEventRoutes(eventService, permissionService, { heartbeatMs, retryMs }) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    try {
+      const lastEventId = parseLastEventId(req.get('Last-Event-ID') ?? req.query.lastEventId);
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+      res.write(`retry: ${retryMs}\n\n`);
+
+      // Events can be both caught up on and broadcast; send each only once
+      let lastSentId = lastEventId ?? eventService.getLatestId();
+      const send = (event) => {
+        if (event.id <= lastSentId) {
+          return;
+        }
+        lastSentId = event.id;
+        const data = DETAILED_ITEM_EVENTS.includes(event.event)
+          ? { ...event.data, item: permissionService.annotateItems(req.user, [event.data.item])[0] }
+          : event.data;
+        res.write(formatMessage(event.id, event.event, { ...data, actor: event.actor }));
+      };
+
+      if (lastEventId === null) {
+        res.write(formatMessage(lastSentId, 'ready', { lastEventId: lastSentId }));
+      } else {
+        const { events, gap } = eventService.getEventsSince(lastEventId);
+        if (gap) {
+          lastSentId = eventService.getLatestId();
+          res.write(formatMessage(lastSentId, 'resync', { lastEventId: lastSentId }));
+        } else {
+          events.forEach(send);
+        }
+      }
+
+      const unsubscribe = eventService.subscribe(send);
+      const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to open event stream');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createEventRoutes;
@@ -0,0 +1,58 @@
+const express = require('express');
+const { ValidationError, sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+/**
+ * Routes for the parent/child tree of detailed items, mounted at
+ * `/api/items/:id`. Moves go through the item details update so they are
+ * versioned and audited like any other change.
+ *
+ * @param {HierarchyService} hierarchyService - Item tree
+ * @param {ItemDetailsController} itemDetailsController - Applies the move
+ * @returns {express.Router}
+ */
+function createHierarchyRoutes(hierarchyService, itemDetailsController) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/children', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      res.json(hierarchyService.getChildren(itemId));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch child items');
+    }
+  });
+
+  router.get('/subtree', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      const maxDepth = req.query.maxDepth === undefined
+        ? Infinity
+        : parseId(req.query.maxDepth, 'maxDepth');
+      res.json(hierarchyService.getSubtree(itemId, maxDepth));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch item subtree');
+    }
+  });
+
+  router.put('/parent', async (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      const { parentId } = req.body;
+      if (parentId === undefined) {
+        throw new ValidationError('parentId is required; use null to move the item to the top level');
+      }
+
+      const moved = await itemDetailsController.updateItemWithAdvancedOptions(
+        itemId, { parent_item_id: parentId }, req.user?.id || 'anonymous'
+      );
+      res.json(moved);
+    } catch (error) {
+      sendError(res, error, 'Failed to move item');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createHierarchyRoutes;
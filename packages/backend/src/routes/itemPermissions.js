@@ -0,0 +1,40 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+/**
+ * Routes for the per-item grants of a detailed item, mounted at
+ * `/api/items/:id/permissions`.
+ *
+ * @param {PermissionService} permissionService - Roles and item grants
+ * @returns {express.Router}
+ */
+function createItemPermissionRoutes(permissionService) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      res.json({
+        permissions: permissionService.getItemPermissionsById(req.user, itemId),
+        grants: permissionService.listGrants(itemId),
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch item permissions');
+    }
+  });
+
+  router.put('/', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      permissionService.assertItemPermission(req.user, 'manage', itemId);
+      res.json({ grants: permissionService.setGrants(itemId, req.body.grants, req.user.id) });
+    } catch (error) {
+      sendError(res, error, 'Failed to update item permissions');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createItemPermissionRoutes;
@@ -0,0 +1,69 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+const { toETag, parseIfMatch } = require('../utils/etag');
+
+/**
+ * Routes for an item's version history, mounted at
+ * `/api/items/:id/details/versions`.
+ *
+ * @param {ItemVersionService} versionService - Version store
+ * @param {ItemDetailsController} itemDetailsController - Applies restores as updates
+ * @returns {express.Router}
+ */
+function createItemVersionRoutes(versionService, itemDetailsController) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      versionService.getCurrentItem(itemId);
+      res.json(versionService.getItemHistory(itemId));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch item versions');
+    }
+  });
+
+  router.get('/diff', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      const from = parseId(req.query.from, '"from" version');
+      const to = req.query.to === undefined || req.query.to === 'current'
+        ? 'current'
+        : parseId(req.query.to, '"to" version');
+
+      res.json(versionService.diffVersions(itemId, from, to));
+    } catch (error) {
+      sendError(res, error, 'Failed to compare item versions');
+    }
+  });
+
+  router.get('/:version', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      const version = parseId(req.params.version, 'version');
+      res.json(versionService.getVersion(itemId, version));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch item version');
+    }
+  });
+
+  router.post('/:version/restore', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      const version = parseId(req.params.version, 'version');
+      const restored = itemDetailsController.restoreVersion(itemId, version, req.user?.id || 'anonymous', {
+        expectedVersions: parseIfMatch(req.get('If-Match'))
+      });
+      // Restoring protected fields is held for approval, like any other change to them
+      res.set('ETag', toETag(restored.row_version));
+      res.status(restored.pending_approval ? 202 : 200).json(restored);
+    } catch (error) {
+      sendError(res, error, 'Failed to restore item version');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createItemVersionRoutes;
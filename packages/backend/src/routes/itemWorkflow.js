@@ -0,0 +1,28 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+/**
+ * Routes for a detailed item's place in its workflow, mounted at
+ * `/api/items/:id/workflow`. Stages are changed through the item's
+ * `workflowStage` on `PUT /api/items/:id/details`.
+ *
+ * @param {WorkflowService} workflowService - Workflow stages and transitions
+ * @returns {express.Router}
+ */
+function createItemWorkflowRoutes(workflowService) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      res.json(workflowService.getAvailableTransitions(itemId));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch item workflow');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createItemWorkflowRoutes;
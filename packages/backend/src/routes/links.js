@@ -0,0 +1,56 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+/**
+ * Routes for an item's typed links, mounted at `/api/items/:id/links`. Links
+ * can be read and removed from either end. A link is mirrored onto the item
+ * at its other end, so changing one needs write access to that item too.
+ *
+ * @param {LinkService} linkService - Item links
+ * @param {PermissionService} permissionService - Decides who may change the other item
+ * @returns {express.Router}
+ */
+function createLinkRoutes(linkService, permissionService) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      linkService.assertItemExists(itemId);
+      res.json(linkService.fetchRelatedItems(itemId));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch linked items');
+    }
+  });
+
+  router.post('/', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      const { itemId: linkedItemId, type } = req.body;
+      permissionService.assertItemPermission(req.user, 'update', linkService.validateTarget(itemId, linkedItemId));
+      const link = linkService.addLink(
+        itemId, { itemId: linkedItemId, type }, req.user?.id || 'anonymous'
+      );
+      res.status(201).json(link);
+    } catch (error) {
+      sendError(res, error, 'Failed to link items');
+    }
+  });
+
+  router.delete('/:linkId', (req, res) => {
+    try {
+      const itemId = parseId(req.params.id, 'item ID');
+      const linkId = parseId(req.params.linkId, 'link ID');
+      permissionService.assertItemPermission(req.user, 'update', linkService.getLink(itemId, linkId).item_id);
+      linkService.removeLink(itemId, linkId);
+      res.json({ message: 'Link removed successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to remove link');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createLinkRoutes;
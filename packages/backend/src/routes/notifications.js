@@ -0,0 +1,94 @@
+const express = require('express');
+const { sendError, ValidationError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+/**
+ * Routes for notifications, mounted at `/api/notifications`. Users see their
+ * own in-app notifications and preferences; the outbox of every delivery is
+ * for admins.
+ *
+ * @param {NotificationService} notificationService - Notification outbox
+ * @param {PermissionService} permissionService - Role checks for the outbox
+ * @returns {express.Router}
+ */
+function createNotificationRoutes(notificationService, permissionService) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    try {
+      const { unreadOnly, limit } = req.query;
+      res.json(notificationService.listInApp(req.user.id, {
+        unreadOnly: unreadOnly === 'true',
+        limit: limit === undefined ? undefined : Number(limit),
+      }));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch notifications');
+    }
+  });
+
+  router.post('/read-all', (req, res) => {
+    try {
+      notificationService.markRead(req.user.id);
+      res.json(notificationService.listInApp(req.user.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to mark notifications read');
+    }
+  });
+
+  router.post('/:notificationId/read', (req, res) => {
+    try {
+      const notificationId = parseId(req.params.notificationId, 'notification ID');
+      notificationService.markRead(req.user.id, notificationId);
+      res.json(notificationService.listInApp(req.user.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to mark notification read');
+    }
+  });
+
+  router.get('/preferences', (req, res) => {
+    try {
+      res.json(notificationService.getPreferences(req.user.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch notification preferences');
+    }
+  });
+
+  router.put('/preferences', (req, res) => {
+    try {
+      const { channels } = req.body;
+      if (!Array.isArray(channels)) {
+        throw new ValidationError('channels must be an array');
+      }
+      res.json(notificationService.setPreferences(req.user.id, channels));
+    } catch (error) {
+      sendError(res, error, 'Failed to update notification preferences');
+    }
+  });
+
+  router.get('/outbox', (req, res) => {
+    try {
+      permissionService.assertRole(req.user, 'admin');
+      const { status, limit } = req.query;
+      res.json(notificationService.listOutbox({
+        status,
+        limit: limit === undefined ? undefined : Number(limit),
+      }));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch notification outbox');
+    }
+  });
+
+  router.post('/outbox/:notificationId/retry', (req, res) => {
+    try {
+      permissionService.assertRole(req.user, 'admin');
+      const notificationId = parseId(req.params.notificationId, 'notification ID');
+      res.json(notificationService.retry(notificationId));
+    } catch (error) {
+      sendError(res, error, 'Failed to retry notification');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createNotificationRoutes;
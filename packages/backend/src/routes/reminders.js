@@ -0,0 +1,41 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+/**
+ * Routes for item reminders, mounted at `/api/reminders`.
+ *
+ * @param {ReminderService} reminderService - Reminder store
+ * @returns {express.Router}
+ */
+function createReminderRoutes(reminderService) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    try {
+      const { status, itemId, recipient, includeDismissed, limit } = req.query;
+      res.json(reminderService.listReminders({
+        status,
+        itemId: itemId === undefined ? undefined : parseId(itemId, 'itemId'),
+        recipient,
+        includeDismissed: includeDismissed === 'true',
+        limit: limit === undefined ? undefined : Number(limit),
+      }));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch reminders');
+    }
+  });
+
+  router.post('/:reminderId/dismiss', (req, res) => {
+    try {
+      const reminderId = parseId(req.params.reminderId, 'reminder ID');
+      res.json(reminderService.dismissReminder(reminderId, req.user.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to dismiss reminder');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createReminderRoutes;
@@ -0,0 +1,29 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Item reports, mounted at `/api/reports`. Both take the item list's filter
+ * parameters, plus `format=json` (the default) or `format=html`.
+ *
+ * @param {ReportService} reportService - Builds the reports
+ * @returns {express.Router}
+ */
+function createReportRoutes(reportService) {
+  const router = express.Router();
+
+  ['summary', 'detailed'].forEach((type) => {
+    router.get(`/${type}`, (req, res) => {
+      try {
+        const { format, ...query } = req.query;
+        const { contentType, body } = reportService.render(type, query, format);
+        res.type(contentType).send(body);
+      } catch (error) {
+        sendError(res, error, `Failed to build the ${type} report`);
+      }
+    });
+  });
+
+  return router;
+}
+
+module.exports = createReportRoutes;
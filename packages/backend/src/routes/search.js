@@ -0,0 +1,25 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Full-text search, mounted at `/api/search`.
+ *
+ * @param {SearchService} searchService - Item search index
+ * @returns {express.Router}
+ */
+function createSearchRoutes(searchService) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    try {
+      const { q, limit } = req.query;
+      res.json({ results: searchService.search(q, req.user, { limit }) });
+    } catch (error) {
+      sendError(res, error, 'Search failed');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSearchRoutes;
@@ -0,0 +1,63 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+/**
+ * CRUD routes for item templates, mounted at `/api/templates`. Items are
+ * created from a template by passing `templateId` to `POST /api/items/details`.
+ *
+ * @param {TemplateService} templateService - Template store
+ * @returns {express.Router}
+ */
+function createTemplateRoutes(templateService) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    try {
+      res.json(templateService.listTemplates());
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch templates');
+    }
+  });
+
+  router.get('/:templateId', (req, res) => {
+    try {
+      const templateId = parseId(req.params.templateId, 'template ID');
+      res.json(templateService.getTemplate(templateId));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch template');
+    }
+  });
+
+  router.post('/', (req, res) => {
+    try {
+      const template = templateService.createTemplate(req.body, req.user?.id || 'anonymous');
+      res.status(201).json(template);
+    } catch (error) {
+      sendError(res, error, 'Failed to create template');
+    }
+  });
+
+  router.put('/:templateId', (req, res) => {
+    try {
+      const templateId = parseId(req.params.templateId, 'template ID');
+      res.json(templateService.updateTemplate(templateId, req.body));
+    } catch (error) {
+      sendError(res, error, 'Failed to update template');
+    }
+  });
+
+  router.delete('/:templateId', (req, res) => {
+    try {
+      const templateId = parseId(req.params.templateId, 'template ID');
+      templateService.deleteTemplate(templateId);
+      res.json({ message: 'Template deleted successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete template');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTemplateRoutes;
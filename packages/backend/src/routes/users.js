@@ -0,0 +1,43 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+
+/**
+ * User account routes, mounted at `/api/users`. Anyone logged in can list
+ * users; creating and changing them is guarded by the caller.
+ *
+ * @param {AuthService} authService - Accounts and sessions
+ * @returns {express.Router}
+ */
+function createUserRoutes(authService) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    try {
+      res.json(authService.listUsers());
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch users');
+    }
+  });
+
+  router.post('/', (req, res) => {
+    try {
+      const { username, password, role } = req.body;
+      res.status(201).json(authService.createUser({ username, password, role }));
+    } catch (error) {
+      sendError(res, error, 'Failed to create user');
+    }
+  });
+
+  router.put('/:userId', (req, res) => {
+    try {
+      const { role, password } = req.body;
+      res.json(authService.updateUser(req.params.userId, { role, password }));
+    } catch (error) {
+      sendError(res, error, 'Failed to update user');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createUserRoutes;
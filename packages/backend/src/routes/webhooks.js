@@ -0,0 +1,93 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+/**
+ * Routes for webhook subscriptions and their delivery log, mounted at
+ * `/api/webhooks`.
+ *
+ * @param {WebhookService} webhookService - Webhook store
+ * @returns {express.Router}
+ */
+function createWebhookRoutes(webhookService) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    try {
+      res.json(webhookService.listSubscriptions());
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch webhooks');
+    }
+  });
+
+  router.post('/', (req, res) => {
+    try {
+      res.status(201).json(webhookService.createSubscription(req.body, req.user?.id || 'anonymous'));
+    } catch (error) {
+      sendError(res, error, 'Failed to create webhook');
+    }
+  });
+
+  router.post('/deliveries/:deliveryId/redeliver', (req, res) => {
+    try {
+      const deliveryId = parseId(req.params.deliveryId, 'delivery ID');
+      res.json(webhookService.redeliver(deliveryId));
+    } catch (error) {
+      sendError(res, error, 'Failed to redeliver webhook');
+    }
+  });
+
+  router.get('/:subscriptionId', (req, res) => {
+    try {
+      const subscriptionId = parseId(req.params.subscriptionId, 'webhook ID');
+      res.json(webhookService.getSubscription(subscriptionId));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch webhook');
+    }
+  });
+
+  router.put('/:subscriptionId', (req, res) => {
+    try {
+      const subscriptionId = parseId(req.params.subscriptionId, 'webhook ID');
+      res.json(webhookService.updateSubscription(subscriptionId, req.body));
+    } catch (error) {
+      sendError(res, error, 'Failed to update webhook');
+    }
+  });
+
+  router.delete('/:subscriptionId', (req, res) => {
+    try {
+      const subscriptionId = parseId(req.params.subscriptionId, 'webhook ID');
+      webhookService.deleteSubscription(subscriptionId);
+      res.json({ message: 'Webhook deleted successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete webhook');
+    }
+  });
+
+  router.get('/:subscriptionId/deliveries', (req, res) => {
+    try {
+      const subscriptionId = parseId(req.params.subscriptionId, 'webhook ID');
+      const { status, limit } = req.query;
+      res.json(webhookService.listDeliveries(subscriptionId, {
+        status,
+        limit: limit === undefined ? undefined : Number(limit),
+      }));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch webhook deliveries');
+    }
+  });
+
+  router.post('/:subscriptionId/ping', (req, res) => {
+    try {
+      const subscriptionId = parseId(req.params.subscriptionId, 'webhook ID');
+      res.status(202).json(webhookService.ping(subscriptionId, req.user?.id || 'anonymous'));
+    } catch (error) {
+      sendError(res, error, 'Failed to ping webhook');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createWebhookRoutes;
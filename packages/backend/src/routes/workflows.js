@@ -0,0 +1,61 @@
+const express = require('express');
+const { sendError } = require('../utils/errors');
+const { parseId } = require('../utils/validation');
+
+/**
+ * CRUD routes for workflows, mounted at `/api/workflows`.
+ *
+ * @param {WorkflowService} workflowService - Workflow store
+ * @returns {express.Router}
+ */
+function createWorkflowRoutes(workflowService) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    try {
+      res.json(workflowService.listWorkflows());
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch workflows');
+    }
+  });
+
+  router.get('/:workflowId', (req, res) => {
+    try {
+      const workflowId = parseId(req.params.workflowId, 'workflow ID');
+      res.json(workflowService.getWorkflow(workflowId));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch workflow');
+    }
+  });
+
+  router.post('/', (req, res) => {
+    try {
+      res.status(201).json(workflowService.createWorkflow(req.body));
+    } catch (error) {
+      sendError(res, error, 'Failed to create workflow');
+    }
+  });
+
+  router.put('/:workflowId', (req, res) => {
+    try {
+      const workflowId = parseId(req.params.workflowId, 'workflow ID');
+      res.json(workflowService.updateWorkflow(workflowId, req.body));
+    } catch (error) {
+      sendError(res, error, 'Failed to update workflow');
+    }
+  });
+
+  router.delete('/:workflowId', (req, res) => {
+    try {
+      const workflowId = parseId(req.params.workflowId, 'workflow ID');
+      workflowService.deleteWorkflow(workflowId);
+      res.json({ message: 'Workflow deleted successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete workflow');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createWorkflowRoutes;
@@ -0,0 +1,177 @@
+const { ForbiddenError, HttpError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// item_details columns whose changes need approval on items with
+// `approval_required` set. Turning approval off is itself protected.
+const PROTECTED_COLUMNS = [
+  'status', 'workflow_stage', 'priority', 'due_date', 'assignee',
+  'estimated_hours', 'budget', 'approval_required',
+];
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const REQUEST_COLUMNS = `
+  approval_requests.*, item_details.name AS item_name
+  FROM approval_requests
+  JOIN item_details ON item_details.id = approval_requests.item_id
+`;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// The dialog sends every field back, so only values that differ count as changes
+const isSameValue = (a, b) => (isBlank(a) || isBlank(b) ? isBlank(a) && isBlank(b) : String(a) === String(b));
+
+const toView = (row) => ({
+  ...row,
+  changes: JSON.parse(row.changes),
+  previous: JSON.parse(row.previous),
+});
+
+/**
+ * ApprovalService - Holds changes to protected fields of items that require
+ * approval until an admin approves or rejects them.
+ *
+ * An item has at most one pending request. Approval applies the change
+ * through ItemDetailsController, which checks it again against the item as it
+ * is then; the requester cannot approve their own change.
+ */
+class ApprovalService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   */
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * @param {Object} item - The item_details row before the change
+   * @param {Object} columnUpdates - Column to new value
+   * @returns {boolean} - Whether the update has to wait for approval
+   */
+  requiresApproval(item, columnUpdates) {
+    return Boolean(item.approval_required) && PROTECTED_COLUMNS.some(
+      column => columnUpdates[column] !== undefined && !isSameValue(columnUpdates[column], item[column])
+    );
+  }
+
+  /**
+   * Queues an update for approval. Only columns whose value differs from the
+   * item are kept, and the item's row_version is recorded with them, so
+   * approving the request cannot undo other edits.
+   *
+   * @param {Object} item - The item_details row before the change
+   * @param {Object} changes - `{ columns, dependencies, linkedItems }` as the update would apply them
+   * @param {string} requestedBy - ID of the user making the change
+   * @returns {Object} - The pending request
+   * @throws {HttpError} 409 if a change to the item is already waiting
+   */
+  createRequest(item, changes, requestedBy) {
+    if (this.getPendingRequest(item.id)) {
+      throw new HttpError(409, `A change to item ${item.id} is already awaiting approval`);
+    }
+
+    const columns = Object.fromEntries(
+      Object.entries(changes.columns).filter(([column, value]) => !isSameValue(value, item[column]))
+    );
+    const previous = Object.fromEntries(
+      Object.keys(columns).map(column => [column, item[column] ?? null])
+    );
+    const result = this.db.prepare(`
+      INSERT INTO approval_requests (item_id, requested_by, changes, previous, row_version, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      item.id, requestedBy, JSON.stringify({ ...changes, columns }), JSON.stringify(previous),
+      item.row_version, new Date().toISOString()
+    );
+
+    return this.getRequest(result.lastInsertRowid);
+  }
+
+  /**
+   * @param {number} requestId - ID of the approval request
+   * @returns {Object} - The request with the item's name
+   * @throws {NotFoundError} If the request does not exist
+   */
+  getRequest(requestId) {
+    const row = this.db.prepare(`SELECT ${REQUEST_COLUMNS} WHERE approval_requests.id = ?`).get(requestId);
+    if (!row) {
+      throw new NotFoundError('Approval request not found');
+    }
+    return toView(row);
+  }
+
+  /**
+   * @param {number} itemId - ID of the detailed item
+   * @returns {Object|null} - The item's pending request, if any
+   */
+  getPendingRequest(itemId) {
+    const row = this.db.prepare(`
+      SELECT ${REQUEST_COLUMNS} WHERE approval_requests.item_id = ? AND approval_requests.status = 'pending'
+    `).get(itemId);
+    return row ? toView(row) : null;
+  }
+
+  /**
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - pending (the default), approved or rejected
+   * @param {number} [filters.itemId] - Only this item's requests
+   * @returns {Array<Object>} - Requests, oldest first
+   * @throws {ValidationError} If the status is unknown
+   */
+  listRequests({ status = 'pending', itemId } = {}) {
+    if (!STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+    const conditions = ['approval_requests.status = ?'];
+    const params = [status];
+    if (itemId !== undefined) {
+      conditions.push('approval_requests.item_id = ?');
+      params.push(itemId);
+    }
+    return this.db.prepare(`
+      SELECT ${REQUEST_COLUMNS} WHERE ${conditions.join(' AND ')} ORDER BY approval_requests.id
+    `).all(...params).map(toView);
+  }
+
+  /**
+   * Marks a pending request approved or rejected. Applying an approved change
+   * is up to the caller, in the same transaction.
+   *
+   * @param {number} requestId - ID of the approval request
+   * @param {Object} decision
+   * @param {boolean} decision.approved - Approve rather than reject
+   * @param {Object} decision.approver - `req.user`
+   * @param {string} [decision.comment] - Required when rejecting
+   * @returns {Object} - The decided request
+   * @throws {NotFoundError} If the request does not exist
+   * @throws {HttpError} 409 if it has already been decided
+   * @throws {ForbiddenError} If the approver made the change
+   * @throws {ValidationError} If a rejection has no comment
+   */
+  recordDecision(requestId, { approved, approver, comment }) {
+    const request = this.getRequest(requestId);
+    if (request.status !== 'pending') {
+      throw new HttpError(409, `Approval request ${requestId} was already ${request.status}`);
+    }
+    if (approved && request.requested_by === approver.id) {
+      throw new ForbiddenError('You cannot approve your own change');
+    }
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+      throw new ValidationError('comment must be a string');
+    }
+    if (!approved && isBlank(comment?.trim())) {
+      throw new ValidationError('A comment is required when rejecting a change');
+    }
+
+    this.db.prepare(`
+      UPDATE approval_requests
+      SET status = ?, decided_by = ?, decision_comment = ?, decided_at = ?
+      WHERE id = ?
+    `).run(
+      approved ? 'approved' : 'rejected', approver.id, comment?.trim() || null,
+      new Date().toISOString(), requestId
+    );
+
+    return this.getRequest(requestId);
+  }
+}
+
+module.exports = ApprovalService;
@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+// Known formats, the extensions they are uploaded with and their file signature
+const FORMATS = {
+  jpg: { mimeType: 'image/jpeg', extensions: ['jpg', 'jpeg'], signature: Buffer.from([0xff, 0xd8, 0xff]) },
+  png: {
+    mimeType: 'image/png',
+    extensions: ['png'],
+    signature: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  pdf: { mimeType: 'application/pdf', extensions: ['pdf'], signature: Buffer.from('%PDF-') },
+};
+
+const VIEW_COLUMNS = `
+  ia.id, ia.item_id, ia.filename, ia.uploaded_by, ia.created_at,
+  a.id AS content_id, a.checksum, a.size, a.mime_type, a.storage_key
+`;
+
+const toView = ({ storage_key: storageKey, content_id: contentId, ...attachment }) => attachment;
+
+/**
+ * Hashes a file with SHA-256 without reading it into memory at once.
+ *
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} - Hex digest
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * @param {string} filePath - File to inspect
+ * @param {number} length - Number of leading bytes to read
+ * @returns {Promise<Buffer>}
+ */
+async function readHeader(filePath, length) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * AttachmentService - Stores uploaded files on local disk and links them to
+ * item_details rows.
+ *
+ * Content is addressed by its SHA-256 checksum, so uploading the same file
+ * twice stores it once. A file is removed from disk as soon as no item links
+ * to it any more. Each item's `attachment_ids` column mirrors the IDs of its
+ * attachment links.
+ */
+class AttachmentService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   * @param {Object} options
+   * @param {string} options.storagePath - Directory files are stored under
+   * @param {number} options.maxFileSize - Largest accepted upload in bytes
+   * @param {Array<string>} options.allowedFormats - Keys of FORMATS that may be uploaded
+   */
+  constructor(database, { storagePath, maxFileSize, allowedFormats }) {
+    this.db = database;
+    this.storagePath = storagePath;
+    this.maxFileSize = maxFileSize;
+    this.allowedFormats = allowedFormats;
+  }
+
+  /**
+   * @returns {string} - Directory incoming uploads are written to before they are stored
+   */
+  get uploadTempPath() {
+    return path.join(this.storagePath, 'tmp');
+  }
+
+  /**
+   * Determines an upload's format from its extension and verifies the file
+   * content actually starts with that format's signature.
+   *
+   * @param {string} filePath - Uploaded file on disk
+   * @param {string} filename - Name the file was uploaded with
+   * @returns {Promise<Object>} - The matching FORMATS entry
+   * @throws {ValidationError} If the format is not allowed or the content does not match it
+   */
+  async detectFormat(filePath, filename) {
+    const extension = path.extname(filename).slice(1).toLowerCase();
+    const format = this.allowedFormats
+      .map(key => FORMATS[key])
+      .find(candidate => candidate && candidate.extensions.includes(extension));
+
+    if (!format) {
+      throw new ValidationError(
+        `File type not allowed. Allowed formats: ${this.allowedFormats.join(', ')}`
+      );
+    }
+
+    const header = await readHeader(filePath, format.signature.length);
+    if (!header.equals(format.signature)) {
+      throw new ValidationError(`File content does not match its .${extension} extension`);
+    }
+
+    return format;
+  }
+
+  /**
+   * Stores an uploaded file and links it to an item. The temporary upload is
+   * always consumed, whether or not the upload is accepted.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @param {Object} file - Upload as written to disk by multer
+   * @param {string} file.path - Temporary file location
+   * @param {string} file.originalname - Name the file was uploaded with
+   * @param {number} file.size - Size in bytes
+   * @param {string} uploadedBy - ID of the uploading user
+   * @returns {Promise<Object>} - The new attachment link
+   * @throws {NotFoundError} If the item does not exist
+   * @throws {ValidationError} If the file is too large or of a disallowed type
+   */
+  async storeUpload(itemId, file, uploadedBy) {
+    try {
+      this.assertItemExists(itemId);
+      if (file.size > this.maxFileSize) {
+        throw new ValidationError(`File exceeds the maximum size of ${this.maxFileSize} bytes`);
+      }
+
+      const format = await this.detectFormat(file.path, file.originalname);
+      const checksum = await hashFile(file.path);
+      const storageKey = path.join(checksum.slice(0, 2), checksum);
+      const destination = path.join(this.storagePath, storageKey);
+
+      if (!fs.existsSync(destination)) {
+        await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+        await fs.promises.rename(file.path, destination);
+      }
+
+      const linkId = this.db.transaction(() => {
+        this.db.prepare(`
+          INSERT INTO attachments (checksum, size, mime_type, storage_key, created_at)
+          VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT (checksum) DO NOTHING
+        `).run(checksum, file.size, format.mimeType, storageKey, new Date().toISOString());
+
+        const content = this.db.prepare('SELECT id FROM attachments WHERE checksum = ?').get(checksum);
+        return this.linkContent(itemId, content.id, path.basename(file.originalname), uploadedBy);
+      })();
+
+      return this.getItemAttachment(itemId, linkId);
+    } finally {
+      await fs.promises.rm(file.path, { force: true });
+    }
+  }
+
+  /**
+   * Links attachments that already exist on other items to an item, reusing
+   * their stored content. Used when an item is created with attachments.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @param {Array<number>} [attachmentIds] - IDs of existing attachment links
+   * @param {string} uploadedBy - ID of the user creating the links
+   * @returns {Array<number>} - IDs of the new links
+   * @throws {ValidationError} If any attachment ID does not exist
+   */
+  handleAttachments(itemId, attachmentIds = [], uploadedBy) {
+    if (!Array.isArray(attachmentIds)) {
+      throw new ValidationError('attachments must be an array of attachment IDs');
+    }
+
+    return attachmentIds.map(attachmentId => {
+      const source = this.db.prepare(
+        'SELECT attachment_id, filename FROM item_attachments WHERE id = ?'
+      ).get(attachmentId);
+      if (!source) {
+        throw new ValidationError(`Attachment ${attachmentId} does not exist`);
+      }
+      return this.linkContent(itemId, source.attachment_id, source.filename, uploadedBy);
+    });
+  }
+
+  /**
+   * @param {number} itemId - ID of the item_details row
+   * @returns {Array<Object>} - The item's attachments, oldest first
+   */
+  getItemAttachments(itemId) {
+    return this.db.prepare(`
+      SELECT ${VIEW_COLUMNS}
+      FROM item_attachments ia JOIN attachments a ON a.id = ia.attachment_id
+      WHERE ia.item_id = ? ORDER BY ia.id
+    `).all(itemId).map(toView);
+  }
+
+  /**
+   * @param {number} itemId - ID of the item_details row
+   * @param {number} attachmentId - ID of the attachment link
+   * @returns {Object} - The attachment
+   * @throws {NotFoundError} If the item has no such attachment
+   */
+  getItemAttachment(itemId, attachmentId) {
+    return toView(this.getAttachmentRow(itemId, attachmentId));
+  }
+
+  /**
+   * Opens a stored attachment for streaming.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @param {number} attachmentId - ID of the attachment link
+   * @returns {{ attachment: Object, stream: fs.ReadStream }}
+   * @throws {NotFoundError} If the attachment or its file is missing
+   */
+  openDownload(itemId, attachmentId) {
+    const row = this.getAttachmentRow(itemId, attachmentId);
+    const filePath = path.join(this.storagePath, row.storage_key);
+    if (!fs.existsSync(filePath)) {
+      throw new NotFoundError('Attachment content is missing');
+    }
+    return { attachment: toView(row), stream: fs.createReadStream(filePath) };
+  }
+
+  /**
+   * Removes an attachment from an item, deleting the stored file if no other
+   * item still links to it.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @param {number} attachmentId - ID of the attachment link
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} If the item has no such attachment
+   */
+  async removeItemAttachment(itemId, attachmentId) {
+    const row = this.getAttachmentRow(itemId, attachmentId);
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM item_attachments WHERE id = ?').run(attachmentId);
+      this.syncAttachmentIds(itemId);
+    })();
+
+    await this.cleanupAttachments([row.content_id]);
+  }
+
+  /**
+   * @param {number} itemId - ID of the item_details row
+   * @returns {Array<number>} - IDs of the stored content the item links to
+   */
+  getItemContentIds(itemId) {
+    return this.db.prepare(
+      'SELECT DISTINCT attachment_id FROM item_attachments WHERE item_id = ?'
+    ).all(itemId).map(row => row.attachment_id);
+  }
+
+  /**
+   * Deletes stored content, and its file on disk, for every given content ID
+   * that is no longer linked to any item.
+   *
+   * @param {Array<number>} contentIds - Candidate content IDs
+   * @returns {Promise<number>} - Number of files removed
+   */
+  async cleanupAttachments(contentIds) {
+    const orphans = this.db.transaction(() => contentIds
+      .map(id => this.db.prepare(`
+        SELECT * FROM attachments a
+        WHERE a.id = ? AND NOT EXISTS (SELECT 1 FROM item_attachments WHERE attachment_id = a.id)
+      `).get(id))
+      .filter(Boolean)
+      .map(orphan => {
+        this.db.prepare('DELETE FROM attachments WHERE id = ?').run(orphan.id);
+        return orphan;
+      }))();
+
+    await Promise.all(orphans.map(orphan => (
+      fs.promises.rm(path.join(this.storagePath, orphan.storage_key), { force: true })
+    )));
+    return orphans.length;
+  }
+
+  linkContent(itemId, contentId, filename, uploadedBy) {
+    const result = this.db.prepare(`
+      INSERT INTO item_attachments (item_id, attachment_id, filename, uploaded_by, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(itemId, contentId, filename, uploadedBy, new Date().toISOString());
+
+    this.syncAttachmentIds(itemId);
+    return result.lastInsertRowid;
+  }
+
+  syncAttachmentIds(itemId) {
+    const ids = this.db.prepare(
+      'SELECT id FROM item_attachments WHERE item_id = ? ORDER BY id'
+    ).all(itemId).map(row => row.id);
+
+    this.db.prepare('UPDATE item_details SET attachment_ids = ? WHERE id = ?')
+      .run(JSON.stringify(ids), itemId);
+  }
+
+  getAttachmentRow(itemId, attachmentId) {
+    const row = this.db.prepare(`
+      SELECT ${VIEW_COLUMNS}
+      FROM item_attachments ia JOIN attachments a ON a.id = ia.attachment_id
+      WHERE ia.id = ? AND ia.item_id = ?
+    `).get(attachmentId, itemId);
+
+    if (!row) {
+      throw new NotFoundError('Attachment not found');
+    }
+    return row;
+  }
+
+  assertItemExists(itemId) {
+    if (!this.db.prepare('SELECT id FROM item_details WHERE id = ?').get(itemId)) {
+      throw new NotFoundError('Item not found');
+    }
+  }
+}
+
+module.exports = AttachmentService;
@@ -0,0 +1,142 @@
+const { ValidationError } = require('../utils/errors');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+const ENTRY_COLUMNS = 'id, actor, action, entity_type, item_id, before, after, created_at';
+
+// Query parameter to the SQL condition it filters on
+const FILTERS = {
+  actor: 'actor = ?',
+  action: 'action = ?',
+  entityType: 'entity_type = ?',
+  itemId: 'item_id = ?',
+  from: 'created_at >= ?',
+  to: 'created_at <= ?',
+};
+
+const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+const parseEntry = (row) => ({
+  ...row,
+  before: row.before ? JSON.parse(row.before) : null,
+  after: row.after ? JSON.parse(row.after) : null,
+});
+
+/**
+ * AuditLogService - Append-only record of who changed what and when.
+ *
+ * Live entries are kept in `audit_log`; entries past their retention period,
+ * or belonging to deleted items, are moved to `audit_log_archive` and remain
+ * queryable on request.
+ */
+class AuditLogService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Appends an entry to the audit log.
+   *
+   * @param {Object} entry - What happened
+   * @param {string} entry.actor - ID of the user responsible
+   * @param {string} entry.action - Action name, e.g. 'item_created'
+   * @param {string} entry.entityType - 'item' or 'item_details'
+   * @param {number} [entry.itemId] - ID of the affected row
+   * @param {Object} [entry.before] - State before the change
+   * @param {Object} [entry.after] - State after the change
+   * @returns {Object} - The stored entry
+   */
+  record({ actor, action, entityType, itemId = null, before, after }) {
+    const result = this.db.prepare(`
+      INSERT INTO audit_log (actor, action, entity_type, item_id, before, after, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      actor, action, entityType, itemId, toJson(before), toJson(after), new Date().toISOString()
+    );
+
+    return parseEntry(
+      this.db.prepare(`SELECT ${ENTRY_COLUMNS} FROM audit_log WHERE id = ?`).get(result.lastInsertRowid)
+    );
+  }
+
+  /**
+   * Lists audit entries, newest first.
+   *
+   * @param {Object} [filters] - actor, action, entityType, itemId, from, to (ISO timestamps)
+   * @param {Object} [options]
+   * @param {boolean} [options.includeArchived] - Also search archived entries
+   * @param {number} [options.limit] - Page size (max 500)
+   * @param {number} [options.offset] - Entries to skip
+   * @returns {{ entries: Array<Object>, total: number, limit: number, offset: number }}
+   * @throws {ValidationError} If paging options are invalid
+   */
+  query(filters = {}, { includeArchived = false, limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new ValidationError(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new ValidationError('offset must be a non-negative integer');
+    }
+
+    const active = Object.keys(FILTERS).filter(key => filters[key] !== undefined);
+    const where = active.length
+      ? `WHERE ${active.map(key => FILTERS[key]).join(' AND ')}`
+      : '';
+    const values = active.map(key => filters[key]);
+
+    const sources = includeArchived
+      ? `SELECT ${ENTRY_COLUMNS} FROM audit_log UNION ALL SELECT ${ENTRY_COLUMNS} FROM audit_log_archive`
+      : `SELECT ${ENTRY_COLUMNS} FROM audit_log`;
+
+    const { total } = this.db.prepare(
+      `SELECT COUNT(*) AS total FROM (${sources}) ${where}`
+    ).get(...values);
+    const entries = this.db.prepare(`
+      SELECT * FROM (${sources}) ${where}
+      ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?
+    `).all(...values, limit, offset);
+
+    return { entries: entries.map(parseEntry), total, limit, offset };
+  }
+
+  /**
+   * Moves every live entry for an item into the archive.
+   *
+   * @param {string} entityType - 'item' or 'item_details'
+   * @param {number} itemId - ID of the item
+   * @returns {number} - Number of entries archived
+   */
+  archiveItemLogs(entityType, itemId) {
+    return this.archiveWhere('entity_type = ? AND item_id = ?', [entityType, itemId]);
+  }
+
+  /**
+   * Moves live entries older than the retention period into the archive.
+   *
+   * @param {number} retentionDays - Entries older than this many days are archived
+   * @returns {number} - Number of entries archived
+   * @throws {ValidationError} If retentionDays is not a non-negative number
+   */
+  archiveOlderThan(retentionDays) {
+    if (typeof retentionDays !== 'number' || !(retentionDays >= 0)) {
+      throw new ValidationError('Retention period must be a non-negative number of days');
+    }
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    return this.archiveWhere('created_at < ?', [cutoff]);
+  }
+
+  archiveWhere(condition, values) {
+    return this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO audit_log_archive (${ENTRY_COLUMNS}, archived_at)
+        SELECT ${ENTRY_COLUMNS}, ? FROM audit_log WHERE ${condition}
+      `).run(new Date().toISOString(), ...values);
+
+      return this.db.prepare(`DELETE FROM audit_log WHERE ${condition}`).run(...values).changes;
+    })();
+  }
+}
+
+module.exports = AuditLogService;
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const { HttpError, NotFoundError, ValidationError } = require('../utils/errors');
+const { ROLES } = require('./PermissionService');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+/**
+ * Hashes a password with a fresh salt as `scrypt$<salt>$<hash>`.
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new ValidationError(`role must be one of: ${ROLES.join(', ')}`);
+  }
+}
+
+const toView = ({ id, role, created_at }) => ({ id, role, created_at });
+
+/**
+ * AuthService - User accounts and the sessions they log in with.
+ *
+ * A token is `<session id>.<signature>`, signed with the configured secret so
+ * forged or mangled tokens are rejected before the database is consulted.
+ * The session row decides whether a correctly signed token is still valid.
+ */
+class AuthService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   * @param {Object} options
+   * @param {string} options.secret - Key used to sign tokens
+   * @param {number} options.sessionTtlHours - How long a session lasts
+   */
+  constructor(database, { secret, sessionTtlHours }) {
+    this.db = database;
+    this.secret = secret;
+    this.sessionTtlMs = sessionTtlHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * @param {Object} data - `{ username, password, role }`; the username becomes the user's ID
+   * @returns {Object} - The new user, without the password hash
+   * @throws {ValidationError} If the username, password or role is unacceptable
+   * @throws {HttpError} 409 if the username is taken
+   */
+  createUser({ username, password, role = 'viewer' }) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new ValidationError('username must be 3-32 letters, digits, dots, dashes or underscores');
+    }
+    validatePassword(password);
+    validateRole(role);
+    if (this.db.prepare('SELECT id FROM users WHERE id = ?').get(username)) {
+      throw new HttpError(409, `User "${username}" already exists`);
+    }
+
+    this.db.prepare(`
+      INSERT INTO users (id, password_hash, role, created_at) VALUES (?, ?, ?, ?)
+    `).run(username, hashPassword(password), role, new Date().toISOString());
+
+    return this.getUser(username);
+  }
+
+  /**
+   * Creates the first account, as an admin, so a fresh install can be
+   * logged into and set up. Without a password a random one is generated;
+   * it is returned so it can be shown once, and is not stored anywhere else.
+   *
+   * @param {Object} data - `{ username, password }`; the password is optional
+   * @returns {{ user: Object, generatedPassword: string|null }|null} - The new
+   *   user and any generated password, or null if users already exist
+   */
+  ensureInitialUser({ username, password }) {
+    if (this.db.prepare('SELECT COUNT(*) AS count FROM users').get().count > 0) {
+      return null;
+    }
+    const generatedPassword = password ? null : crypto.randomBytes(18).toString('base64url');
+    const user = this.createUser({ username, password: password || generatedPassword, role: 'admin' });
+    return { user, generatedPassword };
+  }
+
+  /**
+   * @returns {Array<Object>} - All users, without password hashes
+   */
+  listUsers() {
+    return this.db.prepare('SELECT * FROM users ORDER BY id').all().map(toView);
+  }
+
+  /**
+   * @param {string} userId - ID of the user
+   * @returns {Object|undefined} - The user, without the password hash
+   */
+  getUser(userId) {
+    const row = this.db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+    return row && toView(row);
+  }
+
+  /**
+   * Changes a user's role or password. A new password ends the user's
+   * existing sessions.
+   *
+   * @param {string} userId - ID of the user
+   * @param {Object} data - `{ role, password }`, either optional
+   * @returns {Object} - The updated user
+   * @throws {NotFoundError} If the user does not exist
+   * @throws {ValidationError} If the role or password is unacceptable
+   */
+  updateUser(userId, { role, password }) {
+    if (!this.getUser(userId)) {
+      throw new NotFoundError('User not found');
+    }
+    if (role === undefined && password === undefined) {
+      throw new ValidationError('Nothing to update; pass role or password');
+    }
+
+    this.db.transaction(() => {
+      if (role !== undefined) {
+        validateRole(role);
+        this.db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, userId);
+      }
+      if (password !== undefined) {
+        validatePassword(password);
+        this.db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hashPassword(password), userId);
+        this.db.prepare('DELETE FROM sessions WHERE user_id = ?').run(userId);
+      }
+    })();
+
+    return this.getUser(userId);
+  }
+
+  /**
+   * Checks a username and password and opens a session for them.
+   *
+   * @param {string} username
+   * @param {string} password
+   * @returns {{ token: string, expiresAt: string, user: Object }}
+   * @throws {HttpError} 401 if the credentials do not match
+   */
+  login(username, password) {
+    const row = typeof username === 'string'
+      ? this.db.prepare('SELECT * FROM users WHERE id = ?').get(username)
+      : undefined;
+    if (!row || typeof password !== 'string' || !verifyPassword(password, row.password_hash)) {
+      throw new HttpError(401, 'Invalid username or password');
+    }
+
+    return { ...this.createSession(row.id), user: toView(row) };
+  }
+
+  /**
+   * @param {string} userId - ID of the user the session belongs to
+   * @returns {{ token: string, expiresAt: string }}
+   */
+  createSession(userId) {
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.sessionTtlMs).toISOString();
+
+    this.db.prepare(`
+      INSERT INTO sessions (id, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)
+    `).run(sessionId, userId, now.toISOString(), expiresAt);
+
+    return { token: `${sessionId}.${this.sign(sessionId)}`, expiresAt };
+  }
+
+  /**
+   * Resolves a token to the user it was issued to.
+   *
+   * @param {string} token - Token from `login`
+   * @returns {Object|null} - The user, or null if the token is invalid or expired
+   */
+  verifyToken(token) {
+    const sessionId = this.readSessionId(token);
+    if (!sessionId) {
+      return null;
+    }
+
+    const row = this.db.prepare(`
+      SELECT users.* FROM sessions
+      JOIN users ON users.id = sessions.user_id
+      WHERE sessions.id = ? AND sessions.expires_at > ?
+    `).get(sessionId, new Date().toISOString());
+    return row ? toView(row) : null;
+  }
+
+  /**
+   * Ends the session a token refers to. Unknown tokens are ignored.
+   *
+   * @param {string} token - Token from `login`
+   */
+  logout(token) {
+    const sessionId = this.readSessionId(token);
+    if (sessionId) {
+      this.db.prepare('DELETE FROM sessions WHERE id = ?').run(sessionId);
+    }
+  }
+
+  /**
+   * @returns {number} - Number of expired sessions removed
+   */
+  pruneExpiredSessions() {
+    return this.db.prepare('DELETE FROM sessions WHERE expires_at <= ?')
+      .run(new Date().toISOString()).changes;
+  }
+
+  /**
+   * @returns {string|null} - The session ID if the token's signature is valid
+   */
+  readSessionId(token) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+    const [sessionId, signature] = token.split('.');
+    if (!sessionId || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(sessionId));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+    return sessionId;
+  }
+
+  sign(sessionId) {
+    return crypto.createHmac('sha256', this.secret).update(sessionId).digest('base64url');
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,194 @@
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const MAX_BODY_LENGTH = 5000;
+
+/**
+ * Validates and trims a comment body.
+ *
+ * @param {string} body - Raw comment text
+ * @returns {string} - The trimmed body
+ * @throws {ValidationError} If the body is empty or too long
+ */
+function normalizeBody(body) {
+  if (typeof body !== 'string' || body.trim() === '') {
+    throw new ValidationError('Comment body is required');
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    throw new ValidationError(`Comment body must be at most ${MAX_BODY_LENGTH} characters`);
+  }
+  return body.trim();
+}
+
+const toComment = (row) => ({
+  id: row.id,
+  item_id: row.item_id,
+  parent_id: row.parent_id,
+  author: row.author,
+  body: row.body,
+  created_at: row.created_at,
+  edited_at: row.edited_at,
+  edited: row.edited_at !== null,
+  deleted: row.deleted_at !== null,
+  replies: [],
+});
+
+/**
+ * CommentService - Threaded discussion attached to item_details rows.
+ *
+ * Deleting a comment that has replies keeps it as a placeholder so the thread
+ * stays intact; comments without replies are removed outright.
+ */
+class CommentService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Lists an item's comments as a tree of top-level comments with nested
+   * `replies`, oldest first at every level.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @returns {Array<Object>}
+   */
+  getItemComments(itemId) {
+    const rows = this.db.prepare(
+      'SELECT * FROM item_comments WHERE item_id = ? ORDER BY created_at, id'
+    ).all(itemId);
+
+    const byId = new Map(rows.map(row => [row.id, toComment(row)]));
+    const roots = [];
+    byId.forEach(comment => {
+      const parent = comment.parent_id && byId.get(comment.parent_id);
+      (parent ? parent.replies : roots).push(comment);
+    });
+    return roots;
+  }
+
+  /**
+   * Adds a comment, optionally as a reply to another comment on the same item.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @param {Object} comment
+   * @param {string} comment.author - ID of the commenting user
+   * @param {string} comment.body - Comment text
+   * @param {number} [comment.parentId] - Comment being replied to
+   * @returns {Object} - The new comment
+   * @throws {NotFoundError} If the item or parent comment does not exist
+   * @throws {ValidationError} If the body is invalid or the parent was deleted
+   */
+  addComment(itemId, { author, body, parentId = null }) {
+    const text = normalizeBody(body);
+    this.assertItemExists(itemId);
+
+    if (parentId !== null) {
+      const parent = this.getCommentRow(itemId, parentId);
+      if (parent.deleted_at) {
+        throw new ValidationError('Cannot reply to a deleted comment');
+      }
+    }
+
+    const result = this.db.prepare(`
+      INSERT INTO item_comments (item_id, parent_id, author, body, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(itemId, parentId, author, text, new Date().toISOString());
+
+    return toComment(this.getCommentRow(itemId, result.lastInsertRowid));
+  }
+
+  /**
+   * Replaces a comment's text and marks it as edited.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @param {number} commentId - ID of the comment
+   * @param {string} body - New comment text
+   * @returns {Object} - The updated comment
+   * @throws {NotFoundError} If the comment does not exist on this item
+   * @throws {ValidationError} If the body is invalid or the comment was deleted
+   */
+  updateComment(itemId, commentId, body) {
+    const text = normalizeBody(body);
+    const existing = this.getCommentRow(itemId, commentId);
+    if (existing.deleted_at) {
+      throw new ValidationError('Cannot edit a deleted comment');
+    }
+
+    if (existing.body !== text) {
+      this.db.prepare(
+        'UPDATE item_comments SET body = ?, edited_at = ? WHERE id = ?'
+      ).run(text, new Date().toISOString(), commentId);
+    }
+
+    return toComment(this.getCommentRow(itemId, commentId));
+  }
+
+  /**
+   * Deletes a comment. Comments with replies are blanked and kept as a
+   * placeholder; others are removed.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @param {number} commentId - ID of the comment
+   * @returns {Object|null} - The placeholder comment, or null if removed
+   * @throws {NotFoundError} If the comment does not exist on this item
+   */
+  deleteComment(itemId, commentId) {
+    return this.db.transaction(() => {
+      const comment = this.getCommentRow(itemId, commentId);
+
+      const { replies } = this.db.prepare(
+        'SELECT COUNT(*) AS replies FROM item_comments WHERE parent_id = ?'
+      ).get(commentId);
+
+      if (replies > 0) {
+        this.db.prepare(
+          'UPDATE item_comments SET body = NULL, deleted_at = ? WHERE id = ?'
+        ).run(new Date().toISOString(), commentId);
+        return toComment(this.getCommentRow(itemId, commentId));
+      }
+
+      this.db.prepare('DELETE FROM item_comments WHERE id = ?').run(commentId);
+      this.removeEmptyPlaceholder(comment.parent_id);
+      return null;
+    })();
+  }
+
+  /**
+   * Removes a deleted placeholder once its last reply is gone, walking up
+   * the thread as far as that applies.
+   *
+   * @param {number|null} commentId - Parent of the comment just removed
+   */
+  removeEmptyPlaceholder(commentId) {
+    if (commentId === null) {
+      return;
+    }
+
+    const parent = this.db.prepare('SELECT * FROM item_comments WHERE id = ?').get(commentId);
+    const { replies } = this.db.prepare(
+      'SELECT COUNT(*) AS replies FROM item_comments WHERE parent_id = ?'
+    ).get(commentId);
+
+    if (parent && parent.deleted_at && replies === 0) {
+      this.db.prepare('DELETE FROM item_comments WHERE id = ?').run(commentId);
+      this.removeEmptyPlaceholder(parent.parent_id);
+    }
+  }
+
+  getCommentRow(itemId, commentId) {
+    const row = this.db.prepare(
+      'SELECT * FROM item_comments WHERE id = ? AND item_id = ?'
+    ).get(commentId, itemId);
+
+    if (!row) {
+      throw new NotFoundError('Comment not found');
+    }
+    return row;
+  }
+
+  assertItemExists(itemId) {
+    if (!this.db.prepare('SELECT id FROM item_details WHERE id = ?').get(itemId)) {
+      throw new NotFoundError('Item not found');
+    }
+  }
+}
+
+module.exports = CommentService;
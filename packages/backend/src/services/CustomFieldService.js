@@ -0,0 +1,351 @@
+const { HttpError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isDate = (value) => (
+  typeof value === 'string'
+  && DATE_PATTERN.test(value)
+  && !Number.isNaN(Date.parse(value))
+  && new Date(value).toISOString().startsWith(value)
+);
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// How each field type checks a value and what its min/max rules compare
+const FIELD_TYPES = {
+  text: {
+    accepts: value => typeof value === 'string',
+    expected: 'a string',
+    bounds: { measure: value => value.length, below: 'at least %s characters', above: 'at most %s characters' },
+  },
+  number: {
+    accepts: value => typeof value === 'number' && Number.isFinite(value),
+    expected: 'a number',
+    bounds: { measure: value => value, below: 'at least %s', above: 'at most %s' },
+  },
+  date: {
+    accepts: isDate,
+    expected: 'a date in YYYY-MM-DD format',
+    bounds: { measure: value => value, below: 'on or after %s', above: 'on or before %s' },
+  },
+  enum: {
+    accepts: (value, definition) => definition.options.includes(value),
+    expected: 'one of the allowed options',
+  },
+  boolean: {
+    accepts: value => typeof value === 'boolean',
+    expected: 'true or false',
+  },
+  user: {
+    accepts: value => typeof value === 'string' && value.trim() !== '',
+    expected: 'a user ID',
+  },
+};
+
+const toView = (row) => ({
+  ...row,
+  required: row.required === 1,
+  options: row.options === null ? null : JSON.parse(row.options),
+});
+
+/**
+ * CustomFieldService - Definitions for the keys of `item_details.custom_fields`
+ * and validation of item values against them.
+ *
+ * Each definition has a type (text, number, date, enum, boolean or user) and
+ * optional rules: `required`, and `min`/`max` bounding a text's length, a
+ * number's value or a date. Items may only use defined keys, and user fields
+ * must name an existing user.
+ */
+class CustomFieldService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   */
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * @returns {Array<Object>} - All definitions in creation order
+   */
+  listDefinitions() {
+    return this.db.prepare('SELECT * FROM custom_field_definitions ORDER BY id').all().map(toView);
+  }
+
+  /**
+   * @param {number} definitionId - ID of the definition
+   * @returns {Object} - The definition
+   * @throws {NotFoundError} If the definition does not exist
+   */
+  getDefinition(definitionId) {
+    const row = this.db.prepare('SELECT * FROM custom_field_definitions WHERE id = ?').get(definitionId);
+    if (!row) {
+      throw new NotFoundError('Custom field not found');
+    }
+    return toView(row);
+  }
+
+  /**
+   * @param {Object} data - `{ key, label, type, required, min, max, options }`
+   * @returns {Object} - The new definition
+   * @throws {ValidationError} If the definition is invalid
+   * @throws {HttpError} 409 if the key is already defined
+   */
+  createDefinition(data) {
+    const { key } = data;
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      throw new ValidationError('key must start with a letter and contain only letters, digits and underscores');
+    }
+    if (this.db.prepare('SELECT id FROM custom_field_definitions WHERE key = ?').get(key)) {
+      throw new HttpError(409, `Custom field "${key}" already exists`);
+    }
+
+    const definition = this.normalizeDefinition({ label: key, required: false, ...data });
+    const result = this.db.prepare(`
+      INSERT INTO custom_field_definitions (key, label, type, required, min, max, options, created_at)
+      VALUES (@key, @label, @type, @required, @min, @max, @options, @createdAt)
+    `).run({ ...definition, key, createdAt: new Date().toISOString() });
+
+    return this.getDefinition(result.lastInsertRowid);
+  }
+
+  /**
+   * Changes a definition's label, type or rules. The key cannot change, as
+   * item values are stored under it.
+   *
+   * @param {number} definitionId - ID of the definition
+   * @param {Object} data - Fields to change
+   * @returns {Object} - The updated definition
+   * @throws {NotFoundError} If the definition does not exist
+   * @throws {ValidationError} If the result would be invalid
+   */
+  updateDefinition(definitionId, data) {
+    const current = this.getDefinition(definitionId);
+    if (data.key !== undefined && data.key !== current.key) {
+      throw new ValidationError('The key of a custom field cannot be changed');
+    }
+
+    // A new type starts from fresh rules, since min/max and options depend on it
+    const base = data.type !== undefined && data.type !== current.type
+      ? { label: current.label, required: current.required }
+      : current;
+    const definition = this.normalizeDefinition({ ...base, ...data });
+    this.db.prepare(`
+      UPDATE custom_field_definitions
+      SET label = @label, type = @type, required = @required, min = @min, max = @max,
+          options = @options, updated_at = @updatedAt
+      WHERE id = @id
+    `).run({ ...definition, id: definitionId, updatedAt: new Date().toISOString() });
+
+    return this.getDefinition(definitionId);
+  }
+
+  /**
+   * Deletes a definition and removes its key from every item and template.
+   *
+   * @param {number} definitionId - ID of the definition
+   * @throws {NotFoundError} If the definition does not exist
+   */
+  deleteDefinition(definitionId) {
+    const { key } = this.getDefinition(definitionId);
+
+    this.db.transaction(() => {
+      ['item_details', 'templates'].forEach(table => {
+        this.db.prepare(`
+          UPDATE ${table} SET custom_fields = json_remove(custom_fields, ?)
+          WHERE json_valid(custom_fields) AND json_type(custom_fields, ?) IS NOT NULL
+        `).run(`$.${key}`, `$.${key}`);
+      });
+      this.db.prepare('DELETE FROM custom_field_definitions WHERE id = ?').run(definitionId);
+    })();
+  }
+
+  /**
+   * Validates custom field values against the definitions.
+   *
+   * @param {Object|string|null} [values] - Values keyed by field key, or their JSON
+   * @param {Object} [options]
+   * @param {boolean} [options.partial] - Skip required checks, e.g. for template defaults
+   * @returns {Object} - The values with empty entries dropped
+   * @throws {ValidationError} Listing every invalid field under `fields`
+   */
+  validateCustomFields(values, { partial = false } = {}) {
+    let parsed = values ?? {};
+    if (typeof parsed === 'string') {
+      try {
+        parsed = JSON.parse(parsed);
+      } catch (error) {
+        throw new ValidationError('customFields must be an object');
+      }
+    }
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new ValidationError('customFields must be an object');
+    }
+
+    const definitions = new Map(this.listDefinitions().map(definition => [definition.key, definition]));
+    const errors = {};
+
+    Object.keys(parsed)
+      .filter(key => !definitions.has(key))
+      .forEach(key => { errors[key] = 'is not a defined custom field'; });
+
+    definitions.forEach((definition, key) => {
+      const error = this.checkValue(definition, parsed[key], partial);
+      if (error) {
+        errors[key] = error;
+      }
+    });
+
+    if (Object.keys(errors).length > 0) {
+      const summary = Object.entries(errors).map(([key, error]) => `${key} ${error}`).join('; ');
+      throw new ValidationError(`Invalid custom fields: ${summary}`, { fields: errors });
+    }
+
+    return Object.fromEntries(Object.entries(parsed).filter(([, value]) => !isBlank(value)));
+  }
+
+  /**
+   * Turns custom field filters from a query string into SQL conditions on
+   * item_details. A filter is either a value to match exactly or, for number
+   * and date fields, `{ min, max }`.
+   *
+   * @param {Object} [filters] - Filters keyed by field key, e.g. from `?customFields[size]=L`
+   * @returns {{ conditions: Array<string>, params: Array<*> }}
+   * @throws {ValidationError} If a key is not defined or a value does not fit its type
+   */
+  buildFilter(filters) {
+    const conditions = [];
+    const params = [];
+    if (filters === undefined) {
+      return { conditions, params };
+    }
+    if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+      throw new ValidationError('customFields filters must be given as customFields[key]=value');
+    }
+
+    const definitions = new Map(this.listDefinitions().map(definition => [definition.key, definition]));
+    Object.entries(filters).forEach(([key, filter]) => {
+      const definition = definitions.get(key);
+      if (!definition) {
+        throw new ValidationError(`Cannot filter on unknown custom field "${key}"`);
+      }
+
+      // The key is checked against the definitions, so it is safe in the JSON path
+      const column = `json_extract(custom_fields, '$.${key}')`;
+      if (filter !== null && typeof filter === 'object' && ['number', 'date'].includes(definition.type)) {
+        if (filter.min !== undefined) {
+          conditions.push(`${column} >= ?`);
+          params.push(this.parseFilterValue(definition, filter.min));
+        }
+        if (filter.max !== undefined) {
+          conditions.push(`${column} <= ?`);
+          params.push(this.parseFilterValue(definition, filter.max));
+        }
+      } else {
+        conditions.push(`${column} = ?`);
+        params.push(this.parseFilterValue(definition, filter));
+      }
+    });
+
+    return { conditions, params };
+  }
+
+  /**
+   * Converts a query string value to what json_extract returns for the type.
+   */
+  parseFilterValue(definition, raw) {
+    let value = raw;
+    if (definition.type === 'number') {
+      value = Number(raw);
+    } else if (definition.type === 'boolean') {
+      if (!['true', 'false'].includes(raw)) {
+        throw new ValidationError(`Filter on ${definition.key} must be true or false`);
+      }
+      return raw === 'true' ? 1 : 0;
+    }
+
+    if (!FIELD_TYPES[definition.type].accepts(value, definition)) {
+      throw new ValidationError(`Filter on ${definition.key} must be ${FIELD_TYPES[definition.type].expected}`);
+    }
+    return value;
+  }
+
+  /**
+   * @returns {string|null} - Why the value is invalid, or null if it is valid
+   */
+  checkValue(definition, value, partial) {
+    if (isBlank(value)) {
+      return definition.required && !partial ? 'is required' : null;
+    }
+
+    const fieldType = FIELD_TYPES[definition.type];
+    if (!fieldType.accepts(value, definition)) {
+      return definition.type === 'enum'
+        ? `must be one of: ${definition.options.join(', ')}`
+        : `must be ${fieldType.expected}`;
+    }
+    if (definition.type === 'user' && !this.db.prepare('SELECT id FROM users WHERE id = ?').get(value)) {
+      return 'must be an existing user';
+    }
+
+    const { bounds } = fieldType;
+    if (bounds && definition.min !== null && bounds.measure(value) < definition.min) {
+      return `must be ${bounds.below.replace('%s', definition.min)}`;
+    }
+    if (bounds && definition.max !== null && bounds.measure(value) > definition.max) {
+      return `must be ${bounds.above.replace('%s', definition.max)}`;
+    }
+    return null;
+  }
+
+  /**
+   * Validates a definition's label, type and rules and maps them onto columns.
+   */
+  normalizeDefinition({ label, type, required, min = null, max = null, options = null }) {
+    if (typeof label !== 'string' || label.trim() === '') {
+      throw new ValidationError('label must be a non-empty string');
+    }
+    if (!FIELD_TYPES[type]) {
+      throw new ValidationError(`type must be one of: ${Object.keys(FIELD_TYPES).join(', ')}`);
+    }
+
+    const bounded = Boolean(FIELD_TYPES[type].bounds);
+    [['min', min], ['max', max]].forEach(([name, bound]) => {
+      if (bound === null) {
+        return;
+      }
+      if (!bounded) {
+        throw new ValidationError(`${name} is not supported for ${type} fields`);
+      }
+      const valid = type === 'date' ? isDate(bound) : typeof bound === 'number' && Number.isFinite(bound);
+      if (!valid) {
+        throw new ValidationError(`${name} must be ${type === 'date' ? 'a date in YYYY-MM-DD format' : 'a number'}`);
+      }
+    });
+    if (min !== null && max !== null && min > max) {
+      throw new ValidationError('min cannot be greater than max');
+    }
+
+    if (type === 'enum') {
+      if (!Array.isArray(options) || options.length === 0
+        || options.some(option => typeof option !== 'string' || option === '')
+        || new Set(options).size !== options.length) {
+        throw new ValidationError('options must be a non-empty array of distinct strings for enum fields');
+      }
+    } else if (options !== null) {
+      throw new ValidationError('options are only supported for enum fields');
+    }
+
+    return {
+      label: label.trim(),
+      type,
+      required: required ? 1 : 0,
+      min,
+      max,
+      options: options === null ? null : JSON.stringify(options),
+    };
+  }
+}
+
+module.exports = CustomFieldService;
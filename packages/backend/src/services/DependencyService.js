@@ -0,0 +1,234 @@
+const { HttpError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const COMPLETED_STATUS = 'completed';
+
+// Walks item_dependencies from a starting item in one direction, keeping the
+// shortest depth per item. Depth is capped by the item count so that legacy
+// cycles cannot make the walk run forever.
+const walk = (fromColumn, toColumn) => `
+  WITH RECURSIVE reachable (id, depth) AS (
+    SELECT ${toColumn}, 1 FROM item_dependencies WHERE ${fromColumn} = @itemId
+    UNION
+    SELECT d.${toColumn}, r.depth + 1
+    FROM item_dependencies d JOIN reachable r ON d.${fromColumn} = r.id
+    WHERE r.depth < (SELECT COUNT(*) FROM item_details)
+  )
+  SELECT i.id, i.name, i.status, MIN(r.depth) AS depth
+  FROM reachable r JOIN item_details i ON i.id = r.id
+  WHERE i.id != @itemId
+  GROUP BY i.id
+  ORDER BY depth, i.id
+`;
+
+const BLOCKERS_SQL = walk('item_id', 'depends_on_id');
+const DEPENDENTS_SQL = walk('depends_on_id', 'item_id');
+
+/**
+ * DependencyService - Keeps the "blocked by" graph between item_details rows.
+ *
+ * Edges live in `item_dependencies`; each item's `dependencies` column
+ * mirrors the IDs of its direct blockers. Writes that would close a cycle are
+ * rejected, and an item cannot be completed while a direct blocker is still
+ * open.
+ */
+class DependencyService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   */
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Replaces an item's direct blockers.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @param {Array<number>} dependsOnIds - IDs of the items it is blocked by
+   * @returns {Array<number>} - The stored blocker IDs
+   * @throws {ValidationError} If an ID is invalid, missing, the item itself or would form a cycle
+   */
+  setDependencies(itemId, dependsOnIds) {
+    const ids = this.parseDependencyIds(dependsOnIds);
+
+    ids.forEach(dependsOnId => {
+      if (dependsOnId === itemId) {
+        throw new ValidationError('An item cannot depend on itself');
+      }
+      if (!this.db.prepare('SELECT id FROM item_details WHERE id = ?').get(dependsOnId)) {
+        throw new ValidationError(`Dependency ${dependsOnId} does not exist`);
+      }
+      const path = this.findPath(dependsOnId, itemId);
+      if (path) {
+        throw new ValidationError(
+          `Dependency on ${dependsOnId} would create a cycle: ${[itemId, ...path].join(' -> ')}`,
+          { cycle: [itemId, ...path] }
+        );
+      }
+    });
+
+    return this.db.transaction(() => {
+      this.db.prepare('DELETE FROM item_dependencies WHERE item_id = ?').run(itemId);
+      const insertEdge = this.db.prepare(`
+        INSERT INTO item_dependencies (item_id, depends_on_id, created_at) VALUES (?, ?, ?)
+      `);
+      ids.forEach(dependsOnId => insertEdge.run(itemId, dependsOnId, new Date().toISOString()));
+
+      this.syncDependencyColumn(itemId);
+      return ids;
+    })();
+  }
+
+  /**
+   * Returns an item's blockers and dependents, each annotated with the
+   * shortest number of edges separating it from the item.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @returns {{ item_id: number, blockers: Array<Object>, dependents: Array<Object> }}
+   * @throws {NotFoundError} If the item does not exist
+   */
+  getDependencyGraph(itemId) {
+    this.assertItemExists(itemId);
+
+    return {
+      item_id: itemId,
+      blockers: this.db.prepare(BLOCKERS_SQL).all({ itemId }),
+      dependents: this.db.prepare(DEPENDENTS_SQL).all({ itemId }),
+    };
+  }
+
+  /**
+   * @param {number} itemId - ID of the item_details row
+   * @returns {Array<Object>} - Direct blockers as `{ id, name, status }`
+   */
+  resolveDependencies(itemId) {
+    return this.db.prepare(`
+      SELECT i.id, i.name, i.status
+      FROM item_dependencies d JOIN item_details i ON i.id = d.depends_on_id
+      WHERE d.item_id = ? ORDER BY i.id
+    `).all(itemId);
+  }
+
+  /**
+   * @param {number} itemId - ID of the item_details row
+   * @returns {Array<Object>} - Direct blockers that are not completed yet
+   */
+  getOpenBlockers(itemId) {
+    return this.resolveDependencies(itemId).filter(blocker => blocker.status !== COMPLETED_STATUS);
+  }
+
+  /**
+   * Rejects moving an item to `completed` while any of its blockers is open.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @param {string} status - The status the item is moving to
+   * @throws {HttpError} 409 listing the open blockers
+   */
+  assertCanTransition(itemId, status) {
+    if (status !== COMPLETED_STATUS) {
+      return;
+    }
+
+    const openBlockers = this.getOpenBlockers(itemId);
+    if (openBlockers.length > 0) {
+      throw new HttpError(
+        409,
+        `Item cannot be completed while it has open blockers: ${openBlockers.map(b => b.id).join(', ')}`,
+        { blockers: openBlockers }
+      );
+    }
+  }
+
+  /**
+   * Removes an item from the graph ahead of its deletion and updates the
+   * `dependencies` column of every item it was blocking.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @returns {Array<number>} - IDs of the items that were blocked by it
+   */
+  detachItem(itemId) {
+    const dependentIds = this.db.prepare(
+      'SELECT item_id FROM item_dependencies WHERE depends_on_id = ?'
+    ).all(itemId).map(row => row.item_id);
+
+    this.db.prepare(
+      'DELETE FROM item_dependencies WHERE item_id = ? OR depends_on_id = ?'
+    ).run(itemId, itemId);
+    dependentIds.forEach(id => this.syncDependencyColumn(id));
+
+    return dependentIds;
+  }
+
+  /**
+   * Finds a chain of blockers leading from one item to another.
+   *
+   * @param {number} fromId - Item to start from
+   * @param {number} toId - Item to look for among its transitive blockers
+   * @returns {Array<number>|null} - IDs from `fromId` to `toId`, or null if unreachable
+   */
+  findPath(fromId, toId) {
+    const previous = new Map([[fromId, null]]);
+    const queue = [fromId];
+    const nextBlockers = this.db.prepare(
+      'SELECT depends_on_id FROM item_dependencies WHERE item_id = ?'
+    );
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (current === toId) {
+        const path = [];
+        for (let id = toId; id !== null; id = previous.get(id)) {
+          path.unshift(id);
+        }
+        return path;
+      }
+
+      nextBlockers.all(current).forEach(({ depends_on_id: next }) => {
+        if (!previous.has(next)) {
+          previous.set(next, current);
+          queue.push(next);
+        }
+      });
+    }
+
+    return null;
+  }
+
+  parseDependencyIds(dependsOnIds) {
+    let ids = dependsOnIds ?? [];
+    if (typeof ids === 'string') {
+      try {
+        ids = JSON.parse(ids);
+      } catch (error) {
+        throw new ValidationError('dependencies must be an array of item IDs');
+      }
+    }
+    if (!Array.isArray(ids)) {
+      throw new ValidationError('dependencies must be an array of item IDs');
+    }
+
+    return [...new Set(ids.map(id => {
+      const parsed = Number(id);
+      if (!Number.isInteger(parsed) || parsed <= 0) {
+        throw new ValidationError(`Invalid dependency ID: ${id}`);
+      }
+      return parsed;
+    }))];
+  }
+
+  syncDependencyColumn(itemId) {
+    const ids = this.db.prepare(
+      'SELECT depends_on_id FROM item_dependencies WHERE item_id = ? ORDER BY depends_on_id'
+    ).all(itemId).map(row => row.depends_on_id);
+
+    this.db.prepare('UPDATE item_details SET dependencies = ? WHERE id = ?')
+      .run(JSON.stringify(ids), itemId);
+  }
+
+  assertItemExists(itemId) {
+    if (!this.db.prepare('SELECT id FROM item_details WHERE id = ?').get(itemId)) {
+      throw new NotFoundError('Item not found');
+    }
+  }
+}
+
+module.exports = DependencyService;
@@ -0,0 +1,137 @@
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+// Every row below an item together with its distance from it. Depth is capped
+// by the item count so that a corrupted parent chain cannot loop forever.
+const SUBTREE_SQL = `
+  WITH RECURSIVE subtree (id, depth) AS (
+    SELECT id, 0 FROM item_details WHERE id = @itemId
+    UNION
+    SELECT child.id, s.depth + 1
+    FROM item_details child JOIN subtree s ON child.parent_item_id = s.id
+    WHERE s.depth < (SELECT COUNT(*) FROM item_details)
+  )
+  SELECT i.*, MIN(s.depth) AS depth
+  FROM subtree s JOIN item_details i ON i.id = s.id
+  GROUP BY i.id
+  ORDER BY depth, i.id
+`;
+
+/**
+ * HierarchyService - Reads and changes the parent/child tree formed by
+ * `item_details.parent_item_id`.
+ *
+ * Moves are validated so that an item can never end up beneath itself, and
+ * deleting an item hands its children to its own parent.
+ */
+class HierarchyService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   */
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * @param {number} itemId - ID of the item_details row
+   * @returns {Array<Object>} - Direct children, each with its own `child_count`
+   * @throws {NotFoundError} If the item does not exist
+   */
+  getChildren(itemId) {
+    this.assertItemExists(itemId);
+
+    return this.db.prepare(`
+      SELECT i.*, (SELECT COUNT(*) FROM item_details c WHERE c.parent_item_id = i.id) AS child_count
+      FROM item_details i
+      WHERE i.parent_item_id = ?
+      ORDER BY i.id
+    `).all(itemId);
+  }
+
+  /**
+   * Loads an item and everything beneath it as a nested tree.
+   *
+   * @param {number} itemId - ID of the subtree's root
+   * @param {number} [maxDepth] - Deepest level to include; the root is level 0
+   * @returns {Object} - The root row with `depth` and nested `children`
+   * @throws {NotFoundError} If the item does not exist
+   */
+  getSubtree(itemId, maxDepth = Infinity) {
+    const rows = this.db.prepare(SUBTREE_SQL).all({ itemId })
+      .filter(row => row.depth <= maxDepth);
+    if (rows.length === 0) {
+      throw new NotFoundError('Item not found');
+    }
+
+    const nodes = new Map(rows.map(row => [row.id, { ...row, children: [] }]));
+    rows.slice(1).forEach(row => {
+      nodes.get(row.parent_item_id)?.children.push(nodes.get(row.id));
+    });
+    return nodes.get(itemId);
+  }
+
+  /**
+   * Checks that an item may be placed under a parent.
+   *
+   * @param {number|null} itemId - ID of the item being moved, or null for a new item
+   * @param {number|string|null} parentId - Requested parent; null makes it a root
+   * @returns {number|null} - The parent ID as a number
+   * @throws {ValidationError} If the parent is missing or lies within the item's subtree
+   */
+  validateParent(itemId, parentId) {
+    if (parentId === null || parentId === '') {
+      return null;
+    }
+
+    const parsed = Number(parentId);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+      throw new ValidationError('parentItemId must be an item ID or null');
+    }
+    if (!this.db.prepare('SELECT id FROM item_details WHERE id = ?').get(parsed)) {
+      throw new ValidationError(`Parent item ${parsed} does not exist`);
+    }
+    if (itemId !== null && this.isInSubtree(itemId, parsed)) {
+      throw new ValidationError(
+        parsed === itemId
+          ? 'An item cannot be its own parent'
+          : `Item ${parsed} is beneath item ${itemId} and cannot become its parent`
+      );
+    }
+
+    return parsed;
+  }
+
+  /**
+   * @param {number} rootId - Root of the subtree
+   * @param {number} candidateId - Item to look for
+   * @returns {boolean} - Whether the candidate is the root or one of its descendants
+   */
+  isInSubtree(rootId, candidateId) {
+    return this.db.prepare(SUBTREE_SQL).all({ itemId: rootId })
+      .some(row => row.id === candidateId);
+  }
+
+  /**
+   * Re-parents an item's children onto the item's own parent ahead of its
+   * deletion, so the rest of the tree stays connected.
+   *
+   * @param {number} itemId - ID of the item being deleted
+   * @returns {Array<number>} - IDs of the children that were moved
+   */
+  detachItem(itemId) {
+    const item = this.db.prepare('SELECT parent_item_id FROM item_details WHERE id = ?').get(itemId);
+    const childIds = this.db.prepare('SELECT id FROM item_details WHERE parent_item_id = ?')
+      .all(itemId).map(row => row.id);
+
+    this.db.prepare('UPDATE item_details SET parent_item_id = ?, updated_at = ? WHERE parent_item_id = ?')
+      .run(item?.parent_item_id ?? null, new Date().toISOString(), itemId);
+    return childIds;
+  }
+
+  assertItemExists(itemId) {
+    if (!this.db.prepare('SELECT id FROM item_details WHERE id = ?').get(itemId)) {
+      throw new NotFoundError('Item not found');
+    }
+  }
+}
+
+module.exports = HierarchyService;
@@ -0,0 +1,271 @@
+const { HttpError, ValidationError } = require('../utils/errors');
+const { toCsvRecord, parseCsv } = require('../utils/csv');
+
+// Columns in export order, each with the createDetailedItem field it
+// imports into. Columns without a field describe the row and are skipped on
+// import, so an exported file can be imported again as new items.
+const COLUMNS = [
+  { header: 'id' },
+  { header: 'name', field: 'name' },
+  { header: 'description', field: 'description' },
+  { header: 'category', field: 'category' },
+  { header: 'priority', field: 'priority' },
+  { header: 'status', field: 'status' },
+  { header: 'workflow_stage', field: 'workflowStage' },
+  { header: 'assignee', field: 'assignee' },
+  { header: 'due_date', field: 'dueDate', type: 'date' },
+  { header: 'estimated_hours', field: 'estimatedHours', type: 'number' },
+  { header: 'budget', field: 'budget', type: 'number' },
+  { header: 'location', field: 'location' },
+  { header: 'tags', field: 'tags', type: 'tags' },
+  { header: 'created_by' },
+  { header: 'created_at' },
+  { header: 'updated_at' },
+];
+
+// Custom fields get a column each, named after their key
+const CUSTOM_FIELD_PREFIX = 'custom.';
+// Tags share one cell
+const TAG_SEPARATOR = ';';
+// Stops the import transaction once every row has been checked
+const ROLLBACK = Symbol('rollback');
+
+const parseJson = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * ItemCsvService - Exports detailed items to CSV and imports them from it.
+ *
+ * Files follow RFC 4180. Tags are flattened into one `;`-separated cell and
+ * each custom field gets its own `custom.<key>` column, so the file opens
+ * cleanly in a spreadsheet. Text that would run there as a formula is
+ * prefixed with `'`, which import strips again.
+ */
+class ItemCsvService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   * @param {Object} services
+   * @param {ItemQueryService} services.itemQueryService - Reads items matching the list filters
+   * @param {CustomFieldService} services.customFieldService - Custom field definitions
+   * @param {ItemDetailsController} services.itemDetailsController - Creates imported items
+   * @param {Object} [options]
+   * @param {number} [options.maxRows] - Most rows one import may hold
+   */
+  constructor(database, { itemQueryService, customFieldService, itemDetailsController }, { maxRows = 5000 } = {}) {
+    this.db = database;
+    this.itemQueryService = itemQueryService;
+    this.customFieldService = customFieldService;
+    this.itemDetailsController = itemDetailsController;
+    this.maxRows = maxRows;
+  }
+
+  /**
+   * @param {Object} query - `req.query`, with the same filters and sort as the item list
+   * @returns {Iterable<string>} - The file, one CSV record at a time, header first
+   * @throws {ValidationError} If the query is invalid; checked before anything is read
+   */
+  exportCsv(query) {
+    const rows = this.itemQueryService.iterate(query);
+    const customKeys = this.customFieldService.listDefinitions().map(definition => definition.key);
+    return (function* records() {
+      yield toCsvRecord([
+        ...COLUMNS.map(column => column.header),
+        ...customKeys.map(key => `${CUSTOM_FIELD_PREFIX}${key}`),
+      ]);
+      for (const item of rows) {
+        const tags = parseJson(item.tags, []);
+        const customFields = parseJson(item.custom_fields, {});
+        yield toCsvRecord([
+          ...COLUMNS.map(column => (
+            column.type === 'tags' ? [].concat(tags).join(`${TAG_SEPARATOR} `) : item[column.header]
+          )),
+          ...customKeys.map(key => {
+            const value = customFields[key];
+            return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+          }),
+        ]);
+      }
+    }());
+  }
+
+  /**
+   * Creates an item for each CSV row. Every row is checked, in a transaction
+   * that is rolled back unless all of them are valid, so a file is either
+   * imported whole or not at all.
+   *
+   * Columns are matched to fields by header, as written by exportCsv;
+   * `mapping` renames other headers (`{ Title: 'name' }`), or skips them
+   * when mapped to null or ''.
+   *
+   * @param {string} csv - The file
+   * @param {Object} user - `req.user`; the imported items are theirs
+   * @param {Object} [options]
+   * @param {Object} [options.mapping] - CSV header to column name
+   * @param {boolean} [options.dryRun] - Check the rows without saving anything
+   * @returns {{ dryRun: boolean, rowCount: number, items: Array<Object> }} - The created items (none on a dry run)
+   * @throws {ValidationError} With `errors` of `{ line, error }` when any row is invalid
+   */
+  importCsv(csv, user, { mapping = {}, dryRun = false } = {}) {
+    if (typeof csv !== 'string' || csv.trim() === '') {
+      throw new ValidationError('Send the CSV file as the request body, with Content-Type text/csv');
+    }
+    const [header, ...rows] = parseCsv(csv);
+    if (rows.length === 0) {
+      throw new ValidationError('The CSV has a header but no rows to import');
+    }
+    if (rows.length > this.maxRows) {
+      throw new ValidationError(`A single import can hold at most ${this.maxRows} rows`);
+    }
+    const columns = this.resolveColumns(header.fields, mapping);
+
+    const errors = [];
+    const items = [];
+    try {
+      this.db.transaction(() => {
+        rows.forEach(({ line, fields }) => {
+          try {
+            if (fields.length !== columns.length) {
+              throw new ValidationError(`Expected ${columns.length} fields but found ${fields.length}`);
+            }
+            // A savepoint per row, so a bad row leaves nothing behind while the rest are checked
+            items.push(this.db.transaction(() => this.itemDetailsController.insertDetailedItem(
+              this.toItemFields(columns, fields), user.id
+            ))());
+          } catch (error) {
+            if (!(error instanceof HttpError)) {
+              throw error;
+            }
+            errors.push({ line, error: error.message, ...error.details });
+          }
+        });
+        if (errors.length > 0 || dryRun) {
+          throw ROLLBACK;
+        }
+      })();
+    } catch (error) {
+      if (error !== ROLLBACK) {
+        throw error;
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(
+        `${errors.length} of ${rows.length} rows are invalid, so nothing was imported`,
+        { errors }
+      );
+    }
+    return { dryRun, rowCount: rows.length, items: dryRun ? [] : items };
+  }
+
+  /**
+   * @returns {Array<Object|null>} - For each CSV column, the column it imports
+   *   into (`{ header, field, type }` or `{ customField }`), or null to skip it
+   * @throws {ValidationError} If a header matches nothing, two headers map to
+   *   the same field, or nothing maps to the item name
+   */
+  resolveColumns(headers, mapping) {
+    if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new ValidationError('mapping must map CSV headers to column names, e.g. mapping[Title]=name');
+    }
+    const customKeys = new Set(this.customFieldService.listDefinitions().map(definition => definition.key));
+    const unknown = [];
+    const columns = headers.map(raw => {
+      const header = raw.trim();
+      const target = Object.prototype.hasOwnProperty.call(mapping, header) ? mapping[header] : header;
+      if (target === null || target === '') {
+        return null;
+      }
+      if (typeof target === 'string' && target.startsWith(CUSTOM_FIELD_PREFIX)
+        && customKeys.has(target.slice(CUSTOM_FIELD_PREFIX.length))) {
+        return { header, target, customField: target.slice(CUSTOM_FIELD_PREFIX.length) };
+      }
+      const column = COLUMNS.find(candidate => candidate.header === target);
+      if (!column) {
+        unknown.push(header);
+        return null;
+      }
+      return column.field ? { ...column, header, target } : null;
+    });
+
+    if (unknown.length > 0) {
+      throw new ValidationError(
+        `Unknown columns: ${unknown.join(', ')}. Map them to a column, or to nothing to skip them`,
+        { columns: unknown }
+      );
+    }
+    const targets = columns.filter(Boolean).map(column => column.target);
+    const repeated = targets.filter((target, index) => targets.indexOf(target) !== index);
+    if (repeated.length > 0) {
+      throw new ValidationError(`More than one CSV column maps to ${[...new Set(repeated)].join(', ')}`);
+    }
+    if (!targets.includes('name')) {
+      throw new ValidationError('No CSV column maps to name');
+    }
+    return columns;
+  }
+
+  /**
+   * Turns one row into createDetailedItem fields. Empty cells are left out.
+   *
+   * @throws {ValidationError} Listing every cell that cannot be read
+   */
+  toItemFields(columns, cells) {
+    const fields = {};
+    const customFields = {};
+    const problems = [];
+
+    columns.forEach((column, index) => {
+      const cell = cells[index].trim();
+      if (!column || cell === '') {
+        return;
+      }
+      if (column.customField) {
+        customFields[column.customField] = this.toCustomFieldValue(column.customField, cell);
+      } else if (column.type === 'number') {
+        const value = Number(cell);
+        if (Number.isFinite(value)) {
+          fields[column.field] = value;
+        } else {
+          problems.push(`${column.header} must be a number`);
+        }
+      } else if (column.type === 'date') {
+        if (Number.isNaN(Date.parse(cell))) {
+          problems.push(`${column.header} must be a date such as 2024-01-31`);
+        } else {
+          fields[column.field] = cell;
+        }
+      } else if (column.type === 'tags') {
+        fields.tags = cell.split(TAG_SEPARATOR).map(tag => tag.trim()).filter(Boolean);
+      } else {
+        fields[column.field] = cell;
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new ValidationError(problems.join('; '));
+    }
+    return { ...fields, customFields };
+  }
+
+  /**
+   * Reads a custom field cell as its definition's type, leaving anything
+   * unreadable as text for validateCustomFields to reject.
+   */
+  toCustomFieldValue(key, cell) {
+    const definition = this.customFieldService.listDefinitions().find(candidate => candidate.key === key);
+    if (definition.type === 'number' && Number.isFinite(Number(cell))) {
+      return Number(cell);
+    }
+    if (definition.type === 'boolean' && ['true', 'false'].includes(cell.toLowerCase())) {
+      return cell.toLowerCase() === 'true';
+    }
+    return cell;
+  }
+}
+
+module.exports = ItemCsvService;
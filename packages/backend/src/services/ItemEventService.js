@@ -0,0 +1,110 @@
+const { EventEmitter } = require('events');
+
+const toEvent = (row) => ({ ...row, data: JSON.parse(row.data) });
+
+/**
+ * ItemEventService - The change feed behind the event stream and webhooks.
+ *
+ * `record` numbers each item change in `item_events` inside the caller's
+ * transaction and queues it for webhooks. Listeners are told about new
+ * events once the transaction has committed: broadcasting is deferred to
+ * the next turn of the event loop and reads back from the table, so a
+ * rolled-back change is never announced.
+ */
+class ItemEventService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   * @param {Object} options
+   * @param {WebhookService} options.webhookService - Outgoing webhooks
+   * @param {number} options.retainCount - How many recent events to keep for clients catching up
+   */
+  constructor(database, { webhookService, retainCount }) {
+    this.db = database;
+    this.webhookService = webhookService;
+    this.retainCount = retainCount;
+    this.emitter = new EventEmitter();
+    // One listener per open event stream
+    this.emitter.setMaxListeners(0);
+    this.lastBroadcastId = this.getLatestId();
+    this.flushScheduled = false;
+  }
+
+  /**
+   * Records an item change. Call it in the transaction making the change.
+   *
+   * @param {string} event - e.g. 'item_details.updated'
+   * @param {Object} data - `{ item }`, plus `before` for updates
+   * @param {string} [actor] - ID of the user who made the change
+   */
+  record(event, data, actor = null) {
+    const result = this.db.prepare(`
+      INSERT INTO item_events (event, item_id, data, actor, created_at) VALUES (?, ?, ?, ?, ?)
+    `).run(event, data.item?.id ?? null, JSON.stringify(data), actor, new Date().toISOString());
+    this.db.prepare('DELETE FROM item_events WHERE id <= ?').run(result.lastInsertRowid - this.retainCount);
+    this.webhookService.publish(event, data, actor);
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushScheduled) {
+      return;
+    }
+    this.flushScheduled = true;
+    setImmediate(() => {
+      this.flushScheduled = false;
+      this.flush();
+    });
+  }
+
+  /**
+   * Tells listeners about every committed event they have not been sent yet.
+   */
+  flush() {
+    if (!this.db.open) {
+      return;
+    }
+    const rows = this.db.prepare('SELECT * FROM item_events WHERE id > ? ORDER BY id').all(this.lastBroadcastId);
+    rows.forEach(row => {
+      this.lastBroadcastId = row.id;
+      this.emitter.emit('event', toEvent(row));
+    });
+  }
+
+  /**
+   * @param {Function} listener - Called with each new event
+   * @returns {Function} - Stops listening
+   */
+  subscribe(listener) {
+    this.emitter.on('event', listener);
+    return () => this.emitter.off('event', listener);
+  }
+
+  /**
+   * Events after `lastEventId`, for a client resuming its stream. When some
+   * of them are no longer kept, or the ID is from before the database was
+   * reset, the client cannot be caught up and has to reload instead.
+   *
+   * @param {number} lastEventId - The last event the client saw
+   * @returns {{ events: Array<Object>, gap: boolean }}
+   */
+  getEventsSince(lastEventId) {
+    const sequence = this.getLatestId();
+    const { oldest } = this.db.prepare('SELECT MIN(id) AS oldest FROM item_events').get();
+    const firstKept = oldest ?? sequence + 1;
+    if (lastEventId > sequence || lastEventId < firstKept - 1) {
+      return { events: [], gap: true };
+    }
+    const events = this.db.prepare('SELECT * FROM item_events WHERE id > ? ORDER BY id').all(lastEventId);
+    return { events: events.map(toEvent), gap: false };
+  }
+
+  /**
+   * @returns {number} - ID of the most recent event ever recorded, 0 if none
+   */
+  getLatestId() {
+    const row = this.db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'item_events'").get();
+    return row ? row.seq : 0;
+  }
+}
+
+module.exports = ItemEventService;
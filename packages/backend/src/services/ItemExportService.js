@@ -0,0 +1,89 @@
+const { NotFoundError } = require('../utils/errors');
+const { parseJsonColumns } = require('../utils/itemRows');
+const { toXmlElement } = require('../utils/xml');
+
+/**
+ * ItemExportService - Writes the detailed item list as a downloadable file
+ * in CSV, JSON Lines or XML.
+ *
+ * Each export is a lazy sequence of text chunks, so a route can stream it to
+ * the client without holding the whole list in memory. Rows come from
+ * ItemQueryService.iterate in keyset batches rather than one long-running
+ * statement.iterate(): better-sqlite3 keeps the connection busy while an
+ * iterator is open, and a slow download would otherwise block every other
+ * request until it finished.
+ */
+class ItemExportService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   * @param {Object} services
+   * @param {ItemQueryService} services.itemQueryService - Reads items matching the list filters
+   * @param {ItemCsvService} services.itemCsvService - Writes the CSV format
+   */
+  constructor(database, { itemQueryService, itemCsvService }) {
+    this.db = database;
+    this.itemQueryService = itemQueryService;
+    this.itemCsvService = itemCsvService;
+    this.formats = {
+      csv: { contentType: 'text/csv', write: query => this.itemCsvService.exportCsv(query) },
+      jsonl: { contentType: 'application/x-ndjson', write: query => this.exportJsonLines(query) },
+      xml: { contentType: 'application/xml', write: query => this.exportXml(query) },
+    };
+  }
+
+  /**
+   * @param {string} format - csv, jsonl or xml
+   * @param {Object} query - `req.query`, with the same filters and sort as the item list
+   * @returns {{ contentType: string, filename: string, chunks: Iterable<string> }}
+   * @throws {NotFoundError} If there is no such format
+   * @throws {ValidationError} If the query is invalid; checked before anything is read
+   */
+  exportItems(format, query) {
+    const exporter = Object.prototype.hasOwnProperty.call(this.formats, format) ? this.formats[format] : null;
+    if (!exporter) {
+      throw new NotFoundError(
+        `Items cannot be exported as ${format}; use ${Object.keys(this.formats).join(', ')}`
+      );
+    }
+    return { contentType: exporter.contentType, filename: `items.${format}`, chunks: exporter.write(query) };
+  }
+
+  /**
+   * One JSON object per line, with JSON columns such as tags and
+   * custom_fields parsed rather than left as strings.
+   *
+   * @param {Object} query - `req.query`
+   * @returns {Iterable<string>}
+   */
+  exportJsonLines(query) {
+    const rows = this.itemQueryService.iterate(query);
+    return (function* lines() {
+      for (const item of rows) {
+        yield `${JSON.stringify(parseJsonColumns(item))}\n`;
+      }
+    }());
+  }
+
+  /**
+   * An `<items>` document with an `<item id="...">` element per item and
+   * an element per column. Empty columns are left out; JSON columns are
+   * written as nested `<value>` and `<entry key="...">` elements.
+   *
+   * @param {Object} query - `req.query`
+   * @returns {Iterable<string>}
+   */
+  exportXml(query) {
+    const rows = this.itemQueryService.iterate(query);
+    return (function* document() {
+      yield '<?xml version="1.0" encoding="UTF-8"?>\n<items>\n';
+      for (const item of rows) {
+        const { id, ...columns } = parseJsonColumns(item);
+        const elements = Object.entries(columns).map(([column, value]) => toXmlElement(column, value, { depth: 2 }));
+        yield `  <item id="${id}">\n${elements.join('')}  </item>\n`;
+      }
+      yield '</items>\n';
+    }());
+  }
+}
+
+module.exports = ItemExportService;
@@ -0,0 +1,402 @@
+const { ValidationError } = require('../utils/errors');
+
+// Columns that can be filtered and sorted on, with how their query string
+// values are read. Names in a query are checked against this list, so they
+// are safe to put into SQL.
+const QUERYABLE_COLUMNS = {
+  id: 'integer',
+  name: 'text',
+  description: 'text',
+  category: 'text',
+  priority: 'text',
+  status: 'text',
+  workflow_stage: 'text',
+  assignee: 'text',
+  created_by: 'text',
+  location: 'text',
+  due_date: 'text',
+  created_at: 'text',
+  updated_at: 'text',
+  estimated_hours: 'number',
+  budget: 'number',
+  template_id: 'integer',
+  parent_item_id: 'integer',
+  approval_required: 'boolean',
+  row_version: 'integer',
+};
+
+// An own-property check, so inherited names such as "constructor" are not columns
+const isQueryable = (column) => Object.hasOwn(QUERYABLE_COLUMNS, column);
+
+// Priorities sort by urgency rather than alphabetically
+const SORT_EXPRESSIONS = {
+  priority: "CASE priority WHEN 'low' THEN 1 WHEN 'medium' THEN 2 WHEN 'high' THEN 3 END",
+};
+
+const COMPARISONS = { eq: 'IS', ne: 'IS NOT', lt: '<', lte: '<=', gt: '>', gte: '>=' };
+const OPERATORS = [...Object.keys(COMPARISONS), 'in', 'nin', 'contains', 'null'];
+
+const DEFAULT_SORT = '-created_at';
+const MAX_LIMIT = 500;
+const DEFAULT_BATCH_SIZE = 500;
+
+const toWhere = (conditions) => (conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '');
+
+/**
+ * Escapes LIKE wildcards so a search term matches literally.
+ */
+const escapeLike = (term) => term.replace(/[\\%_]/g, match => `\\${match}`);
+
+const splitList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(entry => String(entry).trim())
+  .filter(Boolean);
+
+/**
+ * ItemQueryService - Lists detailed items for `GET /api/items/details`.
+ *
+ * The query string supports:
+ * - `filter[column]=value` or `filter[column][op]=value`, with ops `eq`, `ne`,
+ *   `lt`, `lte`, `gt`, `gte`, `in` and `nin` (comma-separated lists),
+ *   `contains` and `null` (`true` or `false`)
+ * - `customFields[key]=value`, as handled by CustomFieldService
+ * - `q`, matched against name and description
+ * - `sort=-priority,name`: one or more columns, `-` for descending
+ * - `fields=name,priority` or `omit=description`: sparse fieldsets; `id` is always included
+ * - `limit` and `cursor`: keyset pagination, stable while items are added or removed
+ */
+class ItemQueryService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   * @param {Object} services
+   * @param {CustomFieldService} services.customFieldService - Builds custom field filters
+   * @param {PermissionService} services.permissionService - Adds each item's permissions
+   */
+  constructor(database, { customFieldService, permissionService }) {
+    this.db = database;
+    this.customFieldService = customFieldService;
+    this.permissionService = permissionService;
+  }
+
+  /**
+   * @param {Object} query - `req.query`
+   * @param {Object} user - `req.user`
+   * @returns {{ items: Array<Object>, total: number, nextCursor: string|null }} - One page of
+   *   items, how many match in all, and the cursor for the next page when there is one
+   * @throws {ValidationError} If the query uses unknown columns or operators, or malformed values
+   */
+  list(query, user) {
+    const { conditions, params } = this.buildFilter(query);
+    const sort = this.parseSort(query.sort);
+    const limit = this.parseLimit(query.limit);
+    const fields = this.parseFields(query.fields, query.omit);
+
+    const { total } = this.db.prepare(
+      `SELECT COUNT(*) AS total FROM item_details ${toWhere(conditions)}`
+    ).get(...params);
+
+    const after = query.cursor === undefined ? null : this.decodeCursor(query.cursor, sort);
+    // One extra row tells whether there is another page
+    const rows = this.fetchRows({ conditions, params }, sort, after, limit === null ? null : limit + 1);
+
+    const page = limit === null ? rows : rows.slice(0, limit);
+    const nextCursor = rows.length > page.length ? this.encodeCursor(sort, page[page.length - 1]) : null;
+    const items = this.permissionService.annotateItems(user, page.map(row => row.item));
+
+    return { items: items.map(item => this.selectFields(item, fields)), total, nextCursor };
+  }
+
+  /**
+   * Yields every item matching the query's filters, in its sort order, as
+   * plain rows. Items are read a batch at a time, so memory use stays flat
+   * however many match, and the connection is free for other queries between
+   * batches.
+   *
+   * @param {Object} query - `req.query`; paging and field parameters are ignored
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - Rows read per query
+   * @returns {Generator<Object>} - item_details rows
+   * @throws {ValidationError} If the query uses unknown columns or operators, or malformed
+   *   values; thrown here rather than once reading has started
+   */
+  iterate(query, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    return this.readBatches(this.buildFilter(query), this.parseSort(query.sort), batchSize);
+  }
+
+  * readBatches(filter, sort, batchSize) {
+    let after = null;
+    for (;;) {
+      const rows = this.fetchRows(filter, sort, after, batchSize);
+      yield* rows.map(row => row.item);
+      if (rows.length < batchSize) {
+        return;
+      }
+      after = rows[rows.length - 1].sortValues;
+    }
+  }
+
+  /**
+   * @param {Object} filter - From buildFilter
+   * @param {Array<Object>} sort - From parseSort
+   * @param {Array<*>|null} after - Sort key values of the row to start after
+   * @param {number|null} limit - Most rows to read
+   * @returns {Array<{ item: Object, sortValues: Array<*> }>}
+   */
+  fetchRows({ conditions, params }, sort, after, limit) {
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (after !== null) {
+      const keyset = this.buildKeyset(sort, after);
+      pageConditions.push(keyset.condition);
+      pageParams.push(...keyset.params);
+    }
+
+    const rows = this.db.prepare(`
+      SELECT *, ${sort.map((key, index) => `${key.expression} AS sort_key_${index}`).join(', ')}
+      FROM item_details ${toWhere(pageConditions)}
+      ORDER BY ${sort.map(key => `${key.expression} ${key.descending ? 'DESC' : 'ASC'}`).join(', ')}
+      ${limit === null ? '' : 'LIMIT ?'}
+    `).all(...pageParams, ...(limit === null ? [] : [limit]));
+
+    return rows.map(row => {
+      const item = { ...row };
+      sort.forEach((key, index) => delete item[`sort_key_${index}`]);
+      return { item, sortValues: sort.map((key, index) => row[`sort_key_${index}`]) };
+    });
+  }
+
+  /**
+   * @returns {{ conditions: Array<string>, params: Array<*> }} - WHERE clauses for the
+   *   filters, custom field filters and search term
+   */
+  buildFilter({ filter, customFields, q }) {
+    const conditions = [];
+    const params = [];
+
+    if (filter !== undefined) {
+      if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+        throw new ValidationError('Filters must be given as filter[column]=value or filter[column][op]=value');
+      }
+      Object.entries(filter).forEach(([column, condition]) => {
+        if (!isQueryable(column)) {
+          throw new ValidationError(`Cannot filter on "${column}"`);
+        }
+        const byOperator = condition !== null && typeof condition === 'object' && !Array.isArray(condition)
+          ? condition
+          : { eq: condition };
+        Object.entries(byOperator).forEach(([operator, value]) => {
+          const clause = this.buildCondition(column, operator, value);
+          conditions.push(clause.condition);
+          params.push(...clause.params);
+        });
+      });
+    }
+
+    const custom = this.customFieldService.buildFilter(customFields);
+    conditions.push(...custom.conditions);
+    params.push(...custom.params);
+
+    if (q !== undefined) {
+      if (typeof q !== 'string') {
+        throw new ValidationError('q must be a single search term');
+      }
+      if (q.trim() !== '') {
+        const pattern = `%${escapeLike(q.trim())}%`;
+        conditions.push("(name LIKE ? ESCAPE '\\' OR description LIKE ? ESCAPE '\\')");
+        params.push(pattern, pattern);
+      }
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * @returns {{ condition: string, params: Array<*> }}
+   */
+  buildCondition(column, operator, value) {
+    if (!OPERATORS.includes(operator)) {
+      throw new ValidationError(`Unknown filter operator "${operator}"; use one of: ${OPERATORS.join(', ')}`);
+    }
+
+    if (operator === 'in' || operator === 'nin') {
+      const values = splitList(value).map(entry => this.parseValue(column, entry));
+      if (values.length === 0) {
+        throw new ValidationError(`filter[${column}][${operator}] needs at least one value`);
+      }
+      const placeholders = values.map(() => '?').join(', ');
+      return operator === 'in'
+        ? { condition: `${column} IN (${placeholders})`, params: values }
+        : { condition: `(${column} IS NULL OR ${column} NOT IN (${placeholders}))`, params: values };
+    }
+    if (typeof value !== 'string') {
+      throw new ValidationError(`filter[${column}][${operator}] takes a single value`);
+    }
+    if (operator === 'null') {
+      if (!['true', 'false'].includes(value)) {
+        throw new ValidationError(`filter[${column}][null] must be true or false`);
+      }
+      return { condition: `${column} IS ${value === 'true' ? '' : 'NOT '}NULL`, params: [] };
+    }
+    if (operator === 'contains') {
+      return { condition: `${column} LIKE ? ESCAPE '\\'`, params: [`%${escapeLike(value)}%`] };
+    }
+    return { condition: `${column} ${COMPARISONS[operator]} ?`, params: [this.parseValue(column, value)] };
+  }
+
+  /**
+   * Converts a query string value to how the column stores it.
+   */
+  parseValue(column, raw) {
+    const type = QUERYABLE_COLUMNS[column];
+    if (type === 'boolean') {
+      if (!['true', 'false'].includes(raw)) {
+        throw new ValidationError(`${column} must be true or false`);
+      }
+      return raw === 'true' ? 1 : 0;
+    }
+    if (type === 'integer' || type === 'number') {
+      const value = Number(raw);
+      if (raw.trim() === '' || !Number.isFinite(value) || (type === 'integer' && !Number.isInteger(value))) {
+        throw new ValidationError(`${column} must be ${type === 'integer' ? 'an integer' : 'a number'}`);
+      }
+      return value;
+    }
+    return raw;
+  }
+
+  /**
+   * @param {string} [sort] - e.g. `-priority,name`
+   * @returns {Array<Object>} - `{ column, expression, descending }`, ending with `id` so the order is total
+   */
+  parseSort(sort = DEFAULT_SORT) {
+    if (typeof sort !== 'string') {
+      throw new ValidationError('sort must be a comma-separated list of columns');
+    }
+    const keys = splitList(sort).map(entry => {
+      const descending = entry.startsWith('-');
+      const column = descending ? entry.slice(1) : entry;
+      if (!isQueryable(column)) {
+        throw new ValidationError(`Cannot sort on "${column}"`);
+      }
+      return { column, expression: SORT_EXPRESSIONS[column] || column, descending };
+    });
+    if (new Set(keys.map(key => key.column)).size !== keys.length) {
+      throw new ValidationError('sort lists a column more than once');
+    }
+
+    const idKey = keys.find(key => key.column === 'id');
+    if (idKey) {
+      // Nothing after id can change the order
+      return keys.slice(0, keys.indexOf(idKey) + 1);
+    }
+    const last = keys[keys.length - 1];
+    return [...keys, { column: 'id', expression: 'id', descending: last ? last.descending : true }];
+  }
+
+  /**
+   * @returns {number|null} - Page size, or null for every matching item
+   */
+  parseLimit(limit) {
+    if (limit === undefined) {
+      return null;
+    }
+    const value = Number(limit);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_LIMIT) {
+      throw new ValidationError(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+    }
+    return value;
+  }
+
+  /**
+   * @returns {{ include: boolean, names: Set<string> }|null} - The fields to keep
+   *   or drop, or null for all of them
+   */
+  parseFields(fields, omit) {
+    if (fields !== undefined && omit !== undefined) {
+      throw new ValidationError('Use either fields or omit, not both');
+    }
+    const list = fields ?? omit;
+    if (list === undefined) {
+      return null;
+    }
+    const known = new Set([
+      ...this.db.prepare('PRAGMA table_info(item_details)').all().map(column => column.name),
+      'permissions',
+    ]);
+    const names = splitList(list);
+    const unknown = names.filter(name => !known.has(name));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown fields: ${unknown.join(', ')}`);
+    }
+    return { include: fields !== undefined, names: new Set(names) };
+  }
+
+  selectFields(item, fields) {
+    if (!fields) {
+      return item;
+    }
+    return Object.fromEntries(Object.entries(item).filter(([name]) => (
+      name === 'id' || fields.names.has(name) === fields.include
+    )));
+  }
+
+  /**
+   * Builds the condition for rows that sort after the cursor's row. NULLs sort
+   * first ascending and last descending, as SQLite orders them.
+   *
+   * @returns {{ condition: string, params: Array<*> }}
+   */
+  buildKeyset(sort, values) {
+    const params = [];
+    const branches = sort.map((key, index) => {
+      const ties = sort.slice(0, index).map((earlier, earlierIndex) => {
+        params.push(values[earlierIndex]);
+        return `${earlier.expression} IS ?`;
+      });
+      const value = values[index];
+      let after;
+      if (value === null) {
+        after = key.descending ? '0' : `${key.expression} IS NOT NULL`;
+      } else {
+        params.push(value);
+        after = key.descending
+          ? `(${key.expression} < ? OR ${key.expression} IS NULL)`
+          : `${key.expression} > ?`;
+      }
+      return `(${[...ties, after].join(' AND ')})`;
+    });
+    return { condition: `(${branches.join(' OR ')})`, params };
+  }
+
+  encodeCursor(sort, row) {
+    const cursor = {
+      sort: sort.map(key => `${key.descending ? '-' : ''}${key.column}`).join(','),
+      values: row.sortValues,
+    };
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+  }
+
+  /**
+   * @returns {Array<*>} - The sort key values of the last row on the previous page
+   * @throws {ValidationError} If the cursor is malformed or was made for a different sort
+   */
+  decodeCursor(raw, sort) {
+    let cursor;
+    try {
+      cursor = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new ValidationError('Invalid cursor');
+    }
+    const expected = sort.map(key => `${key.descending ? '-' : ''}${key.column}`).join(',');
+    const isKeyValue = (value) => value === null || ['string', 'number'].includes(typeof value);
+    if (!cursor || !Array.isArray(cursor.values) || cursor.values.length !== sort.length
+      || !cursor.values.every(isKeyValue)) {
+      throw new ValidationError('Invalid cursor');
+    }
+    if (cursor.sort !== expected) {
+      throw new ValidationError('This cursor belongs to a different sort order; start again without it');
+    }
+    return cursor.values;
+  }
+}
+
+module.exports = ItemQueryService;
@@ -0,0 +1,148 @@
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+// Columns that describe the row itself rather than its content
+const UNVERSIONED_COLUMNS = ['id', 'created_at', 'updated_at', 'row_version'];
+
+// Columns mirrored from other tables; restoring them would desync the mirror
+const DERIVED_COLUMNS = ['attachment_ids', 'dependencies', 'linked_items'];
+
+/**
+ * ItemVersionService - Stores full snapshots of item_details rows so that an
+ * item's history can be listed, compared and rolled back.
+ *
+ * A snapshot captures the row as it was immediately before a change, so the
+ * newest version is always the state the current row replaced.
+ */
+class ItemVersionService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Records a snapshot of an item_details row as the item's next version.
+   *
+   * @param {Object} item - The item_details row to capture
+   * @param {string} changedBy - ID of the user making the change
+   * @param {string} [changeType] - What caused the snapshot ('update', 'restore', ...)
+   * @returns {Object} - The stored version without its snapshot payload
+   */
+  createSnapshot(item, changedBy, changeType = 'update') {
+    const { next } = this.db.prepare(
+      'SELECT COALESCE(MAX(version), 0) + 1 AS next FROM item_versions WHERE item_id = ?'
+    ).get(item.id);
+
+    const result = this.db.prepare(`
+      INSERT INTO item_versions (item_id, version, snapshot, change_type, changed_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(item.id, next, JSON.stringify(item), changeType, changedBy, new Date().toISOString());
+
+    return this.db.prepare(`
+      SELECT id, item_id, version, change_type, changed_by, created_at
+      FROM item_versions WHERE id = ?
+    `).get(result.lastInsertRowid);
+  }
+
+  /**
+   * @param {number} itemId - ID of the item_details row
+   * @returns {Array<Object>} - Version metadata, newest first
+   */
+  getItemHistory(itemId) {
+    return this.db.prepare(`
+      SELECT id, item_id, version, change_type, changed_by, created_at
+      FROM item_versions WHERE item_id = ? ORDER BY version DESC
+    `).all(itemId);
+  }
+
+  /**
+   * @param {number} itemId - ID of the item_details row
+   * @param {number} version - Version number to load
+   * @returns {Object} - The version including its parsed snapshot
+   * @throws {NotFoundError} If the item has no such version
+   */
+  getVersion(itemId, version) {
+    const row = this.db.prepare(
+      'SELECT * FROM item_versions WHERE item_id = ? AND version = ?'
+    ).get(itemId, version);
+
+    if (!row) {
+      throw new NotFoundError(`Version ${version} not found for item ${itemId}`);
+    }
+
+    return { ...row, snapshot: JSON.parse(row.snapshot) };
+  }
+
+  /**
+   * Compares two versions of an item field by field.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @param {number} fromVersion - Version to compare from
+   * @param {number|string} [toVersion] - Version to compare to, or 'current' for the live row
+   * @returns {Object} - `{ item_id, from, to, changes: [{ field, from, to }] }`
+   * @throws {NotFoundError} If the item or either version does not exist
+   */
+  diffVersions(itemId, fromVersion, toVersion = 'current') {
+    const before = this.getVersion(itemId, fromVersion).snapshot;
+    const after = toVersion === 'current'
+      ? this.getCurrentItem(itemId)
+      : this.getVersion(itemId, toVersion).snapshot;
+
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [...fields]
+      .filter(field => !UNVERSIONED_COLUMNS.includes(field))
+      .filter(field => (before[field] ?? null) !== (after[field] ?? null))
+      .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+    return { item_id: Number(itemId), from: fromVersion, to: toVersion, changes };
+  }
+
+  /**
+   * The changes that would roll an item back to the content of an earlier
+   * version: every restorable column whose value differs from the live row.
+   * ItemDetailsController.restoreVersion applies them as an ordinary update.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @param {number} version - Version number to restore
+   * @returns {Object} - Column name to the value it had in that version
+   * @throws {NotFoundError} If the item or version does not exist
+   * @throws {ValidationError} If the version matches the live row
+   */
+  getRestoreChanges(itemId, version) {
+    const { snapshot } = this.getVersion(itemId, version);
+    const currentItem = this.getCurrentItem(itemId);
+
+    const changes = Object.fromEntries(this.getRestorableColumns()
+      .filter(column => column in snapshot && (snapshot[column] ?? null) !== (currentItem[column] ?? null))
+      .map(column => [column, snapshot[column]]));
+    if (Object.keys(changes).length === 0) {
+      throw new ValidationError(`Version ${version} matches the current item; there is nothing to restore`);
+    }
+    return changes;
+  }
+
+  /**
+   * @param {number} itemId - ID of the item_details row
+   * @returns {Object} - The live row
+   * @throws {NotFoundError} If the item does not exist
+   */
+  getCurrentItem(itemId) {
+    const item = this.db.prepare('SELECT * FROM item_details WHERE id = ?').get(itemId);
+    if (!item) {
+      throw new NotFoundError('Item not found');
+    }
+    return item;
+  }
+
+  /**
+   * Reads the column list from the live schema so snapshots taken before a
+   * column was dropped can still be restored.
+   *
+   * @returns {Array<string>} - item_details columns a restore may write
+   */
+  getRestorableColumns() {
+    return this.db.prepare('PRAGMA table_info(item_details)').all()
+      .map(column => column.name)
+      .filter(name => !UNVERSIONED_COLUMNS.includes(name) && !DERIVED_COLUMNS.includes(name));
+  }
+}
+
+module.exports = ItemVersionService;
@@ -0,0 +1,246 @@
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+// Stored link types and the name the other end sees them under
+const LINK_TYPES = {
+  relates_to: { inverse: 'relates_to' },
+  duplicates: { inverse: 'duplicated_by' },
+  clones: { inverse: 'cloned_by' },
+};
+
+// Inverse names accepted on input, mapped back to the stored type
+const INVERSE_TYPES = {
+  duplicated_by: 'duplicates',
+  cloned_by: 'clones',
+};
+
+/**
+ * Normalizes a link type as sent by clients ("relates to", "relatesTo",
+ * "relates_to") to its snake_case form.
+ *
+ * @param {string} type - Link type from the request
+ * @returns {string}
+ */
+function normalizeType(type) {
+  return String(type)
+    .trim()
+    .replace(/([a-z])([A-Z])/g, '$1_$2')
+    .replace(/[\s-]+/g, '_')
+    .toLowerCase();
+}
+
+/**
+ * LinkService - Typed, bidirectional links between item_details rows.
+ *
+ * A link is stored once and read from both ends: when A duplicates B, B is
+ * duplicated by A. Each item's `linked_items` column mirrors its links from
+ * its own point of view as `{ item_id, type }`, and is rewritten on both ends
+ * whenever a link changes or a linked item is deleted.
+ */
+class LinkService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   */
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Links an item to another one.
+   *
+   * @param {number} itemId - ID of the item_details row the link is made from
+   * @param {Object} link
+   * @param {number} link.itemId - ID of the item to link to
+   * @param {string} [link.type] - Link type from the item's point of view; defaults to relates_to
+   * @param {string} createdBy - ID of the user creating the link
+   * @returns {Object} - The link as seen from `itemId`
+   * @throws {NotFoundError} If the item does not exist
+   * @throws {ValidationError} If the target is invalid or the link already exists
+   */
+  addLink(itemId, { itemId: otherId, type = 'relates_to' }, createdBy) {
+    this.assertItemExists(itemId);
+    const targetId = this.validateTarget(itemId, otherId);
+
+    const { sourceId, destinationId, linkType } = this.resolveDirection(itemId, targetId, type);
+
+    const existing = this.db.prepare(`
+      SELECT id FROM item_links
+      WHERE link_type = @linkType
+        AND ((source_id = @sourceId AND target_id = @destinationId)
+          OR (@linkType = 'relates_to' AND source_id = @destinationId AND target_id = @sourceId))
+    `).get({ sourceId, destinationId, linkType });
+    if (existing) {
+      throw new ValidationError(`Item ${itemId} is already linked to item ${targetId} that way`);
+    }
+
+    return this.db.transaction(() => {
+      const result = this.db.prepare(`
+        INSERT INTO item_links (source_id, target_id, link_type, created_by, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(sourceId, destinationId, linkType, createdBy, new Date().toISOString());
+
+      this.syncLinkedItems(sourceId);
+      this.syncLinkedItems(destinationId);
+      return this.getLink(itemId, result.lastInsertRowid);
+    })();
+  }
+
+  /**
+   * Replaces every link of an item with the given ones.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @param {Array<Object>} links - `{ itemId, type }` entries; bare IDs mean relates_to
+   * @param {string} createdBy - ID of the user making the change
+   * @returns {Array<Object>} - The item's links after the change
+   * @throws {ValidationError} If the list is malformed or any link is invalid
+   */
+  setLinks(itemId, links, createdBy) {
+    const entries = this.parseLinks(links);
+
+    return this.db.transaction(() => {
+      this.detachItem(itemId);
+      entries.forEach(link => this.addLink(itemId, link, createdBy));
+      this.syncLinkedItems(itemId);
+      return this.fetchRelatedItems(itemId);
+    })();
+  }
+
+  /**
+   * @param {Array<Object>|string|null} links - Links as setLinks takes them, or their JSON
+   * @returns {Array<Object>} - `{ itemId, type }` entries, not yet validated
+   * @throws {ValidationError} If the list is malformed
+   */
+  parseLinks(links) {
+    let entries = links ?? [];
+    if (typeof entries === 'string') {
+      try {
+        entries = JSON.parse(entries);
+      } catch (error) {
+        throw new ValidationError('linkedItems must be an array of links');
+      }
+    }
+    if (!Array.isArray(entries)) {
+      throw new ValidationError('linkedItems must be an array of links');
+    }
+
+    return entries.map(entry => (typeof entry === 'object' && entry !== null
+      ? { itemId: entry.itemId ?? entry.item_id ?? entry.id, type: entry.type }
+      : { itemId: entry }));
+  }
+
+  /**
+   * @param {number|null} itemId - ID of the item the link is made from, or null for one not created yet
+   * @param {*} otherId - ID of the item to link to, as sent by the client
+   * @returns {number} - The ID of the item to link to
+   * @throws {ValidationError} If the target is not another existing item
+   */
+  validateTarget(itemId, otherId) {
+    const targetId = Number(otherId);
+    if (!Number.isInteger(targetId) || targetId < 1) {
+      throw new ValidationError('Linked item ID must be a positive integer');
+    }
+    if (targetId === itemId) {
+      throw new ValidationError('An item cannot be linked to itself');
+    }
+    if (!this.db.prepare('SELECT id FROM item_details WHERE id = ?').get(targetId)) {
+      throw new ValidationError(`Linked item ${targetId} does not exist`);
+    }
+    return targetId;
+  }
+
+  /**
+   * @param {number} itemId - ID of the item_details row
+   * @returns {Array<Object>} - Linked items from this item's point of view, oldest link first
+   */
+  fetchRelatedItems(itemId) {
+    return this.db.prepare(`
+      SELECT l.id AS link_id, l.link_type, l.source_id = @itemId AS outgoing,
+             i.id AS item_id, i.name, i.status, l.created_by, l.created_at
+      FROM item_links l
+      JOIN item_details i ON i.id = CASE WHEN l.source_id = @itemId THEN l.target_id ELSE l.source_id END
+      WHERE l.source_id = @itemId OR l.target_id = @itemId
+      ORDER BY l.id
+    `).all({ itemId }).map(({ link_type: linkType, outgoing, ...link }) => ({
+      ...link,
+      type: outgoing ? linkType : LINK_TYPES[linkType].inverse,
+    }));
+  }
+
+  /**
+   * @param {number} itemId - ID of either end of the link
+   * @param {number} linkId - ID of the item_links row
+   * @returns {Object} - The link as seen from `itemId`
+   * @throws {NotFoundError} If the item has no such link
+   */
+  getLink(itemId, linkId) {
+    const link = this.fetchRelatedItems(itemId).find(related => related.link_id === linkId);
+    if (!link) {
+      throw new NotFoundError('Link not found');
+    }
+    return link;
+  }
+
+  /**
+   * Removes a link from both of its ends.
+   *
+   * @param {number} itemId - ID of either end of the link
+   * @param {number} linkId - ID of the item_links row
+   * @throws {NotFoundError} If the item has no such link
+   */
+  removeLink(itemId, linkId) {
+    const link = this.getLink(itemId, linkId);
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM item_links WHERE id = ?').run(linkId);
+      this.syncLinkedItems(itemId);
+      this.syncLinkedItems(link.item_id);
+    })();
+  }
+
+  /**
+   * Drops every link of an item, ahead of its deletion or of replacing its
+   * links, and updates the `linked_items` column of the items it was linked to.
+   *
+   * @param {number} itemId - ID of the item_details row
+   * @returns {Array<number>} - IDs of the items that were linked to it
+   */
+  detachItem(itemId) {
+    const linkedIds = [...new Set(this.fetchRelatedItems(itemId).map(link => link.item_id))];
+
+    this.db.prepare('DELETE FROM item_links WHERE source_id = ? OR target_id = ?').run(itemId, itemId);
+    linkedIds.forEach(id => this.syncLinkedItems(id));
+
+    return linkedIds;
+  }
+
+  /**
+   * Works out which end stores the link, so that inverse types such as
+   * `duplicated_by` are saved as the matching forward link.
+   */
+  resolveDirection(itemId, targetId, type) {
+    const normalized = normalizeType(type);
+    if (LINK_TYPES[normalized]) {
+      return { sourceId: itemId, destinationId: targetId, linkType: normalized };
+    }
+    if (INVERSE_TYPES[normalized]) {
+      return { sourceId: targetId, destinationId: itemId, linkType: INVERSE_TYPES[normalized] };
+    }
+
+    const allowed = [...Object.keys(LINK_TYPES), ...Object.keys(INVERSE_TYPES)];
+    throw new ValidationError(`Unknown link type "${type}". Allowed types: ${allowed.join(', ')}`);
+  }
+
+  syncLinkedItems(itemId) {
+    const links = this.fetchRelatedItems(itemId).map(link => ({ item_id: link.item_id, type: link.type }));
+
+    this.db.prepare('UPDATE item_details SET linked_items = ? WHERE id = ?')
+      .run(JSON.stringify(links), itemId);
+  }
+
+  assertItemExists(itemId) {
+    if (!this.db.prepare('SELECT id FROM item_details WHERE id = ?').get(itemId)) {
+      throw new NotFoundError('Item not found');
+    }
+  }
+}
+
+module.exports = LinkService;
@@ -0,0 +1,317 @@
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+// Deliveries attempted per run, so one slow channel cannot hold up the process
+const BATCH_SIZE = 100;
+const OUTBOX_STATUSES = ['pending', 'sent', 'failed'];
+
+const REMINDER_EVENTS = { before: 'due_soon', due: 'due', overdue: 'overdue' };
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * NotificationService - Tells users about changes to their items.
+ *
+ * Notifications go through an outbox: `notify` writes one row per user and
+ * channel in the caller's transaction, and `deliverPending` later hands each
+ * row to its channel adapter, retrying failures with exponential backoff.
+ * Channels are pluggable (see ./channels); users can turn each one off, and
+ * channels that need an address (email) are only used once the user has
+ * given one.
+ */
+class NotificationService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   * @param {Object} options
+   * @param {Array<Object>} options.channels - Channel adapters: `{ name, requiresAddress, send }`
+   * @param {number} options.maxAttempts - Deliveries are given up after this many failures
+   * @param {number} options.retryDelayMs - Wait before the first retry; doubles each time
+   */
+  constructor(database, { channels, maxAttempts, retryDelayMs }) {
+    this.db = database;
+    this.channels = new Map(channels.map(channel => [channel.name, channel]));
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+  }
+
+  /**
+   * @param {string} userId - ID of the user
+   * @returns {Array<Object>} - `{ channel, enabled, address, requiresAddress }` for every channel
+   */
+  getPreferences(userId) {
+    const stored = new Map(
+      this.db.prepare('SELECT * FROM notification_preferences WHERE user_id = ?')
+        .all(userId)
+        .map(row => [row.channel, row])
+    );
+    return [...this.channels.values()].map(({ name, requiresAddress }) => ({
+      channel: name,
+      enabled: stored.has(name) ? stored.get(name).enabled === 1 : true,
+      address: stored.get(name)?.address ?? null,
+      requiresAddress,
+    }));
+  }
+
+  /**
+   * Changes a user's preferences for the channels listed; others are left alone.
+   *
+   * @param {string} userId - ID of the user
+   * @param {Array<Object>} preferences - `{ channel, enabled, address }` entries
+   * @returns {Array<Object>} - The user's preferences afterwards
+   * @throws {ValidationError} If a channel is unknown or an address is invalid
+   */
+  setPreferences(userId, preferences) {
+    if (!Array.isArray(preferences)) {
+      throw new ValidationError('preferences must be an array');
+    }
+    const current = new Map(this.getPreferences(userId).map(preference => [preference.channel, preference]));
+    const rows = preferences.map(({ channel, enabled, address } = {}) => {
+      const adapter = this.channels.get(channel);
+      if (!adapter) {
+        throw new ValidationError(`channel must be one of: ${[...this.channels.keys()].join(', ')}`);
+      }
+      if (enabled !== undefined && typeof enabled !== 'boolean') {
+        throw new ValidationError('enabled must be true or false');
+      }
+      if (!isBlank(address) && (!adapter.requiresAddress || (adapter.isValidAddress && !adapter.isValidAddress(address)))) {
+        throw new ValidationError(`"${address}" is not a valid address for ${channel}`);
+      }
+      return {
+        channel,
+        enabled: (enabled ?? current.get(channel).enabled) ? 1 : 0,
+        address: address === undefined ? current.get(channel).address : (address || null),
+      };
+    });
+
+    const upsert = this.db.prepare(`
+      INSERT INTO notification_preferences (user_id, channel, enabled, address)
+      VALUES (@userId, @channel, @enabled, @address)
+      ON CONFLICT (user_id, channel) DO UPDATE SET enabled = excluded.enabled, address = excluded.address
+    `);
+    this.db.transaction(() => rows.forEach(row => upsert.run({ userId, ...row })))();
+
+    return this.getPreferences(userId);
+  }
+
+  /**
+   * Queues a notification for each user on each of their channels. Users
+   * that do not exist (assignees are free text) and `exclude` are skipped.
+   *
+   * @param {Object} notification
+   * @param {Array<string>} notification.userIds - Recipients
+   * @param {string} notification.event - e.g. 'item_assigned'
+   * @param {number} [notification.itemId] - The item it is about
+   * @param {string} notification.subject - One-line summary
+   * @param {string} notification.body - Full text
+   * @param {string} [notification.exclude] - User not to notify, usually whoever made the change
+   * @returns {number} - How many deliveries were queued
+   */
+  notify({ userIds, event, itemId = null, subject, body, exclude }) {
+    const recipients = [...new Set(userIds)]
+      .filter(userId => !isBlank(userId) && userId !== exclude)
+      .filter(userId => this.db.prepare('SELECT id FROM users WHERE id = ?').get(userId));
+
+    const insert = this.db.prepare(`
+      INSERT INTO notifications (user_id, channel, event, item_id, subject, body, next_attempt_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const now = new Date().toISOString();
+    let queued = 0;
+    recipients.forEach(userId => {
+      this.getPreferences(userId)
+        .filter(preference => preference.enabled && (!preference.requiresAddress || preference.address))
+        .forEach(preference => {
+          insert.run(userId, preference.channel, event, itemId, subject, body, now, now);
+          queued += 1;
+        });
+    });
+    return queued;
+  }
+
+  /**
+   * Notifies the people involved in an item about a new assignee, a status
+   * change or a new due date.
+   *
+   * @param {Object|null} before - The item_details row before the change, null for a new item
+   * @param {Object} after - The item_details row afterwards
+   * @param {string} actor - ID of the user who made the change; not notified
+   */
+  notifyItemChange(before, after, actor) {
+    const involved = [after.assignee, after.created_by];
+    const base = { itemId: after.id, exclude: actor };
+
+    if (after.assignee && after.assignee !== before?.assignee) {
+      this.notify({
+        ...base,
+        userIds: [after.assignee],
+        event: 'item_assigned',
+        subject: `You were assigned "${after.name}"`,
+        body: `${actor} assigned "${after.name}" (item ${after.id}) to you.`,
+      });
+    }
+    if (before && after.status !== before.status) {
+      this.notify({
+        ...base,
+        userIds: involved,
+        event: 'status_changed',
+        subject: `"${after.name}" is now ${after.status}`,
+        body: `${actor} changed the status of "${after.name}" (item ${after.id}) from ${before.status} to ${after.status}.`,
+      });
+    }
+    if (before && after.due_date && after.due_date !== before.due_date) {
+      this.notify({
+        ...base,
+        userIds: involved,
+        event: 'due_date_changed',
+        subject: `"${after.name}" is now due ${after.due_date}`,
+        body: `${actor} changed the due date of "${after.name}" (item ${after.id}) to ${after.due_date}.`,
+      });
+    }
+  }
+
+  /**
+   * @param {Object} reminder - A fired reminder, see ReminderService
+   */
+  notifyReminder(reminder) {
+    this.notify({
+      userIds: [reminder.recipient],
+      event: REMINDER_EVENTS[reminder.kind],
+      itemId: reminder.item_id,
+      subject: reminder.message,
+      body: `${reminder.message}.`,
+    });
+  }
+
+  /**
+   * Attempts every delivery that is due. A failed delivery is retried after
+   * `retryDelayMs`, doubling each time, until `maxAttempts` is reached.
+   *
+   * @param {Date} [now]
+   * @returns {Promise<{ sent: number, retrying: number, failed: number }>}
+   */
+  async deliverPending(now = new Date()) {
+    const deliveries = this.db.prepare(`
+      SELECT notifications.*, notification_preferences.address
+      FROM notifications
+      LEFT JOIN notification_preferences
+        ON notification_preferences.user_id = notifications.user_id
+       AND notification_preferences.channel = notifications.channel
+      WHERE notifications.status = 'pending' AND notifications.next_attempt_at <= ?
+      ORDER BY notifications.next_attempt_at, notifications.id
+      LIMIT ?
+    `).all(now.toISOString(), BATCH_SIZE);
+
+    const summary = { sent: 0, retrying: 0, failed: 0 };
+    for (const delivery of deliveries) {
+      try {
+        const channel = this.channels.get(delivery.channel);
+        if (!channel) {
+          throw new Error(`Channel ${delivery.channel} is not configured`);
+        }
+        await channel.send(delivery, delivery.address);
+        this.db.prepare(`
+          UPDATE notifications SET status = 'sent', attempts = attempts + 1, last_error = NULL, sent_at = ?
+          WHERE id = ?
+        `).run(new Date().toISOString(), delivery.id);
+        summary.sent += 1;
+      } catch (error) {
+        const attempts = delivery.attempts + 1;
+        const giveUp = attempts >= this.maxAttempts;
+        const nextAttemptAt = new Date(now.getTime() + this.retryDelayMs * 2 ** (attempts - 1));
+        this.db.prepare(`
+          UPDATE notifications SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ? WHERE id = ?
+        `).run(giveUp ? 'failed' : 'pending', attempts, error.message, nextAttemptAt.toISOString(), delivery.id);
+        summary[giveUp ? 'failed' : 'retrying'] += 1;
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * @param {string} userId - ID of the user
+   * @param {Object} [options]
+   * @param {boolean} [options.unreadOnly] - Leave out notifications already read
+   * @param {number} [options.limit] - At most this many (max 200)
+   * @returns {{ notifications: Array<Object>, unread: number }} - The user's in-app notifications, newest first
+   */
+  listInApp(userId, { unreadOnly = false, limit = DEFAULT_LIMIT } = {}) {
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new ValidationError(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    const notifications = this.db.prepare(`
+      SELECT id, event, item_id, subject, body, read_at, created_at
+      FROM notifications
+      WHERE user_id = ? AND channel = 'in_app' ${unreadOnly ? 'AND read_at IS NULL' : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(userId, limit);
+    const { unread } = this.db.prepare(`
+      SELECT COUNT(*) AS unread FROM notifications WHERE user_id = ? AND channel = 'in_app' AND read_at IS NULL
+    `).get(userId);
+    return { notifications, unread };
+  }
+
+  /**
+   * Marks one of the user's in-app notifications read, or all of them
+   * without a notification ID.
+   *
+   * @param {string} userId - ID of the user
+   * @param {number} [notificationId] - ID of the notification
+   * @throws {NotFoundError} If the user has no such notification
+   */
+  markRead(userId, notificationId) {
+    const now = new Date().toISOString();
+    if (notificationId === undefined) {
+      this.db.prepare(`
+        UPDATE notifications SET read_at = ? WHERE user_id = ? AND channel = 'in_app' AND read_at IS NULL
+      `).run(now, userId);
+      return;
+    }
+    const notification = this.db.prepare(`
+      SELECT id FROM notifications WHERE id = ? AND user_id = ? AND channel = 'in_app'
+    `).get(notificationId, userId);
+    if (!notification) {
+      throw new NotFoundError('Notification not found');
+    }
+    this.db.prepare('UPDATE notifications SET read_at = COALESCE(read_at, ?) WHERE id = ?').run(now, notificationId);
+  }
+
+  /**
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - pending, sent or failed
+   * @param {number} [filters.limit] - At most this many (max 200)
+   * @returns {Array<Object>} - Deliveries on every channel, newest first
+   */
+  listOutbox({ status, limit = DEFAULT_LIMIT } = {}) {
+    if (status !== undefined && !OUTBOX_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of: ${OUTBOX_STATUSES.join(', ')}`);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new ValidationError(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    return this.db.prepare(`
+      SELECT * FROM notifications ${status ? 'WHERE status = ?' : ''} ORDER BY id DESC LIMIT ?
+    `).all(...(status ? [status] : []), limit);
+  }
+
+  /**
+   * Puts a failed delivery back in the queue with a fresh set of attempts.
+   *
+   * @param {number} notificationId - ID of the notification
+   * @returns {Object} - The notification
+   * @throws {NotFoundError} If there is no failed delivery with that ID
+   */
+  retry(notificationId) {
+    const result = this.db.prepare(`
+      UPDATE notifications SET status = 'pending', attempts = 0, next_attempt_at = ?
+      WHERE id = ? AND status = 'failed'
+    `).run(new Date().toISOString(), notificationId);
+    if (result.changes === 0) {
+      throw new NotFoundError('Failed notification not found');
+    }
+    return this.db.prepare('SELECT * FROM notifications WHERE id = ?').get(notificationId);
+  }
+}
+
+module.exports = NotificationService;
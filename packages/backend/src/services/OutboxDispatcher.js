@@ -0,0 +1,63 @@
+/**
+ * OutboxDispatcher - Delivers an outbox (notifications, webhooks) on a timer.
+ *
+ * Like ReminderScheduler it keeps no state of its own; the outbox table is
+ * the queue. Deliveries are asynchronous, so a run that is still going when
+ * the timer fires again is left to finish rather than overlapped.
+ */
+class OutboxDispatcher {
+  /**
+   * @param {Object} outbox - A service with `deliverPending()`, e.g. NotificationService
+   * @param {Object} options
+   * @param {string} options.name - What is delivered, for the log
+   * @param {number} options.pollIntervalMs - How often to look for pending deliveries
+   */
+  constructor(outbox, { name, pollIntervalMs }) {
+    this.outbox = outbox;
+    this.name = name;
+    this.pollIntervalMs = pollIntervalMs;
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    // Pending deliveries alone should not keep the process alive
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} - The delivery summary, or null if a run was already in progress
+   */
+  async tick() {
+    if (this.running) {
+      return null;
+    }
+    this.running = this.outbox.deliverPending()
+      .then(summary => {
+        if (summary.sent + summary.retrying + summary.failed > 0) {
+          console.log(`${this.name}: ${summary.sent} sent, ${summary.retrying} to retry, ${summary.failed} failed`);
+        }
+        return summary;
+      })
+      .catch(error => {
+        console.error(`Error delivering ${this.name}:`, error);
+        return null;
+      })
+      .finally(() => {
+        this.running = null;
+      });
+    return this.running;
+  }
+}
+
+module.exports = OutboxDispatcher;
@@ -0,0 +1,199 @@
+const { ForbiddenError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'editor', 'admin'];
+const ACCESS_LEVELS = ['read', 'write'];
+
+/**
+ * PermissionService - Decides what a user may do, globally and per item.
+ *
+ * Roles: viewers read, editors also create and change items, admins can do
+ * everything. On a single detailed item, a grant of `read` or `write` access
+ * replaces the user's role, so a viewer can be let in to one item or an
+ * editor kept out of it. An item's creator and admins always have full
+ * control: only they can delete it or change its grants.
+ *
+ * Item permissions are reported as a list of actions: `read`, `update`,
+ * `delete` and `manage` (change the item's grants).
+ */
+class PermissionService {
+  static ROLES = ROLES;
+
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   */
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * @param {Object} user - `req.user`
+   * @param {string} role - Minimum role
+   * @returns {boolean} - Whether the user's role is at least `role`
+   */
+  hasRole(user, role) {
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  /**
+   * @throws {ForbiddenError} If the user's role is below `role`
+   */
+  assertRole(user, role) {
+    if (!this.hasRole(user, role)) {
+      throw new ForbiddenError(`This action requires the ${role} role (your role is ${user.role})`);
+    }
+  }
+
+  /**
+   * @param {Object} user - `req.user`
+   * @param {Object} item - item_details row
+   * @param {string|null} [grant] - The user's grant on the item, if already known
+   * @returns {Array<string>} - Actions the user may take on the item
+   */
+  getItemPermissions(user, item, grant = this.getGrant(item.id, user.id)) {
+    if (user.role === 'admin' || item.created_by === user.id) {
+      return ['read', 'update', 'delete', 'manage'];
+    }
+    const access = grant ?? (this.hasRole(user, 'editor') ? 'write' : 'read');
+    return access === 'write' ? ['read', 'update'] : ['read'];
+  }
+
+  /**
+   * @param {Object} user - `req.user`
+   * @param {number} itemId - ID of the detailed item
+   * @returns {Array<string>} - Actions the user may take on the item
+   * @throws {NotFoundError} If the item does not exist
+   */
+  getItemPermissionsById(user, itemId) {
+    return this.getItemPermissions(user, this.getItem(itemId));
+  }
+
+  /**
+   * Adds each item's permissions for the user as `permissions`.
+   *
+   * @param {Object} user - `req.user`
+   * @param {Array<Object>} items - item_details rows
+   * @returns {Array<Object>}
+   */
+  annotateItems(user, items) {
+    const grants = new Map(
+      this.db.prepare('SELECT item_id, access FROM item_permissions WHERE user_id = ?')
+        .all(user.id)
+        .map(row => [row.item_id, row.access])
+    );
+    return items.map(item => ({
+      ...item,
+      permissions: this.getItemPermissions(user, item, grants.get(item.id) ?? null),
+    }));
+  }
+
+  /**
+   * @param {Object} user - `req.user`
+   * @param {string} action - `read`, `update`, `delete` or `manage`
+   * @param {number} itemId - ID of the detailed item
+   * @throws {NotFoundError} If the item does not exist
+   * @throws {ForbiddenError} Explaining why the user may not take the action
+   */
+  assertItemPermission(user, action, itemId) {
+    const grant = this.getGrant(itemId, user.id);
+    if (this.getItemPermissions(user, this.getItem(itemId), grant).includes(action)) {
+      return;
+    }
+    if (action === 'delete' || action === 'manage') {
+      const change = action === 'delete' ? 'delete it' : 'change who can access it';
+      throw new ForbiddenError(`Only the creator of item ${itemId} or an admin can ${change}`);
+    }
+    throw new ForbiddenError(grant === 'read'
+      ? `You have read-only access to item ${itemId}`
+      : `Viewers cannot change item ${itemId} without write access to it`);
+  }
+
+  /**
+   * Comments can be edited or deleted by their author or an admin.
+   *
+   * @param {Object} user - `req.user`
+   * @param {Object} comment - item_comments row
+   * @throws {ForbiddenError} If the user may not change the comment
+   */
+  assertCanModifyComment(user, comment) {
+    if (user.role !== 'admin' && comment.author !== user.id) {
+      throw new ForbiddenError('Only the author of a comment or an admin can change it');
+    }
+  }
+
+  /**
+   * @returns {Object} - The item's `id` and `created_by`
+   * @throws {NotFoundError} If the item does not exist
+   */
+  getItem(itemId) {
+    const item = this.db.prepare('SELECT id, created_by FROM item_details WHERE id = ?').get(itemId);
+    if (!item) {
+      throw new NotFoundError('Item not found');
+    }
+    return item;
+  }
+
+  /**
+   * @returns {string|null} - `read` or `write`, or null without a grant
+   */
+  getGrant(itemId, userId) {
+    const row = this.db.prepare('SELECT access FROM item_permissions WHERE item_id = ? AND user_id = ?')
+      .get(itemId, userId);
+    return row ? row.access : null;
+  }
+
+  /**
+   * @param {number} itemId - ID of the detailed item
+   * @returns {Array<Object>} - `{ user_id, role, access, granted_by, created_at }`
+   */
+  listGrants(itemId) {
+    return this.db.prepare(`
+      SELECT item_permissions.user_id, users.role, item_permissions.access,
+             item_permissions.granted_by, item_permissions.created_at
+      FROM item_permissions
+      JOIN users ON users.id = item_permissions.user_id
+      WHERE item_permissions.item_id = ?
+      ORDER BY item_permissions.user_id
+    `).all(itemId);
+  }
+
+  /**
+   * Replaces an item's grants.
+   *
+   * @param {number} itemId - ID of the detailed item
+   * @param {Array<Object>} grants - `{ userId, access }` entries
+   * @param {string} grantedBy - ID of the user making the change
+   * @returns {Array<Object>} - The item's grants afterwards
+   * @throws {ValidationError} If a grant is malformed or names an unknown user
+   */
+  setGrants(itemId, grants, grantedBy) {
+    if (!Array.isArray(grants)) {
+      throw new ValidationError('grants must be an array');
+    }
+    grants.forEach(({ userId, access } = {}) => {
+      if (!ACCESS_LEVELS.includes(access)) {
+        throw new ValidationError(`access must be one of: ${ACCESS_LEVELS.join(', ')}`);
+      }
+      if (typeof userId !== 'string' || !this.db.prepare('SELECT id FROM users WHERE id = ?').get(userId)) {
+        throw new ValidationError(`User ${userId} does not exist`);
+      }
+    });
+    if (new Set(grants.map(grant => grant.userId)).size !== grants.length) {
+      throw new ValidationError('Each user can only be given one grant per item');
+    }
+
+    const now = new Date().toISOString();
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM item_permissions WHERE item_id = ?').run(itemId);
+      const insert = this.db.prepare(`
+        INSERT INTO item_permissions (item_id, user_id, access, granted_by, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      grants.forEach(({ userId, access }) => insert.run(itemId, userId, access, grantedBy, now));
+    })();
+
+    return this.listGrants(itemId);
+  }
+}
+
+module.exports = PermissionService;
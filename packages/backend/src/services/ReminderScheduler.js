@@ -0,0 +1,51 @@
+/**
+ * ReminderScheduler - Fires due reminders on a timer.
+ *
+ * Jobs live in the database, so the scheduler holds no state of its own: a
+ * restart simply picks up whatever came due while the process was down.
+ */
+class ReminderScheduler {
+  /**
+   * @param {ReminderService} reminderService - Reminder store
+   * @param {Object} options
+   * @param {number} options.pollIntervalMs - How often to look for due reminders
+   */
+  constructor(reminderService, { pollIntervalMs }) {
+    this.reminderService = reminderService;
+    this.pollIntervalMs = pollIntervalMs;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    // Pending reminders alone should not keep the process alive
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @returns {Array<Object>} - The reminders fired
+   */
+  tick() {
+    try {
+      const fired = this.reminderService.fireDueReminders();
+      if (fired.length > 0) {
+        console.log(`Fired ${fired.length} reminders`);
+      }
+      return fired;
+    } catch (error) {
+      console.error('Error firing reminders:', error);
+      return [];
+    }
+  }
+}
+
+module.exports = ReminderScheduler;
@@ -0,0 +1,324 @@
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const DURATION_PATTERN = /^([1-9]\d*)([mhdw])$/;
+const UNITS = {
+  m: { ms: 60 * 1000, name: 'minute' },
+  h: { ms: 60 * 60 * 1000, name: 'hour' },
+  d: { ms: 24 * 60 * 60 * 1000, name: 'day' },
+  w: { ms: 7 * 24 * 60 * 60 * 1000, name: 'week' },
+};
+const DAY_MS = UNITS.d.ms;
+const OVERDUE_MODES = ['daily', 'none'];
+const SETTING_KEYS = ['before', 'atDue', 'overdue'];
+// Items in these statuses get no further reminders
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const parseDuration = (value) => {
+  const [, amount, unit] = DURATION_PATTERN.exec(value);
+  return { amount: Number(amount), unit: UNITS[unit] };
+};
+
+const describeDuration = (value) => {
+  const { amount, unit } = parseDuration(value);
+  return `${amount} ${unit.name}${amount === 1 ? '' : 's'}`;
+};
+
+/**
+ * Date-only due dates (`2030-01-31`) are due at midnight UTC.
+ *
+ * @returns {number|null} - Milliseconds since the epoch, or null without a valid due date
+ */
+const parseDueDate = (dueDate) => {
+  const time = dueDate ? Date.parse(dueDate) : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * ReminderService - Reminders derived from an item's `due_date` and
+ * `reminder_settings`.
+ *
+ * Settings look like `{ before: ['1d', '2h'], atDue: true, overdue: 'daily' }`:
+ * reminders some time before the due date, one at the due time, and one a
+ * day after it and every day after that until the item is completed or
+ * cancelled. Jobs are rows in `reminders`, rescheduled whenever the item
+ * changes and fired by ReminderScheduler.
+ */
+class ReminderService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   * @param {Object} [options]
+   * @param {Function} [options.onFire] - Called with each reminder as it fires, inside the same transaction
+   */
+  constructor(database, { onFire } = {}) {
+    this.db = database;
+    this.onFire = onFire;
+  }
+
+  /**
+   * @param {Object|string|null} [settings] - reminder_settings from a request or the database
+   * @returns {Object|null} - `{ before, atDue, overdue }`, or null for no reminders
+   * @throws {ValidationError} If the settings are malformed
+   */
+  normalizeSettings(settings) {
+    let parsed = settings ?? null;
+    if (typeof parsed === 'string') {
+      try {
+        parsed = JSON.parse(parsed);
+      } catch (error) {
+        throw new ValidationError('reminderSettings must be an object');
+      }
+    }
+    if (parsed === null) {
+      return null;
+    }
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new ValidationError('reminderSettings must be an object');
+    }
+
+    const unknown = Object.keys(parsed).filter(key => !SETTING_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown reminder settings: ${unknown.join(', ')}`);
+    }
+    const { before = [], atDue = false, overdue = 'none' } = parsed;
+    if (!Array.isArray(before) || before.some(value => typeof value !== 'string' || !DURATION_PATTERN.test(value))) {
+      throw new ValidationError('before must list durations such as 30m, 2h, 1d or 1w');
+    }
+    if (typeof atDue !== 'boolean') {
+      throw new ValidationError('atDue must be true or false');
+    }
+    if (!OVERDUE_MODES.includes(overdue)) {
+      throw new ValidationError(`overdue must be one of: ${OVERDUE_MODES.join(', ')}`);
+    }
+
+    return { before: [...new Set(before)], atDue, overdue };
+  }
+
+  /**
+   * Replaces the item's scheduled reminders with those its settings call for.
+   * Reminders whose time has passed are not scheduled, so a change never
+   * repeats one that already fired. Must run inside the item's transaction.
+   *
+   * @param {Object} item - item_details row
+   * @param {Date} [now]
+   * @returns {Array<Object>} - The scheduled reminders
+   */
+  scheduleForItem(item, now = new Date()) {
+    this.db.prepare("DELETE FROM reminders WHERE item_id = ? AND status = 'scheduled'").run(item.id);
+
+    const settings = this.readStoredSettings(item.reminder_settings);
+    const dueAt = parseDueDate(item.due_date);
+    if (!settings || dueAt === null || CLOSED_STATUSES.includes(item.status)) {
+      return [];
+    }
+
+    const jobs = settings.before
+      .map(leadTime => {
+        const { amount, unit } = parseDuration(leadTime);
+        return { kind: 'before', leadTime, fireAt: dueAt - amount * unit.ms };
+      })
+      .filter(job => job.fireAt > now.getTime());
+    if (settings.atDue && dueAt > now.getTime()) {
+      jobs.push({ kind: 'due', leadTime: null, fireAt: dueAt });
+    }
+    if (settings.overdue === 'daily') {
+      jobs.push({ kind: 'overdue', leadTime: null, fireAt: this.nextOverdueTime(dueAt, now) });
+    }
+
+    jobs.forEach(job => this.insertJob(item.id, job, now));
+    return this.listReminders({ status: 'scheduled', itemId: item.id });
+  }
+
+  /**
+   * Schedules reminders for open items with settings and a due date that
+   * have never had any, such as items saved before reminders existed.
+   *
+   * @param {Date} [now]
+   * @returns {number} - How many items were scheduled
+   */
+  scheduleUnscheduledItems(now = new Date()) {
+    return this.db.transaction(() => {
+      const items = this.db.prepare(`
+        SELECT * FROM item_details
+        WHERE reminder_settings IS NOT NULL AND due_date IS NOT NULL
+          AND status NOT IN (${CLOSED_STATUSES.map(() => '?').join(', ')})
+          AND NOT EXISTS (SELECT 1 FROM reminders WHERE reminders.item_id = item_details.id)
+      `).all(...CLOSED_STATUSES);
+      return items.filter(item => this.scheduleForItem(item, now).length > 0).length;
+    })();
+  }
+
+  /**
+   * Settings saved before reminders were scheduled may be free-form text.
+   * Those schedule nothing rather than blocking every edit to the item.
+   *
+   * @returns {Object|null} - Normalized settings, or null if there are none or they cannot be read
+   */
+  readStoredSettings(settings) {
+    try {
+      return this.normalizeSettings(settings);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fires every scheduled reminder whose time has come, addressed to the
+   * item's assignee or else its creator, and schedules the next overdue
+   * reminder where needed.
+   *
+   * @param {Date} [now]
+   * @returns {Array<Object>} - The reminders fired
+   */
+  fireDueReminders(now = new Date()) {
+    return this.db.transaction(() => {
+      const jobs = this.db.prepare(`
+        SELECT reminders.*, item_details.name AS item_name, item_details.due_date,
+               item_details.status AS item_status, item_details.assignee, item_details.created_by
+        FROM reminders
+        JOIN item_details ON item_details.id = reminders.item_id
+        WHERE reminders.status = 'scheduled' AND reminders.fire_at <= ?
+        ORDER BY reminders.fire_at, reminders.id
+      `).all(now.toISOString());
+
+      const fire = this.db.prepare(`
+        UPDATE reminders SET status = 'fired', recipient = ?, message = ?, fired_at = ? WHERE id = ?
+      `);
+      return jobs
+        .filter(job => {
+          // Closing an item reschedules it, but rows can also change underneath us
+          if (CLOSED_STATUSES.includes(job.item_status)) {
+            this.db.prepare('DELETE FROM reminders WHERE id = ?').run(job.id);
+            return false;
+          }
+          return true;
+        })
+        .map(job => {
+          fire.run(job.assignee || job.created_by || null, this.describe(job), now.toISOString(), job.id);
+          if (job.kind === 'overdue') {
+            this.insertJob(job.item_id, {
+              kind: 'overdue',
+              leadTime: null,
+              fireAt: this.nextOverdueTime(Date.parse(job.fire_at), now),
+            }, now);
+          }
+          const reminder = this.getReminder(job.id);
+          if (this.onFire) {
+            this.onFire(reminder);
+          }
+          return reminder;
+        });
+    })();
+  }
+
+  /**
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - fired (the default) or scheduled
+   * @param {number} [filters.itemId] - Only this item's reminders
+   * @param {string} [filters.recipient] - Only reminders addressed to this user
+   * @param {boolean} [filters.includeDismissed] - Also list dismissed reminders
+   * @param {number} [filters.limit] - At most this many (max 200)
+   * @returns {Array<Object>} - Fired reminders newest first, scheduled ones soonest first
+   * @throws {ValidationError} If a filter is invalid
+   */
+  listReminders({ status = 'fired', itemId, recipient, includeDismissed = false, limit = DEFAULT_LIMIT } = {}) {
+    if (!['fired', 'scheduled'].includes(status)) {
+      throw new ValidationError('status must be fired or scheduled');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new ValidationError(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const conditions = ['reminders.status = ?'];
+    const params = [status];
+    if (itemId !== undefined) {
+      conditions.push('reminders.item_id = ?');
+      params.push(itemId);
+    }
+    if (recipient !== undefined) {
+      conditions.push('reminders.recipient = ?');
+      params.push(recipient);
+    }
+    if (!includeDismissed) {
+      conditions.push('reminders.dismissed_at IS NULL');
+    }
+    const order = status === 'fired' ? 'reminders.fired_at DESC, reminders.id DESC' : 'reminders.fire_at, reminders.id';
+
+    return this.db.prepare(`
+      SELECT reminders.*, item_details.name AS item_name
+      FROM reminders
+      JOIN item_details ON item_details.id = reminders.item_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${order}
+      LIMIT ?
+    `).all(...params, limit);
+  }
+
+  /**
+   * @throws {NotFoundError} If the reminder does not exist
+   */
+  getReminder(reminderId) {
+    const reminder = this.db.prepare(`
+      SELECT reminders.*, item_details.name AS item_name
+      FROM reminders
+      JOIN item_details ON item_details.id = reminders.item_id
+      WHERE reminders.id = ?
+    `).get(reminderId);
+    if (!reminder) {
+      throw new NotFoundError('Reminder not found');
+    }
+    return reminder;
+  }
+
+  /**
+   * Hides a fired reminder from the default listing.
+   *
+   * @param {number} reminderId - ID of the reminder
+   * @param {string} userId - ID of the user dismissing it
+   * @returns {Object} - The reminder
+   * @throws {NotFoundError} If there is no fired reminder with that ID
+   */
+  dismissReminder(reminderId, userId) {
+    const reminder = this.getReminder(reminderId);
+    if (reminder.status !== 'fired') {
+      throw new NotFoundError('Reminder not found');
+    }
+    if (!reminder.dismissed_at) {
+      this.db.prepare('UPDATE reminders SET dismissed_by = ?, dismissed_at = ? WHERE id = ?')
+        .run(userId, new Date().toISOString(), reminderId);
+    }
+    return this.getReminder(reminderId);
+  }
+
+  insertJob(itemId, { kind, leadTime, fireAt }, now) {
+    this.db.prepare(`
+      INSERT INTO reminders (item_id, kind, lead_time, fire_at, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(itemId, kind, leadTime, new Date(fireAt).toISOString(), now.toISOString());
+  }
+
+  /**
+   * @returns {number} - The first whole number of days after `from` that is still in the future
+   */
+  nextOverdueTime(from, now) {
+    const days = Math.max(1, Math.floor((now.getTime() - from) / DAY_MS) + 1);
+    return from + days * DAY_MS;
+  }
+
+  describe(job) {
+    if (job.kind === 'before') {
+      return `"${job.item_name}" is due in ${describeDuration(job.lead_time)}`;
+    }
+    if (job.kind === 'due') {
+      return `"${job.item_name}" is due now`;
+    }
+    return `"${job.item_name}" is overdue (due ${job.due_date})`;
+  }
+}
+
+module.exports = ReminderService;
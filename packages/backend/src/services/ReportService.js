@@ -0,0 +1,257 @@
+const { ValidationError } = require('../utils/errors');
+const { parseJsonColumns } = require('../utils/itemRows');
+const { escapeXml: escapeHtml } = require('../utils/xml');
+
+// Columns the summary report breaks its totals down by
+const GROUP_COLUMNS = ['category', 'priority', 'status', 'assignee'];
+// Items in these statuses are never overdue, as for reminders
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+// Most overdue items the summary lists by name
+const OVERDUE_LIST_LIMIT = 50;
+const FORMATS = ['json', 'html'];
+
+/**
+ * Whether an item is past its due date. A date without a time is due by the
+ * end of that day. Registered with SQLite as `item_is_overdue`, so the
+ * report queries and the item rows agree.
+ *
+ * @param {string|null} dueDate - `due_date`
+ * @param {string|null} status - `status`
+ * @param {string} now - ISO timestamp
+ * @returns {boolean}
+ */
+const isOverdue = (dueDate, status, now) => {
+  if (!dueDate || CLOSED_STATUSES.includes(status)) {
+    return false;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
+    return dueDate < now.slice(0, 10);
+  }
+  const dueAt = Date.parse(dueDate);
+  return !Number.isNaN(dueAt) && dueAt < Date.parse(now);
+};
+
+// Counts and totals for a set of items; binds @now for the overdue check
+const TOTAL_COLUMNS = `COUNT(*) AS items,
+  ROUND(COALESCE(SUM(estimated_hours), 0), 2) AS estimatedHours,
+  ROUND(COALESCE(SUM(budget), 0), 2) AS budget,
+  COALESCE(SUM(item_is_overdue(due_date, status, @now)), 0) AS overdue`;
+
+const toWhere = (conditions) => (conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '');
+
+// The filters of a list query in words, e.g. `estimated_hours gte 2`
+const describeFilters = ({ filter, customFields, q }) => {
+  const describe = (prefix, conditions) => Object.entries(conditions || {}).flatMap(([field, condition]) => (
+    condition !== null && typeof condition === 'object' && !Array.isArray(condition)
+      ? Object.entries(condition).map(([operator, value]) => `${prefix}${field} ${operator} ${value}`)
+      : [`${prefix}${field} = ${condition}`]
+  ));
+  return [
+    ...describe('', filter),
+    ...describe('custom.', customFields),
+    ...(typeof q === 'string' && q.trim() !== '' ? [`matches "${q.trim()}"`] : []),
+  ];
+};
+
+const formatNumber = (value) => (value === null || value === undefined ? '' : String(value));
+
+const renderTable = (caption, headers, rows) => `<table>
+<caption>${escapeHtml(caption)}</caption>
+<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.length > 0
+    ? rows.map(cells => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')
+    : `<tr><td colspan="${headers.length}">None</td></tr>`}
+</tbody>
+</table>`;
+
+const renderTotalsRows = (groups) => groups.map(group => [
+  group.value === null ? '(none)' : group.value,
+  group.items,
+  formatNumber(group.estimatedHours),
+  formatNumber(group.budget),
+  group.overdue,
+]);
+
+const TOTALS_HEADERS = ['Items', 'Estimated hours', 'Budget', 'Overdue'];
+
+/**
+ * ReportService - Summary and detailed reports on detailed items, as JSON
+ * or as a standalone HTML page.
+ *
+ * Both reports take the item list's filter parameters, so any view of the
+ * list can be reported on. The summary counts items and totals their
+ * estimated hours and budget, overall and by category, priority, status and
+ * assignee, and lists what is overdue. The detailed report lists the items
+ * themselves with the same totals.
+ */
+class ReportService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   * @param {Object} services
+   * @param {ItemQueryService} services.itemQueryService - Turns list filters into SQL and reads items
+   * @param {Object} [options]
+   * @param {number} [options.maxDetailedItems] - Most items a detailed report lists
+   */
+  constructor(database, { itemQueryService }, { maxDetailedItems = 1000 } = {}) {
+    this.db = database;
+    this.itemQueryService = itemQueryService;
+    this.maxDetailedItems = maxDetailedItems;
+    this.db.function('item_is_overdue', { deterministic: true }, (dueDate, status, now) => (
+      isOverdue(dueDate, status, now) ? 1 : 0
+    ));
+  }
+
+  /**
+   * @param {Object} query - `req.query`, with the same filters as the item list
+   * @param {Object} [options]
+   * @param {Date} [options.now] - When overdue is measured from
+   * @returns {Object} - `{ type, generatedAt, filters, totals, byCategory, byPriority,
+   *   byStatus, byAssignee, overdueItems }`; each group is `{ value, items,
+   *   estimatedHours, budget, overdue }`, largest first
+   * @throws {ValidationError} If the filters are invalid
+   */
+  summary(query, { now = new Date() } = {}) {
+    const filter = this.itemQueryService.buildFilter(query);
+    const generatedAt = now.toISOString();
+
+    const groups = Object.fromEntries(GROUP_COLUMNS.map(column => [
+      `by${column[0].toUpperCase()}${column.slice(1)}`,
+      this.db.prepare(`
+        SELECT ${column} AS value, ${TOTAL_COLUMNS}
+        FROM item_details ${toWhere(filter.conditions)}
+        GROUP BY ${column}
+        ORDER BY items DESC, value IS NULL, value
+      `).all({ now: generatedAt }, ...filter.params),
+    ]));
+
+    const overdueItems = this.db.prepare(`
+      SELECT id, name, assignee, status, due_date FROM item_details
+      ${toWhere([...filter.conditions, 'item_is_overdue(due_date, status, @now)'])}
+      ORDER BY due_date, id
+      LIMIT ${OVERDUE_LIST_LIMIT}
+    `).all({ now: generatedAt }, ...filter.params);
+
+    return {
+      type: 'summary',
+      generatedAt,
+      filters: describeFilters(query),
+      totals: this.totals(filter, generatedAt),
+      ...groups,
+      overdueItems,
+    };
+  }
+
+  /**
+   * @param {Object} query - `req.query`, with the same filters and sort as the item list
+   * @param {Object} [options]
+   * @param {Date} [options.now] - When overdue is measured from
+   * @returns {Object} - `{ type, generatedAt, filters, totals, items, truncated }`;
+   *   items have their JSON columns parsed and an `overdue` flag, and
+   *   `truncated` says whether more matched than the report lists
+   * @throws {ValidationError} If the filters or sort are invalid
+   */
+  detailed(query, { now = new Date() } = {}) {
+    const rows = this.itemQueryService.iterate(query);
+    const generatedAt = now.toISOString();
+
+    const items = [];
+    let truncated = false;
+    for (const row of rows) {
+      if (items.length === this.maxDetailedItems) {
+        truncated = true;
+        break;
+      }
+      items.push({ ...parseJsonColumns(row), overdue: isOverdue(row.due_date, row.status, generatedAt) });
+    }
+
+    return {
+      type: 'detailed',
+      generatedAt,
+      filters: describeFilters(query),
+      totals: this.totals(this.itemQueryService.buildFilter(query), generatedAt),
+      items,
+      truncated,
+    };
+  }
+
+  /**
+   * @param {string} type - summary or detailed
+   * @param {string} [format] - json (the default) or html
+   * @returns {{ contentType: string, body: Object|string }}
+   * @throws {ValidationError} If the format is unknown, or the query invalid
+   */
+  render(type, query, format = 'json', options) {
+    if (!FORMATS.includes(format)) {
+      throw new ValidationError(`format must be one of: ${FORMATS.join(', ')}`);
+    }
+    const report = type === 'summary' ? this.summary(query, options) : this.detailed(query, options);
+    return format === 'html'
+      ? { contentType: 'text/html', body: this.toHtml(report) }
+      : { contentType: 'application/json', body: report };
+  }
+
+  /**
+   * @returns {string} - A standalone HTML page showing the report
+   */
+  toHtml(report) {
+    const title = report.type === 'summary' ? 'Item summary report' : 'Item detailed report';
+    const sections = [renderTable('Totals', TOTALS_HEADERS, [[
+      report.totals.items,
+      formatNumber(report.totals.estimatedHours),
+      formatNumber(report.totals.budget),
+      report.totals.overdue,
+    ]])];
+
+    if (report.type === 'summary') {
+      GROUP_COLUMNS.forEach(column => {
+        const label = `${column[0].toUpperCase()}${column.slice(1)}`;
+        sections.push(renderTable(`By ${column}`, [label, ...TOTALS_HEADERS], renderTotalsRows(report[`by${label}`])));
+      });
+      sections.push(renderTable('Overdue items', ['ID', 'Name', 'Assignee', 'Status', 'Due'], report.overdueItems
+        .map(item => [item.id, item.name, item.assignee || '', item.status || '', item.due_date])));
+    } else {
+      sections.push(renderTable(
+        report.truncated ? `Items (first ${report.items.length})` : 'Items',
+        ['ID', 'Name', 'Category', 'Priority', 'Status', 'Assignee', 'Due', 'Estimated hours', 'Budget', 'Overdue'],
+        report.items.map(item => [
+          item.id, item.name, item.category, item.priority, item.status, item.assignee, item.due_date,
+          formatNumber(item.estimated_hours), formatNumber(item.budget), item.overdue ? 'Yes' : '',
+        ].map(formatNumber))
+      ));
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+body { font-family: sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 2rem; min-width: 50%; }
+caption { text-align: left; font-weight: bold; padding: 0.5rem 0; }
+th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: left; }
+th { background: #f4f4f4; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p>Generated ${escapeHtml(report.generatedAt)}. ${report.filters.length > 0
+    ? `Filters: ${escapeHtml(report.filters.join('; '))}.`
+    : 'All items.'}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * @returns {{ items: number, estimatedHours: number, budget: number, overdue: number }}
+   */
+  totals({ conditions, params }, now) {
+    return this.db.prepare(`SELECT ${TOTAL_COLUMNS} FROM item_details ${toWhere(conditions)}`)
+      .get({ now }, ...params);
+  }
+}
+
+module.exports = ReportService;
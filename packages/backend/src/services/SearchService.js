@@ -0,0 +1,116 @@
+const { ValidationError } = require('../utils/errors');
+
+// Indexed columns in item_search order, with their bm25 weights: a hit in
+// the name counts for most, one in a comment for least
+const SEARCH_FIELDS = [
+  { name: 'name', weight: 10 },
+  { name: 'description', weight: 4 },
+  { name: 'tags', weight: 6 },
+  { name: 'comments', weight: 2 },
+];
+
+// Private-use characters marking matches in snippets; they never appear in
+// text people type, so splitting on them cannot be confused by item content
+const MATCH_START = '\uE000';
+const MATCH_END = '\uE001';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SNIPPET_TOKENS = 12;
+
+/**
+ * Turns what a user typed into an FTS5 query: each word must appear, as a
+ * whole word or the start of one. Words are quoted so that FTS5 syntax such
+ * as `OR`, `NEAR` or `"` is searched for rather than obeyed.
+ *
+ * @param {string} text - The search box contents
+ * @returns {string|null} - The MATCH expression, or null when there are no words to search for
+ */
+function toMatchQuery(text) {
+  const words = text.match(/[\p{L}\p{N}]+/gu) || [];
+  return words.length > 0 ? words.map(word => `"${word}"*`).join(' ') : null;
+}
+
+/**
+ * Splits a snippet into plain and matching parts.
+ *
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+function toFragments(snippet) {
+  return snippet.split(MATCH_START).flatMap((part, index) => {
+    if (index === 0) {
+      return part ? [{ text: part, match: false }] : [];
+    }
+    const [match, rest] = part.split(MATCH_END);
+    return [{ text: match, match: true }, ...(rest ? [{ text: rest, match: false }] : [])];
+  });
+}
+
+/**
+ * SearchService - Full-text search over detailed items, backed by the
+ * `item_search` FTS5 index that triggers keep up to date.
+ */
+class SearchService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   * @param {Object} services
+   * @param {PermissionService} services.permissionService - Adds each item's permissions
+   */
+  constructor(database, { permissionService }) {
+    this.db = database;
+    this.permissionService = permissionService;
+  }
+
+  /**
+   * Finds items matching every word of the query, best matches first.
+   *
+   * @param {string} q - What the user typed
+   * @param {Object} user - `req.user`
+   * @param {Object} [options]
+   * @param {number|string} [options.limit] - Most results to return
+   * @returns {Array<Object>} - `{ item, matches }` where `matches` lists each field with a hit as
+   *   `{ field, fragments }`, the fragments marking the matching words
+   * @throws {ValidationError} If the query is missing or the limit is out of range
+   */
+  search(q, user, { limit = DEFAULT_LIMIT } = {}) {
+    if (typeof q !== 'string' || q.trim() === '') {
+      throw new ValidationError('q is required');
+    }
+    const max = Number(limit);
+    if (!Number.isInteger(max) || max < 1 || max > MAX_LIMIT) {
+      throw new ValidationError(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+    }
+
+    const match = toMatchQuery(q);
+    if (match === null) {
+      return [];
+    }
+
+    const snippets = SEARCH_FIELDS.map((field, index) => (
+      `snippet(item_search, ${index}, @start, @end, '…', ${SNIPPET_TOKENS}) AS ${field.name}_snippet`
+    ));
+    const rows = this.db.prepare(`
+      SELECT d.*, ${snippets.join(', ')}
+      FROM item_search
+      JOIN item_details d ON d.id = item_search.rowid
+      WHERE item_search MATCH @match
+      ORDER BY bm25(item_search, ${SEARCH_FIELDS.map(field => field.weight).join(', ')}), d.id
+      LIMIT @limit
+    `).all({ match, limit: max, start: MATCH_START, end: MATCH_END });
+
+    const items = this.permissionService.annotateItems(user, rows.map(row => {
+      const item = { ...row };
+      SEARCH_FIELDS.forEach(field => delete item[`${field.name}_snippet`]);
+      return item;
+    }));
+
+    return rows.map((row, index) => ({
+      item: items[index],
+      matches: SEARCH_FIELDS
+        .filter(field => (row[`${field.name}_snippet`] || '').includes(MATCH_START))
+        .map(field => ({ field: field.name, fragments: toFragments(row[`${field.name}_snippet`]) })),
+    }));
+  }
+}
+
+module.exports = SearchService;
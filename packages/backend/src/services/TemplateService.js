@@ -0,0 +1,231 @@
+const { HttpError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Template fields that are stored as JSON strings
+const JSON_FIELDS = ['tags', 'custom_fields', 'checklist'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parses a JSON column, falling back to the given value for NULL.
+ */
+const parseJson = (value, fallback) => (value === null || value === undefined ? fallback : JSON.parse(value));
+
+const toView = (row) => ({
+  ...row,
+  tags: parseJson(row.tags, []),
+  custom_fields: parseJson(row.custom_fields, {}),
+  checklist: parseJson(row.checklist, []),
+});
+
+/**
+ * TemplateService - Reusable defaults for new detailed items.
+ *
+ * A template holds a default category, priority, tags, custom fields and
+ * checklist. Creating an item from a template fills in whatever the request
+ * leaves out; custom fields are merged so request values win per field.
+ */
+class TemplateService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   * @param {CustomFieldService} customFieldService - Validates default custom field values
+   */
+  constructor(database, customFieldService) {
+    this.db = database;
+    this.customFieldService = customFieldService;
+  }
+
+  /**
+   * @returns {Array<Object>} - All templates ordered by name
+   */
+  listTemplates() {
+    return this.db.prepare('SELECT * FROM templates ORDER BY name').all().map(toView);
+  }
+
+  /**
+   * @param {number} templateId - ID of the template
+   * @returns {Object} - The template
+   * @throws {NotFoundError} If the template does not exist
+   */
+  getTemplate(templateId) {
+    const row = this.db.prepare('SELECT * FROM templates WHERE id = ?').get(templateId);
+    if (!row) {
+      throw new NotFoundError('Template not found');
+    }
+    return toView(row);
+  }
+
+  /**
+   * @param {Object} data - Template fields; `name` is required
+   * @param {string} createdBy - ID of the user creating the template
+   * @returns {Object} - The new template
+   * @throws {ValidationError} If a field is invalid
+   * @throws {HttpError} 409 if the name is already taken
+   */
+  createTemplate(data, createdBy) {
+    const fields = this.normalizeFields(data, { requireName: true });
+    this.assertNameAvailable(fields.name);
+
+    const columns = Object.keys(fields);
+    const result = this.db.prepare(`
+      INSERT INTO templates (${columns.join(', ')}, created_by, created_at)
+      VALUES (${columns.map(() => '?').join(', ')}, ?, ?)
+    `).run(...Object.values(fields), createdBy, new Date().toISOString());
+
+    return this.getTemplate(result.lastInsertRowid);
+  }
+
+  /**
+   * @param {number} templateId - ID of the template
+   * @param {Object} data - Fields to change
+   * @returns {Object} - The updated template
+   * @throws {NotFoundError} If the template does not exist
+   * @throws {ValidationError} If a field is invalid or nothing would change
+   * @throws {HttpError} 409 if the new name is already taken
+   */
+  updateTemplate(templateId, data) {
+    this.getTemplate(templateId);
+    const fields = this.normalizeFields(data, { requireName: false });
+    const columns = Object.keys(fields);
+    if (columns.length === 0) {
+      throw new ValidationError('No template fields provided');
+    }
+    if (fields.name !== undefined) {
+      this.assertNameAvailable(fields.name, templateId);
+    }
+
+    const setClause = [...columns, 'updated_at'].map(column => `${column} = ?`).join(', ');
+    this.db.prepare(`UPDATE templates SET ${setClause} WHERE id = ?`)
+      .run(...Object.values(fields), new Date().toISOString(), templateId);
+
+    return this.getTemplate(templateId);
+  }
+
+  /**
+   * Deletes a template. Items created from it keep their values but no
+   * longer reference it.
+   *
+   * @param {number} templateId - ID of the template
+   * @throws {NotFoundError} If the template does not exist
+   */
+  deleteTemplate(templateId) {
+    this.getTemplate(templateId);
+
+    this.db.transaction(() => {
+      this.db.prepare('UPDATE item_details SET template_id = NULL WHERE template_id = ?').run(templateId);
+      this.db.prepare('DELETE FROM templates WHERE id = ?').run(templateId);
+    })();
+  }
+
+  /**
+   * Fills the fields of a new item from a template. Fields given explicitly
+   * are kept; custom fields are merged over the template's defaults.
+   *
+   * @param {number|null} [templateId] - Template to apply; nothing is applied when omitted
+   * @param {Object} fields - `{ category, priority, tags, customFields }` from the request
+   * @returns {Object} - The same fields with template defaults applied, plus `checklist`
+   * @throws {ValidationError} If the template does not exist
+   */
+  applyTemplate(templateId, fields) {
+    if (templateId === undefined || templateId === null) {
+      return fields;
+    }
+
+    const template = this.db.prepare('SELECT * FROM templates WHERE id = ?').get(templateId);
+    if (!template) {
+      throw new ValidationError(`Template ${templateId} does not exist`);
+    }
+    const { category, priority, tags, custom_fields: customFields, checklist } = toView(template);
+
+    let requestFields = fields.customFields ?? {};
+    if (typeof requestFields === 'string') {
+      try {
+        requestFields = JSON.parse(requestFields);
+      } catch (error) {
+        throw new ValidationError('customFields must be an object');
+      }
+    }
+
+    return {
+      ...fields,
+      category: fields.category ?? category ?? undefined,
+      priority: fields.priority ?? priority ?? undefined,
+      tags: fields.tags ?? tags,
+      customFields: { ...customFields, ...requestFields },
+      checklist: checklist.map(text => ({ text, done: false })),
+    };
+  }
+
+  /**
+   * Validates template fields from a request and maps them onto columns.
+   */
+  normalizeFields(data, { requireName }) {
+    const fields = {};
+
+    const name = data.name;
+    if (name !== undefined || requireName) {
+      if (typeof name !== 'string' || name.trim() === '') {
+        throw new ValidationError('Template name is required');
+      }
+      fields.name = name.trim();
+    }
+
+    ['description', 'category'].forEach(column => {
+      if (data[column] !== undefined) {
+        if (data[column] !== null && typeof data[column] !== 'string') {
+          throw new ValidationError(`${column} must be a string`);
+        }
+        fields[column] = data[column];
+      }
+    });
+
+    if (data.priority !== undefined) {
+      if (data.priority !== null && !PRIORITIES.includes(data.priority)) {
+        throw new ValidationError(`priority must be one of: ${PRIORITIES.join(', ')}`);
+      }
+      fields.priority = data.priority;
+    }
+
+    const tags = data.tags;
+    if (tags !== undefined) {
+      if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        throw new ValidationError('tags must be an array of strings');
+      }
+      fields.tags = tags;
+    }
+
+    const customFields = data.custom_fields !== undefined ? data.custom_fields : data.customFields;
+    if (customFields !== undefined) {
+      // Defaults only need valid values; required fields are checked on each item
+      fields.custom_fields = this.customFieldService.validateCustomFields(customFields, { partial: true });
+    }
+
+    const checklist = data.checklist;
+    if (checklist !== undefined) {
+      const entries = Array.isArray(checklist)
+        ? checklist.map(entry => (isPlainObject(entry) ? entry.text : entry))
+        : null;
+      if (!entries || entries.some(text => typeof text !== 'string' || text.trim() === '')) {
+        throw new ValidationError('checklist must be an array of non-empty strings');
+      }
+      fields.checklist = entries.map(text => text.trim());
+    }
+
+    JSON_FIELDS.forEach(column => {
+      if (fields[column] !== undefined) {
+        fields[column] = JSON.stringify(fields[column]);
+      }
+    });
+    return fields;
+  }
+
+  assertNameAvailable(name, exceptId = null) {
+    const existing = this.db.prepare('SELECT id FROM templates WHERE name = ?').get(name);
+    if (existing && existing.id !== exceptId) {
+      throw new HttpError(409, `A template named "${name}" already exists`);
+    }
+  }
+}
+
+module.exports = TemplateService;
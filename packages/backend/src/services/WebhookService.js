@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const EVENTS = [
+  'item.created',
+  'item.deleted',
+  'item_details.created',
+  'item_details.updated',
+  'item_details.deleted',
+];
+const WILDCARD = '*';
+// Sent by the test endpoint, whatever the subscription's filter
+const PING_EVENT = 'webhook.ping';
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+// Deliveries attempted per run, so one slow receiver cannot hold up the process
+const BATCH_SIZE = 50;
+// Receivers' replies are kept for debugging, up to this many characters
+const MAX_RESPONSE_LENGTH = 1000;
+
+/**
+ * Signs a payload the way receivers should check it: HMAC-SHA256 of
+ * `<timestamp>.<body>` keyed with the subscription's secret. Including the
+ * timestamp lets receivers reject replayed requests.
+ *
+ * @param {string} secret - The subscription's secret
+ * @param {string} timestamp - Value of the X-Webhook-Timestamp header
+ * @param {string} body - The raw request body
+ * @returns {string} - Value of the X-Webhook-Signature header
+ */
+const signPayload = (secret, timestamp, body) => `sha256=${crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex')}`;
+
+// Secrets are only shown when a subscription is created or its secret replaced
+const toView = ({ secret, ...row }) => ({
+  ...row,
+  events: JSON.parse(row.events),
+  active: row.active === 1,
+});
+
+/**
+ * WebhookService - Pushes item changes to other systems.
+ *
+ * Subscriptions name a URL and the events they want. `publish` queues a
+ * delivery for each matching subscription in the caller's transaction, and
+ * `deliverPending` POSTs them, signed with the subscription's secret and
+ * retried with exponential backoff until the receiver answers 2xx. The last
+ * response code and body of every delivery are kept as a delivery log.
+ */
+class WebhookService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   * @param {Object} options
+   * @param {number} options.maxAttempts - Deliveries are given up after this many failures
+   * @param {number} options.retryDelayMs - Wait before the first retry; doubles each time
+   * @param {number} options.timeoutMs - How long to wait for a receiver to answer
+   */
+  constructor(database, { maxAttempts, retryDelayMs, timeoutMs }) {
+    this.db = database;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * @returns {Array<Object>} - All subscriptions, without their secrets
+   */
+  listSubscriptions() {
+    return this.db.prepare('SELECT * FROM webhook_subscriptions ORDER BY id').all().map(toView);
+  }
+
+  /**
+   * @param {number} subscriptionId - ID of the subscription
+   * @returns {Object} - The subscription, without its secret
+   * @throws {NotFoundError} If the subscription does not exist
+   */
+  getSubscription(subscriptionId) {
+    return toView(this.getSubscriptionRow(subscriptionId));
+  }
+
+  getSubscriptionRow(subscriptionId) {
+    const row = this.db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').get(subscriptionId);
+    if (!row) {
+      throw new NotFoundError('Webhook subscription not found');
+    }
+    return row;
+  }
+
+  /**
+   * @param {Object} data - `{ url, events, secret, description, active }`; a secret is generated if none is given
+   * @param {string} actor - ID of the user creating it
+   * @returns {Object} - The new subscription, including its secret
+   * @throws {ValidationError} If the subscription is invalid
+   */
+  createSubscription(data, actor) {
+    const subscription = this.normalizeSubscription(data);
+    const secret = data.secret === undefined ? crypto.randomBytes(24).toString('hex') : this.normalizeSecret(data.secret);
+
+    const result = this.db.prepare(`
+      INSERT INTO webhook_subscriptions (url, secret, events, active, description, created_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      subscription.url, secret, JSON.stringify(subscription.events), subscription.active ? 1 : 0,
+      subscription.description, actor, new Date().toISOString()
+    );
+    return { ...this.getSubscription(result.lastInsertRowid), secret };
+  }
+
+  /**
+   * @param {number} subscriptionId - ID of the subscription
+   * @param {Object} data - Fields to change; omitted ones keep their value
+   * @returns {Object} - The subscription, including the secret if it was replaced
+   * @throws {NotFoundError} If the subscription does not exist
+   * @throws {ValidationError} If the result would be invalid
+   */
+  updateSubscription(subscriptionId, data) {
+    const current = this.getSubscription(subscriptionId);
+    const subscription = this.normalizeSubscription({ ...current, ...data });
+    const secret = data.secret === undefined ? null : this.normalizeSecret(data.secret);
+
+    this.db.prepare(`
+      UPDATE webhook_subscriptions
+      SET url = ?, events = ?, active = ?, description = ?, secret = COALESCE(?, secret), updated_at = ?
+      WHERE id = ?
+    `).run(
+      subscription.url, JSON.stringify(subscription.events), subscription.active ? 1 : 0,
+      subscription.description, secret, new Date().toISOString(), subscriptionId
+    );
+    const updated = this.getSubscription(subscriptionId);
+    return secret ? { ...updated, secret } : updated;
+  }
+
+  /**
+   * Deletes a subscription along with its delivery log.
+   *
+   * @throws {NotFoundError} If the subscription does not exist
+   */
+  deleteSubscription(subscriptionId) {
+    this.getSubscriptionRow(subscriptionId);
+    this.db.prepare('DELETE FROM webhook_subscriptions WHERE id = ?').run(subscriptionId);
+  }
+
+  normalizeSubscription({ url, events, description = null, active = true }) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new ValidationError('url must be an absolute http or https URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new ValidationError('url must be an absolute http or https URL');
+    }
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new ValidationError('events must list at least one event');
+    }
+    const unknown = events.filter(event => event !== WILDCARD && !EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown events: ${unknown.join(', ')} (expected ${[WILDCARD, ...EVENTS].join(', ')})`);
+    }
+    if (typeof active !== 'boolean') {
+      throw new ValidationError('active must be true or false');
+    }
+    if (description !== null && typeof description !== 'string') {
+      throw new ValidationError('description must be a string');
+    }
+    return { url: parsed.toString(), events: [...new Set(events)], description, active };
+  }
+
+  normalizeSecret(secret) {
+    if (typeof secret !== 'string' || secret.length < 16) {
+      throw new ValidationError('secret must be a string of at least 16 characters');
+    }
+    return secret;
+  }
+
+  /**
+   * Queues an event for every active subscription that wants it. Call it in
+   * the transaction making the change, so a rolled-back change sends nothing.
+   *
+   * @param {string} event - e.g. 'item_details.updated'
+   * @param {Object} data - Event body, usually `{ item }` or `{ before, item }`
+   * @param {string} [actor] - ID of the user who made the change
+   * @returns {number} - How many deliveries were queued
+   */
+  publish(event, data, actor = null) {
+    const subscriptions = this.db.prepare('SELECT id, events FROM webhook_subscriptions WHERE active = 1').all()
+      .filter(subscription => {
+        const events = JSON.parse(subscription.events);
+        return events.includes(WILDCARD) || events.includes(event);
+      });
+    subscriptions.forEach(subscription => this.queue(subscription.id, event, data, actor));
+    return subscriptions.length;
+  }
+
+  /**
+   * Queues a ping to one subscription, active or not, to check the receiver.
+   *
+   * @returns {Object} - The queued delivery
+   * @throws {NotFoundError} If the subscription does not exist
+   */
+  ping(subscriptionId, actor) {
+    this.getSubscriptionRow(subscriptionId);
+    return this.getDelivery(this.queue(subscriptionId, PING_EVENT, { subscription_id: subscriptionId }, actor));
+  }
+
+  queue(subscriptionId, event, data, actor) {
+    const now = new Date().toISOString();
+    const payload = JSON.stringify({ id: crypto.randomUUID(), event, occurred_at: now, actor, data });
+    return this.db.prepare(`
+      INSERT INTO webhook_deliveries (subscription_id, event, payload, next_attempt_at, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(subscriptionId, event, payload, now, now).lastInsertRowid;
+  }
+
+  /**
+   * POSTs every delivery that is due. Anything but a 2xx answer counts as a
+   * failure and is retried after `retryDelayMs`, doubling each time, until
+   * `maxAttempts` is reached.
+   *
+   * @param {Date} [now]
+   * @returns {Promise<{ sent: number, retrying: number, failed: number }>}
+   */
+  async deliverPending(now = new Date()) {
+    const deliveries = this.db.prepare(`
+      SELECT webhook_deliveries.*, webhook_subscriptions.url, webhook_subscriptions.secret
+      FROM webhook_deliveries
+      JOIN webhook_subscriptions ON webhook_subscriptions.id = webhook_deliveries.subscription_id
+      WHERE webhook_deliveries.status = 'pending' AND webhook_deliveries.next_attempt_at <= ?
+      ORDER BY webhook_deliveries.next_attempt_at, webhook_deliveries.id
+      LIMIT ?
+    `).all(now.toISOString(), BATCH_SIZE);
+
+    const summary = { sent: 0, retrying: 0, failed: 0 };
+    for (const delivery of deliveries) {
+      const { responseStatus, responseBody, error } = await this.post(delivery);
+      const attempts = delivery.attempts + 1;
+
+      if (!error) {
+        this.db.prepare(`
+          UPDATE webhook_deliveries
+          SET status = 'delivered', attempts = ?, response_status = ?, response_body = ?, last_error = NULL, delivered_at = ?
+          WHERE id = ?
+        `).run(attempts, responseStatus, responseBody, new Date().toISOString(), delivery.id);
+        summary.sent += 1;
+        continue;
+      }
+
+      const giveUp = attempts >= this.maxAttempts;
+      const nextAttemptAt = new Date(now.getTime() + this.retryDelayMs * 2 ** (attempts - 1));
+      this.db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = ?, attempts = ?, response_status = ?, response_body = ?, last_error = ?, next_attempt_at = ?
+        WHERE id = ?
+      `).run(
+        giveUp ? 'failed' : 'pending', attempts, responseStatus, responseBody, error,
+        nextAttemptAt.toISOString(), delivery.id
+      );
+      summary[giveUp ? 'failed' : 'retrying'] += 1;
+    }
+    return summary;
+  }
+
+  /**
+   * @returns {Promise<{ responseStatus: number|null, responseBody: string|null, error: string|null }>}
+   */
+  async post(delivery) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'item-tracker-webhooks',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(delivery.secret, timestamp, delivery.payload),
+        },
+        body: delivery.payload,
+        // A redirect is treated as a failure rather than followed with the signed body
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+      const responseBody = (await response.text()).slice(0, MAX_RESPONSE_LENGTH);
+      return {
+        responseStatus: response.status,
+        responseBody,
+        error: response.ok ? null : `Receiver answered ${response.status}`,
+      };
+    } catch (error) {
+      const message = error.name === 'TimeoutError' ? `No answer within ${this.timeoutMs} ms` : error.cause?.message || error.message;
+      return { responseStatus: null, responseBody: null, error: message };
+    }
+  }
+
+  /**
+   * @param {number} subscriptionId - ID of the subscription
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - pending, delivered or failed
+   * @param {number} [filters.limit] - At most this many (max 200)
+   * @returns {Array<Object>} - The subscription's deliveries, newest first
+   * @throws {NotFoundError} If the subscription does not exist
+   */
+  listDeliveries(subscriptionId, { status, limit = DEFAULT_LIMIT } = {}) {
+    this.getSubscriptionRow(subscriptionId);
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new ValidationError(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    return this.db.prepare(`
+      SELECT * FROM webhook_deliveries
+      WHERE subscription_id = ? ${status ? 'AND status = ?' : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(subscriptionId, ...(status ? [status] : []), limit).map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+  }
+
+  /**
+   * @throws {NotFoundError} If the delivery does not exist
+   */
+  getDelivery(deliveryId) {
+    const row = this.db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(deliveryId);
+    if (!row) {
+      throw new NotFoundError('Webhook delivery not found');
+    }
+    return { ...row, payload: JSON.parse(row.payload) };
+  }
+
+  /**
+   * Sends a delivery again, with a fresh set of attempts, whatever its status.
+   *
+   * @returns {Object} - The delivery
+   * @throws {NotFoundError} If the delivery does not exist
+   */
+  redeliver(deliveryId) {
+    this.getDelivery(deliveryId);
+    this.db.prepare(`
+      UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ? WHERE id = ?
+    `).run(new Date().toISOString(), deliveryId);
+    return this.getDelivery(deliveryId);
+  }
+}
+
+WebhookService.EVENTS = EVENTS;
+WebhookService.signPayload = signPayload;
+
+module.exports = WebhookService;
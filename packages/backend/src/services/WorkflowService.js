@@ -0,0 +1,414 @@
+const { HttpError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const STATUSES = ['active', 'pending', 'completed', 'cancelled'];
+const STAGE_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// item_details columns a transition can require to be filled in. Custom
+// fields are named as `custom_fields.<key>`.
+const GUARDABLE_COLUMNS = [
+  'description', 'category', 'priority', 'due_date', 'assignee',
+  'estimated_hours', 'budget', 'location',
+];
+const CUSTOM_FIELD_PREFIX = 'custom_fields.';
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const toView = (row) => ({
+  ...row,
+  stages: JSON.parse(row.stages),
+  transitions: JSON.parse(row.transitions),
+  is_default: row.is_default === 1,
+});
+
+/**
+ * WorkflowService - Stages an item moves through and the moves allowed
+ * between them.
+ *
+ * A workflow has stages (`{ key, label, status }`), each of which sets the
+ * item's status, and transitions (`{ from, to, guards }`). The only guard so
+ * far is `requiredFields`: item fields that must be filled in before the
+ * transition can be taken. Items follow the workflow in `workflow_id`, or the
+ * default workflow when it is not set.
+ */
+class WorkflowService {
+  /**
+   * @param {Database} database - An open better-sqlite3 connection
+   */
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * @returns {Array<Object>} - All workflows, the default first
+   */
+  listWorkflows() {
+    return this.db.prepare('SELECT * FROM workflows ORDER BY is_default DESC, name').all().map(toView);
+  }
+
+  /**
+   * @param {number} workflowId - ID of the workflow
+   * @returns {Object} - The workflow
+   * @throws {NotFoundError} If the workflow does not exist
+   */
+  getWorkflow(workflowId) {
+    const row = this.db.prepare('SELECT * FROM workflows WHERE id = ?').get(workflowId);
+    if (!row) {
+      throw new NotFoundError('Workflow not found');
+    }
+    return toView(row);
+  }
+
+  /**
+   * @returns {Object} - The workflow used by items without one of their own
+   */
+  getDefaultWorkflow() {
+    return toView(this.db.prepare('SELECT * FROM workflows WHERE is_default = 1').get());
+  }
+
+  /**
+   * @param {Object} data - `{ name, description, stages, transitions, initialStage, isDefault }`
+   * @returns {Object} - The new workflow
+   * @throws {ValidationError} If the workflow is invalid
+   * @throws {HttpError} 409 if the name is taken
+   */
+  createWorkflow(data) {
+    const workflow = this.normalizeWorkflow(data);
+    this.assertNameAvailable(workflow.name);
+
+    const workflowId = this.db.transaction(() => {
+      if (workflow.is_default) {
+        this.db.prepare('UPDATE workflows SET is_default = 0').run();
+      }
+      return this.db.prepare(`
+        INSERT INTO workflows (name, description, stages, transitions, initial_stage, is_default, created_at)
+        VALUES (@name, @description, @stages, @transitions, @initial_stage, @is_default, @createdAt)
+      `).run({ ...workflow, createdAt: new Date().toISOString() }).lastInsertRowid;
+    })();
+
+    return this.getWorkflow(workflowId);
+  }
+
+  /**
+   * Changes a workflow. Stages still holding items cannot be removed, and the
+   * default workflow can only stop being the default by making another one
+   * the default.
+   *
+   * @param {number} workflowId - ID of the workflow
+   * @param {Object} data - Fields to change
+   * @returns {Object} - The updated workflow
+   * @throws {NotFoundError} If the workflow does not exist
+   * @throws {ValidationError} If the result would be invalid
+   */
+  updateWorkflow(workflowId, data) {
+    const current = this.getWorkflow(workflowId);
+    const workflow = this.normalizeWorkflow({
+      name: current.name,
+      description: current.description,
+      stages: current.stages,
+      transitions: current.transitions,
+      initialStage: current.initial_stage,
+      isDefault: current.is_default,
+      ...data,
+    });
+    if (workflow.name !== current.name) {
+      this.assertNameAvailable(workflow.name);
+    }
+    if (current.is_default && !workflow.is_default) {
+      throw new ValidationError('Make another workflow the default instead');
+    }
+
+    const stageKeys = JSON.parse(workflow.stages).map(stage => stage.key);
+    const stranded = this.db.prepare(`
+      SELECT DISTINCT workflow_stage FROM item_details WHERE ${this.itemsOf(current)}
+    `).all(workflowId).map(row => row.workflow_stage).filter(stage => !stageKeys.includes(stage));
+    if (stranded.length > 0) {
+      throw new ValidationError(`Items are still in stages ${stranded.join(', ')}`, { stages: stranded });
+    }
+
+    this.db.transaction(() => {
+      if (workflow.is_default) {
+        this.db.prepare('UPDATE workflows SET is_default = 0 WHERE id != ?').run(workflowId);
+      }
+      this.db.prepare(`
+        UPDATE workflows
+        SET name = @name, description = @description, stages = @stages, transitions = @transitions,
+            initial_stage = @initial_stage, is_default = @is_default, updated_at = @updatedAt
+        WHERE id = @id
+      `).run({ ...workflow, id: workflowId, updatedAt: new Date().toISOString() });
+    })();
+
+    return this.getWorkflow(workflowId);
+  }
+
+  /**
+   * @param {number} workflowId - ID of the workflow
+   * @throws {NotFoundError} If the workflow does not exist
+   * @throws {HttpError} 409 if it is the default or items still follow it
+   */
+  deleteWorkflow(workflowId) {
+    const workflow = this.getWorkflow(workflowId);
+    if (workflow.is_default) {
+      throw new HttpError(409, 'The default workflow cannot be deleted');
+    }
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM item_details WHERE workflow_id = ?')
+      .get(workflowId);
+    if (count > 0) {
+      throw new HttpError(409, `Workflow "${workflow.name}" is used by ${count} items`);
+    }
+    this.db.prepare('DELETE FROM workflows WHERE id = ?').run(workflowId);
+  }
+
+  /**
+   * Places a new item in a workflow. Without a stage, the item starts in the
+   * stage matching the requested status, or the workflow's initial stage.
+   *
+   * @param {number|null} [workflowId] - Workflow to follow; the default when omitted
+   * @param {Object} requested - `{ stage, status }` from the request, either optional
+   * @returns {{ workflow_id: number, workflow_stage: string, status: string }}
+   * @throws {ValidationError} If the workflow, stage or status does not exist
+   */
+  resolveInitialStage(workflowId, { stage, status }) {
+    let workflow;
+    if (workflowId === undefined || workflowId === null) {
+      workflow = this.getDefaultWorkflow();
+    } else {
+      workflow = this.db.prepare('SELECT * FROM workflows WHERE id = ?').get(workflowId);
+      if (!workflow) {
+        throw new ValidationError(`Workflow ${workflowId} does not exist`);
+      }
+      workflow = toView(workflow);
+    }
+
+    let target;
+    if (!isBlank(stage)) {
+      target = this.findStage(workflow, stage);
+    } else if (!isBlank(status)) {
+      target = workflow.stages.find(candidate => candidate.status === status);
+      if (!target) {
+        throw new ValidationError(`Workflow "${workflow.name}" has no stage with status "${status}"`);
+      }
+    } else {
+      target = this.findStage(workflow, workflow.initial_stage);
+    }
+    this.assertStatusMatches(target, status);
+
+    return { workflow_id: workflow.id, workflow_stage: target.key, status: target.status };
+  }
+
+  /**
+   * Checks a stage or status change against the item's workflow. A status on
+   * its own moves the item to a stage with that status that can be reached
+   * from the current one.
+   *
+   * @param {Object} item - The item_details row before the change
+   * @param {Object} changes - Column updates, including `workflow_stage` and/or `status`
+   * @returns {{ workflow_stage: string, status: string }}
+   * @throws {ValidationError} If the stage does not exist or contradicts the status
+   * @throws {HttpError} 409 if the transition is not allowed or its guards fail
+   */
+  resolveTransition(item, changes) {
+    const workflow = this.getItemWorkflow(item);
+    const current = this.getCurrentStage(workflow, item);
+    const { workflow_stage: stage, status } = changes;
+
+    let target;
+    if (!isBlank(stage)) {
+      target = this.findStage(workflow, stage);
+    } else if (isBlank(status) || status === current.status) {
+      target = current;
+    } else {
+      const candidates = workflow.transitions
+        .filter(transition => transition.from === current.key)
+        .map(transition => this.findStage(workflow, transition.to))
+        .filter(candidate => candidate.status === status);
+      if (candidates.length === 0) {
+        throw new HttpError(409, `Cannot change status from "${current.status}" to "${status}" in stage "${current.label}"`, {
+          allowed: this.describeTransitions(workflow, current, item),
+        });
+      }
+      target = candidates[0];
+    }
+    this.assertStatusMatches(target, status);
+
+    if (target.key !== current.key) {
+      const transition = workflow.transitions
+        .find(candidate => candidate.from === current.key && candidate.to === target.key);
+      if (!transition) {
+        throw new HttpError(409, `Cannot move from "${current.label}" to "${target.label}"`, {
+          allowed: this.describeTransitions(workflow, current, item),
+        });
+      }
+      const missingFields = this.checkGuards(transition, { ...item, ...changes });
+      if (missingFields.length > 0) {
+        throw new HttpError(
+          409,
+          `Cannot move to "${target.label}" until these fields are filled in: ${missingFields.join(', ')}`,
+          { missingFields }
+        );
+      }
+    }
+
+    return { workflow_stage: target.key, status: target.status };
+  }
+
+  /**
+   * @param {number} itemId - ID of the detailed item
+   * @returns {Object} - `{ workflow, current, transitions }`, each transition
+   *   being the target stage with `allowed` and `missing_fields`
+   * @throws {NotFoundError} If the item does not exist
+   */
+  getAvailableTransitions(itemId) {
+    const item = this.db.prepare('SELECT * FROM item_details WHERE id = ?').get(itemId);
+    if (!item) {
+      throw new NotFoundError('Item not found');
+    }
+    const workflow = this.getItemWorkflow(item);
+    const current = this.getCurrentStage(workflow, item);
+    return {
+      workflow: { id: workflow.id, name: workflow.name },
+      current,
+      transitions: this.describeTransitions(workflow, current, item),
+    };
+  }
+
+  describeTransitions(workflow, current, item) {
+    return workflow.transitions
+      .filter(transition => transition.from === current.key)
+      .map(transition => {
+        const missingFields = this.checkGuards(transition, item);
+        return {
+          ...this.findStage(workflow, transition.to),
+          allowed: missingFields.length === 0,
+          missing_fields: missingFields,
+        };
+      });
+  }
+
+  /**
+   * @returns {Array<string>} - Required fields the item leaves empty
+   */
+  checkGuards(transition, item) {
+    const requiredFields = transition.guards?.requiredFields || [];
+    let customFields = item.custom_fields || {};
+    if (typeof customFields === 'string') {
+      customFields = JSON.parse(customFields);
+    }
+
+    return requiredFields.filter(field => (field.startsWith(CUSTOM_FIELD_PREFIX)
+      ? isBlank(customFields[field.slice(CUSTOM_FIELD_PREFIX.length)])
+      : isBlank(item[field])));
+  }
+
+  getItemWorkflow(item) {
+    return item.workflow_id ? this.getWorkflow(item.workflow_id) : this.getDefaultWorkflow();
+  }
+
+  /**
+   * Items from before workflows, or written directly, may lack a valid
+   * stage; they are treated as being in the stage matching their status.
+   */
+  getCurrentStage(workflow, item) {
+    return workflow.stages.find(stage => stage.key === item.workflow_stage)
+      || workflow.stages.find(stage => stage.status === item.status)
+      || this.findStage(workflow, workflow.initial_stage);
+  }
+
+  findStage(workflow, key) {
+    const stage = workflow.stages.find(candidate => candidate.key === key);
+    if (!stage) {
+      throw new ValidationError(`Workflow "${workflow.name}" has no stage "${key}"`);
+    }
+    return stage;
+  }
+
+  assertStatusMatches(stage, status) {
+    if (!isBlank(status) && status !== stage.status) {
+      throw new ValidationError(`Stage "${stage.label}" has status "${stage.status}", not "${status}"`);
+    }
+  }
+
+  assertNameAvailable(name) {
+    if (this.db.prepare('SELECT id FROM workflows WHERE name = ?').get(name)) {
+      throw new HttpError(409, `Workflow "${name}" already exists`);
+    }
+  }
+
+  /**
+   * SQL condition selecting a workflow's items; its one parameter is the workflow ID.
+   */
+  itemsOf(workflow) {
+    return workflow.is_default ? '(workflow_id = ? OR workflow_id IS NULL)' : 'workflow_id = ?';
+  }
+
+  /**
+   * Validates a workflow's stages and transitions and maps them onto columns.
+   */
+  normalizeWorkflow({ name, description = null, stages, transitions = [], initialStage, isDefault = false }) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new ValidationError('name must be a non-empty string');
+    }
+    if (!Array.isArray(stages) || stages.length === 0) {
+      throw new ValidationError('stages must be a non-empty array');
+    }
+
+    const normalizedStages = stages.map((stage = {}) => {
+      const { key, label = key, status } = stage;
+      if (typeof key !== 'string' || !STAGE_KEY_PATTERN.test(key)) {
+        throw new ValidationError('Stage keys must be lowercase letters, digits and underscores, starting with a letter');
+      }
+      if (typeof label !== 'string' || label.trim() === '') {
+        throw new ValidationError(`Stage "${key}" needs a label`);
+      }
+      if (!STATUSES.includes(status)) {
+        throw new ValidationError(`Stage "${key}" status must be one of: ${STATUSES.join(', ')}`);
+      }
+      return { key, label: label.trim(), status };
+    });
+    const keys = normalizedStages.map(stage => stage.key);
+    if (new Set(keys).size !== keys.length) {
+      throw new ValidationError('Stage keys must be unique');
+    }
+
+    if (!Array.isArray(transitions)) {
+      throw new ValidationError('transitions must be an array');
+    }
+    const normalizedTransitions = transitions.map((transition = {}) => {
+      const { from, to, guards = {} } = transition;
+      if (!keys.includes(from) || !keys.includes(to) || from === to) {
+        throw new ValidationError(`Transition ${from} -> ${to} must join two different stages`);
+      }
+      const requiredFields = guards.requiredFields || [];
+      if (!Array.isArray(requiredFields) || requiredFields.some(field => !this.isGuardableField(field))) {
+        throw new ValidationError(
+          `requiredFields may list ${GUARDABLE_COLUMNS.join(', ')} or ${CUSTOM_FIELD_PREFIX}<key>`
+        );
+      }
+      return requiredFields.length > 0 ? { from, to, guards: { requiredFields } } : { from, to };
+    });
+    const pairs = normalizedTransitions.map(({ from, to }) => `${from}->${to}`);
+    if (new Set(pairs).size !== pairs.length) {
+      throw new ValidationError('Each transition may only be listed once');
+    }
+
+    const initial = initialStage ?? keys[0];
+    if (!keys.includes(initial)) {
+      throw new ValidationError(`initialStage must be one of: ${keys.join(', ')}`);
+    }
+
+    return {
+      name: name.trim(),
+      description,
+      stages: JSON.stringify(normalizedStages),
+      transitions: JSON.stringify(normalizedTransitions),
+      initial_stage: initial,
+      is_default: isDefault ? 1 : 0,
+    };
+  }
+
+  isGuardableField(field) {
+    return typeof field === 'string' && (GUARDABLE_COLUMNS.includes(field)
+      || (field.startsWith(CUSTOM_FIELD_PREFIX) && field.length > CUSTOM_FIELD_PREFIX.length));
+  }
+}
+
+module.exports = WorkflowService;
@@ -0,0 +1,15 @@
+/**
+ * In-app notifications are read straight from the outbox, so delivering one
+ * only marks it sent.
+ *
+ * @returns {Object} - Channel adapter
+ */
+function createInAppChannel() {
+  return {
+    name: 'in_app',
+    requiresAddress: false,
+    async send() {},
+  };
+}
+
+module.exports = createInAppChannel;
@@ -0,0 +1,27 @@
+const createInAppChannel = require('./inAppChannel');
+const createLogChannel = require('./logChannel');
+const createSmtpChannel = require('./smtpChannel');
+
+const FACTORIES = {
+  in_app: () => createInAppChannel(),
+  log: () => createLogChannel(),
+  email: ({ smtp }) => createSmtpChannel(smtp),
+};
+
+/**
+ * Builds the channel adapters named in `config.notifications.channels`.
+ *
+ * @param {Object} options - `config.notifications`
+ * @returns {Array<Object>} - Channel adapters for NotificationService
+ * @throws {Error} If a channel name is unknown
+ */
+function createChannels({ channels, ...options }) {
+  return channels.map(name => {
+    if (!FACTORIES[name]) {
+      throw new Error(`Unknown notification channel "${name}" (expected one of: ${Object.keys(FACTORIES).join(', ')})`);
+    }
+    return FACTORIES[name](options);
+  });
+}
+
+module.exports = { createChannels };
@@ -0,0 +1,19 @@
+/**
+ * Writes notifications to the server log. Useful in development and as a
+ * record of what would have been sent.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Anything with a `log` method
+ * @returns {Object} - Channel adapter
+ */
+function createLogChannel({ logger = console } = {}) {
+  return {
+    name: 'log',
+    requiresAddress: false,
+    async send(notification) {
+      logger.log(`[notification] to ${notification.user_id} (${notification.event}): ${notification.subject}`);
+    },
+  };
+}
+
+module.exports = createLogChannel;
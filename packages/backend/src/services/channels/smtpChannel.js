@@ -0,0 +1,126 @@
+const net = require('net');
+const os = require('os');
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+
+// Non-ASCII subjects are sent as RFC 2047 encoded words
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+/**
+ * Builds the message, with lines starting with a dot escaped as SMTP requires.
+ */
+function formatMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+  const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.\r\n`;
+}
+
+/**
+ * Sends one message over plain SMTP, without authentication or TLS: enough
+ * for a local mail catcher or a relay on a trusted network.
+ *
+ * @returns {Promise<void>} - Rejects with the server's reply if it refuses
+ */
+function sendMail({ host, port, timeoutMs, from, to, subject, text }) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let buffer = '';
+    let waiting = null;
+
+    const fail = (error) => {
+      socket.destroy();
+      reject(error);
+    };
+
+    // Resolves with the next complete reply; multi-line replies use "250-" until the last "250 "
+    const readReply = () => new Promise((resolveReply) => {
+      waiting = resolveReply;
+      consume();
+    });
+
+    const consume = () => {
+      const lines = buffer.split('\r\n');
+      // The final element is an incomplete line, or empty
+      const last = lines.slice(0, -1).findIndex(line => /^\d{3}( |$)/.test(line));
+      if (waiting && last !== -1) {
+        buffer = lines.slice(last + 1).join('\r\n');
+        const resolveReply = waiting;
+        waiting = null;
+        resolveReply({ code: Number(lines[last].slice(0, 3)), text: lines.slice(0, last + 1).join('\n') });
+      }
+    };
+
+    const command = async (line, expected) => {
+      if (line !== null) {
+        socket.write(`${line}\r\n`);
+      }
+      const reply = await readReply();
+      if (!expected.includes(reply.code)) {
+        throw new Error(`SMTP server replied ${reply.text}`);
+      }
+      return reply;
+    };
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(timeoutMs, () => fail(new Error('SMTP server timed out')));
+    socket.on('error', fail);
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      consume();
+    });
+
+    (async () => {
+      await command(null, [220]);
+      await command(`EHLO ${os.hostname()}`, [250]);
+      await command(`MAIL FROM:<${from}>`, [250]);
+      await command(`RCPT TO:<${to}>`, [250, 251]);
+      await command('DATA', [354]);
+      await command(formatMessage({ from, to, subject, text }).replace(/\r\n$/, ''), [250]);
+      await command('QUIT', [221]);
+      socket.end();
+      resolve();
+    })().catch(fail);
+  });
+}
+
+/**
+ * Delivers notifications by email through an SMTP server, such as a local
+ * mail catcher in development.
+ *
+ * @param {Object} options
+ * @param {string} options.host - SMTP server
+ * @param {number} options.port - SMTP port
+ * @param {string} options.from - Sender address
+ * @param {number} [options.timeoutMs] - Give up on a silent server after this long
+ * @returns {Object} - Channel adapter
+ */
+function createSmtpChannel({ host, port, from, timeoutMs = 10000 }) {
+  return {
+    name: 'email',
+    requiresAddress: true,
+    isValidAddress: (address) => EMAIL_PATTERN.test(address),
+    send(notification, address) {
+      return sendMail({
+        host,
+        port,
+        timeoutMs,
+        from,
+        to: address,
+        subject: notification.subject,
+        text: notification.body,
+      });
+    },
+  };
+}
+
+module.exports = createSmtpChannel;
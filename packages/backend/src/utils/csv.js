@@ -0,0 +1,104 @@
+const { ValidationError } = require('./errors');
+
+// Spreadsheets run text starting with one of these as a formula
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+// A formula neutralised by toCsvRecord: the same, behind the added quote
+const NEUTRALISED_FORMULA = /^'+[=+\-@\t\r]/;
+
+/**
+ * Formats one CSV record as RFC 4180 describes: fields holding a comma,
+ * quote or line break are quoted, with quotes doubled, and the record ends
+ * in CRLF. Null and undefined become empty fields.
+ *
+ * Strings a spreadsheet would run as a formula get a leading `'`, which
+ * parseCsv removes again. Apostrophes already in front of one are kept, so
+ * the round trip is lossless.
+ *
+ * @param {Array<*>} values - Field values, converted with String()
+ * @returns {string}
+ */
+function toCsvRecord(values) {
+  return `${values.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')}\r\n`;
+}
+
+/**
+ * Parses CSV text into records. Accepts CRLF or LF line endings, quoted
+ * fields spanning lines, and a byte order mark. Blank lines are skipped.
+ * Formulas neutralised by toCsvRecord lose their leading `'`.
+ *
+ * @param {string} text - The whole file
+ * @returns {Array<{ line: number, fields: Array<string> }>} - Records with the line each starts on
+ * @throws {ValidationError} If a quoted field is never closed or a quote appears mid-field
+ */
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let fieldStarted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    fields.push(NEUTRALISED_FORMULA.test(field) ? field.slice(1) : field);
+    field = '';
+    fieldStarted = false;
+  };
+  const endRecord = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+  };
+
+  const input = text.startsWith('\uFEFF') ? text.slice(1) : text;
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      if (fieldStarted) {
+        throw new ValidationError(`Line ${line}: a quote can only start a field; double it to include one`);
+      }
+      quoted = true;
+      fieldStarted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') {
+        index += 1;
+      }
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+      fieldStarted = true;
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError(`Line ${recordLine}: a quoted field is never closed`);
+  }
+  endRecord();
+  return records;
+}
+
+module.exports = { toCsvRecord, parseCsv };
@@ -0,0 +1,54 @@
+/**
+ * Error carrying the HTTP status a route should answer with. Services throw
+ * these so routes can translate them without knowing the failure details.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Message returned to the client as `error`
+   * @param {Object} [details] - Extra fields merged into the response body
+   */
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class ValidationError extends HttpError {
+  constructor(message, details) {
+    super(400, message, details);
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'Forbidden', details) {
+    super(403, message, details);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = 'Not found', details) {
+    super(404, message, details);
+  }
+}
+
+/**
+ * Sends an error response. HttpErrors are answered with their own status and
+ * message; anything else is logged and reported as a generic 500.
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - The error that was caught
+ * @param {string} fallbackMessage - Message used for unexpected errors
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+module.exports = { HttpError, ValidationError, ForbiddenError, NotFoundError, sendError };
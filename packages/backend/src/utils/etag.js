@@ -0,0 +1,31 @@
+const { ValidationError } = require('./errors');
+
+const ETAG_PATTERN = /^(?:W\/)?"(\d+)"$/;
+
+/**
+ * @param {number} version - An item's `row_version`
+ * @returns {string} - The item's ETag
+ */
+const toETag = (version) => `"${version}"`;
+
+/**
+ * Parses an If-Match header into the versions it accepts.
+ *
+ * @param {string} [header] - Raw header value
+ * @returns {Array<number>|null} - Accepted versions, or null when any version will do (no header, or `*`)
+ * @throws {ValidationError} If the header holds something other than our ETags
+ */
+function parseIfMatch(header) {
+  if (header === undefined || header.trim() === '*') {
+    return null;
+  }
+  return header.split(',').map(tag => {
+    const match = ETAG_PATTERN.exec(tag.trim());
+    if (!match) {
+      throw new ValidationError('If-Match must list ETags from GET /api/items/:id/details');
+    }
+    return Number(match[1]);
+  });
+}
+
+module.exports = { toETag, parseIfMatch };
@@ -0,0 +1,29 @@
+// item_details columns stored as JSON strings
+const JSON_COLUMNS = [
+  'tags', 'custom_fields', 'attachment_ids', 'metadata', 'dependencies',
+  'external_refs', 'linked_items', 'reminder_settings', 'checklist'
+];
+
+/**
+ * Returns an item_details row with its JSON columns parsed. Values that are
+ * not valid JSON, as older rows may hold, are left as they are.
+ *
+ * @param {Object} row - An item_details row
+ * @returns {Object}
+ */
+function parseJsonColumns(row) {
+  const parsed = { ...row };
+  JSON_COLUMNS.forEach((column) => {
+    if (typeof row[column] !== 'string') {
+      return;
+    }
+    try {
+      parsed[column] = JSON.parse(row[column]);
+    } catch (error) {
+      // Kept as text
+    }
+  });
+  return parsed;
+}
+
+module.exports = { JSON_COLUMNS, parseJsonColumns };
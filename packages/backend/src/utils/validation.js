@@ -0,0 +1,19 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Parses a positive integer route or query parameter.
+ *
+ * @param {string} value - Raw parameter value
+ * @param {string} label - Name used in the error message
+ * @returns {number}
+ * @throws {ValidationError} If the value is not a positive integer
+ */
+function parseId(value, label) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new ValidationError(`Valid ${label} is required`);
+  }
+  return parsed;
+}
+
+module.exports = { parseId };
@@ -0,0 +1,51 @@
+// Characters XML 1.0 cannot hold, even escaped
+const INVALID_XML_CHARS = /[^\t\n\r\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+/**
+ * Escapes text for use in XML content or attribute values, dropping
+ * characters XML cannot represent.
+ *
+ * @param {*} value - Converted with String()
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value).replace(INVALID_XML_CHARS, '').replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+/**
+ * Formats a value as an indented XML element. Arrays become `<value>`
+ * children and objects `<entry key="...">` children, so any JSON value can be
+ * written without inventing element names from its keys. Null and undefined
+ * produce no element.
+ *
+ * @param {string} name - Element name; must already be a valid XML name
+ * @param {*} value - Element content
+ * @param {Object} [options]
+ * @param {Object} [options.attributes] - Attribute name to value
+ * @param {number} [options.depth] - Indentation level, two spaces each
+ * @returns {string} - The element and a trailing newline, or '' for null
+ */
+function toXmlElement(name, value, { attributes = {}, depth = 0 } = {}) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const indent = '  '.repeat(depth);
+  const open = [name, ...Object.entries(attributes).map(([key, text]) => `${key}="${escapeXml(text)}"`)].join(' ');
+
+  let children;
+  if (Array.isArray(value)) {
+    children = value.map(entry => toXmlElement('value', entry, { depth: depth + 1 }));
+  } else if (typeof value === 'object') {
+    children = Object.entries(value)
+      .map(([key, entry]) => toXmlElement('entry', entry, { attributes: { key }, depth: depth + 1 }));
+  } else {
+    return `${indent}<${open}>${escapeXml(value)}</${name}>\n`;
+  }
+  return children.length > 0
+    ? `${indent}<${open}>\n${children.join('')}${indent}</${name}>\n`
+    : `${indent}<${open}/>\n`;
+}
+
+module.exports = { escapeXml, toXmlElement };
@@ -21,14 +21,29 @@ import {
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
 import AddIcon from '@mui/icons-material/Add';
-import EditIcon from '@mui/icons-material/Edit';
 
 import theme from './theme/theme';
 import ItemDetails from './components/ItemDetails';
+import DetailedItemsTable from './components/DetailedItemsTable';
+import ItemSearch from './components/ItemSearch';
+import ExportMenu from './components/ExportMenu';
+import Reports from './components/Reports';
+import ApprovalQueue from './components/ApprovalQueue';
+import ReminderList from './components/ReminderList';
+import NotificationCenter from './components/NotificationCenter';
+import { useAuth, hasRole } from './components/AuthProvider';
 import ItemService from './utils/ItemService';
+import { subscribeToItemEvents } from './utils/itemEvents';
 import './App.css';
 
+// Lists are shown newest first, as the API returns them
+const upsertById = (items, item) => (items.some((existing) => existing.id === item.id)
+  ? items.map((existing) => (existing.id === item.id ? item : existing))
+  : [item, ...items]);
+const removeById = (items, itemId) => items.filter((item) => item.id !== itemId);
+
 function App() {
+  const { user, logout } = useAuth();
   const [data, setData] = useState([]);
   const [detailedItems, setDetailedItems] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -36,13 +51,51 @@ function App() {
   const [newItem, setNewItem] = useState('');
   const [itemDetailsOpen, setItemDetailsOpen] = useState(false);
   const [selectedItem, setSelectedItem] = useState(null);
+  const [selectedTemplateId, setSelectedTemplateId] = useState(null);
+  const [notice, setNotice] = useState(null);
+  // Bumped to make the approval queue reload
+  const [approvalsVersion, setApprovalsVersion] = useState(0);
+  // Whether changes made by others are arriving: 'live' or 'reconnecting'
+  const [liveStatus, setLiveStatus] = useState(null);
   const [itemService] = useState(new ItemService());
+  const canChangeItems = hasRole(user, 'editor');
+  // The server reports what the current user may do with each detailed item
+  const canUpdateDetailedItem = (item) => Boolean(item.permissions?.includes('update'));
+  const canDeleteDetailedItem = (item) => Boolean(item.permissions?.includes('delete'));
 
   useEffect(() => {
     fetchData();
     fetchDetailedItems();
   }, []);
 
+  // Patch the tables in place as items change, whoever changes them
+  useEffect(() => subscribeToItemEvents({
+    onEvent: (type, { item }) => {
+      switch (type) {
+        case 'item.created':
+          setData((current) => upsertById(current, item));
+          break;
+        case 'item.deleted':
+          setData((current) => removeById(current, item.id));
+          break;
+        case 'item_details.created':
+        case 'item_details.updated':
+          setDetailedItems((current) => upsertById(current, item));
+          break;
+        case 'item_details.deleted':
+          setDetailedItems((current) => removeById(current, item.id));
+          break;
+        default:
+          break;
+      }
+    },
+    onResync: () => {
+      fetchData();
+      fetchDetailedItems();
+    },
+    onStatusChange: setLiveStatus,
+  }), []);
+
   const fetchData = async () => {
     try {
       setLoading(true);
@@ -90,13 +143,17 @@ function App() {
     templateId
   ) => {
     setSelectedItem(item);
+    setSelectedTemplateId(templateId);
     setItemDetailsOpen(true);
-    updateUserPreferences(mode, permissions, validationLevel);
   };
 
   const handleItemDetailsSave = async (itemData) => {
+    if (itemData.id) {
+      return updateDetailedItem(itemData);
+    }
+
     try {
-      const result = await itemService.createItemWithDetails(
+      await itemService.createItemWithDetails(
         itemData.name,
         itemData.description,
         itemData.category,
@@ -121,13 +178,15 @@ function App() {
         itemData.budget,
         'USD',
         itemData.location,
-        itemData.externalReferences
+        itemData.externalReferences,
+        itemData.templateId
       );
-      setDetailedItems([...detailedItems, result]);
+      // Reload rather than append, so the new row carries the user's permissions
+      await fetchDetailedItems();
       setItemDetailsOpen(false);
       setSelectedItem(null);
     } catch (error) {
-      setError('Failed to save item details');
+      setError('Failed to save item details: ' + error.message);
     }
   };
 
@@ -149,7 +208,7 @@ function App() {
       }
 
       const result = await response.json();
-      setData([...data, result]);
+      setData((current) => upsertById(current, result));
       setNewItem('');
     } catch (err) {
       setError('Error adding item: ' + err.message);
@@ -167,7 +226,7 @@ function App() {
         throw new Error('Failed to delete item');
       }
 
-      setData(data.filter(item => item.id !== itemId));
+      setData((current) => removeById(current, itemId));
       setError(null);
     } catch (err) {
       setError('Error deleting item: ' + err.message);
@@ -180,35 +239,57 @@ function App() {
       const response = await fetch(`/api/items/${itemId}/details`, {
         method: 'DELETE',
       });
-      
-      const result = await response.json();
-      
-      removeFromDetailedItems(itemId);
-      
-      setDetailedItems(detailedItems.filter(item => item.id !== itemId));
+
+      if (!response.ok) {
+        throw new Error('Failed to delete item details');
+      }
+
+      // Children of the deleted item move up a level, so reload the whole tree
+      await fetchDetailedItems();
     } catch (error) {
+      setError('Delete failed: ' + error.message);
       console.error('Delete failed:', error);
     }
   };
 
-  const updateDetailedItem = async (itemData) => {
+  const openDetailedItem = (item) => {
+    handleItemDetailsOpen(
+      item, 'edit', ['read', 'write'], 'standard',
+      { email: true }, true, true, true, true, false,
+      false, true, true, true, {}, null
+    );
+  };
+
+  const updateDetailedItem = async ({ version, ...itemData }) => {
     try {
-      if (!validateItemData(itemData)) {
-        throw new Error('Invalid item data');
-      }
-      
       const response = await fetch(`/api/items/${itemData.id}/details`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
+          // Refuse to overwrite a change saved since this copy was loaded
+          ...(version ? { 'If-Match': `"${version}"` } : {}),
         },
         body: JSON.stringify(itemData),
       });
-      
+
       const result = await response.json();
-      
-      updateItemInState(result);
-      
+      if (response.status === 409 && result.current) {
+        // Left to the editor to merge; the dialog stays open
+        return { conflict: result.current };
+      }
+      if (!response.ok) {
+        // Workflow refusals explain which move or which fields were the problem
+        throw new Error(result.error || 'Failed to update item details');
+      }
+
+      if (response.status === 202) {
+        setNotice(`Your change to "${result.name}" is awaiting approval.`);
+        setApprovalsVersion((version) => version + 1);
+      }
+
+      await fetchDetailedItems();
+      setItemDetailsOpen(false);
+      setSelectedItem(null);
     } catch (error) {
       setError('Update failed: ' + error.message);
     }
@@ -268,9 +349,26 @@ function App() {
             Hello World
           </Typography>
           <Typography variant="body1" sx={{ mt: 1 }}>
-            Connected to in-memory database
+            Connected to database
           </Typography>
+          {user && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 1, mt: 1 }}>
+              <Typography variant="body2" color="text.secondary">
+                Signed in as {user.id} ({user.role})
+              </Typography>
+              <Button size="small" onClick={logout}>
+                Log Out
+              </Button>
+            </Box>
+          )}
+          {liveStatus === 'reconnecting' && (
+            <Typography variant="body2" color="warning.main" sx={{ mt: 1 }}>
+              Live updates interrupted, reconnecting…
+            </Typography>
+          )}
         </Paper>
+
+        <ReminderList />
         
         <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
           <Paper elevation={2} sx={{ p: 3 }}>
@@ -346,19 +444,21 @@ function App() {
                               {new Date(item.created_at).toLocaleDateString()}
                             </TableCell>
                             <TableCell align="center">
-                              <IconButton
-                                onClick={() => handleDelete(item.id)}
-                                color="error"
-                                aria-label={`Delete ${item.name}`}
-                                sx={{ 
-                                  '&:hover': { 
-                                    backgroundColor: 'error.light',
-                                    color: 'white'
-                                  }
-                                }}
-                              >
-                                <DeleteIcon />
-                              </IconButton>
+                              {canChangeItems && (
+                                <IconButton
+                                  onClick={() => handleDelete(item.id)}
+                                  color="error"
+                                  aria-label={`Delete ${item.name}`}
+                                  sx={{ 
+                                    '&:hover': { 
+                                      backgroundColor: 'error.light',
+                                      color: 'white'
+                                    }
+                                  }}
+                                >
+                                  <DeleteIcon />
+                                </IconButton>
+                              )}
                             </TableCell>
                           </TableRow>
                         ))}
@@ -380,90 +480,53 @@ function App() {
             <Typography variant="h2" component="h2">
               Item Details Management
             </Typography>
-            <Button
-              variant="contained"
-              startIcon={<AddIcon />}
-              onClick={() => handleItemDetailsOpen(
-                null, // item
-                'create', // mode
-                ['read', 'write'], // permissions
-                'standard', // validationLevel
-                { email: true, sms: false }, // notificationSettings
-                true, // auditEnabled
-                true, // backupEnabled
-                false, // showAdvanced
-                true, // enableNotifications
-                false, // autoSave
-                false, // readOnly
-                true, // allowEdit
-                true, // allowDelete
-                false, // showHistory
-                {}, // customFields
-                null // templateId
-              )}
-            >
-              Add Details
-            </Button>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <ExportMenu itemService={itemService} />
+              <Button
+                variant="contained"
+                startIcon={<AddIcon />}
+                onClick={() => handleItemDetailsOpen(
+                  null, // item
+                  'create', // mode
+                  ['read', 'write'], // permissions
+                  'standard', // validationLevel
+                  { email: true, sms: false }, // notificationSettings
+                  true, // auditEnabled
+                  true, // backupEnabled
+                  false, // showAdvanced
+                  true, // enableNotifications
+                  false, // autoSave
+                  false, // readOnly
+                  true, // allowEdit
+                  true, // allowDelete
+                  false, // showHistory
+                  {}, // customFields
+                  null // templateId
+                )}
+              >
+                Add Details
+              </Button>
+            </Box>
           </Box>
 
+          {notice && (
+            <Alert severity="info" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+              {notice}
+            </Alert>
+          )}
+
+          <ItemSearch onSelect={openDetailedItem} />
+
           {detailedItems.length > 0 ? (
-            <TableContainer component={Paper} variant="outlined">
-              <Table sx={{ minWidth: 650 }} aria-label="detailed items table">
-                <TableHead>
-                  <TableRow sx={{ backgroundColor: 'grey.100' }}>
-                    <TableCell sx={{ fontWeight: 'bold' }}>ID</TableCell>
-                    <TableCell sx={{ fontWeight: 'bold' }}>Name</TableCell>
-                    <TableCell sx={{ fontWeight: 'bold' }}>Category</TableCell>
-                    <TableCell sx={{ fontWeight: 'bold' }}>Priority</TableCell>
-                    <TableCell sx={{ fontWeight: 'bold' }}>Status</TableCell>
-                    <TableCell align="center" sx={{ fontWeight: 'bold' }}>Actions</TableCell>
-                  </TableRow>
-                </TableHead>
-                <TableBody>
-                  {detailedItems.map((item) => (
-                    <TableRow 
-                      key={item.id}
-                      sx={{ 
-                        '&:hover': { backgroundColor: 'grey.50' },
-                        '&:last-child td, &:last-child th': { border: 0 }
-                      }}
-                    >
-                      <TableCell component="th" scope="row">
-                        {item.id}
-                      </TableCell>
-                      <TableCell>{item.name}</TableCell>
-                      <TableCell>{item.category}</TableCell>
-                      <TableCell>{item.priority}</TableCell>
-                      <TableCell>{item.status}</TableCell>
-                      <TableCell align="center">
-                        <IconButton
-                          onClick={() => {
-                            handleItemDetailsOpen(
-                              item, 'edit', ['read', 'write'], 'standard',
-                              { email: true }, true, true, true, true, false,
-                              false, true, true, true, {}, null
-                            );
-                          }}
-                          color="primary"
-                          aria-label={`Edit ${item.name}`}
-                        >
-                          <EditIcon />
-                        </IconButton>
-                        <IconButton
-                          onClick={() => {
-                            deleteDetailedItem(item.id);
-                          }}
-                          color="error"
-                          aria-label={`Delete ${item.name}`}
-                        >
-                          <DeleteIcon />
-                        </IconButton>
-                      </TableCell>
-                    </TableRow>
-                  ))}
-                </TableBody>
-              </Table>
-            </TableContainer>
+            <DetailedItemsTable
+              items={detailedItems}
+              onEdit={openDetailedItem}
+              onDelete={(itemId) => {
+                deleteDetailedItem(itemId);
+              }}
+              canEdit={canUpdateDetailedItem}
+              canDelete={canDeleteDetailedItem}
+            />
           ) : (
             <Typography variant="body1" sx={{ textAlign: 'center', py: 4, color: 'text.secondary' }}>
               No detailed items found. Create some!
@@ -471,7 +534,33 @@ function App() {
           )}
         </Paper>
 
+        <Paper elevation={2} sx={{ p: 3, mt: 3 }}>
+          <Typography variant="h2" component="h2" sx={{ mb: 2 }}>
+            Reports
+          </Typography>
+          <Reports itemService={itemService} />
+        </Paper>
+
+        <Paper elevation={2} sx={{ p: 3, mt: 3 }}>
+          <Typography variant="h2" component="h2" sx={{ mb: 2 }}>
+            Awaiting Approval
+          </Typography>
+          <ApprovalQueue
+            user={user}
+            refreshKey={approvalsVersion}
+            onDecision={fetchDetailedItems}
+          />
+        </Paper>
+
+        <Paper elevation={2} sx={{ p: 3, mt: 3 }}>
+          <Typography variant="h2" component="h2" sx={{ mb: 2 }}>
+            Notifications
+          </Typography>
+          <NotificationCenter />
+        </Paper>
+
         <ItemDetails
+          key={selectedItem?.id ?? 'new'}
           open={itemDetailsOpen}
           onClose={() => setItemDetailsOpen(false)}
           itemId={selectedItem?.id}
@@ -481,15 +570,17 @@ function App() {
           itemPriority={selectedItem?.priority}
           itemTags={selectedItem?.tags ? JSON.parse(selectedItem.tags) : []}
           itemStatus={selectedItem?.status}
+          itemWorkflowStage={selectedItem?.workflow_stage}
           itemDueDate={selectedItem?.due_date}
           itemAssignee={selectedItem?.assignee}
           itemCreatedBy={selectedItem?.created_by}
           itemCreatedAt={selectedItem?.created_at}
           itemUpdatedAt={selectedItem?.updated_at}
+          itemVersion={selectedItem?.row_version}
           showAdvanced={true}
           enableNotifications={true}
           autoSave={false}
-          readOnly={false}
+          readOnly={selectedItem ? !canUpdateDetailedItem(selectedItem) : false}
           onSave={handleItemDetailsSave}
           onDelete={(id) => {
             deleteDetailedItem(id);
@@ -521,13 +612,14 @@ function App() {
           onNameChange={(name) => {
             console.log('Name changed:', name);
           }}
-          allowEdit={true}
-          allowDelete={true}
+          allowEdit={selectedItem ? canUpdateDetailedItem(selectedItem) : true}
+          allowDelete={selectedItem ? canDeleteDetailedItem(selectedItem) : true}
           showHistory={false}
           historyData={[]}
           validationRules={{}}
-          customFields={{}}
+          customFields={selectedItem?.custom_fields ? JSON.parse(selectedItem.custom_fields) : {}}
           permissions={['read', 'write']}
+          templateId={selectedTemplateId}
         />
       </Container>
     </ThemeProvider>
@@ -4,6 +4,7 @@ import userEvent from '@testing-library/user-event';
 import { rest } from 'msw';
 import { setupServer } from 'msw/node';
 import App from '../App';
+import { AuthContext } from '../components/AuthProvider';
 
 // Mock server to intercept API requests
 const server = setupServer(
@@ -62,18 +63,25 @@ beforeAll(() => server.listen());
 afterEach(() => server.resetHandlers());
 afterAll(() => server.close());
 
+// Renders the app as if logged in, skipping the login page
+const renderApp = (user = { id: 'tester', role: 'editor' }) => render(
+  <AuthContext.Provider value={{ user, logout: jest.fn() }}>
+    <App />
+  </AuthContext.Provider>
+);
+
 describe('App Component', () => {
   test('renders the header', async () => {
     await act(async () => {
-      render(<App />);
+      renderApp();
     });
     expect(screen.getByText('Hello World')).toBeInTheDocument();
-    expect(screen.getByText('Connected to in-memory database')).toBeInTheDocument();
+    expect(screen.getByText('Connected to database')).toBeInTheDocument();
   });
 
   test('loads and displays items', async () => {
     await act(async () => {
-      render(<App />);
+      renderApp();
     });
     
     // Initially shows loading state
@@ -90,7 +98,7 @@ describe('App Component', () => {
     const user = userEvent.setup();
     
     await act(async () => {
-      render(<App />);
+      renderApp();
     });
     
     // Wait for items to load
@@ -124,7 +132,7 @@ describe('App Component', () => {
     );
     
     await act(async () => {
-      render(<App />);
+      renderApp();
     });
     
     // Wait for error message
@@ -137,7 +145,7 @@ describe('App Component', () => {
     const user = userEvent.setup();
     
     await act(async () => {
-      render(<App />);
+      renderApp();
     });
     
     // Wait for items to load
@@ -172,7 +180,7 @@ describe('App Component', () => {
     );
     
     await act(async () => {
-      render(<App />);
+      renderApp();
     });
     
     // Wait for items to load
@@ -192,6 +200,26 @@ describe('App Component', () => {
     });
   });
 
+  test('hides edit and delete buttons the user may not use', async () => {
+    server.use(
+      rest.get('/api/items/details', (req, res, ctx) => res(ctx.json([
+        { id: 7, name: 'Editable detail', parent_item_id: null, permissions: ['read', 'update'] },
+        { id: 8, name: 'Read-only detail', parent_item_id: null, permissions: ['read'] },
+      ])))
+    );
+
+    await act(async () => {
+      renderApp({ id: 'vera', role: 'viewer' });
+    });
+
+    expect(await screen.findByText('Read-only detail')).toBeInTheDocument();
+    expect(screen.getByText('Test Item 1')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Delete Test Item 1')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Edit Editable detail')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Delete Editable detail')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Edit Read-only detail')).not.toBeInTheDocument();
+  });
+
   test('shows empty state when no items', async () => {
     // Override the default handler to return empty array
     server.use(
@@ -201,7 +229,7 @@ describe('App Component', () => {
     );
     
     await act(async () => {
-      render(<App />);
+      renderApp();
     });
     
     // Wait for empty state message
@@ -209,4 +237,115 @@ describe('App Component', () => {
       expect(screen.getByText('No items found. Add some!')).toBeInTheDocument();
     });
   });
-});
\ No newline at end of file
+});
+
+/**
+ * Stands in for the browser's EventSource, which jsdom lacks; tests push
+ * events through `emit`.
+ */
+class FakeEventSource {
+  static CLOSED = 2;
+
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 1;
+    this.listeners = {};
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = [...(this.listeners[type] || []), listener];
+  }
+
+  close() {
+    this.readyState = FakeEventSource.CLOSED;
+  }
+
+  emit(type, id, data = {}) {
+    act(() => {
+      (this.listeners[type] || []).forEach((listener) => listener({ lastEventId: String(id), data: JSON.stringify(data) }));
+    });
+  }
+}
+
+describe('App live updates', () => {
+  let itemRequests;
+
+  beforeEach(() => {
+    FakeEventSource.instances = [];
+    global.EventSource = FakeEventSource;
+    itemRequests = 0;
+    server.use(
+      rest.get('/api/items', (req, res, ctx) => {
+        itemRequests += 1;
+        return res(ctx.json([{ id: 1, name: 'Test Item 1', created_at: '2023-01-01T00:00:00.000Z' }]));
+      }),
+      rest.get('/api/items/details', (req, res, ctx) => res(ctx.json([])))
+    );
+  });
+
+  afterEach(() => {
+    delete global.EventSource;
+  });
+
+  const startLiveApp = async () => {
+    renderApp();
+    expect(await screen.findByText('Test Item 1')).toBeInTheDocument();
+    const [stream] = FakeEventSource.instances;
+    stream.emit('ready', 10, { lastEventId: 10 });
+    return stream;
+  };
+
+  test('patches both tables as others change items', async () => {
+    const stream = await startLiveApp();
+
+    stream.emit('item.created', 11, { item: { id: 5, name: 'From a teammate' } });
+    stream.emit('item_details.created', 12, {
+      item: { id: 40, name: 'Shared detail', parent_item_id: null, permissions: ['read', 'update'] },
+    });
+    stream.emit('item.deleted', 13, { item: { id: 1, name: 'Test Item 1' } });
+
+    expect(screen.getByText('From a teammate')).toBeInTheDocument();
+    expect(screen.getByText('Shared detail')).toBeInTheDocument();
+    expect(screen.queryByText('Test Item 1')).not.toBeInTheDocument();
+
+    stream.emit('item_details.updated', 14, {
+      item: { id: 40, name: 'Renamed detail', parent_item_id: null, permissions: ['read', 'update'] },
+    });
+    expect(screen.getByText('Renamed detail')).toBeInTheDocument();
+    expect(screen.queryByText('Shared detail')).not.toBeInTheDocument();
+
+    stream.emit('item_details.deleted', 15, { item: { id: 40 } });
+    expect(screen.queryByText('Renamed detail')).not.toBeInTheDocument();
+    expect(itemRequests).toBe(1);
+  });
+
+  test('reloads when events were missed', async () => {
+    const stream = await startLiveApp();
+
+    // Event 11 never arrived, so this one cannot be applied on its own
+    stream.emit('item.created', 12, { item: { id: 6, name: 'After a gap' } });
+    await waitFor(() => expect(itemRequests).toBe(2));
+    expect(screen.queryByText('After a gap')).not.toBeInTheDocument();
+
+    stream.emit('resync', 20, { lastEventId: 20 });
+    await waitFor(() => expect(itemRequests).toBe(3));
+  });
+
+  test('reconnects from the last event after the stream closes', async () => {
+    const stream = await startLiveApp();
+
+    stream.readyState = FakeEventSource.CLOSED;
+    act(() => stream.onerror());
+    expect(screen.getByText(/Live updates interrupted/)).toBeInTheDocument();
+
+    await waitFor(() => expect(FakeEventSource.instances).toHaveLength(2), { timeout: 3000 });
+    const reconnected = FakeEventSource.instances[1];
+    expect(reconnected.url).toBe('/api/events?lastEventId=10');
+
+    act(() => reconnected.onopen());
+    expect(screen.queryByText(/Live updates interrupted/)).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,74 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { rest } from 'msw';
+import { setupServer } from 'msw/node';
+import ApprovalQueue from '../components/ApprovalQueue';
+
+const pendingRequest = {
+  id: 7,
+  item_id: 3,
+  item_name: 'Launch plan',
+  requested_by: 'rita',
+  status: 'pending',
+  created_at: '2024-03-01T10:00:00.000Z',
+  changes: { columns: { priority: 'high', location: 'Lab', due_date: '' } },
+  previous: { priority: 'low', location: 'Lab', due_date: null },
+};
+
+let requests;
+const decisions = [];
+
+// Mock server holding the queue and recording decisions
+const server = setupServer(
+  rest.get('/api/approvals', (req, res, ctx) => res(ctx.json(requests))),
+  rest.post('/api/approvals/:id/:decision', (req, res, ctx) => {
+    decisions.push({ id: req.params.id, decision: req.params.decision, body: req.body });
+    requests = [];
+    return res(ctx.json({ ...pendingRequest, status: 'approved' }));
+  })
+);
+
+beforeAll(() => server.listen());
+beforeEach(() => {
+  requests = [pendingRequest];
+  decisions.length = 0;
+});
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+
+describe('ApprovalQueue', () => {
+  test('lists only the fields a pending request changes', async () => {
+    render(<ApprovalQueue user={{ id: 'vera', role: 'viewer' }} refreshKey={0} />);
+
+    const request = await screen.findByTestId('approval-7');
+    expect(within(request).getByText('Launch plan')).toBeInTheDocument();
+    expect(within(request).getByText('Priority: low → high')).toBeInTheDocument();
+    expect(within(request).queryByText(/Location/)).not.toBeInTheDocument();
+    expect(within(request).queryByText(/Due date/)).not.toBeInTheDocument();
+    expect(within(request).queryByRole('button', { name: 'Approve' })).not.toBeInTheDocument();
+  });
+
+  test('lets an admin approve with a comment', async () => {
+    const user = userEvent.setup();
+    const onDecision = jest.fn();
+    render(<ApprovalQueue user={{ id: 'abe', role: 'admin' }} refreshKey={0} onDecision={onDecision} />);
+
+    await user.type(await screen.findByLabelText('Comment on the change to Launch plan'), 'Looks good');
+    await user.click(screen.getByRole('button', { name: 'Approve' }));
+
+    expect(await screen.findByText('No changes are awaiting approval.')).toBeInTheDocument();
+    expect(decisions).toEqual([{ id: '7', decision: 'approve', body: { comment: 'Looks good' } }]);
+    expect(onDecision).toHaveBeenCalled();
+  });
+
+  test('requires a comment to reject and hides controls on your own change', async () => {
+    const { unmount } = render(<ApprovalQueue user={{ id: 'abe', role: 'admin' }} refreshKey={0} />);
+    expect(await screen.findByRole('button', { name: 'Reject' })).toBeDisabled();
+    unmount();
+
+    render(<ApprovalQueue user={{ id: 'rita', role: 'admin' }} refreshKey={0} />);
+    await screen.findByTestId('approval-7');
+    expect(screen.queryByRole('button', { name: 'Reject' })).not.toBeInTheDocument();
+  });
+});
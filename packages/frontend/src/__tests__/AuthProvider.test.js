@@ -0,0 +1,83 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { rest } from 'msw';
+import { setupServer } from 'msw/node';
+import AuthProvider, { useAuth } from '../components/AuthProvider';
+
+let currentUser;
+
+// Mock server holding a single session
+const server = setupServer(
+  rest.get('/api/auth/me', (req, res, ctx) => (
+    currentUser
+      ? res(ctx.json(currentUser))
+      : res(ctx.status(401), ctx.json({ error: 'Authentication required' }))
+  )),
+
+  rest.post('/api/auth/login', (req, res, ctx) => {
+    const { username, password } = req.body;
+    if (username !== 'dana' || password !== 'open sesame') {
+      return res(ctx.status(401), ctx.json({ error: 'Invalid username or password' }));
+    }
+    currentUser = { id: 'dana' };
+    return res(ctx.json({ token: 'token', user: currentUser }));
+  }),
+
+  rest.post('/api/auth/logout', (req, res, ctx) => {
+    currentUser = null;
+    return res(ctx.json({ message: 'Logged out' }));
+  })
+);
+
+beforeAll(() => server.listen());
+beforeEach(() => {
+  currentUser = null;
+});
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+
+function Greeting() {
+  const { user, logout } = useAuth();
+  return (
+    <>
+      <p>Hello {user.id}</p>
+      <button onClick={logout}>Log Out</button>
+    </>
+  );
+}
+
+const renderGate = () => render(
+  <AuthProvider>
+    <Greeting />
+  </AuthProvider>
+);
+
+describe('AuthProvider', () => {
+  test('shows the login page until the user logs in', async () => {
+    const user = userEvent.setup();
+    renderGate();
+
+    await user.type(await screen.findByLabelText(/Username/), 'dana');
+    await user.type(screen.getByLabelText(/Password/), 'wrong password');
+    await user.click(screen.getByRole('button', { name: 'Log In' }));
+    expect(await screen.findByText('Invalid username or password')).toBeInTheDocument();
+    expect(screen.queryByText('Hello dana')).not.toBeInTheDocument();
+
+    await user.clear(screen.getByLabelText(/Password/));
+    await user.type(screen.getByLabelText(/Password/), 'open sesame');
+    await user.click(screen.getByRole('button', { name: 'Log In' }));
+
+    expect(await screen.findByText('Hello dana')).toBeInTheDocument();
+  });
+
+  test('restores an existing session and logs out', async () => {
+    currentUser = { id: 'dana' };
+    const user = userEvent.setup();
+    renderGate();
+
+    await user.click(await screen.findByRole('button', { name: 'Log Out' }));
+
+    expect(await screen.findByLabelText(/Username/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,149 @@
+import React from 'react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { rest } from 'msw';
+import { setupServer } from 'msw/node';
+import CommentsPane from '../components/CommentsPane';
+
+let comments;
+let nextId;
+
+const findComment = (list, id) => {
+  for (const comment of list) {
+    if (comment.id === id) return comment;
+    const nested = findComment(comment.replies, id);
+    if (nested) return nested;
+  }
+  return null;
+};
+
+// Mock server that keeps comments in memory
+const server = setupServer(
+  rest.get('/api/items/:id/comments', (req, res, ctx) => res(ctx.json(comments))),
+
+  rest.post('/api/items/:id/comments', (req, res, ctx) => {
+    const { body, parentId } = req.body;
+    const comment = {
+      id: nextId++,
+      parent_id: parentId,
+      author: 'alice',
+      body,
+      created_at: '2024-01-01T00:00:00.000Z',
+      edited: false,
+      deleted: false,
+      replies: [],
+    };
+    if (parentId) {
+      findComment(comments, parentId).replies.push(comment);
+    } else {
+      comments.push(comment);
+    }
+    return res(ctx.status(201), ctx.json(comment));
+  }),
+
+  rest.put('/api/items/:id/comments/:commentId', (req, res, ctx) => {
+    const comment = findComment(comments, Number(req.params.commentId));
+    Object.assign(comment, { body: req.body.body, edited: true });
+    return res(ctx.json(comment));
+  }),
+
+  rest.delete('/api/items/:id/comments/:commentId', (req, res, ctx) => {
+    const comment = findComment(comments, Number(req.params.commentId));
+    Object.assign(comment, { body: null, deleted: true });
+    return res(ctx.json({ message: 'Comment deleted successfully', comment }));
+  })
+);
+
+beforeAll(() => server.listen());
+beforeEach(() => {
+  nextId = 2;
+  comments = [{
+    id: 1,
+    parent_id: null,
+    author: 'bob',
+    body: 'Existing comment',
+    created_at: '2024-01-01T00:00:00.000Z',
+    edited: false,
+    deleted: false,
+    replies: [],
+  }];
+});
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+
+describe('CommentsPane', () => {
+  test('loads and displays existing comments', async () => {
+    render(<CommentsPane itemId={7} />);
+
+    expect(await screen.findByText('Existing comment')).toBeInTheDocument();
+  });
+
+  test('shows an empty state when there are no comments', async () => {
+    comments = [];
+
+    render(<CommentsPane itemId={7} />);
+
+    expect(await screen.findByText('No comments yet. Start the discussion!')).toBeInTheDocument();
+  });
+
+  test('adds a new comment', async () => {
+    const user = userEvent.setup();
+    render(<CommentsPane itemId={7} />);
+    await screen.findByText('Existing comment');
+
+    await user.type(screen.getByLabelText('Add a comment'), 'Looks good');
+    await user.click(screen.getByRole('button', { name: 'Comment' }));
+
+    const added = within(await screen.findByTestId('comment-2'));
+    expect(added.getByText('Looks good')).toBeInTheDocument();
+  });
+
+  test('replies to a comment in its thread', async () => {
+    const user = userEvent.setup();
+    render(<CommentsPane itemId={7} />);
+    const thread = within(await screen.findByTestId('comment-1'));
+
+    await user.click(thread.getByRole('button', { name: 'Reply' }));
+    await user.type(thread.getByLabelText('Reply to bob'), 'Agreed');
+    await user.click(thread.getAllByRole('button', { name: 'Reply' }).pop());
+
+    await waitFor(() => {
+      expect(within(screen.getByTestId('comment-1')).getByText('Agreed')).toBeInTheDocument();
+    });
+  });
+
+  test('edits a comment and shows the edited marker', async () => {
+    const user = userEvent.setup();
+    render(<CommentsPane itemId={7} />);
+    const thread = within(await screen.findByTestId('comment-1'));
+
+    await user.click(thread.getByRole('button', { name: 'Edit' }));
+    const input = thread.getByLabelText('Edit comment');
+    await user.clear(input);
+    await user.type(input, 'Updated comment');
+    await user.click(thread.getByRole('button', { name: 'Save' }));
+
+    expect(await thread.findByText(/\(edited\)/)).toBeInTheDocument();
+    expect(thread.getByText('Updated comment')).toBeInTheDocument();
+  });
+
+  test('deletes a comment', async () => {
+    const user = userEvent.setup();
+    render(<CommentsPane itemId={7} />);
+    const thread = within(await screen.findByTestId('comment-1'));
+
+    await user.click(thread.getByRole('button', { name: 'Delete' }));
+
+    expect(await screen.findByText('Comment deleted')).toBeInTheDocument();
+  });
+
+  test('shows an error when comments fail to load', async () => {
+    server.use(
+      rest.get('/api/items/:id/comments', (req, res, ctx) => res(ctx.status(500)))
+    );
+
+    render(<CommentsPane itemId={7} />);
+
+    expect(await screen.findByText(/Failed to load comments/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,65 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import DetailedItemsTable, { buildItemTree } from '../components/DetailedItemsTable';
+
+const items = [
+  { id: 1, name: 'Epic', status: 'active', parent_item_id: null },
+  { id: 2, name: 'Story', status: 'active', parent_item_id: 1 },
+  { id: 3, name: 'Task', status: 'pending', parent_item_id: 2 },
+  { id: 4, name: 'Standalone', status: 'active', parent_item_id: null },
+  { id: 5, name: 'Orphan', status: 'active', parent_item_id: 99 },
+];
+
+describe('buildItemTree', () => {
+  test('nests children under their parents and keeps orphans as roots', () => {
+    const tree = buildItemTree(items);
+
+    expect(tree.map((node) => node.item.id)).toEqual([1, 4, 5]);
+    expect(tree[0]).toMatchObject({
+      item: { id: 1 },
+      children: [{ item: { id: 2 }, children: [{ item: { id: 3 }, children: [] }] }],
+    });
+  });
+});
+
+describe('DetailedItemsTable', () => {
+  test('shows only top-level items until a parent is expanded', async () => {
+    const user = userEvent.setup();
+    render(<DetailedItemsTable items={items} onEdit={jest.fn()} onDelete={jest.fn()} />);
+
+    expect(screen.getByText('Epic')).toBeInTheDocument();
+    expect(screen.queryByText('Story')).not.toBeInTheDocument();
+
+    await user.click(screen.getByLabelText('Expand Epic'));
+    expect(screen.getByText('Story')).toBeInTheDocument();
+    expect(screen.queryByText('Task')).not.toBeInTheDocument();
+
+    await user.click(screen.getByLabelText('Collapse Epic'));
+    expect(screen.queryByText('Story')).not.toBeInTheDocument();
+  });
+
+  test('expands and collapses every level at once', async () => {
+    const user = userEvent.setup();
+    render(<DetailedItemsTable items={items} onEdit={jest.fn()} onDelete={jest.fn()} />);
+
+    await user.click(screen.getByRole('button', { name: 'Expand all' }));
+    expect(screen.getByText('Task')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Collapse all' }));
+    expect(screen.queryByText('Task')).not.toBeInTheDocument();
+  });
+
+  test('passes the row item to the edit and delete handlers', async () => {
+    const user = userEvent.setup();
+    const onEdit = jest.fn();
+    const onDelete = jest.fn();
+    render(<DetailedItemsTable items={items} onEdit={onEdit} onDelete={onDelete} />);
+
+    await user.click(screen.getByLabelText('Edit Standalone'));
+    await user.click(screen.getByLabelText('Delete Standalone'));
+
+    expect(onEdit).toHaveBeenCalledWith(items[3]);
+    expect(onDelete).toHaveBeenCalledWith(4);
+  });
+});
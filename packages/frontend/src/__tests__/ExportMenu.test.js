@@ -0,0 +1,37 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ExportMenu from '../components/ExportMenu';
+import ItemService from '../utils/ItemService';
+
+describe('ExportMenu', () => {
+  test('links each format to a download of the current view', async () => {
+    const user = userEvent.setup();
+    render(
+      <ExportMenu
+        itemService={new ItemService()}
+        view={{ filters: { status: 'active' }, sorting: '-priority', searchTerm: 'report' }}
+      />
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Export' }));
+
+    const links = screen.getAllByRole('menuitem');
+    expect(links.map((link) => link.getAttribute('href'))).toEqual([
+      '/api/items/details/export.csv?filter%5Bstatus%5D=active&q=report&sort=-priority',
+      '/api/items/details/export.jsonl?filter%5Bstatus%5D=active&q=report&sort=-priority',
+      '/api/items/details/export.xml?filter%5Bstatus%5D=active&q=report&sort=-priority',
+    ]);
+    links.forEach((link) => expect(link).toHaveAttribute('download'));
+    expect(screen.getByText('JSON Lines')).toBeInTheDocument();
+  });
+
+  test('exports everything when the view has no filters', async () => {
+    const user = userEvent.setup();
+    render(<ExportMenu itemService={new ItemService()} />);
+
+    await user.click(screen.getByRole('button', { name: 'Export' }));
+
+    expect(screen.getByRole('menuitem', { name: /XML/ })).toHaveAttribute('href', '/api/items/details/export.xml');
+  });
+});
@@ -0,0 +1,226 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { rest } from 'msw';
+import { setupServer } from 'msw/node';
+import ItemDetails from '../components/ItemDetails';
+
+const templates = [
+  {
+    id: 4,
+    name: 'Bug report',
+    category: 'work',
+    priority: 'high',
+    tags: ['bug'],
+    custom_fields: {},
+    checklist: ['Reproduce', 'Fix'],
+  },
+];
+
+const customFieldDefinitions = [
+  { id: 1, key: 'size', label: 'Size', type: 'enum', required: true, min: null, max: null, options: ['S', 'M', 'L'] },
+  { id: 2, key: 'estimate', label: 'Estimate', type: 'number', required: false, min: 0, max: 100, options: null },
+];
+
+const itemWorkflow = {
+  workflow: { id: 2, name: 'Review' },
+  current: { key: 'draft', label: 'Draft', status: 'active' },
+  transitions: [
+    { key: 'in_review', label: 'In review', status: 'pending', allowed: true, missing_fields: [] },
+    { key: 'published', label: 'Published', status: 'completed', allowed: false, missing_fields: ['due_date'] },
+  ],
+};
+
+const workflows = [
+  {
+    id: 1,
+    name: 'Standard',
+    is_default: true,
+    initial_stage: 'active',
+    stages: [
+      { key: 'active', label: 'Active', status: 'active' },
+      { key: 'pending', label: 'Pending', status: 'pending' },
+      { key: 'completed', label: 'Completed', status: 'completed' },
+    ],
+  },
+];
+
+// Mock server for the template list, custom field definitions and workflows
+const server = setupServer(
+  rest.get('/api/templates', (req, res, ctx) => res(ctx.json(templates))),
+  rest.get('/api/workflows', (req, res, ctx) => res(ctx.json(workflows))),
+  rest.get('/api/custom-fields', (req, res, ctx) => res(ctx.json([]))),
+  rest.get('/api/items/:id/workflow', (req, res, ctx) => res(ctx.json(itemWorkflow))),
+  rest.get('/api/items/:id/comments', (req, res, ctx) => res(ctx.json([])))
+);
+
+beforeAll(() => server.listen());
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+
+const renderNewItemDialog = (props = {}) => render(
+  <ItemDetails
+    open
+    onClose={jest.fn()}
+    onSave={jest.fn()}
+    onNameChange={jest.fn()}
+    allowEdit
+    {...props}
+  />
+);
+
+describe('ItemDetails', () => {
+  test('pre-fills a new item from the selected template', async () => {
+    const user = userEvent.setup();
+    const onSave = jest.fn();
+    renderNewItemDialog({ onSave });
+
+    await user.click(await screen.findByRole('combobox', { name: 'Template' }));
+    await user.click(within(screen.getByRole('listbox')).getByText('Bug report'));
+
+    expect(screen.getByText('bug')).toBeInTheDocument();
+    expect(screen.getByText('Adds a checklist: Reproduce, Fix')).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('Item Name'), 'Login fails');
+    await user.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+    expect(onSave).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'Login fails',
+      category: 'work',
+      priority: 'high',
+      tags: ['bug'],
+      templateId: 4,
+    }));
+  });
+
+  test('does not offer templates when editing an existing item', async () => {
+    const requests = jest.fn();
+    server.use(
+      rest.get('/api/templates', (req, res, ctx) => {
+        requests();
+        return res(ctx.json(templates));
+      })
+    );
+
+    renderNewItemDialog({ itemId: 1, itemName: 'Existing' });
+
+    await screen.findByText('No comments yet. Start the discussion!');
+    expect(screen.queryByRole('combobox', { name: 'Template' })).not.toBeInTheDocument();
+    expect(requests).not.toHaveBeenCalled();
+  });
+
+  test('renders custom field inputs and requires required fields', async () => {
+    server.use(
+      rest.get('/api/custom-fields', (req, res, ctx) => res(ctx.json(customFieldDefinitions)))
+    );
+    const user = userEvent.setup();
+    const onSave = jest.fn();
+    renderNewItemDialog({ onSave, customFields: { estimate: 3 } });
+
+    const size = await screen.findByRole('combobox', { name: /Size/ });
+    expect(screen.getByLabelText('Estimate')).toHaveValue(3);
+
+    await user.type(screen.getByLabelText('Item Name'), 'Sized item');
+    await user.click(screen.getByRole('button', { name: 'Save Changes' }));
+    expect(onSave).not.toHaveBeenCalled();
+    expect(screen.getByText('Required')).toBeInTheDocument();
+
+    await user.click(size);
+    await user.click(within(screen.getByRole('listbox')).getByText('M'));
+    await user.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+    expect(onSave).toHaveBeenCalledWith(expect.objectContaining({
+      customFields: { estimate: 3, size: 'M' },
+    }));
+  });
+
+  test('only offers the stages the workflow allows next', async () => {
+    const user = userEvent.setup();
+    const onSave = jest.fn();
+    renderNewItemDialog({
+      onSave, onStatusChange: jest.fn(), itemId: 1, itemName: 'Existing', itemWorkflowStage: 'draft',
+    });
+
+    await user.click(await screen.findByRole('combobox', { name: 'Stage' }));
+    const options = within(screen.getByRole('listbox'));
+    expect(options.getByRole('option', { name: 'Published (needs due_date)' }))
+      .toHaveAttribute('aria-disabled', 'true');
+
+    await user.click(options.getByRole('option', { name: 'In review' }));
+    await user.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+    expect(onSave).toHaveBeenCalledWith(expect.objectContaining({ id: 1, workflowStage: 'in_review' }));
+  });
+
+  test('starts a new item in the initial stage of the default workflow', async () => {
+    const user = userEvent.setup();
+    const onSave = jest.fn();
+    renderNewItemDialog({ onSave, onStatusChange: jest.fn() });
+
+    const stage = await screen.findByRole('combobox', { name: 'Stage' });
+    expect(await screen.findByText('Standard workflow')).toBeInTheDocument();
+    expect(stage).toHaveTextContent('Active');
+
+    await user.click(stage);
+    await user.click(within(screen.getByRole('listbox')).getByRole('option', { name: 'Pending' }));
+    await user.type(screen.getByLabelText('Item Name'), 'Fresh item');
+    await user.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+    expect(onSave).toHaveBeenCalledWith(expect.objectContaining({ name: 'Fresh item', workflowStage: 'pending' }));
+  });
+
+  test('disables the stage while the workflow cannot be loaded', async () => {
+    server.use(rest.get('/api/workflows', (req, res, ctx) => res(ctx.status(500))));
+    renderNewItemDialog();
+
+    expect(await screen.findByText('Could not load the workflow')).toBeInTheDocument();
+    expect(screen.getByRole('combobox', { name: 'Stage' })).toHaveAttribute('aria-disabled', 'true');
+  });
+
+  test('lets the user merge with a version saved by someone else', async () => {
+    const user = userEvent.setup();
+    const current = {
+      id: 1,
+      name: 'Existing',
+      description: 'Their notes',
+      category: null,
+      priority: 'high',
+      tags: '[]',
+      workflow_stage: 'draft',
+      due_date: null,
+      assignee: null,
+      custom_fields: '{}',
+      row_version: 2,
+    };
+    const onSave = jest.fn()
+      .mockResolvedValueOnce({ conflict: current })
+      .mockResolvedValueOnce(undefined);
+    renderNewItemDialog({
+      onSave, itemId: 1, itemName: 'Existing', itemDescription: 'Old notes', itemPriority: 'low', itemVersion: 1,
+    });
+
+    await screen.findByRole('combobox', { name: 'Stage' });
+    await user.clear(screen.getByLabelText('Item Name'));
+    await user.type(screen.getByLabelText('Item Name'), 'Renamed');
+    await user.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+    expect(onSave).toHaveBeenLastCalledWith(expect.objectContaining({ name: 'Renamed', version: 1 }));
+    const conflict = within(await screen.findByRole('table', { name: 'Conflicting fields' }));
+    // Only the fields that differ are listed, defaulting to whoever changed them
+    expect(conflict.getAllByRole('row')).toHaveLength(4);
+    expect(conflict.getByRole('radio', { name: 'Keep your Name' })).toBeChecked();
+    expect(conflict.getByRole('radio', { name: 'Keep their Description' })).toBeChecked();
+    expect(conflict.getByRole('radio', { name: 'Keep their Priority' })).toBeChecked();
+
+    await user.click(conflict.getByRole('radio', { name: 'Keep your Priority' }));
+    await user.click(screen.getByRole('button', { name: 'Save Merged Version' }));
+
+    expect(onSave).toHaveBeenLastCalledWith(expect.objectContaining({
+      name: 'Renamed',
+      description: 'Their notes',
+      priority: 'low',
+      version: 2,
+    }));
+    expect(screen.queryByRole('table', { name: 'Conflicting fields' })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,69 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { rest } from 'msw';
+import { setupServer } from 'msw/node';
+import ItemSearch from '../components/ItemSearch';
+
+const budgetItem = { id: 7, name: 'Quarterly budget', permissions: ['read', 'update'] };
+const offsiteItem = { id: 9, name: 'Team offsite', permissions: ['read'] };
+
+// Mock server for the search API
+const server = setupServer(
+  rest.get('/api/search', (req, res, ctx) => {
+    if (req.url.searchParams.get('q') !== 'budg') {
+      return res(ctx.json({ results: [] }));
+    }
+    return res(ctx.json({
+      results: [
+        {
+          item: budgetItem,
+          matches: [{ field: 'name', fragments: [{ text: 'Quarterly ', match: false }, { text: 'budget', match: true }] }],
+        },
+        {
+          item: offsiteItem,
+          matches: [{
+            field: 'description',
+            fragments: [
+              { text: 'Agree the ', match: false },
+              { text: 'budget', match: true },
+              { text: ' with finance', match: false },
+            ],
+          }],
+        },
+      ],
+    }));
+  })
+);
+
+beforeAll(() => server.listen());
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+
+describe('ItemSearch', () => {
+  test('lists matches with the matching words highlighted', async () => {
+    const user = userEvent.setup();
+    const onSelect = jest.fn();
+    render(<ItemSearch onSelect={onSelect} debounceMs={0} />);
+
+    await user.type(screen.getByRole('searchbox', { name: 'Search items' }), 'budg');
+
+    const results = within(await screen.findByRole('list', { name: 'Search results' }));
+    const highlights = results.getAllByText('budget');
+    expect(highlights).toHaveLength(2);
+    highlights.forEach((highlight) => expect(highlight.tagName).toBe('MARK'));
+    expect(results.getByText(/Description:/)).toBeInTheDocument();
+
+    await user.click(results.getByText('Team offsite'));
+    expect(onSelect).toHaveBeenCalledWith(offsiteItem);
+  });
+
+  test('says when nothing matches', async () => {
+    const user = userEvent.setup();
+    render(<ItemSearch onSelect={jest.fn()} debounceMs={0} />);
+
+    await user.type(screen.getByRole('searchbox', { name: 'Search items' }), 'zebra');
+
+    expect(await screen.findByText('No items match "zebra".')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,71 @@
+import { rest } from 'msw';
+import { setupServer } from 'msw/node';
+import ItemService from '../utils/ItemService';
+
+const requests = [];
+
+// Mock server for the detailed item list
+const server = setupServer(
+  rest.get('/api/items/details', (req, res, ctx) => {
+    requests.push(req.url.searchParams);
+    if (req.url.searchParams.get('sort') === 'bogus') {
+      return res(ctx.status(400), ctx.json({ error: 'Cannot sort on "bogus"' }));
+    }
+    return res(
+      ctx.set('X-Total-Count', '7'),
+      ctx.set('X-Next-Cursor', 'next-page'),
+      ctx.json([{ id: 3, name: 'Report' }])
+    );
+  })
+);
+
+beforeAll(() => server.listen());
+beforeEach(() => {
+  requests.length = 0;
+});
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+
+describe('ItemService.fetchItemsWithAdvancedFiltering', () => {
+  test('sends filters, sorting, fields and paging as the server query language', async () => {
+    const service = new ItemService();
+
+    const result = await service.fetchItemsWithAdvancedFiltering(
+      { status: 'active', assignee: ['ann', 'bob'], estimated_hours: { gte: 2 } },
+      [{ field: 'priority', direction: 'desc' }, { field: 'name', direction: 'asc' }],
+      { limit: 20, cursor: 'abc' },
+      ['name', 'priority'],
+      undefined,
+      ' report ',
+      { from: '2024-01-01', to: '2024-01-31' }
+    );
+
+    expect(result).toEqual({ items: [{ id: 3, name: 'Report' }], total: 7, nextCursor: 'next-page' });
+    expect(Object.fromEntries(requests[0])).toEqual({
+      'filter[status]': 'active',
+      'filter[assignee][in]': 'ann,bob',
+      'filter[estimated_hours][gte]': '2',
+      'filter[created_at][gte]': '2024-01-01',
+      'filter[created_at][lte]': '2024-01-31',
+      q: 'report',
+      sort: '-priority,name',
+      fields: 'name,priority',
+      limit: '20',
+      cursor: 'abc',
+    });
+  });
+
+  test('reuses cached results and reports server errors', async () => {
+    const service = new ItemService();
+    const fetchPage = (sorting) => service.fetchItemsWithAdvancedFiltering(
+      {}, sorting, undefined, undefined, ['description'], '', undefined, undefined, undefined, { ttlMs: 60000 }
+    );
+
+    await fetchPage('name');
+    await fetchPage('name');
+    expect(requests).toHaveLength(1);
+    expect(requests[0].get('omit')).toBe('description');
+
+    await expect(fetchPage('bogus')).rejects.toThrow('Cannot sort on "bogus"');
+  });
+});
@@ -0,0 +1,84 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { rest } from 'msw';
+import { setupServer } from 'msw/node';
+import NotificationCenter from '../components/NotificationCenter';
+
+let notifications;
+let savedPreferences;
+
+const unreadCount = () => notifications.filter((notification) => !notification.read_at).length;
+const list = () => ({ notifications, unread: unreadCount() });
+
+const preferences = [
+  { channel: 'in_app', enabled: true, address: null, requiresAddress: false },
+  { channel: 'email', enabled: true, address: null, requiresAddress: true },
+];
+
+// Mock server for in-app notifications and preferences
+const server = setupServer(
+  rest.get('/api/notifications', (req, res, ctx) => res(ctx.json(list()))),
+  rest.post('/api/notifications/:id/read', (req, res, ctx) => {
+    notifications = notifications.map((notification) => (
+      String(notification.id) === req.params.id ? { ...notification, read_at: '2024-01-02T00:00:00Z' } : notification
+    ));
+    return res(ctx.json(list()));
+  }),
+  rest.get('/api/notifications/preferences', (req, res, ctx) => res(ctx.json(preferences))),
+  rest.put('/api/notifications/preferences', async (req, res, ctx) => {
+    const { channels } = await req.json();
+    if (channels.some((channel) => channel.address === 'nope')) {
+      return res(ctx.status(400), ctx.json({ error: '"nope" is not a valid address for email' }));
+    }
+    savedPreferences = channels;
+    return res(ctx.json(preferences.map((preference, index) => ({ ...preference, ...channels[index] }))));
+  })
+);
+
+beforeAll(() => server.listen());
+beforeEach(() => {
+  notifications = [
+    { id: 2, event: 'status_changed', subject: '"Report" is now completed', read_at: null, created_at: '2024-01-01T10:00:00Z' },
+    { id: 1, event: 'item_assigned', subject: 'You were assigned "Report"', read_at: null, created_at: '2024-01-01T09:00:00Z' },
+  ];
+  savedPreferences = null;
+});
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+
+describe('NotificationCenter', () => {
+  test('lists notifications and marks them read', async () => {
+    const user = userEvent.setup();
+    render(<NotificationCenter />);
+
+    expect(await screen.findByText('"Report" is now completed')).toBeInTheDocument();
+    expect(screen.getByText('2 unread')).toBeInTheDocument();
+
+    await user.click(screen.getAllByRole('button', { name: 'Mark Read' })[0]);
+
+    expect(await screen.findByText('1 unread')).toBeInTheDocument();
+    expect(screen.getAllByRole('button', { name: 'Mark Read' })).toHaveLength(1);
+  });
+
+  test('saves channel preferences and shows validation errors', async () => {
+    const user = userEvent.setup();
+    render(<NotificationCenter />);
+
+    const address = await screen.findByLabelText('Email address');
+    await user.type(address, 'nope');
+    await user.click(screen.getByRole('button', { name: 'Save Preferences' }));
+    expect(await screen.findByText('"nope" is not a valid address for email')).toBeInTheDocument();
+
+    await user.clear(address);
+    await user.type(address, 'me@example.com');
+    await user.click(screen.getByRole('checkbox', { name: 'In-app' }));
+    await user.click(screen.getByRole('button', { name: 'Save Preferences' }));
+
+    expect(await screen.findByText('Preferences saved')).toBeInTheDocument();
+    await waitFor(() => expect(savedPreferences).toEqual([
+      { channel: 'in_app', enabled: false, address: null },
+      { channel: 'email', enabled: true, address: 'me@example.com' },
+    ]));
+  });
+});
@@ -0,0 +1,54 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { rest } from 'msw';
+import { setupServer } from 'msw/node';
+import ReminderList from '../components/ReminderList';
+
+const firedReminders = [
+  { id: 2, item_id: 5, kind: 'overdue', recipient: 'alice', message: '"Report" is overdue (due 2024-01-01)' },
+  { id: 1, item_id: 6, kind: 'before', recipient: null, message: '"Launch" is due in 1 day' },
+];
+
+let reminders;
+const dismissed = [];
+
+// Mock server for fired reminders and dismissals
+const server = setupServer(
+  rest.get('/api/reminders', (req, res, ctx) => res(ctx.json(reminders))),
+  rest.post('/api/reminders/:id/dismiss', (req, res, ctx) => {
+    dismissed.push(req.params.id);
+    return res(ctx.json({}));
+  })
+);
+
+beforeAll(() => server.listen());
+beforeEach(() => {
+  reminders = firedReminders;
+  dismissed.length = 0;
+});
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+
+describe('ReminderList', () => {
+  test('shows fired reminders and dismisses them', async () => {
+    const user = userEvent.setup();
+    render(<ReminderList />);
+
+    expect(await screen.findByText(/"Report" is overdue/)).toHaveTextContent('for alice');
+    expect(screen.getByText('Overdue')).toBeInTheDocument();
+    expect(screen.getByText('"Launch" is due in 1 day')).toBeInTheDocument();
+
+    await user.click(screen.getAllByRole('button', { name: 'Close' })[0]);
+
+    await waitFor(() => expect(screen.queryByText(/"Report" is overdue/)).not.toBeInTheDocument());
+    expect(dismissed).toEqual(['2']);
+  });
+
+  test('renders nothing without reminders', async () => {
+    reminders = [];
+    const { container } = render(<ReminderList />);
+
+    await waitFor(() => expect(container).toBeEmptyDOMElement());
+  });
+});
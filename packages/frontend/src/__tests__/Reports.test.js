@@ -0,0 +1,77 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { rest } from 'msw';
+import { setupServer } from 'msw/node';
+import Reports from '../components/Reports';
+import ItemService from '../utils/ItemService';
+
+const requests = [];
+
+const totals = { items: 3, estimatedHours: 12.5, budget: 1500, overdue: 1 };
+const group = (value, items) => ({ value, items, estimatedHours: 4, budget: 500, overdue: 0 });
+
+// Mock server for the reports API
+const server = setupServer(
+  rest.get('/api/reports/:type', (req, res, ctx) => {
+    requests.push(req.url);
+    if (req.params.type === 'detailed') {
+      return res(ctx.json({
+        type: 'detailed',
+        totals,
+        truncated: false,
+        items: [
+          { id: 1, name: 'Audit prep', category: 'finance', status: 'active', due_date: '2020-01-15', overdue: true },
+        ],
+      }));
+    }
+    return res(ctx.json({
+      type: 'summary',
+      totals,
+      byCategory: [group('finance', 2), group('it', 1)],
+      byPriority: [group('high', 3)],
+      byStatus: [group('active', 3)],
+      byAssignee: [group('ann', 2), group(null, 1)],
+      overdueItems: [{ id: 1, name: 'Audit prep', assignee: 'ann', due_date: '2020-01-15' }],
+    }));
+  })
+);
+
+beforeAll(() => server.listen());
+beforeEach(() => {
+  requests.length = 0;
+});
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+
+describe('Reports', () => {
+  test('shows the summary broken down by column, with overdue items', async () => {
+    render(<Reports itemService={new ItemService()} />);
+
+    expect(await screen.findByText('3 items · 12.5 estimated hours · budget 1500 · 1 overdue')).toBeInTheDocument();
+    const byCategory = within(screen.getByRole('table', { name: 'By category' }));
+    expect(byCategory.getByText('finance')).toBeInTheDocument();
+    expect(within(screen.getByRole('table', { name: 'By assignee' })).getByText('(none)')).toBeInTheDocument();
+    expect(within(screen.getByRole('table', { name: 'Overdue items' })).getByText('Audit prep')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Open as HTML' })).toHaveAttribute('href', '/api/reports/summary?format=html');
+  });
+
+  test('runs a detailed report with the chosen filters', async () => {
+    const user = userEvent.setup();
+    render(<Reports itemService={new ItemService()} />);
+    await screen.findByRole('table', { name: 'By category' });
+
+    await user.click(screen.getByRole('button', { name: 'Detailed' }));
+    await user.type(screen.getByLabelText('Category'), 'finance');
+    await user.click(screen.getByRole('button', { name: 'Run report' }));
+
+    const items = within(await screen.findByRole('table', { name: 'Report items' }));
+    expect(items.getByText('Audit prep')).toBeInTheDocument();
+    expect(items.getByText('(overdue)')).toBeInTheDocument();
+    const lastRequest = requests[requests.length - 1];
+    expect(lastRequest.pathname).toBe('/api/reports/detailed');
+    expect(lastRequest.searchParams.get('filter[category]')).toBe('finance');
+    expect(screen.getByRole('link', { name: 'Open as HTML' }))
+      .toHaveAttribute('href', '/api/reports/detailed?filter%5Bcategory%5D=finance&sort=name&format=html');
+  });
+});
@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  List,
+  ListItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { hasRole } from './AuthProvider';
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const formatColumn = (column) => {
+  const words = column.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const formatValue = (value) => (isBlank(value) ? '(empty)' : String(value));
+
+/**
+ * Column changes that actually differ from the item's current values; the
+ * dialog sends every field back, unchanged ones included.
+ */
+const listChanges = (request) => Object.entries(request.changes.columns)
+  .filter(([column, value]) => formatValue(value) !== formatValue(request.previous[column]))
+  .map(([column, value]) => ({ column, from: request.previous[column], to: value }));
+
+/**
+ * One pending change, with approve/reject controls when the user may decide.
+ */
+function ApprovalRequest({ request, canDecide, onDecide }) {
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const decide = async (decision) => {
+    setSubmitting(true);
+    await onDecide(request.id, decision, comment);
+    setSubmitting(false);
+  };
+
+  return (
+    <ListItem
+      divider
+      data-testid={`approval-${request.id}`}
+      sx={{ flexDirection: 'column', alignItems: 'stretch' }}
+    >
+      <Typography variant="subtitle2">{request.item_name}</Typography>
+      <Typography variant="caption" color="text.secondary">
+        Requested by {request.requested_by} · {new Date(request.created_at).toLocaleString()}
+      </Typography>
+      {listChanges(request).map(({ column, from, to }) => (
+        <Typography key={column} variant="body2">
+          {formatColumn(column)}: {formatValue(from)} → {formatValue(to)}
+        </Typography>
+      ))}
+
+      {canDecide && (
+        <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+          <TextField
+            size="small"
+            fullWidth
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Comment (required to reject)"
+            inputProps={{ 'aria-label': `Comment on the change to ${request.item_name}` }}
+          />
+          <Button variant="contained" disabled={submitting} onClick={() => decide('approve')}>
+            Approve
+          </Button>
+          <Button
+            color="error"
+            disabled={submitting || !comment.trim()}
+            onClick={() => decide('reject')}
+          >
+            Reject
+          </Button>
+        </Box>
+      )}
+    </ListItem>
+  );
+}
+
+/**
+ * ApprovalQueue - Changes awaiting approval. Everyone sees the queue; admins
+ * can approve or reject changes made by others.
+ *
+ * @param {Object} props
+ * @param {Object} props.user - The current user
+ * @param {*} props.refreshKey - Reloads the queue when it changes
+ * @param {Function} [props.onDecision] - Called after a change is approved or rejected
+ */
+function ApprovalQueue({ user, refreshKey, onDecision = () => {} }) {
+  const [requests, setRequests] = useState([]);
+  const [error, setError] = useState(null);
+
+  const loadRequests = useCallback(async () => {
+    try {
+      const response = await fetch('/api/approvals');
+      if (!response.ok) {
+        throw new Error('Network response was not ok');
+      }
+      setRequests(await response.json());
+      setError(null);
+    } catch (err) {
+      setError('Failed to load approval requests: ' + err.message);
+      console.error('Error loading approval requests:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests, refreshKey]);
+
+  const handleDecide = async (requestId, decision, comment) => {
+    try {
+      const response = await fetch(`/api/approvals/${requestId}/${decision}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ comment: comment.trim() || undefined }),
+      });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Failed to ${decision} change`);
+      }
+      await loadRequests();
+      onDecision();
+    } catch (err) {
+      setError(`Error trying to ${decision} change: ${err.message}`);
+      console.error(`Error trying to ${decision} change:`, err);
+    }
+  };
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ my: 1 }}>
+          {error}
+        </Alert>
+      )}
+
+      {requests.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ my: 1 }}>
+          No changes are awaiting approval.
+        </Typography>
+      ) : (
+        <List aria-label="Changes awaiting approval">
+          {requests.map((request) => (
+            <ApprovalRequest
+              key={request.id}
+              request={request}
+              canDecide={hasRole(user, 'admin') && request.requested_by !== user.id}
+              onDecide={handleDecide}
+            />
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+}
+
+export default ApprovalQueue;
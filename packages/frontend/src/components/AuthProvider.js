@@ -0,0 +1,90 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { Box, CircularProgress } from '@mui/material';
+import LoginPage from './LoginPage';
+
+export const AuthContext = createContext({ user: null, logout: () => {} });
+
+// Ordered from least to most privileged, as on the server
+const ROLES = ['viewer', 'editor', 'admin'];
+
+/**
+ * Current user and a logout function, for components rendered inside
+ * `AuthProvider`.
+ */
+export const useAuth = () => useContext(AuthContext);
+
+/**
+ * @param {Object|null} user - The current user
+ * @param {string} role - Minimum role
+ * @returns {boolean} - Whether the user's role is at least `role`
+ */
+export const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+/**
+ * AuthProvider - Gates its children behind a login.
+ *
+ * Asks the backend who is logged in and shows the login page until there is
+ * a session. The session itself lives in an HTTP-only cookie, so API calls
+ * made with `fetch` carry it without further changes.
+ */
+function AuthProvider({ children }) {
+  // undefined while the session is being checked, null when logged out
+  const [user, setUser] = useState(undefined);
+
+  useEffect(() => {
+    const loadCurrentUser = async () => {
+      try {
+        const response = await fetch('/api/auth/me');
+        setUser(response.ok ? await response.json() : null);
+      } catch (err) {
+        console.error('Error checking session:', err);
+        setUser(null);
+      }
+    };
+    loadCurrentUser();
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    const response = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ username, password }),
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(body.error || 'Login failed');
+    }
+    setUser(body.user);
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (err) {
+      console.error('Error logging out:', err);
+    }
+    setUser(null);
+  }, []);
+
+  if (user === undefined) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress aria-label="Checking session" />
+      </Box>
+    );
+  }
+
+  if (user === null) {
+    return <LoginPage onLogin={login} />;
+  }
+
+  return (
+    <AuthContext.Provider value={{ user, logout }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export default AuthProvider;
@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Divider,
+  TextField,
+  Typography,
+} from '@mui/material';
+
+/**
+ * Inline editor used for new comments, replies and edits.
+ */
+function CommentEditor({ initialValue = '', submitLabel, placeholder, onSubmit, onCancel }) {
+  const [value, setValue] = useState(initialValue);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!value.trim()) return;
+
+    setSubmitting(true);
+    const succeeded = await onSubmit(value);
+    setSubmitting(false);
+    if (succeeded && !initialValue) {
+      setValue('');
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} sx={{ display: 'flex', gap: 1, mt: 1 }}>
+      <TextField
+        fullWidth
+        size="small"
+        multiline
+        maxRows={4}
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={placeholder}
+        inputProps={{ 'aria-label': placeholder }}
+      />
+      <Button type="submit" variant="contained" disabled={submitting || !value.trim()}>
+        {submitLabel}
+      </Button>
+      {onCancel && (
+        <Button onClick={onCancel}>
+          Cancel
+        </Button>
+      )}
+    </Box>
+  );
+}
+
+/**
+ * A single comment with its replies rendered recursively beneath it.
+ */
+function CommentThread({ comment, depth, onReply, onEdit, onDelete }) {
+  const [mode, setMode] = useState(null);
+
+  const handleReply = async (body) => {
+    const succeeded = await onReply(body, comment.id);
+    if (succeeded) setMode(null);
+    return succeeded;
+  };
+
+  const handleEdit = async (body) => {
+    const succeeded = await onEdit(comment.id, body);
+    if (succeeded) setMode(null);
+    return succeeded;
+  };
+
+  return (
+    <Box
+      data-testid={`comment-${comment.id}`}
+      sx={{ pl: depth > 0 ? 2 : 0, borderLeft: depth > 0 ? 2 : 0, borderColor: 'grey.300', mt: 1 }}
+    >
+      <Typography variant="caption" color="text.secondary">
+        {comment.author} · {new Date(comment.created_at).toLocaleString()}
+        {comment.edited && ' (edited)'}
+      </Typography>
+
+      {mode === 'edit' ? (
+        <CommentEditor
+          initialValue={comment.body}
+          submitLabel="Save"
+          placeholder="Edit comment"
+          onSubmit={handleEdit}
+          onCancel={() => setMode(null)}
+        />
+      ) : (
+        <Typography
+          variant="body2"
+          sx={{ whiteSpace: 'pre-wrap', fontStyle: comment.deleted ? 'italic' : 'normal' }}
+          color={comment.deleted ? 'text.secondary' : 'text.primary'}
+        >
+          {comment.deleted ? 'Comment deleted' : comment.body}
+        </Typography>
+      )}
+
+      {!comment.deleted && mode === null && (
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button size="small" onClick={() => setMode('reply')}>Reply</Button>
+          <Button size="small" onClick={() => setMode('edit')}>Edit</Button>
+          <Button size="small" color="error" onClick={() => onDelete(comment.id)}>
+            Delete
+          </Button>
+        </Box>
+      )}
+
+      {mode === 'reply' && (
+        <CommentEditor
+          submitLabel="Reply"
+          placeholder={`Reply to ${comment.author}`}
+          onSubmit={handleReply}
+          onCancel={() => setMode(null)}
+        />
+      )}
+
+      {comment.replies.map((reply) => (
+        <CommentThread
+          key={reply.id}
+          comment={reply}
+          depth={depth + 1}
+          onReply={onReply}
+          onEdit={onEdit}
+          onDelete={onDelete}
+        />
+      ))}
+    </Box>
+  );
+}
+
+/**
+ * CommentsPane - Threaded discussion for a detailed item. Loads the item's
+ * comments and reloads them after every change so the thread stays in sync
+ * with the server.
+ */
+function CommentsPane({ itemId }) {
+  const [comments, setComments] = useState([]);
+  const [error, setError] = useState(null);
+
+  const loadComments = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/items/${itemId}/comments`);
+      if (!response.ok) {
+        throw new Error('Network response was not ok');
+      }
+      setComments(await response.json());
+      setError(null);
+    } catch (err) {
+      setError('Failed to load comments: ' + err.message);
+      console.error('Error loading comments:', err);
+    }
+  }, [itemId]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  /**
+   * Sends a comment request and reloads the thread on success.
+   *
+   * @param {string} url - Comment endpoint
+   * @param {Object} options - fetch options
+   * @param {string} action - Description used in the error message
+   * @returns {Promise<boolean>} - Whether the request succeeded
+   */
+  const submit = async (url, options, action) => {
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' },
+      });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Failed to ${action}`);
+      }
+      await loadComments();
+      return true;
+    } catch (err) {
+      setError(`Error trying to ${action}: ${err.message}`);
+      console.error(`Error trying to ${action}:`, err);
+      return false;
+    }
+  };
+
+  const handleAdd = (body, parentId = null) => submit(
+    `/api/items/${itemId}/comments`,
+    { method: 'POST', body: JSON.stringify({ body, parentId }) },
+    parentId ? 'reply' : 'add comment'
+  );
+
+  const handleEdit = (commentId, body) => submit(
+    `/api/items/${itemId}/comments/${commentId}`,
+    { method: 'PUT', body: JSON.stringify({ body }) },
+    'edit comment'
+  );
+
+  const handleDelete = (commentId) => submit(
+    `/api/items/${itemId}/comments/${commentId}`,
+    { method: 'DELETE' },
+    'delete comment'
+  );
+
+  return (
+    <Box>
+      <Divider sx={{ mb: 2 }} />
+      <Typography variant="subtitle1" component="h3" sx={{ fontWeight: 600 }}>
+        Comments
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ my: 1 }}>
+          {error}
+        </Alert>
+      )}
+
+      {comments.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ my: 1 }}>
+          No comments yet. Start the discussion!
+        </Typography>
+      ) : (
+        comments.map((comment) => (
+          <CommentThread
+            key={comment.id}
+            comment={comment}
+            depth={0}
+            onReply={handleAdd}
+            onEdit={handleEdit}
+            onDelete={handleDelete}
+          />
+        ))
+      )}
+
+      <CommentEditor
+        submitLabel="Comment"
+        placeholder="Add a comment"
+        onSubmit={(body) => handleAdd(body)}
+      />
+    </Box>
+  );
+}
+
+export default CommentsPane;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  Radio,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '(empty)';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '(empty)';
+  if (typeof value === 'object') {
+    const entries = Object.entries(value);
+    return entries.length > 0 ? entries.map(([key, entry]) => `${key}: ${entry}`).join(', ') : '(empty)';
+  }
+  return String(value);
+};
+
+/**
+ * ConflictDialog - Shown when saving an item someone else changed since it
+ * was opened. Lists each field on which the two versions differ, side by
+ * side, and lets the user pick which value to keep.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Array<Object>} props.fields - `{ key, label, mine, theirs, keep }`; `keep` is 'mine' or 'theirs'
+ * @param {Function} props.onResolve - Called with `{ [key]: value }` for every listed field
+ * @param {Function} props.onCancel
+ */
+function ConflictDialog({ open, fields, onResolve, onCancel }) {
+  const [choices, setChoices] = useState(() => Object.fromEntries(fields.map((field) => [field.key, field.keep])));
+
+  const choose = (key, side) => setChoices((current) => ({ ...current, [key]: side }));
+
+  const handleResolve = () => {
+    onResolve(Object.fromEntries(fields.map((field) => [field.key, field[choices[field.key]]])));
+  };
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="md" fullWidth>
+      <DialogTitle>This item was changed while you were editing</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          Someone else saved a newer version. Choose which value to keep for each field that differs,
+          then save the merged version.
+        </DialogContentText>
+        <Table size="small" aria-label="Conflicting fields">
+          <TableHead>
+            <TableRow>
+              <TableCell>Field</TableCell>
+              <TableCell>Your version</TableCell>
+              <TableCell>Their version</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {fields.map((field) => (
+              <TableRow key={field.key}>
+                <TableCell>{field.label}</TableCell>
+                {['mine', 'theirs'].map((side) => (
+                  <TableCell key={side}>
+                    <Radio
+                      size="small"
+                      checked={choices[field.key] === side}
+                      onChange={() => choose(field.key, side)}
+                      inputProps={{ 'aria-label': `Keep ${side === 'mine' ? 'your' : 'their'} ${field.label}` }}
+                    />
+                    {formatValue(field[side])}
+                  </TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Keep Editing</Button>
+        <Button variant="contained" onClick={handleResolve}>
+          Save Merged Version
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ConflictDialog;
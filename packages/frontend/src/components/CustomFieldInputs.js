@@ -0,0 +1,125 @@
+import React from 'react';
+import {
+  FormControl,
+  FormControlLabel,
+  FormHelperText,
+  Grid,
+  InputLabel,
+  MenuItem,
+  Select,
+  Switch,
+  TextField,
+} from '@mui/material';
+
+/**
+ * Renders one input for a custom field definition, matching its type.
+ */
+function CustomFieldInput({ definition, value, onChange, error, disabled }) {
+  const { key, label, type, required, min, max, options } = definition;
+  const helperText = error || (type === 'user' ? 'User ID' : undefined);
+
+  switch (type) {
+    case 'boolean':
+      return (
+        <FormControlLabel
+          control={
+            <Switch
+              checked={value === true}
+              onChange={(e) => onChange(key, e.target.checked)}
+            />
+          }
+          label={label}
+          disabled={disabled}
+        />
+      );
+    case 'enum':
+      return (
+        <FormControl fullWidth required={required} error={!!error}>
+          <InputLabel id={`custom-field-${key}-label`}>{label}</InputLabel>
+          <Select
+            labelId={`custom-field-${key}-label`}
+            value={value ?? ''}
+            label={label}
+            onChange={(e) => onChange(key, e.target.value)}
+            disabled={disabled}
+          >
+            {!required && <MenuItem value="">None</MenuItem>}
+            {options.map((option) => (
+              <MenuItem key={option} value={option}>{option}</MenuItem>
+            ))}
+          </Select>
+          {error && <FormHelperText>{error}</FormHelperText>}
+        </FormControl>
+      );
+    case 'number':
+      return (
+        <TextField
+          fullWidth
+          type="number"
+          label={label}
+          required={required}
+          value={value ?? ''}
+          onChange={(e) => onChange(key, e.target.value === '' ? null : Number(e.target.value))}
+          inputProps={{ min: min ?? undefined, max: max ?? undefined }}
+          error={!!error}
+          helperText={helperText}
+          disabled={disabled}
+        />
+      );
+    case 'date':
+      return (
+        <TextField
+          fullWidth
+          type="date"
+          label={label}
+          required={required}
+          value={value ?? ''}
+          onChange={(e) => onChange(key, e.target.value || null)}
+          inputProps={{ min: min ?? undefined, max: max ?? undefined }}
+          InputLabelProps={{ shrink: true }}
+          error={!!error}
+          helperText={helperText}
+          disabled={disabled}
+        />
+      );
+    default:
+      return (
+        <TextField
+          fullWidth
+          label={label}
+          required={required}
+          value={value ?? ''}
+          onChange={(e) => onChange(key, e.target.value)}
+          inputProps={type === 'text' ? { minLength: min ?? undefined, maxLength: max ?? undefined } : {}}
+          error={!!error}
+          helperText={helperText}
+          disabled={disabled}
+        />
+      );
+  }
+}
+
+/**
+ * CustomFieldInputs - Grid of inputs for every custom field definition.
+ *
+ * @param {Array<Object>} definitions - Definitions from `/api/custom-fields`
+ * @param {Object} values - Current values keyed by field key
+ * @param {Function} onChange - Called with `(key, value)`
+ * @param {Object} [errors] - Messages keyed by field key, as returned by the server
+ * @param {boolean} [disabled] - Render the inputs read-only
+ */
+function CustomFieldInputs({ definitions, values, onChange, errors = {}, disabled }) {
+  return definitions.map((definition) => (
+    <Grid item xs={12} md={6} key={definition.key}>
+      <CustomFieldInput
+        definition={definition}
+        value={values[definition.key]}
+        onChange={onChange}
+        error={errors[definition.key]}
+        disabled={disabled}
+      />
+    </Grid>
+  ));
+}
+
+export default CustomFieldInputs;
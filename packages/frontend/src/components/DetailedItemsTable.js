@@ -0,0 +1,175 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  IconButton,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import EditIcon from '@mui/icons-material/Edit';
+import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
+import KeyboardArrowRightIcon from '@mui/icons-material/KeyboardArrowRight';
+
+/**
+ * Groups a flat list of detailed items into trees using `parent_item_id`.
+ * Items whose parent is not in the list are treated as roots.
+ *
+ * @param {Array<Object>} items - Detailed items
+ * @returns {Array<Object>} - Root nodes as `{ item, children }`
+ */
+export function buildItemTree(items) {
+  const nodes = new Map(items.map((item) => [item.id, { item, children: [] }]));
+  const roots = [];
+
+  items.forEach((item) => {
+    const parent = nodes.get(item.parent_item_id);
+    if (parent && item.parent_item_id !== item.id) {
+      parent.children.push(nodes.get(item.id));
+    } else {
+      roots.push(nodes.get(item.id));
+    }
+  });
+
+  return roots;
+}
+
+/**
+ * Flattens the visible part of the tree into table rows, skipping the
+ * children of collapsed nodes.
+ */
+function visibleRows(nodes, expanded, depth = 0) {
+  return nodes.flatMap((node) => [
+    { ...node, depth },
+    ...(expanded.has(node.item.id) ? visibleRows(node.children, expanded, depth + 1) : []),
+  ]);
+}
+
+/**
+ * DetailedItemsTable - The "Item Details Management" table, rendered as a
+ * tree of parent and child items that can be expanded and collapsed.
+ *
+ * `canEdit` and `canDelete` decide, per item, whether its Edit and Delete
+ * buttons are shown.
+ */
+function DetailedItemsTable({
+  items,
+  onEdit,
+  onDelete,
+  canEdit = () => true,
+  canDelete = () => true,
+}) {
+  const [expanded, setExpanded] = useState(() => new Set());
+  const tree = useMemo(() => buildItemTree(items), [items]);
+  const parentIds = items
+    .filter((item) => items.some((child) => child.parent_item_id === item.id))
+    .map((item) => item.id);
+
+  const toggle = (itemId) => {
+    setExpanded((current) => {
+      const next = new Set(current);
+      if (next.has(itemId)) {
+        next.delete(itemId);
+      } else {
+        next.add(itemId);
+      }
+      return next;
+    });
+  };
+
+  return (
+    <>
+      {parentIds.length > 0 && (
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mb: 1 }}>
+          <Button size="small" onClick={() => setExpanded(new Set(parentIds))}>
+            Expand all
+          </Button>
+          <Button size="small" onClick={() => setExpanded(new Set())}>
+            Collapse all
+          </Button>
+        </Box>
+      )}
+      <TableContainer component={Paper} variant="outlined">
+        <Table sx={{ minWidth: 650 }} aria-label="detailed items table">
+          <TableHead>
+            <TableRow sx={{ backgroundColor: 'grey.100' }}>
+              <TableCell sx={{ fontWeight: 'bold' }}>ID</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Name</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Category</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Priority</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Status</TableCell>
+              <TableCell align="center" sx={{ fontWeight: 'bold' }}>Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {visibleRows(tree, expanded).map(({ item, children, depth }) => (
+              <TableRow
+                key={item.id}
+                sx={{
+                  '&:hover': { backgroundColor: 'grey.50' },
+                  '&:last-child td, &:last-child th': { border: 0 }
+                }}
+              >
+                <TableCell component="th" scope="row">
+                  {item.id}
+                </TableCell>
+                <TableCell>
+                  <Box sx={{ display: 'flex', alignItems: 'center', pl: depth * 3 }}>
+                    {children.length > 0 ? (
+                      <IconButton
+                        size="small"
+                        onClick={() => toggle(item.id)}
+                        aria-label={`${expanded.has(item.id) ? 'Collapse' : 'Expand'} ${item.name}`}
+                        aria-expanded={expanded.has(item.id)}
+                      >
+                        {expanded.has(item.id) ? <KeyboardArrowDownIcon /> : <KeyboardArrowRightIcon />}
+                      </IconButton>
+                    ) : (
+                      <Box sx={{ width: 34 }} />
+                    )}
+                    {item.name}
+                    {children.length > 0 && (
+                      <Box component="span" sx={{ ml: 1, color: 'text.secondary' }}>
+                        ({children.length})
+                      </Box>
+                    )}
+                  </Box>
+                </TableCell>
+                <TableCell>{item.category}</TableCell>
+                <TableCell>{item.priority}</TableCell>
+                <TableCell>{item.status}</TableCell>
+                <TableCell align="center">
+                  {canEdit(item) && (
+                    <IconButton
+                      onClick={() => onEdit(item)}
+                      color="primary"
+                      aria-label={`Edit ${item.name}`}
+                    >
+                      <EditIcon />
+                    </IconButton>
+                  )}
+                  {canDelete(item) && (
+                    <IconButton
+                      onClick={() => onDelete(item.id)}
+                      color="error"
+                      aria-label={`Delete ${item.name}`}
+                    >
+                      <DeleteIcon />
+                    </IconButton>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </>
+  );
+}
+
+export default DetailedItemsTable;
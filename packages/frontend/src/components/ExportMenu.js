@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { Button, ListItemText, Menu, MenuItem } from '@mui/material';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+
+const FORMATS = [
+  { format: 'csv', label: 'CSV', description: 'Opens in spreadsheets' },
+  { format: 'jsonl', label: 'JSON Lines', description: 'One JSON object per item' },
+  { format: 'xml', label: 'XML', description: 'One <item> element per item' },
+];
+
+/**
+ * ExportMenu - "Export" button whose menu downloads the items in the current
+ * view as CSV, JSON Lines or XML. Each choice is a plain download link, so
+ * the browser saves the file as the server streams it.
+ *
+ * @param {Object} props
+ * @param {ItemService} props.itemService - Builds the export URLs
+ * @param {Object} [props.view] - `{ filters, sorting, searchTerm, dateRange }`
+ *   of the current view, as taken by ItemService.getExportUrl
+ */
+function ExportMenu({ itemService, view = {} }) {
+  const [anchor, setAnchor] = useState(null);
+  const close = () => setAnchor(null);
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        startIcon={<FileDownloadIcon />}
+        aria-haspopup="true"
+        aria-expanded={Boolean(anchor)}
+        onClick={(e) => setAnchor(e.currentTarget)}
+      >
+        Export
+      </Button>
+      <Menu anchorEl={anchor} open={Boolean(anchor)} onClose={close}>
+        {FORMATS.map(({ format, label, description }) => (
+          <MenuItem
+            key={format}
+            component="a"
+            href={itemService.getExportUrl(format, view.filters, view.sorting, view.searchTerm, view.dateRange)}
+            download
+            onClick={close}
+          >
+            <ListItemText primary={label} secondary={description} />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+}
+
+export default ExportMenu;
@@ -11,6 +11,7 @@ import {
   Box,
   Chip,
   FormControl,
+  FormHelperText,
   InputLabel,
   Select,
   MenuItem,
@@ -18,6 +19,47 @@ import {
   FormControlLabel,
 } from '@mui/material';
 
+import CommentsPane from './CommentsPane';
+import CustomFieldInputs from './CustomFieldInputs';
+import ConflictDialog from './ConflictDialog';
+
+// Fields compared when a save conflicts, and how the server row stores each
+const CONFLICT_FIELDS = [
+  { key: 'name', label: 'Name', fromServer: (item) => item.name || '' },
+  { key: 'description', label: 'Description', fromServer: (item) => item.description || '' },
+  { key: 'category', label: 'Category', fromServer: (item) => item.category || '' },
+  { key: 'priority', label: 'Priority', fromServer: (item) => item.priority || 'medium' },
+  { key: 'tags', label: 'Tags', fromServer: (item) => (item.tags ? JSON.parse(item.tags) : []) },
+  { key: 'workflowStage', label: 'Stage', fromServer: (item) => item.workflow_stage || '' },
+  { key: 'dueDate', label: 'Due date', fromServer: (item) => item.due_date || '' },
+  { key: 'assignee', label: 'Assignee', fromServer: (item) => item.assignee || '' },
+  {
+    key: 'customFields',
+    label: 'Custom fields',
+    fromServer: (item) => (item.custom_fields ? JSON.parse(item.custom_fields) : {}),
+  },
+];
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Shapes the default workflow like an item's workflow, starting in its
+ * initial stage. A new item may be created in any of its stages.
+ */
+const toStartingWorkflow = (workflows) => {
+  const workflow = workflows.find((candidate) => candidate.is_default) || workflows[0];
+  if (!workflow) {
+    throw new Error('No workflow is defined');
+  }
+  return {
+    workflow: { id: workflow.id, name: workflow.name },
+    current: workflow.stages.find((stage) => stage.key === workflow.initial_stage),
+    transitions: workflow.stages
+      .filter((stage) => stage.key !== workflow.initial_stage)
+      .map((stage) => ({ ...stage, allowed: true, missing_fields: [] })),
+  };
+};
+
 /**
  * ItemDetails component for managing detailed item information
  * This component has several issues that need refactoring:
@@ -36,11 +78,13 @@ function ItemDetails({
   itemPriority,
   itemTags,
   itemStatus,
+  itemWorkflowStage,
   itemDueDate,
   itemAssignee,
   itemCreatedBy,
   itemCreatedAt,
   itemUpdatedAt,
+  itemVersion,
   showAdvanced,
   enableNotifications,
   autoSave,
@@ -62,19 +106,41 @@ function ItemDetails({
   historyData,
   validationRules,
   customFields,
-  permissions
+  permissions,
+  templateId
 }) {
   const [localName, setLocalName] = useState(itemName || '');
   const [localDescription, setLocalDescription] = useState(itemDescription || '');
   const [localCategory, setLocalCategory] = useState(itemCategory || '');
   const [localPriority, setLocalPriority] = useState(itemPriority || 'medium');
   const [localTags, setLocalTags] = useState(itemTags || []);
-  const [localStatus, setLocalStatus] = useState(itemStatus || 'active');
+  const [localWorkflowStage, setLocalWorkflowStage] = useState(itemWorkflowStage || '');
+  const [workflow, setWorkflow] = useState(null);
+  const [workflowError, setWorkflowError] = useState(null);
   const [localDueDate, setLocalDueDate] = useState(itemDueDate || '');
   const [localAssignee, setLocalAssignee] = useState(itemAssignee || '');
+  const [localTemplateId, setLocalTemplateId] = useState(templateId || '');
+  const [templates, setTemplates] = useState([]);
+  const [localCustomFields, setLocalCustomFields] = useState(customFields || {});
+  const [customFieldDefinitions, setCustomFieldDefinitions] = useState([]);
   const [errors, setErrors] = useState({});
   const [isValid, setIsValid] = useState(true);
   const [isDirty, setIsDirty] = useState(false);
+  // The version being edited, sent as If-Match so a concurrent change is not overwritten
+  const [version, setVersion] = useState(itemVersion);
+  // Values the edit started from, to tell the user's own changes from someone else's
+  const [baseValues, setBaseValues] = useState(() => ({
+    name: itemName || '',
+    description: itemDescription || '',
+    category: itemCategory || '',
+    priority: itemPriority || 'medium',
+    tags: itemTags || [],
+    workflowStage: itemWorkflowStage || '',
+    dueDate: itemDueDate || '',
+    assignee: itemAssignee || '',
+    customFields: customFields || {},
+  }));
+  const [conflict, setConflict] = useState(null);
 
   // Dead code - unused variables and functions
   const unusedVariable = 'This is never used';
@@ -91,34 +157,179 @@ function ItemDetails({
     return result * 2;
   }
 
-  // This useEffect has a bug - missing dependency
+  // Templates only apply to new items, so they are loaded for the create dialog
   useEffect(() => {
-    if (itemId) {
-      // This will cause a runtime error because fetchItemDetails is not defined
-      fetchItemDetails(itemId);
-    }
-  }, []);
+    if (!open || itemId) return;
+
+    const loadTemplates = async () => {
+      try {
+        const response = await fetch('/api/templates');
+        if (!response.ok) {
+          throw new Error('Network response was not ok');
+        }
+        setTemplates(await response.json());
+      } catch (err) {
+        console.error('Error loading templates:', err);
+      }
+    };
+    loadTemplates();
+  }, [open, itemId]);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const loadCustomFieldDefinitions = async () => {
+      try {
+        const response = await fetch('/api/custom-fields');
+        if (!response.ok) {
+          throw new Error('Network response was not ok');
+        }
+        setCustomFieldDefinitions(await response.json());
+      } catch (err) {
+        console.error('Error loading custom fields:', err);
+      }
+    };
+    loadCustomFieldDefinitions();
+  }, [open]);
+
+  // Existing items can only move to the stages their workflow allows from
+  // here; new items can start in any stage of the default workflow
+  useEffect(() => {
+    if (!open) return;
+
+    const loadWorkflow = async () => {
+      setWorkflow(null);
+      setWorkflowError(null);
+      try {
+        const response = await fetch(itemId ? `/api/items/${itemId}/workflow` : '/api/workflows');
+        if (!response.ok) {
+          throw new Error('Network response was not ok');
+        }
+        const result = itemId ? await response.json() : toStartingWorkflow(await response.json());
+        setWorkflow(result);
+        setLocalWorkflowStage(result.current.key);
+        setBaseValues((current) => ({ ...current, workflowStage: result.current.key }));
+      } catch (err) {
+        console.error('Error loading workflow:', err);
+        setWorkflowError('Could not load the workflow');
+      }
+    };
+    loadWorkflow();
+  }, [open, itemId]);
+
+  /**
+   * Selects a template and pre-fills the fields it has defaults for. The
+   * server fills in its custom fields and checklist when the item is saved.
+   */
+  const handleTemplateChange = (value) => {
+    setLocalTemplateId(value);
+    setIsDirty(true);
+
+    const template = templates.find((candidate) => candidate.id === value);
+    if (!template) return;
+    if (template.category) setLocalCategory(template.category);
+    if (template.priority) setLocalPriority(template.priority);
+    if (template.tags.length > 0) setLocalTags(template.tags);
+    setLocalCustomFields((current) => ({ ...template.custom_fields, ...current }));
+  };
+
+  const handleCustomFieldChange = (key, value) => {
+    setIsDirty(true);
+    setLocalCustomFields((current) => ({ ...current, [key]: value }));
+  };
+
+  const selectedTemplate = templates.find((template) => template.id === localTemplateId);
 
   // Missing error handling and logging in this function
   const handleSave = () => {
-    // No validation or error handling
+    const missingFields = customFieldDefinitions
+      .filter((definition) => definition.required)
+      .filter((definition) => [undefined, null, ''].includes(localCustomFields[definition.key]));
+    if (missingFields.length > 0) {
+      setErrors({
+        customFields: Object.fromEntries(missingFields.map((definition) => [definition.key, 'Required'])),
+      });
+      return;
+    }
+
+    saveValues(localValues, version);
+  };
+
+  const localValues = {
+    name: localName,
+    description: localDescription,
+    category: localCategory,
+    priority: localPriority,
+    tags: localTags,
+    workflowStage: localWorkflowStage,
+    dueDate: localDueDate,
+    assignee: localAssignee,
+    customFields: localCustomFields,
+  };
+
+  const setLocalValues = (values) => {
+    setLocalName(values.name);
+    setLocalDescription(values.description);
+    setLocalCategory(values.category);
+    setLocalPriority(values.priority);
+    setLocalTags(values.tags);
+    setLocalWorkflowStage(values.workflowStage);
+    setLocalDueDate(values.dueDate);
+    setLocalAssignee(values.assignee);
+    setLocalCustomFields(values.customFields);
+  };
+
+  const saveValues = async (values, expectedVersion) => {
     const updatedItem = {
+      ...values,
       id: itemId,
-      name: localName,
-      description: localDescription,
-      category: localCategory,
-      priority: localPriority,
-      tags: localTags,
-      status: localStatus,
-      dueDate: localDueDate,
-      assignee: localAssignee
+      workflowStage: values.workflowStage || undefined,
+      templateId: localTemplateId || undefined,
+      version: expectedVersion
     };
     
     // This might fail but no error handling
-    onSave(updatedItem);
+    const result = await onSave(updatedItem);
+    if (result?.conflict) {
+      handleConflict(values, result.conflict);
+      return;
+    }
     setIsDirty(false);
   };
 
+  /**
+   * Someone saved the item first. Fields only they changed default to their
+   * value and fields the user changed to the user's; when nothing the user
+   * edited is affected, the save is simply retried on their version.
+   */
+  const handleConflict = (mine, current) => {
+    const theirs = Object.fromEntries(CONFLICT_FIELDS.map((field) => [field.key, field.fromServer(current)]));
+    const fields = CONFLICT_FIELDS
+      .filter((field) => !sameValue(mine[field.key], theirs[field.key]))
+      .map((field) => ({
+        key: field.key,
+        label: field.label,
+        mine: mine[field.key],
+        theirs: theirs[field.key],
+        keep: sameValue(mine[field.key], baseValues[field.key]) ? 'theirs' : 'mine',
+      }));
+
+    setBaseValues(theirs);
+    setVersion(current.row_version);
+    if (fields.length === 0) {
+      saveValues(mine, current.row_version);
+      return;
+    }
+    setConflict({ fields, mine, version: current.row_version });
+  };
+
+  const handleConflictResolved = (chosen) => {
+    const merged = { ...conflict.mine, ...chosen };
+    setLocalValues(merged);
+    setConflict(null);
+    saveValues(merged, conflict.version);
+  };
+
   // Function with long parameter list that should be refactored
   const validateAndUpdateItem = (
     name,
@@ -229,8 +440,8 @@ function ItemDetails({
         setLocalPriority(value);
         onPriorityChange(value);
         break;
-      case 'status':
-        setLocalStatus(value);
+      case 'workflowStage':
+        setLocalWorkflowStage(value);
         onStatusChange(value);
         break;
       case 'dueDate':
@@ -247,9 +458,8 @@ function ItemDetails({
     }
   };
 
-  // This will cause a runtime error because formatDateTime is not defined
   const formatCreatedDate = (date) => {
-    return formatDateTime(date, 'yyyy-MM-dd HH:mm');
+    return new Date(date).toLocaleString();
   };
 
   return (
@@ -263,6 +473,33 @@ function ItemDetails({
       <DialogContent>
         <Box sx={{ mt: 2 }}>
           <Grid container spacing={3}>
+            {!itemId && templates.length > 0 && (
+              <Grid item xs={12}>
+                <FormControl fullWidth>
+                  <InputLabel id="item-template-label">Template</InputLabel>
+                  <Select
+                    labelId="item-template-label"
+                    value={localTemplateId}
+                    label="Template"
+                    onChange={(e) => handleTemplateChange(e.target.value)}
+                    disabled={readOnly}
+                  >
+                    <MenuItem value="">None</MenuItem>
+                    {templates.map((template) => (
+                      <MenuItem key={template.id} value={template.id}>
+                        {template.name}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                {selectedTemplate?.checklist.length > 0 && (
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                    Adds a checklist: {selectedTemplate.checklist.join(', ')}
+                  </Typography>
+                )}
+              </Grid>
+            )}
+
             <Grid item xs={12} md={6}>
               <TextField
                 fullWidth
@@ -321,19 +558,27 @@ function ItemDetails({
             </Grid>
             
             <Grid item xs={12} md={6}>
-              <FormControl fullWidth>
-                <InputLabel>Status</InputLabel>
+              <FormControl fullWidth error={Boolean(workflowError)}>
+                <InputLabel id="item-stage-label">Stage</InputLabel>
                 <Select
-                  value={localStatus}
-                  label="Status"
-                  onChange={(e) => handleInputChange('status', e.target.value)}
-                  disabled={readOnly}
+                  labelId="item-stage-label"
+                  value={workflow ? localWorkflowStage : ''}
+                  label="Stage"
+                  onChange={(e) => handleInputChange('workflowStage', e.target.value)}
+                  disabled={readOnly || !workflow}
                 >
-                  <MenuItem value="active">Active</MenuItem>
-                  <MenuItem value="pending">Pending</MenuItem>
-                  <MenuItem value="completed">Completed</MenuItem>
-                  <MenuItem value="cancelled">Cancelled</MenuItem>
+                  {workflow && <MenuItem value={workflow.current.key}>{workflow.current.label}</MenuItem>}
+                  {workflow && workflow.transitions.map((stage) => (
+                    <MenuItem key={stage.key} value={stage.key} disabled={!stage.allowed}>
+                      {stage.allowed
+                        ? stage.label
+                        : `${stage.label} (needs ${stage.missing_fields.join(', ')})`}
+                    </MenuItem>
+                  ))}
                 </Select>
+                <FormHelperText>
+                  {workflowError || (workflow ? `${workflow.workflow.name} workflow` : 'Loading workflow…')}
+                </FormHelperText>
               </FormControl>
             </Grid>
             
@@ -359,6 +604,33 @@ function ItemDetails({
               />
             </Grid>
             
+            {customFieldDefinitions.length > 0 && (
+              <>
+                <Grid item xs={12}>
+                  <Typography variant="subtitle2">
+                    Custom Fields
+                  </Typography>
+                </Grid>
+                <CustomFieldInputs
+                  definitions={customFieldDefinitions}
+                  values={localCustomFields}
+                  onChange={handleCustomFieldChange}
+                  errors={errors.customFields}
+                  disabled={readOnly}
+                />
+              </>
+            )}
+
+            {localTags.length > 0 && (
+              <Grid item xs={12}>
+                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                  {localTags.map((tag) => (
+                    <Chip key={tag} label={tag} size="small" />
+                  ))}
+                </Box>
+              </Grid>
+            )}
+
             {showAdvanced && (
               <>
                 <Grid item xs={12}>
@@ -404,11 +676,16 @@ function ItemDetails({
             {itemCreatedAt && (
               <Grid item xs={12}>
                 <Typography variant="body2" color="text.secondary">
-                  {/* This will cause an error because formatCreatedDate calls undefined function */}
                   Created: {formatCreatedDate(itemCreatedAt)} by {itemCreatedBy}
                 </Typography>
               </Grid>
             )}
+
+            {itemId && (
+              <Grid item xs={12}>
+                <CommentsPane itemId={itemId} />
+              </Grid>
+            )}
           </Grid>
         </Box>
       </DialogContent>
@@ -438,6 +715,15 @@ function ItemDetails({
           </Button>
         )}
       </DialogActions>
+
+      {conflict && (
+        <ConflictDialog
+          open
+          fields={conflict.fields}
+          onResolve={handleConflictResolved}
+          onCancel={() => setConflict(null)}
+        />
+      )}
     </Dialog>
   );
 }
@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  List,
+  ListItemButton,
+  ListItemText,
+  TextField,
+  Typography,
+} from '@mui/material';
+
+const DEFAULT_DEBOUNCE_MS = 250;
+
+const FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  tags: 'Tags',
+  comments: 'Comments',
+};
+
+/**
+ * Renders a snippet from the search API, marking the words that matched.
+ */
+function Snippet({ fragments }) {
+  return fragments.map((fragment, index) => (fragment.match
+    ? <mark key={index}>{fragment.text}</mark>
+    : <React.Fragment key={index}>{fragment.text}</React.Fragment>));
+}
+
+/**
+ * ItemSearch - Full-text search over detailed items. Searches as the user
+ * types and lists the best matches with the matching words highlighted;
+ * choosing one hands the item to `onSelect`.
+ *
+ * @param {Object} props
+ * @param {Function} props.onSelect - Called with the chosen item
+ * @param {number} [props.debounceMs] - How long typing must pause before searching
+ */
+function ItemSearch({ onSelect, debounceMs = DEFAULT_DEBOUNCE_MS }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (query.trim() === '') {
+      setResults(null);
+      setError(null);
+      return undefined;
+    }
+
+    // Only the latest query's results are shown, however the requests finish
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
+        const body = await response.json();
+        if (!response.ok) {
+          throw new Error(body.error || 'Search failed');
+        }
+        if (!cancelled) {
+          setResults(body.results);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message);
+        }
+      }
+    }, debounceMs);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, debounceMs]);
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <TextField
+        label="Search items"
+        type="search"
+        fullWidth
+        size="small"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        helperText={error || 'Matches names, descriptions, tags and comments; word beginnings are enough'}
+        error={Boolean(error)}
+      />
+      {results && results.length === 0 && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          No items match "{query.trim()}".
+        </Typography>
+      )}
+      {results && results.length > 0 && (
+        <List dense aria-label="Search results">
+          {results.map(({ item, matches }) => {
+            const nameMatch = matches.find((match) => match.field === 'name');
+            return (
+              <ListItemButton key={item.id} onClick={() => onSelect(item)}>
+                <ListItemText
+                  primary={nameMatch ? <Snippet fragments={nameMatch.fragments} /> : item.name}
+                  secondary={matches
+                    .filter((match) => match.field !== 'name')
+                    .map((match) => (
+                      <Box component="span" display="block" key={match.field}>
+                        {FIELD_LABELS[match.field]}: <Snippet fragments={match.fragments} />
+                      </Box>
+                    ))}
+                />
+              </ListItemButton>
+            );
+          })}
+        </List>
+      )}
+    </Box>
+  );
+}
+
+export default ItemSearch;
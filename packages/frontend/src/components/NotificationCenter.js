@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  FormControlLabel,
+  List,
+  ListItem,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+
+const CHANNEL_LABELS = {
+  in_app: 'In-app',
+  log: 'Server log',
+  email: 'Email',
+};
+
+/**
+ * NotificationCenter - The signed-in user's in-app notifications, newest
+ * first, and the channels they want notifications on. Polls so new
+ * notifications show up without a reload.
+ *
+ * @param {Object} props
+ * @param {number} [props.pollIntervalMs] - How often to check for new notifications
+ */
+function NotificationCenter({ pollIntervalMs = DEFAULT_POLL_INTERVAL_MS }) {
+  const [notifications, setNotifications] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [preferences, setPreferences] = useState([]);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  const applyList = (list) => {
+    setNotifications(list.notifications);
+    setUnread(list.unread);
+  };
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      const response = await fetch('/api/notifications');
+      if (!response.ok) {
+        throw new Error('Network response was not ok');
+      }
+      applyList(await response.json());
+    } catch (err) {
+      console.error('Error loading notifications:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadNotifications();
+    const timer = setInterval(loadNotifications, pollIntervalMs);
+    return () => clearInterval(timer);
+  }, [loadNotifications, pollIntervalMs]);
+
+  useEffect(() => {
+    const loadPreferences = async () => {
+      try {
+        const response = await fetch('/api/notifications/preferences');
+        if (!response.ok) {
+          throw new Error('Network response was not ok');
+        }
+        setPreferences(await response.json());
+      } catch (err) {
+        console.error('Error loading notification preferences:', err);
+      }
+    };
+    loadPreferences();
+  }, []);
+
+  const markRead = async (notificationId) => {
+    const path = notificationId === undefined ? 'read-all' : `${notificationId}/read`;
+    try {
+      const response = await fetch(`/api/notifications/${path}`, { method: 'POST' });
+      if (!response.ok) {
+        throw new Error('Failed to mark notification read');
+      }
+      applyList(await response.json());
+    } catch (err) {
+      console.error('Error marking notification read:', err);
+    }
+  };
+
+  const updatePreference = (channel, changes) => {
+    setSaved(false);
+    setPreferences((current) => current.map((preference) => (
+      preference.channel === channel ? { ...preference, ...changes } : preference
+    )));
+  };
+
+  const savePreferences = async () => {
+    setError(null);
+    try {
+      const response = await fetch('/api/notifications/preferences', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          channels: preferences.map(({ channel, enabled, address }) => ({ channel, enabled, address })),
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to save notification preferences');
+      }
+      setPreferences(result);
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="body2" color="text.secondary">
+          {unread === 0 ? 'No unread notifications' : `${unread} unread`}
+        </Typography>
+        <Button size="small" disabled={unread === 0} onClick={() => markRead()}>
+          Mark All Read
+        </Button>
+      </Box>
+
+      {notifications.length > 0 && (
+        <List dense aria-label="Notifications">
+          {notifications.map((notification) => (
+            <ListItem
+              key={notification.id}
+              divider
+              secondaryAction={!notification.read_at && (
+                <Button size="small" onClick={() => markRead(notification.id)}>
+                  Mark Read
+                </Button>
+              )}
+            >
+              <Box>
+                <Typography variant="body2" sx={{ fontWeight: notification.read_at ? 'normal' : 'bold' }}>
+                  {notification.subject}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {new Date(notification.created_at).toLocaleString()}
+                </Typography>
+              </Box>
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      <Typography variant="subtitle2" sx={{ mt: 2 }}>
+        Deliver notifications by
+      </Typography>
+      {preferences.map((preference) => {
+        const label = CHANNEL_LABELS[preference.channel] || preference.channel;
+        return (
+          <Box key={preference.channel} sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <FormControlLabel
+              label={label}
+              control={(
+                <Switch
+                  checked={preference.enabled}
+                  onChange={(event) => updatePreference(preference.channel, { enabled: event.target.checked })}
+                />
+              )}
+            />
+            {preference.requiresAddress && (
+              <TextField
+                size="small"
+                label={`${label} address`}
+                value={preference.address || ''}
+                onChange={(event) => updatePreference(preference.channel, { address: event.target.value })}
+              />
+            )}
+          </Box>
+        );
+      })}
+      {error && <Alert severity="error" sx={{ mt: 1 }}>{error}</Alert>}
+      {saved && <Alert severity="success" sx={{ mt: 1 }}>Preferences saved</Alert>}
+      <Button variant="outlined" size="small" sx={{ mt: 1 }} onClick={savePreferences}>
+        Save Preferences
+      </Button>
+    </Box>
+  );
+}
+
+export default NotificationCenter;
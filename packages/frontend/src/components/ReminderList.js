@@ -0,0 +1,68 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Alert, AlertTitle, Stack } from '@mui/material';
+
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * ReminderList - Reminders the backend has fired, newest first, each of
+ * which can be dismissed. Polls so reminders that fire while the page is
+ * open show up without a reload; renders nothing when there are none.
+ *
+ * @param {Object} props
+ * @param {number} [props.pollIntervalMs] - How often to check for new reminders
+ */
+function ReminderList({ pollIntervalMs = DEFAULT_POLL_INTERVAL_MS }) {
+  const [reminders, setReminders] = useState([]);
+
+  const loadReminders = useCallback(async () => {
+    try {
+      const response = await fetch('/api/reminders');
+      if (!response.ok) {
+        throw new Error('Network response was not ok');
+      }
+      setReminders(await response.json());
+    } catch (err) {
+      console.error('Error loading reminders:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadReminders();
+    const timer = setInterval(loadReminders, pollIntervalMs);
+    return () => clearInterval(timer);
+  }, [loadReminders, pollIntervalMs]);
+
+  const handleDismiss = async (reminderId) => {
+    try {
+      const response = await fetch(`/api/reminders/${reminderId}/dismiss`, { method: 'POST' });
+      if (!response.ok) {
+        throw new Error('Failed to dismiss reminder');
+      }
+      setReminders((current) => current.filter((reminder) => reminder.id !== reminderId));
+    } catch (err) {
+      console.error('Error dismissing reminder:', err);
+    }
+  };
+
+  if (reminders.length === 0) {
+    return null;
+  }
+
+  return (
+    <Stack spacing={1} sx={{ mb: 3 }} aria-label="Reminders">
+      {reminders.map((reminder) => (
+        <Alert
+          key={reminder.id}
+          severity={reminder.kind === 'overdue' ? 'warning' : 'info'}
+          onClose={() => handleDismiss(reminder.id)}
+        >
+          <AlertTitle>{reminder.kind === 'overdue' ? 'Overdue' : 'Reminder'}</AlertTitle>
+          {reminder.message}
+          {reminder.recipient && ` · for ${reminder.recipient}`}
+        </Alert>
+      ))}
+    </Stack>
+  );
+}
+
+export default ReminderList;
@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+} from '@mui/material';
+
+const GROUPS = [
+  { key: 'byCategory', label: 'Category' },
+  { key: 'byPriority', label: 'Priority' },
+  { key: 'byStatus', label: 'Status' },
+  { key: 'byAssignee', label: 'Assignee' },
+];
+
+const STATUSES = ['active', 'pending', 'completed', 'cancelled'];
+
+const EMPTY_FILTERS = { category: '', status: '', assignee: '' };
+
+// Only filters the user has filled in are sent
+const toQueryFilters = (filters) => Object.fromEntries(
+  Object.entries(filters).filter(([, value]) => value.trim() !== '')
+);
+
+const formatTotals = ({ items, estimatedHours, budget, overdue }) => (
+  `${items} items · ${estimatedHours} estimated hours · budget ${budget} · ${overdue} overdue`
+);
+
+/**
+ * Counts and totals for each value of one column, e.g. per category.
+ */
+function GroupTable({ label, groups }) {
+  return (
+    <Table size="small" aria-label={`By ${label.toLowerCase()}`} sx={{ mb: 2 }}>
+      <TableHead>
+        <TableRow>
+          <TableCell>{label}</TableCell>
+          <TableCell align="right">Items</TableCell>
+          <TableCell align="right">Estimated hours</TableCell>
+          <TableCell align="right">Budget</TableCell>
+          <TableCell align="right">Overdue</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {groups.map((group) => (
+          <TableRow key={group.value ?? ''}>
+            <TableCell>{group.value ?? '(none)'}</TableCell>
+            <TableCell align="right">{group.items}</TableCell>
+            <TableCell align="right">{group.estimatedHours}</TableCell>
+            <TableCell align="right">{group.budget}</TableCell>
+            <TableCell align="right">{group.overdue}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+/**
+ * Reports - Summary and detailed reports on the detailed items, filtered by
+ * category, status and assignee. The summary breaks counts and totals down
+ * by column and lists overdue items; the detailed report lists the items.
+ * Either can be opened as an HTML page for printing or sharing.
+ *
+ * @param {Object} props
+ * @param {ItemService} props.itemService - Fetches reports and builds their URLs
+ */
+function Reports({ itemService }) {
+  const [reportType, setReportType] = useState('summary');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Filters of the report on screen; edits apply when the report is run
+  const [appliedFilters, setAppliedFilters] = useState({});
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    itemService.generateReportData(reportType, appliedFilters, reportType === 'detailed' ? 'name' : undefined)
+      .then((result) => {
+        if (!cancelled) {
+          setReport(result);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.message);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [itemService, reportType, appliedFilters]);
+
+  const updateFilter = (field) => (e) => setFilters((current) => ({ ...current, [field]: e.target.value }));
+
+  const runReport = (e) => {
+    e.preventDefault();
+    setAppliedFilters(toQueryFilters(filters));
+  };
+
+  return (
+    <Box>
+      <Box component="form" onSubmit={runReport} sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+        <ToggleButtonGroup
+          exclusive
+          size="small"
+          value={reportType}
+          onChange={(e, value) => value && setReportType(value)}
+          aria-label="Report type"
+        >
+          <ToggleButton value="summary">Summary</ToggleButton>
+          <ToggleButton value="detailed">Detailed</ToggleButton>
+        </ToggleButtonGroup>
+        <TextField size="small" label="Category" value={filters.category} onChange={updateFilter('category')} />
+        <TextField
+          select
+          size="small"
+          label="Status"
+          value={filters.status}
+          onChange={updateFilter('status')}
+          sx={{ minWidth: 140 }}
+        >
+          <MenuItem value="">Any</MenuItem>
+          {STATUSES.map((status) => (
+            <MenuItem key={status} value={status}>{status}</MenuItem>
+          ))}
+        </TextField>
+        <TextField size="small" label="Assignee" value={filters.assignee} onChange={updateFilter('assignee')} />
+        <Button type="submit" variant="contained">Run report</Button>
+        <Button
+          component="a"
+          href={itemService.getReportUrl(reportType, 'html', appliedFilters, reportType === 'detailed' ? 'name' : undefined)}
+          target="_blank"
+          rel="noopener"
+        >
+          Open as HTML
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {report && report.type === reportType && (
+        <>
+          <Typography variant="subtitle1" sx={{ mb: 2 }}>{formatTotals(report.totals)}</Typography>
+
+          {report.type === 'summary' && (
+            <>
+              {GROUPS.map(({ key, label }) => (
+                <GroupTable key={key} label={label} groups={report[key]} />
+              ))}
+              <Typography variant="subtitle2">Overdue items</Typography>
+              {report.overdueItems.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">Nothing is overdue.</Typography>
+              ) : (
+                <Table size="small" aria-label="Overdue items">
+                  <TableBody>
+                    {report.overdueItems.map((item) => (
+                      <TableRow key={item.id}>
+                        <TableCell>{item.name}</TableCell>
+                        <TableCell>{item.assignee || 'Unassigned'}</TableCell>
+                        <TableCell>Due {item.due_date}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </>
+          )}
+
+          {report.type === 'detailed' && (
+            <>
+              {report.truncated && (
+                <Alert severity="info" sx={{ mb: 2 }}>
+                  Showing the first {report.items.length} items; narrow the filters to see the rest.
+                </Alert>
+              )}
+              <Table size="small" aria-label="Report items">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Name</TableCell>
+                    <TableCell>Category</TableCell>
+                    <TableCell>Priority</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Assignee</TableCell>
+                    <TableCell>Due</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.items.map((item) => (
+                    <TableRow key={item.id}>
+                      <TableCell>{item.name}</TableCell>
+                      <TableCell>{item.category}</TableCell>
+                      <TableCell>{item.priority}</TableCell>
+                      <TableCell>{item.status}</TableCell>
+                      <TableCell>{item.assignee}</TableCell>
+                      <TableCell>
+                        {item.due_date}
+                        {item.overdue && (
+                          <Typography component="span" variant="body2" color="error"> (overdue)</Typography>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </>
+          )}
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default Reports;
@@ -29,6 +29,85 @@ function deprecatedDataProcessor(items, filters, sorts, pagination) {
   return processed.slice(pagination.start, pagination.end);
 }
 
+/**
+ * Checks the permissions the server reported for an item, e.g. the
+ * `permissions` array on a detailed item.
+ *
+ * @param {Array<string>} permissions - Actions the user may take: read, update, delete, manage
+ * @param {string} action - The action about to be taken
+ * @returns {boolean}
+ */
+function validateUserPermissions(permissions, action) {
+  return Array.isArray(permissions) && permissions.includes(action);
+}
+
+/**
+ * Builds the query string for `GET /api/items/details`.
+ *
+ * @param {Object} [filters] - Column to a value, or to `{ operator: value }`,
+ *   e.g. `{ status: 'active', estimated_hours: { gte: 2 }, assignee: { in: ['ann', 'bob'] } }`
+ * @param {Array<Object>|string} [sorting] - `[{ field, direction }]`, or the server's `-priority,name` form
+ * @param {Object} [pagination] - `{ limit, cursor }`
+ * @param {Array<string>} [includes] - Only return these fields
+ * @param {Array<string>} [excludes] - Leave these fields out
+ * @param {string} [searchTerm] - Matched against name and description
+ * @param {Object} [dateRange] - `{ field = 'created_at', from, to }`, inclusive
+ * @returns {string}
+ */
+function buildAdvancedQuery(filters, sorting, pagination, includes, excludes, searchTerm, dateRange) {
+  const params = new URLSearchParams();
+  const formatValue = (value) => (Array.isArray(value) ? value.join(',') : String(value));
+
+  Object.entries(filters || {}).forEach(([field, condition]) => {
+    if (condition !== null && typeof condition === 'object' && !Array.isArray(condition)) {
+      Object.entries(condition).forEach(([operator, value]) => {
+        params.append(`filter[${field}][${operator}]`, formatValue(value));
+      });
+    } else if (Array.isArray(condition)) {
+      params.append(`filter[${field}][in]`, formatValue(condition));
+    } else {
+      params.append(`filter[${field}]`, formatValue(condition));
+    }
+  });
+
+  if (dateRange) {
+    const field = dateRange.field || 'created_at';
+    if (dateRange.from) {
+      params.append(`filter[${field}][gte]`, dateRange.from);
+    }
+    if (dateRange.to) {
+      params.append(`filter[${field}][lte]`, dateRange.to);
+    }
+  }
+
+  if (searchTerm && searchTerm.trim()) {
+    params.set('q', searchTerm.trim());
+  }
+
+  if (Array.isArray(sorting) && sorting.length > 0) {
+    params.set('sort', sorting
+      .map(({ field, direction }) => `${direction === 'desc' ? '-' : ''}${field}`)
+      .join(','));
+  } else if (typeof sorting === 'string' && sorting) {
+    params.set('sort', sorting);
+  }
+
+  if (includes && includes.length > 0) {
+    params.set('fields', includes.join(','));
+  } else if (excludes && excludes.length > 0) {
+    params.set('omit', excludes.join(','));
+  }
+
+  if (pagination?.limit) {
+    params.set('limit', String(pagination.limit));
+  }
+  if (pagination?.cursor) {
+    params.set('cursor', pagination.cursor);
+  }
+
+  return params.toString();
+}
+
 class ItemService {
   constructor() {
     this.cache = new Map();
@@ -68,7 +147,8 @@ class ItemService {
     budget,
     currency,
     location,
-    externalReferences
+    externalReferences,
+    templateId
   ) {
     // No logging of function entry or parameters
     
@@ -99,15 +179,15 @@ class ItemService {
         budget,
         currency,
         location,
-        externalReferences
+        externalReferences,
+        templateId
       };
 
-      // This will cause a runtime error - validateItemData function doesn't exist
-      if (!validateItemData(itemData)) {
-        throw new Error('Invalid item data');
+      if (!name || !name.trim()) {
+        throw new Error('Item name is required');
       }
 
-      const response = await fetch(`${API_BASE_URL}/items`, {
+      const response = await fetch(`${API_BASE_URL}/items/details`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -116,16 +196,11 @@ class ItemService {
       });
 
       if (!response.ok) {
-        // Missing detailed error logging
-        throw new Error('Failed to create item');
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || 'Failed to create item');
       }
 
-      const result = await response.json();
-      
-      // This will cause an error - processNewItem function doesn't exist
-      await processNewItem(result, notificationSettings, auditEnabled);
-      
-      return result;
+      return await response.json();
     } catch (error) {
       // Missing error logging and context
       throw error;
@@ -160,8 +235,7 @@ class ItemService {
     try {
       // Missing validation of inputs
       
-      // This will cause a runtime error - validateUserPermissions doesn't exist
-      if (!validateUserPermissions(userPermissions, itemId)) {
+      if (!validateUserPermissions(userPermissions, 'update')) {
         throw new Error('Insufficient permissions');
       }
 
@@ -185,7 +259,7 @@ class ItemService {
       
       // This will cause an error - these functions don't exist
       await handleAuditLogging(auditOptions, itemId, updates);
-      await sendNotifications(notificationOptions, result);
+      // Notifications are sent by the server when the item changes
       await updateCache(itemId, result, cachingStrategy);
       
       return result;
@@ -211,7 +285,15 @@ class ItemService {
     localStorage.setItem(`old_cache_${key}`, JSON.stringify(value));
   }
 
-  // Function that will cause runtime errors
+  /**
+   * Fetches one page of detailed items from the server, which does the
+   * filtering, sorting and paging.
+   *
+   * @param {Object} [cacheOptions] - `{ ttlMs }` to reuse a result for that long
+   * @returns {Promise<{ items: Array<Object>, total: number, nextCursor: string|null }>} - Pass
+   *   `nextCursor` back as `pagination.cursor` for the next page
+   * @see buildAdvancedQuery for the other parameters
+   */
   async fetchItemsWithAdvancedFiltering(
     filters,
     sorting,
@@ -224,49 +306,42 @@ class ItemService {
     permissions,
     cacheOptions
   ) {
-    // No input validation or logging
-    
-    try {
-      // This will cause an error - buildAdvancedQuery doesn't exist
-      const queryParams = buildAdvancedQuery(
-        filters,
-        sorting,
-        pagination,
-        includes,
-        excludes,
-        searchTerm,
-        dateRange
-      );
-
-      const url = `${API_BASE_URL}/items?${queryParams}`;
-      
-      // This will cause an error - checkCacheFirst doesn't exist
-      const cachedResult = checkCacheFirst(url, cacheOptions);
-      if (cachedResult) {
-        return cachedResult;
-      }
+    // The server identifies the user from the session and reports each item's
+    // permissions, so userContext and permissions are not sent
+    const queryParams = buildAdvancedQuery(
+      filters,
+      sorting,
+      pagination,
+      includes,
+      excludes,
+      searchTerm,
+      dateRange
+    );
+
+    const url = `${API_BASE_URL}/items/details?${queryParams}`;
+
+    const cached = this.cache.get(url);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.result;
+    }
 
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        // Missing error context and logging
-        throw new Error('Fetch failed');
-      }
+    const response = await fetch(url);
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || 'Failed to fetch items');
+    }
 
-      const data = await response.json();
-      
-      // This will cause an error - these functions don't exist
-      const processedData = applyPermissionFiltering(data, permissions);
-      const enrichedData = enrichItemData(processedData, userContext);
-      
-      // Update cache - this function doesn't exist either
-      updateItemsCache(url, enrichedData, cacheOptions);
-      
-      return enrichedData;
-    } catch (error) {
-      // No error logging or recovery
-      throw error;
+    const items = await response.json();
+    const result = {
+      items,
+      total: Number(response.headers.get('X-Total-Count') ?? items.length),
+      nextCursor: response.headers.get('X-Next-Cursor'),
+    };
+
+    if (cacheOptions?.ttlMs) {
+      this.cache.set(url, { result, expiresAt: Date.now() + cacheOptions.ttlMs });
     }
+    return result;
   }
 
   // Method with missing error handling
@@ -297,32 +372,48 @@ class ItemService {
     };
   }
 
-  // Dead code - method that's never called
-  generateReportData(items, reportType, filters) {
-    console.log('This method is never used');
-    
-    if (reportType === 'summary') {
-      return this.generateSummaryReport(items, filters);
-    } else if (reportType === 'detailed') {
-      return this.generateDetailedReport(items, filters);
+  /**
+   * Fetches a report on the detailed items in a view from the server.
+   *
+   * @param {string} reportType - summary (counts and totals) or detailed (the items themselves)
+   * @returns {Promise<Object>} - The report, as described in the backend's ReportService
+   * @see buildAdvancedQuery for the other parameters
+   */
+  async generateReportData(reportType, filters, sorting, searchTerm, dateRange) {
+    const response = await fetch(this.getReportUrl(reportType, 'json', filters, sorting, searchTerm, dateRange));
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(body.error || 'Failed to load the report');
     }
-    
-    return null;
+    return body;
   }
 
-  // More dead code
-  exportToFormat(data, format, options) {
-    // This export functionality was never implemented fully
-    switch (format) {
-      case 'csv':
-        return this.exportToCSV(data, options);
-      case 'json':
-        return this.exportToJSON(data, options);
-      case 'xml':
-        return this.exportToXML(data, options);
-      default:
-        return null;
-    }
+  /**
+   * URL of a report on the detailed items in a view.
+   *
+   * @param {string} reportType - summary or detailed
+   * @param {string} format - json, or html for a printable page
+   * @returns {string}
+   * @see buildAdvancedQuery for the other parameters
+   */
+  getReportUrl(reportType, format, filters, sorting, searchTerm, dateRange) {
+    const params = new URLSearchParams(buildAdvancedQuery(filters, sorting, null, null, null, searchTerm, dateRange));
+    params.set('format', format);
+    return `${API_BASE_URL}/reports/${encodeURIComponent(reportType)}?${params}`;
+  }
+
+  /**
+   * URL that downloads the detailed items in a view as a file. The server
+   * streams the file, so link to it rather than fetching it into memory.
+   *
+   * @param {string} format - csv, jsonl or xml
+   * @returns {string}
+   * @see buildAdvancedQuery for the other parameters
+   */
+  getExportUrl(format, filters, sorting, searchTerm, dateRange) {
+    const queryParams = buildAdvancedQuery(filters, sorting, null, null, null, searchTerm, dateRange);
+    const url = `${API_BASE_URL}/items/details/export.${encodeURIComponent(format)}`;
+    return queryParams ? `${url}?${queryParams}` : url;
   }
 
   // Unused private methods
@@ -0,0 +1,90 @@
+const EVENT_TYPES = [
+  'item.created',
+  'item.deleted',
+  'item_details.created',
+  'item_details.updated',
+  'item_details.deleted',
+];
+
+const INITIAL_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30 * 1000;
+
+/**
+ * Subscribes to the backend's stream of item changes.
+ *
+ * The browser reconnects dropped streams on its own, sending the last event
+ * ID so the server can replay what was missed. When the server gives up on
+ * the stream (an error that closes it) we reconnect ourselves with growing
+ * delays. Whenever events may have been lost - the server says it cannot
+ * catch us up, or an event ID is skipped - `onResync` is called so the
+ * caller can reload.
+ *
+ * @param {Object} handlers
+ * @param {Function} handlers.onEvent - Called with `(type, data)` for each change
+ * @param {Function} handlers.onResync - Called when the caller should reload everything
+ * @param {Function} [handlers.onStatusChange] - Called with 'live' or 'reconnecting'
+ * @param {string} [url] - Stream URL
+ * @returns {Function} - Closes the stream
+ */
+export function subscribeToItemEvents({ onEvent, onResync, onStatusChange = () => {} }, url = '/api/events') {
+  if (typeof EventSource === 'undefined') {
+    return () => {};
+  }
+
+  let source = null;
+  let lastEventId = null;
+  let retryMs = INITIAL_RETRY_MS;
+  let retryTimer = null;
+  let closed = false;
+
+  const track = (event) => {
+    const id = Number(event.lastEventId);
+    const skipped = lastEventId !== null && id > lastEventId + 1;
+    lastEventId = id;
+    return skipped;
+  };
+
+  const connect = () => {
+    source = new EventSource(lastEventId === null ? url : `${url}?lastEventId=${lastEventId}`);
+
+    source.onopen = () => {
+      retryMs = INITIAL_RETRY_MS;
+      onStatusChange('live');
+    };
+
+    source.onerror = () => {
+      onStatusChange('reconnecting');
+      if (source.readyState === EventSource.CLOSED && !closed) {
+        retryTimer = setTimeout(connect, retryMs);
+        retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+      }
+    };
+
+    source.addEventListener('ready', (event) => {
+      lastEventId = Number(event.lastEventId);
+    });
+
+    source.addEventListener('resync', (event) => {
+      lastEventId = Number(event.lastEventId);
+      onResync();
+    });
+
+    EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, (event) => {
+        if (track(event)) {
+          onResync();
+          return;
+        }
+        onEvent(type, JSON.parse(event.data));
+      });
+    });
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    source.close();
+  };
+}